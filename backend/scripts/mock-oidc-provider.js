@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Minimal OpenID Connect provider for trying single sign-on locally. It signs in whoever
+ * is typed into its form, so never expose it outside a development machine.
+ *
+ *   npm run mock-oidc
+ *   OIDC_ISSUER=http://localhost:4000 OIDC_CLIENT_ID=test-dashboard npm run dev
+ */
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Authorization codes and access tokens waiting to be redeemed, in memory only
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        code_challenge_methods_supported: ['S256'],
+        scopes_supported: ['openid', 'profile', 'email', 'groups']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Sign-in form; the authorization request is carried along in hidden fields
+app.get('/authorize', (req, res) => {
+    const { response_type: responseType, client_id: clientId, redirect_uri: redirectUri, code_challenge_method: method } = req.query;
+    if (responseType !== 'code' || !clientId || !redirectUri || !req.query.code_challenge || method !== 'S256') {
+        return res.status(400).send('Expected response_type=code, client_id, redirect_uri and an S256 code_challenge');
+    }
+
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'scope']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name] || '')}">`)
+        .join('');
+
+    res.send(`<!doctype html>
+<title>Mock identity provider</title>
+<form method="post" action="/authorize" style="font-family:sans-serif;max-width:320px;margin:40px auto;display:grid;gap:8px">
+    <h2>Mock identity provider</h2>
+    ${hidden}
+    <label>Subject <input name="sub" value="mock-user-1" required></label>
+    <label>Username <input name="preferred_username" value="jane.doe"></label>
+    <label>Email <input name="email" value="jane.doe@example.com"></label>
+    <label>Name <input name="name" value="Jane Doe"></label>
+    <label>Groups (comma-separated) <input name="groups" value="qa-leads"></label>
+    <label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label>
+    <button>Sign in</button>
+    <button name="deny" value="1">Deny</button>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+    const { redirect_uri: redirectUri, state } = req.body;
+    const redirect = new URL(redirectUri);
+    if (state) redirect.searchParams.set('state', state);
+
+    if (req.body.deny) {
+        redirect.searchParams.set('error', 'access_denied');
+        redirect.searchParams.set('error_description', 'The user denied the login');
+        return res.redirect(redirect.toString());
+    }
+
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+        clientId: req.body.client_id,
+        redirectUri,
+        nonce: req.body.nonce,
+        codeChallenge: req.body.code_challenge,
+        expiresAt: Date.now() + CODE_TTL_MS,
+        claims: {
+            sub: req.body.sub,
+            preferred_username: req.body.preferred_username || undefined,
+            email: req.body.email || undefined,
+            email_verified: req.body.email_verified === 'true',
+            name: req.body.name || undefined,
+            groups: (req.body.groups || '').split(',').map(group => group.trim()).filter(Boolean)
+        }
+    });
+
+    redirect.searchParams.set('code', code);
+    res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+    const basic = (req.get('Authorization') || '').match(/^Basic (.+)$/);
+    const clientId = basic
+        ? decodeURIComponent(Buffer.from(basic[1], 'base64').toString().split(':')[0])
+        : req.body.client_id;
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const fail = (description) => res.status(400).json({ error: 'invalid_grant', error_description: description });
+    if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+        return fail('Unknown or expired authorization code');
+    }
+    if (grant.clientId !== clientId || grant.redirectUri !== req.body.redirect_uri) {
+        return fail('client_id or redirect_uri does not match the authorization request');
+    }
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+        return fail('PKCE code_verifier does not match the code_challenge');
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, grant.claims);
+
+    res.json({
+        token_type: 'Bearer',
+        access_token: accessToken,
+        expires_in: 300,
+        id_token: jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+            algorithm: 'RS256',
+            keyid: KEY_ID,
+            issuer: ISSUER,
+            audience: clientId,
+            expiresIn: 300
+        })
+    });
+});
+
+app.get('/userinfo', (req, res) => {
+    const claims = accessTokens.get((req.get('Authorization') || '').replace(/^Bearer /, ''));
+    if (!claims) {
+        return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json(claims);
+});
+
+app.listen(PORT, () => {
+    console.log(`Mock OIDC provider at ${ISSUER} (any client_id; no client secret is checked)`);
+});
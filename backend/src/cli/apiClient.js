@@ -0,0 +1,103 @@
+const axios = require('axios');
+
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class ApiClient {
+    /**
+     * @param {Object} options - { baseUrl, apiKey, retries, timeout }
+     */
+    constructor({ baseUrl, apiKey, retries = 3, timeout = 120000 }) {
+        this.retries = retries;
+        this.http = axios.create({
+            baseURL: `${baseUrl.replace(/\/+$/, '')}/api/v1`,
+            timeout,
+            headers: apiKey ? { 'X-API-Key': apiKey } : {},
+            // Reports and artifacts can be large
+            maxBodyLength: Infinity,
+            maxContentLength: Infinity
+        });
+    }
+
+    /**
+     * Send a request, retrying network errors, rate limiting and server errors with backoff
+     * @param {Object} config - Axios request config; `data` may be a function building a fresh body per attempt
+     * @returns {Promise<Object>} Response body
+     */
+    async request(config) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const data = typeof config.data === 'function' ? config.data() : config.data;
+                const response = await this.http.request({ ...config, data });
+                return response.data;
+            } catch (error) {
+                const status = error.response ? error.response.status : null;
+                const retryable = !error.response || RETRYABLE_STATUS.includes(status);
+
+                if (!retryable || attempt >= this.retries) {
+                    const message = error.response && error.response.data
+                        ? error.response.data.message || error.response.data.error
+                        : error.message;
+                    const failure = new Error(`${config.method.toUpperCase()} ${config.url} failed: ${message}`);
+                    failure.status = status;
+                    throw failure;
+                }
+
+                const retryAfter = error.response && parseInt(error.response.headers['retry-after']);
+                const delay = retryAfter > 0 ? retryAfter * 1000 : 1000 * 2 ** attempt;
+                console.warn(`  ${config.method.toUpperCase()} ${config.url} failed (${status || error.code}), retrying in ${delay / 1000}s`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    startExecution(execution) {
+        return this.request({ method: 'post', url: '/executions', data: execution });
+    }
+
+    importReport(format, body, contentType, params) {
+        return this.request({
+            method: 'post',
+            url: `/test-reports/import/${format}`,
+            params,
+            data: body,
+            headers: { 'Content-Type': contentType }
+        });
+    }
+
+    /**
+     * Upload files to a test report as one multipart request
+     * @param {number} testReportId - test_reports.id
+     * @param {Array<Object>} files - { name, data: Buffer, type }
+     */
+    uploadArtifacts(testReportId, files) {
+        return this.request({
+            method: 'post',
+            url: `/upload/test-reports/${testReportId}/artifacts`,
+            data: () => {
+                const form = new FormData();
+                files.forEach(file => form.append('files', new Blob([file.data], { type: file.type }), file.name));
+                return form;
+            }
+        });
+    }
+
+    finishExecution(executionKey, status) {
+        return this.request({
+            method: 'post',
+            url: `/executions/${encodeURIComponent(executionKey)}/finish`,
+            data: { status }
+        });
+    }
+
+    getExecution(executionKey) {
+        return this.request({ method: 'get', url: `/executions/${encodeURIComponent(executionKey)}` });
+    }
+
+    getQuarantine(params) {
+        return this.request({ method: 'get', url: '/quarantine', params });
+    }
+}
+
+module.exports = ApiClient;
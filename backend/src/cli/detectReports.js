@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+const SKIPPED_DIRECTORIES = ['node_modules', '.git'];
+const MAX_DEPTH = 8;
+
+const isAllureResultFile = (name) => /-(result|container)\.json$/.test(name);
+
+/**
+ * Classify a JSON report by its shape
+ * @param {*} json - Parsed report
+ * @returns {string|null} Import format, or null when the file is not a known report
+ */
+const classifyJson = (json) => {
+    if (Array.isArray(json)) {
+        const isCucumber = json.length > 0 && json.every(feature => feature && (feature.elements || feature.uri));
+        return isCucumber ? 'cucumber' : null;
+    }
+    if (!json || typeof json !== 'object') return null;
+    if (json.config && Array.isArray(json.suites)) return 'playwright';
+    if (json.stats && Array.isArray(json.results)) return 'cypress';
+    if (json.run && Array.isArray(json.run.executions)) return 'newman';
+    return null;
+};
+
+const classifyFile = (filePath) => {
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.xml') {
+        // The root element is near the top; no need to read large reports fully
+        const head = fs.readFileSync(filePath, 'utf8').slice(0, 4096);
+        return /<testsuites?[\s>]/.test(head) ? 'junit' : null;
+    }
+
+    if (extension === '.json' && !isAllureResultFile(path.basename(filePath))) {
+        try {
+            return classifyJson(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Find test reports under the given files and directories. A directory holding
+ * *-result.json files is an allure-results directory and is uploaded as a whole.
+ * @param {Array<string>} inputs - Files or directories
+ * @returns {Array<Object>} Reports as { format, path }
+ */
+const detectReports = (inputs) => {
+    const reports = [];
+    const seen = new Set();
+
+    const visit = (target, depth) => {
+        const resolved = path.resolve(target);
+        if (seen.has(resolved)) return;
+        seen.add(resolved);
+
+        const stats = fs.statSync(resolved);
+        if (stats.isFile()) {
+            const format = classifyFile(resolved);
+            if (format) reports.push({ format, path: resolved });
+            return;
+        }
+
+        if (!stats.isDirectory() || depth > MAX_DEPTH) return;
+
+        const entries = fs.readdirSync(resolved, { withFileTypes: true });
+        if (entries.some(entry => entry.isFile() && entry.name.endsWith('-result.json'))) {
+            reports.push({ format: 'allure', path: resolved });
+            return;
+        }
+
+        for (const entry of entries) {
+            if (entry.isDirectory() && SKIPPED_DIRECTORIES.includes(entry.name)) continue;
+            visit(path.join(resolved, entry.name), depth + 1);
+        }
+    };
+
+    inputs.forEach(input => visit(input, 0));
+    return reports;
+};
+
+module.exports = { detectReports, classifyJson };
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectReports, classifyJson } = require('./detectReports');
+
+describe('classifyJson', () => {
+    it('recognises reports by their shape', () => {
+        expect(classifyJson({ config: {}, suites: [] })).toBe('playwright');
+        expect(classifyJson({ stats: {}, results: [] })).toBe('cypress');
+        expect(classifyJson({ run: { executions: [] } })).toBe('newman');
+        expect(classifyJson([{ uri: 'a.feature', elements: [] }])).toBe('cucumber');
+    });
+
+    it('returns null for other JSON', () => {
+        expect(classifyJson({ name: 'package' })).toBeNull();
+        expect(classifyJson([])).toBeNull();
+        expect(classifyJson('text')).toBeNull();
+    });
+});
+
+describe('detectReports', () => {
+    let root;
+
+    const write = (file, contents) => {
+        const target = path.join(root, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    };
+
+    beforeAll(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'test-dashboard-reports-'));
+        write('junit/TEST-api.xml', '<?xml version="1.0"?>\n<testsuite name="api"></testsuite>');
+        write('junit/pom.xml', '<project></project>');
+        write('playwright/results.json', { config: {}, suites: [] });
+        write('allure-results/a1-result.json', { uuid: 'a1' });
+        write('allure-results/nested/b1-result.json', { uuid: 'b1' });
+        write('package.json', { name: 'app' });
+        write('broken.json', '{ nope');
+        write('node_modules/lib/report.xml', '<testsuites></testsuites>');
+    });
+
+    afterAll(() => {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('finds reports under a directory and uploads allure-results as a whole', () => {
+        const reports = detectReports([root]).map(report => [report.format, path.relative(root, report.path)]);
+
+        expect(reports).toEqual(expect.arrayContaining([
+            ['junit', path.join('junit', 'TEST-api.xml')],
+            ['playwright', path.join('playwright', 'results.json')],
+            ['allure', 'allure-results']
+        ]));
+        expect(reports).toHaveLength(3);
+    });
+
+    it('accepts individual files and lists each report once', () => {
+        const file = path.join(root, 'junit', 'TEST-api.xml');
+
+        expect(detectReports([file, path.join(root, 'junit')])).toEqual([{ format: 'junit', path: file }]);
+    });
+});
@@ -0,0 +1,396 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const AdmZip = require('adm-zip');
+const ApiClient = require('./apiClient');
+const { detectReports } = require('./detectReports');
+const { parsePlaywrightJson } = require('../parsers/playwrightParser');
+const { parseMochawesomeJson } = require('../parsers/mochawesomeParser');
+const { parseCiEnvironment, normalizeCiContext } = require('../utils/ciContext');
+
+const EXIT_OK = 0;
+const EXIT_GATE_FAILED = 1;
+const EXIT_ERROR = 2;
+
+// Keep in sync with the multer file limit and extension allowlist in routes/upload.js
+const ARTIFACT_BATCH_SIZE = 10;
+const CONTENT_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.zip': 'application/zip',
+    '.txt': 'text/plain',
+    '.log': 'text/plain',
+    '.json': 'application/json'
+};
+
+const USAGE = `Usage: test-dashboard upload [options] [paths...]
+
+Finds JUnit XML, Playwright JSON, Cypress (mochawesome), Allure, Cucumber and
+Newman reports under the given paths (default: current directory), uploads them
+as one test execution together with screenshots, videos and traces, and exits
+non-zero when the quality gate fails.
+
+Options:
+  --url <url>               Dashboard URL (default: $TEST_DASHBOARD_URL or http://localhost:3001)
+  --api-key <key>           Project API key (default: $TEST_DASHBOARD_API_KEY); the key's
+                            project is used when --project is not given
+  --name <name>             Execution name (default: CI pipeline name)
+  --execution-id <id>       Execution id (default: derived from the CI build)
+  --project <id>            Project id
+  --environment <name>      Environment, e.g. staging
+  --branch <name>           Branch (default: detected from CI)
+  --commit <sha>            Commit hash (default: detected from CI)
+  --max-failures <n>        Fail when more than n tests failed
+  --min-pass-rate <pct>     Fail when the pass rate is below pct percent
+                            (failures of quarantined tests count for neither)
+  --concurrency <n>         Reports uploaded in parallel (default: 2)
+  --retries <n>             Retries per request on network and server errors (default: 3)
+  --no-artifacts            Skip screenshots, videos and traces
+  --dry-run                 Only list the reports that would be uploaded
+  -h, --help                Show this help
+
+Exit codes: 0 success, 1 quality gate failed, 2 upload error.
+
+Usage: test-dashboard quarantine [options]
+
+Prints the tests currently quarantined, so a test run can skip or tag them.
+
+Options:
+  --url <url>               Dashboard URL (default: $TEST_DASHBOARD_URL or http://localhost:3001)
+  --api-key <key>           Project API key (default: $TEST_DASHBOARD_API_KEY); the key's
+                            project is used when --project is not given
+  --project <id>            Project id
+  --format <format>         names: one test name per line (default)
+                            grep: a pattern for --grep-invert / --grep --invert
+                            json: the quarantines with owner, reason, ticket and expiry
+  -h, --help                Show this help`;
+
+const QUARANTINE_FORMATS = ['names', 'grep', 'json'];
+
+const OPTIONS = {
+    url: { type: 'string' },
+    'api-key': { type: 'string' },
+    name: { type: 'string' },
+    'execution-id': { type: 'string' },
+    project: { type: 'string' },
+    environment: { type: 'string' },
+    branch: { type: 'string' },
+    commit: { type: 'string' },
+    'max-failures': { type: 'string' },
+    'min-pass-rate': { type: 'string' },
+    concurrency: { type: 'string', default: '2' },
+    retries: { type: 'string', default: '3' },
+    'no-artifacts': { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const QUARANTINE_OPTIONS = {
+    url: { type: 'string' },
+    'api-key': { type: 'string' },
+    project: { type: 'string' },
+    format: { type: 'string', default: 'names' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const toNumber = (value, option) => {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`--${option} must be a non-negative number`);
+    }
+    return number;
+};
+
+/**
+ * Run async work over items with at most `limit` in flight
+ * @param {Array} items - Work items
+ * @param {number} limit - Maximum parallel tasks
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+const mapWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const lanes = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(lanes);
+    return results;
+};
+
+// Execution ids only allow word characters, dots, colons and dashes
+const executionIdFor = (ci) => (ci.provider && ci.pipelineId
+    ? `${ci.provider}-${ci.pipelineId}`.replace(/[^\w.:-]+/g, '-').slice(0, 100)
+    : undefined);
+
+/**
+ * Read a report into an import request body
+ * @param {Object} report - { format, path }
+ * @returns {Object} { body, contentType }
+ */
+const readReport = (report) => {
+    if (report.format === 'allure') {
+        const zip = new AdmZip();
+        zip.addLocalFolder(report.path);
+        return { body: zip.toBuffer(), contentType: 'application/zip' };
+    }
+    if (report.format === 'junit') {
+        return { body: fs.readFileSync(report.path, 'utf8'), contentType: 'application/xml' };
+    }
+    return { body: fs.readFileSync(report.path, 'utf8'), contentType: 'application/json' };
+};
+
+/**
+ * List the local artifact files of each test in a report, in the same order the
+ * server stores the tests (both sides use the same parser)
+ * @param {Object} report - { format, path }
+ * @returns {Array<Array<string>>|null} Absolute file paths per test, or null when the format has no file attachments
+ */
+const collectArtifactPaths = (report) => {
+    const baseDir = path.dirname(report.path);
+    const resolveFile = (file) => [path.resolve(baseDir, file), path.resolve(file)].find(candidate => fs.existsSync(candidate));
+
+    if (report.format === 'playwright') {
+        const parsed = parsePlaywrightJson(JSON.parse(fs.readFileSync(report.path, 'utf8')));
+        return parsed.reports.map(test => (test.metadata.attachments || [])
+            .map(attachment => attachment.path && resolveFile(attachment.path))
+            .filter(Boolean));
+    }
+    if (report.format === 'cypress') {
+        const parsed = parseMochawesomeJson(JSON.parse(fs.readFileSync(report.path, 'utf8')));
+        return parsed.reports.map(test => [...(test.metadata.screenshots || []), ...(test.metadata.videos || [])]
+            .map(resolveFile)
+            .filter(Boolean));
+    }
+    return null;
+};
+
+const uploadArtifacts = async (client, testReportId, files) => {
+    const allowed = [...new Set(files)].filter(file => CONTENT_TYPES[path.extname(file).toLowerCase()]);
+
+    for (let i = 0; i < allowed.length; i += ARTIFACT_BATCH_SIZE) {
+        const batch = allowed.slice(i, i + ARTIFACT_BATCH_SIZE).map(file => ({
+            name: path.basename(file),
+            data: fs.readFileSync(file),
+            // The server classifies screenshots and videos by content type
+            type: CONTENT_TYPES[path.extname(file).toLowerCase()]
+        }));
+        await client.uploadArtifacts(testReportId, batch);
+    }
+    return allowed.length;
+};
+
+/**
+ * Check execution totals against the configured quality gate. Failures of quarantined
+ * tests are left out of both the failure count and the pass rate.
+ * @param {Object} execution - test_executions row
+ * @param {Object} gate - { maxFailures, minPassRate }
+ * @returns {Array<string>} Reasons the gate failed; empty when it passed
+ */
+const evaluateGate = (execution, { maxFailures, minPassRate }) => {
+    const failures = [];
+    const quarantined = execution.quarantined_failures || 0;
+    const failed = (execution.failed_tests || 0) - quarantined;
+    const total = (execution.total_tests || 0) - quarantined;
+    const passRate = total > 0 ? (execution.passed_tests / total) * 100 : 0;
+    const excluded = quarantined > 0 ? ` (${quarantined} quarantined not counted)` : '';
+
+    if (maxFailures !== undefined && failed > maxFailures) {
+        failures.push(`${failed} failed tests exceed the maximum of ${maxFailures}${excluded}`);
+    }
+    if (minPassRate !== undefined && passRate < minPassRate) {
+        failures.push(`pass rate ${passRate.toFixed(2)}% is below the minimum of ${minPassRate}%${excluded}`);
+    }
+    return failures;
+};
+
+/**
+ * Upload the reports under `paths` as one execution
+ * @param {Array<string>} argv - Command-line arguments after the command name
+ * @param {Object} env - Environment variables
+ * @returns {Promise<number>} Process exit code
+ */
+const upload = async (argv, env) => {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+
+    const gate = {
+        maxFailures: toNumber(options['max-failures'], 'max-failures'),
+        minPassRate: toNumber(options['min-pass-rate'], 'min-pass-rate')
+    };
+    const concurrency = toNumber(options.concurrency, 'concurrency');
+    const retries = toNumber(options.retries, 'retries');
+
+    const reports = detectReports(positionals.length > 0 ? positionals : ['.']);
+    if (reports.length === 0) {
+        console.error('No test reports found');
+        return EXIT_ERROR;
+    }
+
+    console.log(`Found ${reports.length} report(s):`);
+    reports.forEach(report => console.log(`  ${report.format.padEnd(10)} ${path.relative(process.cwd(), report.path) || '.'}`));
+    if (options['dry-run']) return EXIT_OK;
+
+    // Only the parsed CI fields are sent; the raw environment may hold secrets
+    const ci = normalizeCiContext(parseCiEnvironment(env)) || {};
+    const client = new ApiClient({
+        baseUrl: options.url || env.TEST_DASHBOARD_URL || 'http://localhost:3001',
+        apiKey: options['api-key'] || env.TEST_DASHBOARD_API_KEY,
+        retries
+    });
+
+    const { data: execution } = await client.startExecution({
+        execution_id: options['execution-id'] || executionIdFor(ci),
+        name: options.name || ci.pipeline || undefined,
+        project_id: options.project ? Number(options.project) : undefined,
+        environment: options.environment,
+        branch: options.branch || ci.branch || undefined,
+        commit_hash: options.commit || ci.commit || undefined,
+        ci: ci.provider ? ci : undefined
+    });
+    const executionKey = execution.execution_id;
+    console.log(`Uploading to execution ${executionKey}`);
+
+    const params = {
+        executionId: executionKey,
+        projectId: options.project,
+        environment: options.environment,
+        branch: options.branch || ci.branch || undefined,
+        commitHash: options.commit || ci.commit || undefined,
+        // A retried CI job keeps the pipeline ID and so the execution; its results replace the earlier attempt's
+        onDuplicate: 'update'
+    };
+
+    let uploadFailed = false;
+    await mapWithConcurrency(reports, concurrency, async (report) => {
+        const label = path.relative(process.cwd(), report.path) || report.format;
+        try {
+            const { body, contentType } = readReport(report);
+            const { data } = await client.importReport(report.format, body, contentType, params);
+            console.log(`  ${label}: ${data.created} created, ${data.updated} updated, ${data.ignored} ignored`);
+
+            // Nothing was stored, so there is nothing to attach artifacts to
+            if (options['no-artifacts'] || data.created + data.updated === 0) return;
+
+            const artifactPaths = collectArtifactPaths(report);
+            if (!artifactPaths) return;
+
+            let uploaded = 0;
+            for (let i = 0; i < data.reportIds.length; i++) {
+                uploaded += await uploadArtifacts(client, data.reportIds[i], artifactPaths[i] || []);
+            }
+            if (uploaded > 0) console.log(`  ${label}: ${uploaded} artifact(s) uploaded`);
+        } catch (error) {
+            uploadFailed = true;
+            console.error(`  ${label}: ${error.message}`);
+        }
+    });
+
+    let finished;
+    try {
+        ({ data: finished } = await client.finishExecution(executionKey, uploadFailed ? 'failed' : 'completed'));
+    } catch (error) {
+        // Another job of the same build may have finished the execution already
+        if (error.status !== 409) throw error;
+        ({ data: finished } = await client.getExecution(executionKey));
+    }
+
+    console.log(`Execution ${executionKey}: ${finished.total_tests} tests, ${finished.passed_tests} passed, ` +
+        `${finished.failed_tests} failed, ${finished.skipped_tests} skipped` +
+        (finished.quarantined_failures > 0 ? ` (${finished.quarantined_failures} failures of quarantined tests)` : ''));
+
+    if (uploadFailed) {
+        console.error('Some reports could not be uploaded');
+        return EXIT_ERROR;
+    }
+
+    const gateFailures = evaluateGate(finished, gate);
+    if (gateFailures.length > 0) {
+        gateFailures.forEach(reason => console.error(`Quality gate failed: ${reason}`));
+        return EXIT_GATE_FAILED;
+    }
+
+    return EXIT_OK;
+};
+
+// Test titles as literal alternatives of one regular expression
+const toGrepPattern = (names) => names
+    .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+
+/**
+ * Print the active quarantine list
+ * @param {Array<string>} argv - Command-line arguments after the command name
+ * @param {Object} env - Environment variables
+ * @returns {Promise<number>} Process exit code
+ */
+const quarantine = async (argv, env) => {
+    const { values: options } = parseArgs({ args: argv, options: QUARANTINE_OPTIONS });
+
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+    if (!QUARANTINE_FORMATS.includes(options.format)) {
+        throw new Error(`--format must be one of ${QUARANTINE_FORMATS.join(', ')}`);
+    }
+
+    const client = new ApiClient({
+        baseUrl: options.url || env.TEST_DASHBOARD_URL || 'http://localhost:3001',
+        apiKey: options['api-key'] || env.TEST_DASHBOARD_API_KEY
+    });
+    const { data: quarantines } = await client.getQuarantine({ projectId: options.project });
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify(quarantines, null, 2));
+        return EXIT_OK;
+    }
+
+    const names = [...new Set(quarantines.map(entry => entry.testName))];
+    if (options.format === 'grep') {
+        // An empty pattern would match, and so skip, every test; ^$ matches no test title
+        console.log(names.length > 0 ? toGrepPattern(names) : '^$');
+        return EXIT_OK;
+    }
+
+    names.forEach(name => console.log(name));
+    return EXIT_OK;
+};
+
+/**
+ * CLI entry point
+ * @param {Array<string>} argv - process.argv without the node and script paths
+ * @param {Object} env - Environment variables
+ * @returns {Promise<number>} Process exit code
+ */
+const run = async (argv = process.argv.slice(2), env = process.env) => {
+    const [command, ...rest] = argv;
+
+    try {
+        if (command === 'upload') return await upload(rest, env);
+        if (command === 'quarantine') return await quarantine(rest, env);
+
+        console.log(USAGE);
+        return command === undefined || command === '--help' || command === '-h' ? EXIT_OK : EXIT_ERROR;
+    } catch (error) {
+        console.error(error.message);
+        return EXIT_ERROR;
+    }
+};
+
+module.exports = { run, evaluateGate };
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initializeDatabase } = require('../config/database');
+const artifactService = require('../services/artifactService');
+const { buildApp, createApiKey } = require('../test/helpers');
+const executionRoutes = require('../routes/executions');
+const importRoutes = require('../routes/imports');
+const uploadRoutes = require('../routes/upload');
+const { run, evaluateGate } = require('./index');
+
+describe('evaluateGate', () => {
+    const execution = { total_tests: 10, passed_tests: 7, failed_tests: 3, quarantined_failures: 0 };
+
+    it('passes when no limit is exceeded', () => {
+        expect(evaluateGate(execution, {})).toEqual([]);
+        expect(evaluateGate(execution, { maxFailures: 3, minPassRate: 70 })).toEqual([]);
+    });
+
+    it('explains every limit that is exceeded', () => {
+        expect(evaluateGate(execution, { maxFailures: 1, minPassRate: 80 })).toEqual([
+            '3 failed tests exceed the maximum of 1',
+            'pass rate 70.00% is below the minimum of 80%'
+        ]);
+    });
+
+    it('leaves failures of quarantined tests out of both limits', () => {
+        const withQuarantine = { ...execution, quarantined_failures: 2 };
+
+        expect(evaluateGate(withQuarantine, { maxFailures: 1, minPassRate: 87.5 })).toEqual([]);
+        expect(evaluateGate(withQuarantine, { maxFailures: 0 })).toEqual([
+            '1 failed tests exceed the maximum of 0 (2 quarantined not counted)'
+        ]);
+    });
+});
+
+describe('test-dashboard upload', () => {
+    let server;
+    let url;
+    let apiKey;
+    let workspace;
+
+    beforeAll(async () => {
+        initializeDatabase();
+        apiKey = createApiKey(1);
+        const app = buildApp({
+            '/api/v1/executions': executionRoutes,
+            '/api/v1/test-reports/import': importRoutes,
+            '/api/v1/upload': uploadRoutes
+        });
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        url = `http://127.0.0.1:${server.address().port}`;
+
+        workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'test-dashboard-cli-'));
+        fs.writeFileSync(path.join(workspace, 'TEST-api.xml'), `<testsuite name="API">
+  <testcase name="health" classname="api"/>
+  <testcase name="orders" classname="api"><failure message="500"/></testcase>
+</testsuite>`);
+        fs.writeFileSync(path.join(workspace, 'failure.png'), 'png bytes');
+        fs.writeFileSync(path.join(workspace, 'results.json'), JSON.stringify({
+            config: {},
+            suites: [{
+                title: 'cart.spec.ts',
+                specs: [{
+                    id: 'cart-1',
+                    title: 'shows the cart',
+                    tests: [{
+                        projectName: 'chromium',
+                        results: [{
+                            status: 'passed',
+                            retry: 0,
+                            duration: 100,
+                            attachments: [{ name: 'screenshot', contentType: 'image/png', path: 'failure.png' }]
+                        }]
+                    }]
+                }]
+            }]
+        }));
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(workspace, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const upload = (...args) => run(['upload', workspace, '--url', url, '--api-key', apiKey, '--retries', '0', ...args], {});
+
+    it('uploads every report as one execution with its artifacts', async () => {
+        const code = await upload('--execution-id', 'cli-1');
+
+        expect(code).toBe(0);
+        expect(console.log).toHaveBeenCalledWith('Execution cli-1: 3 tests, 2 passed, 1 failed, 0 skipped');
+
+        expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/results\.json: 1 artifact\(s\) uploaded$/));
+        const stored = fs.readdirSync(path.join(process.env.UPLOADS_DIR, 'reports'));
+        expect(stored.flatMap(id => artifactService.listArtifacts(id)).map(artifact => artifact.file_name)).toContain('failure.png');
+    });
+
+    it('exits with 1 when the quality gate fails', async () => {
+        const code = await upload('--execution-id', 'cli-2', '--max-failures', '0');
+
+        expect(code).toBe(1);
+        expect(console.error).toHaveBeenCalledWith('Quality gate failed: 1 failed tests exceed the maximum of 0');
+    });
+
+    it('replaces the results of an earlier attempt when a CI job is retried', async () => {
+        const retried = fs.mkdtempSync(path.join(os.tmpdir(), 'test-dashboard-cli-'));
+        const report = path.join(retried, 'TEST-retry.xml');
+        const retry = (jobId) => run(['upload', retried, '--url', url, '--api-key', apiKey, '--retries', '0', '--max-failures', '0'],
+            { GITLAB_CI: 'true', CI_PIPELINE_ID: '501', CI_JOB_ID: jobId });
+
+        try {
+            fs.writeFileSync(report, '<testsuite name="Retry"><testcase name="flaky" classname="retry"><failure message="timeout"/></testcase></testsuite>');
+            expect(await retry('1')).toBe(1);
+
+            fs.writeFileSync(report, '<testsuite name="Retry"><testcase name="flaky" classname="retry"/></testsuite>');
+            expect(await retry('2')).toBe(0);
+            expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/TEST-retry\.xml: 0 created, 1 updated, 0 ignored$/));
+            expect(console.log).toHaveBeenCalledWith('Execution gitlab-501: 1 tests, 1 passed, 0 failed, 0 skipped');
+        } finally {
+            fs.rmSync(retried, { recursive: true, force: true });
+        }
+    });
+
+    it('exits with 2 when the server refuses the upload', async () => {
+        const code = await run(['upload', workspace, '--url', url, '--api-key', 'wrong', '--retries', '0'], {});
+
+        expect(code).toBe(2);
+    });
+
+    it('only lists reports on a dry run', async () => {
+        const code = await run(['upload', workspace, '--dry-run'], {});
+
+        expect(code).toBe(0);
+        expect(console.log).toHaveBeenCalledWith('Found 2 report(s):');
+    });
+});
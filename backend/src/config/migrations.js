@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
+// Migration files are named <version>_<name>.js, e.g. 002_add_team_id.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Thrown inside a dry-run transaction so better-sqlite3 rolls it back
+class DryRunRollback extends Error {}
+
+/**
+ * Read the migration files in version order
+ * @param {string} directory - Directory holding the migration files
+ * @returns {Array<Object>} { version, name, file, checksum, up }
+ */
+const loadMigrations = (directory = MIGRATIONS_DIR) => {
+    const migrations = fs.readdirSync(directory)
+        .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const filePath = path.join(directory, file);
+            const migration = require(filePath);
+            if (typeof migration.up !== 'function') {
+                throw new Error(`Migration ${file} does not export an up(db) function`);
+            }
+
+            return {
+                version: parseInt(match[1]),
+                name: match[2],
+                file,
+                checksum: crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex'),
+                up: migration.up
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file}, ${migration.file}`);
+        }
+    });
+
+    return migrations;
+};
+
+const ensureMigrationsTable = (db) => {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum VARCHAR(64) NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+};
+
+/**
+ * Compare the migration files with the versions recorded in the database
+ * @param {Object} db - better-sqlite3 database
+ * @param {Array<Object>} migrations - Output of loadMigrations
+ * @returns {Object} { currentVersion, applied, pending }
+ */
+const getMigrationStatus = (db, migrations = loadMigrations()) => {
+    const hasTable = db.prepare(`
+        SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'
+    `).get();
+    const applied = hasTable
+        ? db.prepare('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version').all()
+        : [];
+    const appliedVersions = new Map(applied.map(row => [row.version, row]));
+
+    for (const migration of migrations) {
+        const row = appliedVersions.get(migration.version);
+        if (row && row.checksum !== migration.checksum) {
+            logger.warn(`Migration ${migration.file} changed after it was applied; add a new migration instead`);
+        }
+    }
+
+    return {
+        currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+        applied,
+        pending: migrations.filter(migration => !appliedVersions.has(migration.version))
+    };
+};
+
+/**
+ * Copy the database file before changing its schema
+ * @param {Object} db - better-sqlite3 database
+ * @param {string} backupDir - Directory for backup files
+ * @param {number} fromVersion - Schema version being migrated from
+ * @returns {string} Backup file path
+ */
+const backupDatabase = (db, backupDir, fromVersion) => {
+    fs.mkdirSync(backupDir, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(backupDir, `${path.basename(db.name, '.db')}-v${fromVersion}-${timestamp}.db`);
+
+    // VACUUM INTO writes a consistent copy even while the database is open
+    db.prepare('VACUUM INTO ?').run(backupPath);
+    return backupPath;
+};
+
+/**
+ * Apply pending migrations in version order, each in its own transaction. A dry run
+ * executes them and rolls everything back, so SQL errors still surface.
+ * @param {Object} db - better-sqlite3 database
+ * @param {Object} options - { dryRun, backup, backupDir, migrations }
+ * @returns {Object} { currentVersion, applied: [versions], pending: [versions], backupPath }
+ */
+const runMigrations = (db, { dryRun = false, backup = true, backupDir, migrations = loadMigrations() } = {}) => {
+    const status = getMigrationStatus(db, migrations);
+    const result = {
+        currentVersion: status.currentVersion,
+        applied: [],
+        pending: status.pending.map(migration => migration.version),
+        backupPath: null
+    };
+
+    if (status.pending.length === 0) {
+        logger.info(`Database schema is up to date (version ${status.currentVersion})`);
+        return result;
+    }
+
+    // A brand-new database has nothing worth backing up
+    const hasTables = db.prepare(`
+        SELECT COUNT(*) as count FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+    `).get().count > 0;
+
+    if (!dryRun && backup && hasTables && db.name !== ':memory:') {
+        result.backupPath = backupDatabase(db, backupDir || path.join(path.dirname(db.name), 'backups'), status.currentVersion);
+        logger.info(`Database backed up to ${result.backupPath}`);
+    }
+
+    const applyPending = () => {
+        ensureMigrationsTable(db);
+
+        for (const migration of status.pending) {
+            const apply = db.transaction(() => {
+                migration.up(db);
+                db.prepare('INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)')
+                    .run(migration.version, migration.name, migration.checksum);
+            });
+
+            try {
+                apply();
+            } catch (error) {
+                error.message = `Migration ${migration.file} failed: ${error.message}`;
+                throw error;
+            }
+
+            result.applied.push(migration.version);
+            logger.info(`${dryRun ? 'Dry run: would apply' : 'Applied'} migration ${migration.file}`);
+        }
+    };
+
+    if (dryRun) {
+        // Later migrations may depend on earlier ones, so all of them run in one
+        // transaction that is rolled back at the end
+        try {
+            db.transaction(() => {
+                applyPending();
+                throw new DryRunRollback();
+            })();
+        } catch (error) {
+            if (!(error instanceof DryRunRollback)) throw error;
+        }
+    } else {
+        applyPending();
+        result.currentVersion = result.applied[result.applied.length - 1];
+    }
+
+    return result;
+};
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    getMigrationStatus,
+    runMigrations
+};
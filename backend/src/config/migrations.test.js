@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { loadMigrations, getMigrationStatus, runMigrations } = require('./migrations');
+const { logger } = require('../utils/logger');
+
+const migration = (version, sql) => ({
+    version,
+    name: `step_${version}`,
+    file: `00${version}_step_${version}.js`,
+    checksum: `checksum-${version}`,
+    up: (db) => db.exec(sql)
+});
+
+const STEPS = [
+    migration(1, 'CREATE TABLE widgets (id INTEGER PRIMARY KEY, name TEXT)'),
+    migration(2, 'ALTER TABLE widgets ADD COLUMN colour TEXT')
+];
+
+const tables = (db) => db.prepare(`
+    SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name
+`).all().map(row => row.name);
+
+describe('runMigrations', () => {
+    let db;
+
+    beforeEach(() => {
+        db = new Database(':memory:');
+    });
+
+    afterEach(() => {
+        db.close();
+    });
+
+    it('applies the repository migrations to an empty database once', () => {
+        const migrations = loadMigrations();
+        const latest = migrations[migrations.length - 1].version;
+
+        expect(runMigrations(db)).toMatchObject({ currentVersion: latest, pending: migrations.map(m => m.version) });
+        expect(tables(db)).toEqual(expect.arrayContaining(['test_reports', 'test_executions', 'teams', 'audit_log']));
+        expect(runMigrations(db)).toMatchObject({ currentVersion: latest, applied: [], pending: [] });
+    });
+
+    it('applies only pending migrations in version order', () => {
+        runMigrations(db, { migrations: STEPS.slice(0, 1) });
+        const result = runMigrations(db, { migrations: STEPS });
+
+        expect(result).toMatchObject({ currentVersion: 2, applied: [2], pending: [2] });
+        expect(db.prepare('SELECT version, name FROM schema_migrations').all()).toEqual([
+            { version: 1, name: 'step_1' },
+            { version: 2, name: 'step_2' }
+        ]);
+    });
+
+    it('rolls a dry run back but still surfaces SQL errors', () => {
+        const result = runMigrations(db, { dryRun: true, migrations: STEPS });
+
+        expect(result).toMatchObject({ currentVersion: 0, applied: [1, 2] });
+        expect(tables(db)).toEqual([]);
+        expect(() => runMigrations(db, { dryRun: true, migrations: [migration(1, 'CREATE TABLE broken (')] }))
+            .toThrow(/^Migration 001_step_1\.js failed: /);
+    });
+
+    it('keeps earlier migrations when a later one fails', () => {
+        expect(() => runMigrations(db, { migrations: [STEPS[0], migration(2, 'ALTER TABLE missing ADD COLUMN x TEXT')] }))
+            .toThrow('Migration 002_step_2.js failed: no such table: missing');
+
+        expect(getMigrationStatus(db, STEPS)).toMatchObject({ currentVersion: 1, pending: [STEPS[1]] });
+        expect(tables(db)).toEqual(['schema_migrations', 'widgets']);
+    });
+
+    it('warns about migrations edited after they were applied', () => {
+        const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+        runMigrations(db, { migrations: STEPS });
+
+        getMigrationStatus(db, [{ ...STEPS[0], checksum: 'edited' }, STEPS[1]]);
+
+        expect(warn).toHaveBeenCalledWith('Migration 001_step_1.js changed after it was applied; add a new migration instead');
+        warn.mockRestore();
+    });
+});
+
+describe('runMigrations on a database file', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'test-dashboard-migrations-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('backs up an existing database before migrating it', () => {
+        const db = new Database(path.join(directory, 'dashboard.db'));
+        const backupDir = path.join(directory, 'backups');
+        try {
+            expect(runMigrations(db, { backupDir, migrations: STEPS.slice(0, 1) }).backupPath).toBeNull();
+            db.prepare('INSERT INTO widgets (name) VALUES (?)').run('gear');
+
+            const { backupPath } = runMigrations(db, { backupDir, migrations: STEPS });
+
+            expect(path.basename(backupPath)).toMatch(/^dashboard-v1-.+\.db$/);
+            const backup = new Database(backupPath, { readonly: true });
+            expect(backup.prepare('SELECT name FROM widgets').all()).toEqual([{ name: 'gear' }]);
+            expect(backup.prepare('PRAGMA table_info(widgets)').all().map(column => column.name)).toEqual(['id', 'name']);
+            backup.close();
+        } finally {
+            db.close();
+        }
+    });
+});
+
+describe('loadMigrations', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'test-dashboard-migration-files-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const write = (file, source) => fs.writeFileSync(path.join(directory, file), source);
+
+    it('orders migration files by version and ignores other files', () => {
+        write('010_later.js', 'module.exports = { up() {} };');
+        write('002_earlier.js', 'module.exports = { up() {} };');
+        write('README.md', '# notes');
+
+        expect(loadMigrations(directory).map(m => [m.version, m.name])).toEqual([[2, 'earlier'], [10, 'later']]);
+    });
+
+    it('rejects duplicate versions and files without up()', () => {
+        write('001_a.js', 'module.exports = { up() {} };');
+        write('01_b.js', 'module.exports = { up() {} };');
+        expect(() => loadMigrations(directory)).toThrow('Duplicate migration version 1: 001_a.js, 01_b.js');
+
+        fs.rmSync(path.join(directory, '01_b.js'));
+        write('002_c.js', 'module.exports = {};');
+        expect(() => loadMigrations(directory)).toThrow('Migration 002_c.js does not export an up(db) function');
+    });
+});
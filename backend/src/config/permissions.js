@@ -0,0 +1,35 @@
+/**
+ * Actions restricted by role. Admins may do everything. Project-scoped actions use the
+ * user's project role where one is set, which overrides their role for that project.
+ */
+const PERMISSIONS = {
+    MANAGE_USERS: 'manage_users',
+    MANAGE_TEAMS: 'manage_teams',
+    MANAGE_PROJECTS: 'manage_projects',
+    EDIT_RESULTS: 'edit_results',
+    DELETE_RESULTS: 'delete_results',
+    RUN_CLEANUP: 'run_cleanup',
+    SWITCH_STORAGE: 'switch_storage',
+    VIEW_AUDIT_LOG: 'view_audit_log'
+};
+
+// Checked against the project role when the request targets a project
+const PROJECT_PERMISSIONS = [PERMISSIONS.MANAGE_PROJECTS, PERMISSIONS.EDIT_RESULTS, PERMISSIONS.DELETE_RESULTS];
+
+const ROLE_PERMISSIONS = {
+    admin: Object.values(PERMISSIONS),
+    qa_lead: [
+        PERMISSIONS.MANAGE_TEAMS,
+        PERMISSIONS.MANAGE_PROJECTS,
+        PERMISSIONS.EDIT_RESULTS,
+        PERMISSIONS.DELETE_RESULTS,
+        PERMISSIONS.RUN_CLEANUP
+    ],
+    qa_engineer: []
+};
+
+module.exports = {
+    PERMISSIONS,
+    PROJECT_PERMISSIONS,
+    ROLE_PERMISSIONS
+};
@@ -0,0 +1,23 @@
+const path = require('path');
+
+// Stored attachments and artifacts, served by server.js under /uploads. Relative to the backend directory.
+const UPLOADS_DIR = path.resolve(__dirname, '../..', process.env.UPLOADS_DIR || 'uploads');
+
+// Only formats that are safe to serve back from /uploads; HTML or SVG would run script on the API's origin
+const ALLOWED_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.mp4', '.webm', '.zip', '.txt', '.log', '.json'];
+
+// Served as application/octet-stream, so browsers download the file instead of rendering it
+const DOWNLOAD_EXTENSION = '.bin';
+
+/**
+ * Name to store an imported attachment under: files of other formats get a .bin suffix
+ * @param {string} name - File name from the report
+ * @returns {string} Base name that is safe to serve
+ */
+const safeFileName = (name) => {
+    const base = path.basename(name);
+    const extension = path.extname(base).toLowerCase();
+    return ALLOWED_EXTENSIONS.includes(extension) || extension === DOWNLOAD_EXTENSION ? base : `${base}${DOWNLOAD_EXTENSION}`;
+};
+
+module.exports = { UPLOADS_DIR, ALLOWED_EXTENSIONS, safeFileName };
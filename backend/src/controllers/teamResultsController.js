@@ -1,5 +1,5 @@
 const { logger } = require('../utils/logger');
-const storageService = require('../services/storageService');
+const testReportRepository = require('../repositories/testReportRepository');
 
 /**
  * Get consolidated results from all QA team members
@@ -8,15 +8,15 @@ const storageService = require('../services/storageService');
  */
 const getTeamResults = async (req, res) => {
     try {
-        const { startDate, endDate, projectId, members, status } = req.query;
+        const { startDate, endDate, projectId, teamId, members, status } = req.query;
 
-        // Get results from storage service
-        const results = await storageService.getTestResults({
+        const results = testReportRepository.findWithDetails({
             startDate,
             endDate,
-            project: projectId,
+            projectId,
+            teamId,
             status,
-            teamMember: members
+            members
         });
 
         // Calculate team summary
@@ -31,6 +31,7 @@ const getTeamResults = async (req, res) => {
                     startDate,
                     endDate,
                     projectId,
+                    teamId,
                     members,
                     status
                 },
@@ -54,10 +55,10 @@ const getTeamResults = async (req, res) => {
  */
 const getTeamAnalytics = async (req, res) => {
     try {
-        const { startDate, endDate, projectId } = req.query;
+        const { startDate, endDate, projectId, teamId } = req.query;
 
         // Get analytics data
-        const analytics = await generateTeamAnalytics(startDate, endDate, projectId);
+        const analytics = await generateTeamAnalytics(startDate, endDate, projectId, teamId);
 
         res.json({
             success: true,
@@ -99,6 +100,13 @@ const getTeamPerformance = async (req, res) => {
     }
 };
 
+const isQuarantinedFailure = (result) => result.status === 'failed' && Boolean(result.quarantine_id);
+
+// Average of execution_time in seconds to one decimal, so sub-second suites do not show as 0
+const averageSeconds = (times) => (times.length > 0
+    ? Math.round((times.reduce((a, b) => a + b, 0) / times.length) * 10) / 10
+    : 0);
+
 /**
  * Calculate team summary statistics
  * @param {Array} results - Array of test results
@@ -111,17 +119,19 @@ const calculateTeamSummary = (results) => {
     const skipped = results.filter(r => r.status === 'skipped').length;
     const blocked = results.filter(r => r.status === 'blocked').length;
 
-    const successRate = total > 0 ? ((passed / total) * 100).toFixed(2) : 0;
-    const failureRate = total > 0 ? ((failed / total) * 100).toFixed(2) : 0;
+    // Failures of quarantined tests are listed but do not count against the rates
+    const quarantined = results.filter(isQuarantinedFailure).length;
+    const counted = total - quarantined;
+
+    const successRate = counted > 0 ? ((passed / counted) * 100).toFixed(2) : 0;
+    const failureRate = counted > 0 ? (((failed - quarantined) / counted) * 100).toFixed(2) : 0;
 
     // Calculate average execution time
     const executionTimes = results
         .filter(r => r.execution_time)
         .map(r => r.execution_time);
 
-    const avgExecutionTime = executionTimes.length > 0
-        ? executionTimes.reduce((a, b) => a + b, 0) / executionTimes.length
-        : 0;
+    const avgExecutionTime = averageSeconds(executionTimes);
 
     // Get unique team members
     const teamMembers = [...new Set(results.map(r => r.team_member_id))];
@@ -132,19 +142,45 @@ const calculateTeamSummary = (results) => {
     // Get unique frameworks
     const frameworks = [...new Set(results.map(r => r.framework))];
 
+    // Per-framework success rates, e.g. to compare Cypress and Playwright
+    const frameworkStats = frameworks
+        .filter(Boolean)
+        .map(framework => {
+            const frameworkResults = results.filter(r => r.framework === framework);
+            const frameworkPassed = frameworkResults.filter(r => r.status === 'passed').length;
+            const frameworkCounted = frameworkResults.filter(r => !isQuarantinedFailure(r)).length;
+            const frameworkTimes = frameworkResults
+                .filter(r => r.execution_time)
+                .map(r => r.execution_time);
+
+            return {
+                framework,
+                total: frameworkResults.length,
+                passed: frameworkPassed,
+                failed: frameworkResults.filter(r => r.status === 'failed').length,
+                successRate: frameworkCounted > 0
+                    ? parseFloat(((frameworkPassed / frameworkCounted) * 100).toFixed(2))
+                    : 0,
+                avgExecutionTime: averageSeconds(frameworkTimes)
+            };
+        })
+        .sort((a, b) => b.total - a.total);
+
     return {
         total,
         passed,
         failed,
         skipped,
         blocked,
+        quarantined,
         successRate: parseFloat(successRate),
         failureRate: parseFloat(failureRate),
-        avgExecutionTime: Math.round(avgExecutionTime),
+        avgExecutionTime,
         teamMemberCount: teamMembers.length,
         projectCount: projects.length,
         frameworkCount: frameworks.length,
         frameworks,
+        frameworkStats,
         lastUpdated: results.length > 0 ? results[0].created_at : null
     };
 };
@@ -154,21 +190,22 @@ const calculateTeamSummary = (results) => {
  * @param {string} startDate - Start date filter
  * @param {string} endDate - End date filter
  * @param {string} projectId - Project filter
+ * @param {string} teamId - Team filter
  * @returns {Object} Analytics data
  */
-const generateTeamAnalytics = async (startDate, endDate, projectId) => {
+const generateTeamAnalytics = async (startDate, endDate, projectId, teamId) => {
     try {
         // Get daily trends
-        const dailyTrends = await getDailyTrends(startDate, endDate, projectId);
+        const dailyTrends = await getDailyTrends(startDate, endDate, projectId, teamId);
 
         // Get status distribution over time
-        const statusTrends = await getStatusTrends(startDate, endDate, projectId);
+        const statusTrends = await getStatusTrends(startDate, endDate, projectId, teamId);
 
         // Get team member performance comparison
-        const memberPerformance = await getMemberPerformance(startDate, endDate, projectId);
+        const memberPerformance = await getMemberPerformance(startDate, endDate, projectId, teamId);
 
         // Get project-wise analytics
-        const projectAnalytics = await getProjectAnalytics(startDate, endDate);
+        const projectAnalytics = await getProjectAnalytics(startDate, endDate, teamId);
 
         return {
             dailyTrends,
@@ -212,24 +249,34 @@ const generateTeamPerformance = async (startDate, endDate, projectId) => {
 };
 
 // Helper functions for analytics and performance
-const getDailyTrends = async (startDate, endDate, projectId) => {
-    // Implementation for daily trends
-    return [];
+const getDailyTrends = async (startDate, endDate, projectId, teamId) => {
+    return testReportRepository.getTrend({ startDate, endDate, projectId, teamId }).map(day => ({
+        date: day.period,
+        total: day.totalTests,
+        passed: day.totalPassed,
+        failed: day.totalFailed,
+        successRate: day.passRate,
+        avgExecutionTime: day.avgExecutionTime
+    }));
 };
 
-const getStatusTrends = async (startDate, endDate, projectId) => {
-    // Implementation for status trends
-    return [];
+const getStatusTrends = async (startDate, endDate, projectId, teamId) => {
+    return testReportRepository.getTrend({ startDate, endDate, projectId, teamId }).map(day => ({
+        date: day.period,
+        passed: day.totalPassed,
+        failed: day.totalFailed,
+        skipped: day.totalSkipped,
+        blocked: day.totalBlocked,
+        flaky: day.totalFlaky
+    }));
 };
 
-const getMemberPerformance = async (startDate, endDate, projectId) => {
-    // Implementation for member performance
-    return [];
+const getMemberPerformance = async (startDate, endDate, projectId, teamId) => {
+    return testReportRepository.getStatsByMember({ startDate, endDate, projectId, teamId });
 };
 
-const getProjectAnalytics = async (startDate, endDate) => {
-    // Implementation for project analytics
-    return [];
+const getProjectAnalytics = async (startDate, endDate, teamId) => {
+    return testReportRepository.getStatsByGroup({ startDate, endDate, teamId }, 'project');
 };
 
 const getVelocityMetrics = async (startDate, endDate, projectId) => {
@@ -0,0 +1,162 @@
+const authService = require('../services/authService');
+const apiKeyService = require('../services/apiKeyService');
+const permissionService = require('../services/permissionService');
+const userRepository = require('../repositories/userRepository');
+
+// Uploads need a project API key or access token; REQUIRE_INGEST_AUTH=false accepts anonymous uploads
+const INGEST_AUTH_REQUIRED = process.env.REQUIRE_INGEST_AUTH !== 'false';
+
+/**
+ * Require a valid access token in `Authorization: Bearer <token>` and expose the
+ * user as req.user. Invalid and expired tokens reach the error handler as 401s.
+ */
+const authenticateToken = (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({
+            error: 'Authentication required',
+            message: 'Send an access token as "Authorization: Bearer <token>"'
+        });
+    }
+
+    let payload;
+    try {
+        payload = authService.verifyAccessToken(token);
+    } catch (error) {
+        return next(error);
+    }
+
+    // Deactivated or deleted users lose access before their token expires
+    const user = userRepository.findById(payload.sub);
+    if (!user || !user.isActive) {
+        return res.status(401).json({
+            error: 'Invalid token',
+            message: 'The account for this token no longer exists or is inactive'
+        });
+    }
+
+    req.user = user;
+    next();
+};
+
+/**
+ * Authenticate an upload from CI. A project API key in `X-API-Key` must carry `scope`
+ * and is exposed as req.apiKey; a user access token works as in authenticateToken.
+ * @param {string} scope - API key scope the route needs
+ * @returns {Function} Express middleware
+ */
+const authenticateIngest = (scope) => (req, res, next) => {
+    const key = req.get('X-API-Key');
+
+    if (!key) {
+        if (req.get('Authorization')) {
+            return authenticateToken(req, res, next);
+        }
+        if (INGEST_AUTH_REQUIRED) {
+            return res.status(401).json({
+                error: 'Authentication required',
+                message: 'Send a project API key as "X-API-Key: <key>"'
+            });
+        }
+        return next();
+    }
+
+    try {
+        const apiKey = apiKeyService.authenticate(key);
+        if (!apiKey) {
+            return res.status(401).json({
+                error: 'Invalid API key',
+                message: 'The API key is unknown, revoked or expired'
+            });
+        }
+
+        if (!apiKey.scopes.includes(scope)) {
+            return res.status(403).json({
+                error: 'Insufficient scope',
+                message: `This API key does not have the "${scope}" scope`
+            });
+        }
+
+        req.apiKey = apiKey;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+const forbidOtherProject = (res, apiKey) => res.status(403).json({
+    error: 'Project not allowed',
+    message: `This API key can only upload to project ${apiKey.projectId}`
+});
+
+/**
+ * Uploads with an API key belong to the key's project: missing project IDs are
+ * filled in and any other project is refused.
+ * @param {Function} targets - (req) => [object, field] pairs holding the project IDs of the upload
+ * @returns {Function} Express middleware
+ */
+const restrictToKeyProject = (targets) => (req, res, next) => {
+    if (!req.apiKey) return next();
+
+    for (const [target, field] of targets(req)) {
+        if (target[field] === undefined || target[field] === null) {
+            target[field] = req.apiKey.projectId;
+        } else if (Number(target[field]) !== req.apiKey.projectId) {
+            return forbidOtherProject(res, req.apiKey);
+        }
+    }
+    next();
+};
+
+/**
+ * Refuse API keys acting on a stored execution or test report of another project
+ * @param {Function} resolve - (req) => the row being written to, or null when there is none yet
+ * @returns {Function} Express middleware
+ */
+const requireKeyProject = (resolve) => (req, res, next) => {
+    if (!req.apiKey) return next();
+
+    try {
+        const resource = resolve(req);
+        if (resource && resource.project_id !== req.apiKey.projectId) {
+            return forbidOtherProject(res, req.apiKey);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Authenticate the user and require a permission of their role. For project-scoped
+ * permissions the user's role on the project the request targets applies.
+ * @param {string} permission - One of PERMISSIONS
+ * @param {Function} [resolveProjectId] - (req) => ID of the targeted project, or null
+ * @returns {Array<Function>} Express middlewares
+ */
+const requirePermission = (permission, resolveProjectId = () => null) => [
+    authenticateToken,
+    (req, res, next) => {
+        try {
+            if (!permissionService.can(req.user, permission, resolveProjectId(req))) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: `Your role does not have the ${permission} permission`
+                });
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    }
+];
+
+module.exports = {
+    INGEST_AUTH_REQUIRED,
+    authenticateToken,
+    requirePermission,
+    authenticateIngest,
+    restrictToKeyProject,
+    requireKeyProject
+};
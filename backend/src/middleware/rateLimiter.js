@@ -34,7 +34,8 @@ const uploadRateLimiter = rateLimit({
 // Specific rate limiter for authentication (more restrictive)
 const authRateLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 5, // Limit each IP to 5 authentication attempts per windowMs
+    max: 5, // Limit each IP to 5 failed authentication attempts per windowMs
+    skipSuccessfulRequests: true, // Successful logins do not count towards the limit
     message: {
         error: 'Too many authentication attempts from this IP, please try again later.',
         retryAfter: '15 minutes'
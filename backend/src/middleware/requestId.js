@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Request IDs from a proxy or client are kept when they look like an ID
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+/**
+ * Give every request an ID (req.id, echoed as X-Request-Id) that ties logs and
+ * audit entries to it
+ */
+const requestId = (req, res, next) => {
+    const header = req.get('X-Request-Id');
+    req.id = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
+
+module.exports = { requestId };
@@ -1,6 +1,433 @@
-const validateTestReport = (req, res, next) => {
-    // Simple validation - can be enhanced with Joi or similar
+const Joi = require('joi');
+const { normalizeCiContext } = require('../utils/ciContext');
+
+const TEST_STATUSES = ['passed', 'failed', 'skipped', 'blocked'];
+
+const ARTIFACT_TYPES = ['screenshot', 'video', 'trace', 'log', 'other'];
+
+const USER_ROLES = ['admin', 'qa_lead', 'qa_engineer'];
+
+const TREND_INTERVALS = ['hour', 'day', 'week', 'month'];
+
+const STORAGE_PROVIDERS = ['local', 'google-drive', 'onedrive'];
+
+// What a project API key may do: store results and executions, attach artifacts
+const API_KEY_SCOPES = ['ingest', 'artifacts'];
+
+// Schema for a single test report as stored in the test_reports table
+const testReportSchema = Joi.object({
+    test_name: Joi.string().max(255).required(),
+    test_suite: Joi.string().max(255).allow(null, ''),
+    status: Joi.string().valid(...TEST_STATUSES).required(),
+    execution_time: Joi.number().min(0).allow(null),
+    start_time: Joi.date().iso().allow(null),
+    end_time: Joi.date().iso().allow(null),
+    error_message: Joi.string().allow(null, ''),
+    stack_trace: Joi.string().allow(null, ''),
+    screenshot_url: Joi.string().allow(null, ''),
+    video_url: Joi.string().allow(null, ''),
+    logs: Joi.string().allow(null, ''),
+    metadata: Joi.object().unknown(true).allow(null),
+    tags: Joi.alternatives().try(
+        Joi.array().items(Joi.string()),
+        Joi.string().allow('')
+    ).allow(null),
+    framework: Joi.string().max(50).allow(null, ''),
+    browser: Joi.string().max(50).allow(null, ''),
+    device: Joi.string().max(50).allow(null, ''),
+    os: Joi.string().max(50).allow(null, ''),
+    resolution: Joi.string().max(50).allow(null, ''),
+    project_id: Joi.number().integer().positive().allow(null),
+    team_member_id: Joi.number().integer().positive().allow(null),
+    branch: Joi.string().max(100).allow(null, ''),
+    commit_hash: Joi.string().max(100).allow(null, ''),
+    environment: Joi.string().max(50).allow(null, '')
+});
+
+// What to do when a submitted result was already stored
+const DUPLICATE_STRATEGIES = ['ignore', 'update'];
+
+// Client-chosen execution IDs and Idempotency-Keys. Names made only of dots ("." and "..") are refused,
+// and so are names made only of digits, which would read as the numeric ID of another execution.
+const EXECUTION_KEY_PATTERN = /^(?!\.+$)(?!\d+$)[\w.:-]+$/;
+
+const ingestQuerySchema = Joi.object({
+    onDuplicate: Joi.string().valid(...DUPLICATE_STRATEGIES).default('ignore')
+});
+
+// Query parameters describing where an imported report file belongs.
+// Re-posting to the same executionId is deduplicated per test and retry.
+const importQuerySchema = ingestQuerySchema.keys({
+    executionId: Joi.string().max(100).pattern(EXECUTION_KEY_PATTERN),
+    projectId: Joi.number().integer().positive(),
+    teamMemberId: Joi.number().integer().positive(),
+    environment: Joi.string().max(50),
+    branch: Joi.string().max(100),
+    commitHash: Joi.string().max(100),
+    framework: Joi.string().max(50),
+    browser: Joi.string().max(50),
+    name: Joi.string().max(255)
+});
+
+// Updates accept any subset of the report fields except the project: permissions are
+// checked on the report's current project only
+const testReportUpdateSchema = testReportSchema
+    .fork(['test_name', 'status'], schema => schema.optional())
+    .fork(['project_id'], schema => schema.forbidden())
+    .min(1);
+
+// CI provenance: either the fields themselves or the build's CI environment variables as `env`
+const ciContextSchema = Joi.object({
+    provider: Joi.string().max(50),
+    pipeline: Joi.string().max(255),
+    pipelineId: Joi.alternatives().try(Joi.string().max(100), Joi.number()),
+    pipelineUrl: Joi.string().uri().max(1000),
+    jobId: Joi.alternatives().try(Joi.string().max(100), Joi.number()),
+    jobUrl: Joi.string().uri().max(1000),
+    prNumber: Joi.alternatives().try(Joi.string().max(50), Joi.number()),
+    author: Joi.string().max(255),
+    trigger: Joi.string().max(50),
+    branch: Joi.string().max(100),
+    commit: Joi.string().max(100),
+    env: Joi.object().pattern(Joi.string(), Joi.string().allow('').max(2000)).max(500)
+});
+
+// Opening a live execution; appended results inherit its project, environment, branch, ...
+const executionStartSchema = Joi.object({
+    execution_id: Joi.string().max(100).pattern(EXECUTION_KEY_PATTERN),
+    name: Joi.string().max(255).allow(null, ''),
+    start_time: Joi.date().iso().allow(null),
+    project_id: Joi.number().integer().positive().allow(null),
+    team_member_id: Joi.number().integer().positive().allow(null),
+    environment: Joi.string().max(50).allow(null, ''),
+    branch: Joi.string().max(100).allow(null, ''),
+    commit_hash: Joi.string().max(100).allow(null, ''),
+    framework: Joi.string().max(50).allow(null, ''),
+    browser: Joi.string().max(50).allow(null, ''),
+    metadata: Joi.object().unknown(true).allow(null),
+    ci: ciContextSchema.allow(null)
+});
+
+const executionResultsSchema = Joi.object({
+    results: Joi.array().items(testReportSchema).min(1).max(5000).required()
+});
+
+const executionFinishSchema = Joi.object({
+    status: Joi.string().valid('completed', 'failed', 'cancelled').default('completed'),
+    end_time: Joi.date().iso().allow(null)
+});
+
+// Multipart fields sent alongside artifact files; the type is detected per file when omitted
+const artifactUploadSchema = Joi.object({
+    type: Joi.string().valid(...ARTIFACT_TYPES)
+});
+
+// Team members; usernames appear in URLs
+const userSchema = Joi.object({
+    username: Joi.string().max(50).pattern(/^[\w.-]+$/).required(),
+    email: Joi.string().email().max(100).required(),
+    fullName: Joi.string().max(100).required(),
+    role: Joi.string().valid(...USER_ROLES).default('qa_engineer'),
+    avatarUrl: Joi.string().uri().allow(null, ''),
+    password: Joi.string().min(8).max(72)
+});
+
+const userUpdateSchema = Joi.object({
+    email: Joi.string().email().max(100),
+    fullName: Joi.string().max(100),
+    role: Joi.string().valid(...USER_ROLES),
+    avatarUrl: Joi.string().uri().allow(null, ''),
+    isActive: Joi.boolean(),
+    password: Joi.string().min(8).max(72)
+}).min(1);
+
+// Self-registration; bcrypt only uses the first 72 bytes of a password
+const registerSchema = Joi.object({
+    username: Joi.string().max(50).pattern(/^[\w.-]+$/).required(),
+    email: Joi.string().email().max(100).required(),
+    fullName: Joi.string().max(100).required(),
+    password: Joi.string().min(8).max(72).required()
+});
+
+// `username` also accepts the account's email
+const loginSchema = Joi.object({
+    username: Joi.string().max(100).required(),
+    password: Joi.string().max(72).required()
+});
+
+const refreshTokenSchema = Joi.object({
+    refreshToken: Joi.string().max(200).required()
+});
+
+// Teams (squads); the lead is always added as a member
+const teamSchema = Joi.object({
+    name: Joi.string().max(100).required(),
+    description: Joi.string().allow(null, ''),
+    leadId: Joi.number().integer().positive().allow(null),
+    memberIds: Joi.array().items(Joi.number().integer().positive()).unique().default([]),
+    projectIds: Joi.array().items(Joi.number().integer().positive()).unique().default([])
+});
+
+const teamUpdateSchema = Joi.object({
+    name: Joi.string().max(100),
+    description: Joi.string().allow(null, ''),
+    leadId: Joi.number().integer().positive().allow(null)
+}).min(1);
+
+const teamMemberSchema = Joi.object({
+    userId: Joi.number().integer().positive().required()
+});
+
+const teamProjectSchema = Joi.object({
+    projectId: Joi.number().integer().positive().required()
+});
+
+// Project API keys for CI; keys without an expiry stay valid until revoked
+const apiKeySchema = Joi.object({
+    name: Joi.string().max(100).required(),
+    scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().default(API_KEY_SCOPES),
+    expiresAt: Joi.date().iso().greater('now').allow(null)
+});
+
+// A user's role on one project, overriding their own role there
+const projectRoleSchema = Joi.object({
+    role: Joi.string().valid(...USER_ROLES).required()
+});
+
+// Quarantine of a flaky test; testKey (e.g. from the flaky tests ranking) overrides suite and name
+const quarantineSchema = Joi.object({
+    projectId: Joi.number().integer().positive().allow(null),
+    testName: Joi.string().max(255).required(),
+    testSuite: Joi.string().max(255).allow(null, ''),
+    testKey: Joi.string().max(1000),
+    ownerId: Joi.number().integer().positive().required(),
+    reason: Joi.string().max(1000).required(),
+    ticket: Joi.string().max(255).allow(null, ''),
+    expiresAt: Joi.date().iso().greater('now').allow(null)
+});
+
+const quarantineUpdateSchema = Joi.object({
+    ownerId: Joi.number().integer().positive(),
+    reason: Joi.string().max(1000),
+    ticket: Joi.string().max(255).allow(null, ''),
+    expiresAt: Joi.date().iso().greater('now').allow(null)
+}).min(1);
+
+const quarantineQuerySchema = Joi.object({
+    projectId: Joi.number().integer().positive(),
+    includeReleased: Joi.boolean().default(false)
+});
+
+// Result mirror maintenance
+const storageProviderSchema = Joi.object({
+    provider: Joi.string().valid(...STORAGE_PROVIDERS).required()
+});
+
+const storageCleanupSchema = Joi.object({
+    daysToKeep: Joi.number().integer().min(1).default(90)
+});
+
+// Filters of the consolidated team results; members is a comma-separated list of usernames
+const teamQuerySchema = Joi.object({
+    startDate: Joi.date().iso().raw(),
+    endDate: Joi.date().iso().raw(),
+    projectId: Joi.number().integer().positive(),
+    teamId: Joi.number().integer().positive(),
+    members: Joi.string().max(1000),
+    status: Joi.string().valid(...TEST_STATUSES)
+});
+
+// Filters shared by the analytics, user statistics and project endpoints
+const analyticsQuerySchema = Joi.object({
+    days: Joi.number().integer().min(1).max(365).default(30),
+    projectId: Joi.number().integer().positive(),
+    teamId: Joi.number().integer().positive(),
+    environment: Joi.string().max(50),
+    branch: Joi.string().max(100),
+    qaMember: Joi.string().max(50)
+});
+
+const projectTrendsQuerySchema = analyticsQuerySchema.keys({
+    interval: Joi.string().valid(...TREND_INTERVALS).default('day')
+});
+
+const flakyTestsQuerySchema = Joi.object({
+    projectId: Joi.number().integer().positive(),
+    minScore: Joi.number().min(0).max(100).default(0),
+    limit: Joi.number().integer().min(1).max(200).default(20)
+});
+
+// Filters of the audit log; action and targetType accept comma-separated lists
+const auditQuerySchema = Joi.object({
+    startDate: Joi.date().iso().raw(),
+    endDate: Joi.date().iso().raw(),
+    actor: Joi.string().max(100),
+    actorType: Joi.string().valid('user', 'api_key', 'scim', 'anonymous'),
+    action: Joi.string().max(500),
+    targetType: Joi.string().max(200),
+    targetId: Joi.string().max(100),
+    requestId: Joi.string().max(100),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(500).default(50),
+    format: Joi.string().valid('csv', 'json').default('csv')
+});
+
+const validate = (schema, source = 'body') => (req, res, next) => {
+    const { error, value } = schema.validate(req[source], {
+        abortEarly: false,
+        stripUnknown: true
+    });
+
+    if (error) {
+        return next(error);
+    }
+
+    req[source] = value;
     next();
 };
 
-module.exports = { validateTestReport };
+// Validate the body of a test report submission and replace it with the coerced value
+const validateTestReport = validate(testReportSchema);
+
+const validateTestReportUpdate = validate(testReportUpdateSchema);
+
+const validateIngestQuery = validate(ingestQuerySchema, 'query');
+
+const validateImportQuery = validate(importQuerySchema, 'query');
+
+const validateExecutionStart = validate(executionStartSchema);
+
+const validateExecutionResults = validate(executionResultsSchema);
+
+const validateExecutionFinish = validate(executionFinishSchema);
+
+const validateArtifactUpload = validate(artifactUploadSchema);
+
+const validateUser = validate(userSchema);
+
+const validateUserUpdate = validate(userUpdateSchema);
+
+const validateRegister = validate(registerSchema);
+
+const validateLogin = validate(loginSchema);
+
+const validateRefreshToken = validate(refreshTokenSchema);
+
+const validateTeam = validate(teamSchema);
+
+const validateTeamUpdate = validate(teamUpdateSchema);
+
+const validateTeamMember = validate(teamMemberSchema);
+
+const validateTeamProject = validate(teamProjectSchema);
+
+const validateTeamQuery = validate(teamQuerySchema, 'query');
+
+const validateApiKey = validate(apiKeySchema);
+
+const validateProjectRole = validate(projectRoleSchema);
+
+const validateQuarantine = validate(quarantineSchema);
+
+const validateQuarantineUpdate = validate(quarantineUpdateSchema);
+
+const validateQuarantineQuery = validate(quarantineQuerySchema, 'query');
+
+const validateStorageProvider = validate(storageProviderSchema);
+
+const validateStorageCleanup = validate(storageCleanupSchema);
+
+const validateAnalyticsQuery = validate(analyticsQuerySchema, 'query');
+
+const validateProjectTrendsQuery = validate(projectTrendsQuerySchema, 'query');
+
+const validateFlakyTestsQuery = validate(flakyTestsQuerySchema, 'query');
+
+const validateAuditQuery = validate(auditQuerySchema, 'query');
+
+const idempotencyKeySchema = Joi.string()
+    .trim()
+    .max(100)
+    .pattern(EXECUTION_KEY_PATTERN)
+    .label('Idempotency-Key');
+
+// Expose a valid Idempotency-Key header as req.idempotencyKey
+const validateIdempotencyKey = (req, res, next) => {
+    const header = req.get('Idempotency-Key');
+    if (header === undefined) {
+        return next();
+    }
+
+    const { error, value } = idempotencyKeySchema.validate(header);
+    if (error) {
+        return next(error);
+    }
+
+    req.idempotencyKey = value;
+    next();
+};
+
+// Expose the JSON X-CI-Context header of report imports as the normalized req.ciContext
+const validateCiContext = (req, res, next) => {
+    const header = req.get('X-CI-Context');
+    if (header === undefined) {
+        return next();
+    }
+
+    let ci;
+    try {
+        ci = JSON.parse(header);
+    } catch (error) {
+        error.status = 400;
+        error.message = `Invalid X-CI-Context header: ${error.message}`;
+        return next(error);
+    }
+
+    const { error, value } = ciContextSchema.label('X-CI-Context').validate(ci, { stripUnknown: true });
+    if (error) {
+        return next(error);
+    }
+
+    req.ciContext = normalizeCiContext(value);
+    next();
+};
+
+module.exports = {
+    validate,
+    validateTestReport,
+    validateTestReportUpdate,
+    validateIngestQuery,
+    validateImportQuery,
+    validateIdempotencyKey,
+    validateCiContext,
+    validateExecutionStart,
+    validateExecutionResults,
+    validateExecutionFinish,
+    validateArtifactUpload,
+    validateUser,
+    validateUserUpdate,
+    validateRegister,
+    validateLogin,
+    validateRefreshToken,
+    validateTeam,
+    validateTeamUpdate,
+    validateTeamMember,
+    validateTeamProject,
+    validateTeamQuery,
+    validateApiKey,
+    validateProjectRole,
+    validateQuarantine,
+    validateQuarantineUpdate,
+    validateQuarantineQuery,
+    validateStorageProvider,
+    validateStorageCleanup,
+    validateAnalyticsQuery,
+    validateProjectTrendsQuery,
+    validateFlakyTestsQuery,
+    validateAuditQuery,
+    testReportSchema,
+    TEST_STATUSES,
+    ARTIFACT_TYPES,
+    USER_ROLES,
+    API_KEY_SCOPES
+};
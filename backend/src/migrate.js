@@ -0,0 +1,63 @@
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const { DB_PATH, openDatabase } = require('./config/database');
+const { getMigrationStatus, runMigrations } = require('./config/migrations');
+
+const USAGE = `Usage: node src/migrate.js [--status | --dry-run] [--no-backup]
+
+  --status      List applied and pending migrations
+  --dry-run     Run pending migrations and roll them back without saving anything
+  --no-backup   Skip the copy to data/backups taken before migrating`;
+
+const main = () => {
+    const { values: options } = parseArgs({
+        options: {
+            status: { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false },
+            'no-backup': { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const db = openDatabase();
+    try {
+        console.log(`Database: ${DB_PATH}`);
+
+        if (options.status) {
+            const { currentVersion, applied, pending } = getMigrationStatus(db);
+            console.log(`Schema version: ${currentVersion}`);
+            applied.forEach(row => console.log(`  [applied ${row.applied_at}] ${row.version} ${row.name}`));
+            pending.forEach(migration => console.log(`  [pending] ${migration.version} ${migration.name}`));
+            return;
+        }
+
+        const result = runMigrations(db, {
+            dryRun: options['dry-run'],
+            backup: !options['no-backup']
+        });
+
+        if (result.pending.length === 0) {
+            console.log(`Nothing to migrate (version ${result.currentVersion})`);
+        } else if (options['dry-run']) {
+            console.log(`Dry run: ${result.applied.length} migration(s) would apply cleanly; nothing was changed`);
+        } else {
+            console.log(`Migrated to version ${result.currentVersion}`);
+            if (result.backupPath) console.log(`Backup: ${result.backupPath}`);
+        }
+    } finally {
+        db.close();
+    }
+};
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,212 @@
+/**
+ * Tables created by config/database.js before migrations existed. Everything is
+ * IF NOT EXISTS so databases created by that code adopt this version unchanged.
+ */
+module.exports = {
+    up(db) {
+        // Users table for team members
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username VARCHAR(50) UNIQUE NOT NULL,
+                email VARCHAR(100) UNIQUE NOT NULL,
+                full_name VARCHAR(100) NOT NULL,
+                role VARCHAR(50) DEFAULT 'qa_engineer',
+                avatar_url TEXT,
+                is_active BOOLEAN DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Projects table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS projects (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name VARCHAR(100) NOT NULL,
+                description TEXT,
+                repository_url TEXT,
+                framework VARCHAR(50),
+                environment VARCHAR(50),
+                is_active BOOLEAN DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Test Reports table (centralized)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS test_reports (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                test_name VARCHAR(255) NOT NULL,
+                test_suite VARCHAR(255),
+                status VARCHAR(20) NOT NULL CHECK (status IN ('passed', 'failed', 'skipped', 'blocked')),
+                execution_time INTEGER,
+                start_time DATETIME,
+                end_time DATETIME,
+                error_message TEXT,
+                stack_trace TEXT,
+                screenshot_url TEXT,
+                video_url TEXT,
+                logs TEXT,
+                metadata TEXT,
+                tags TEXT,
+                framework VARCHAR(50),
+                browser VARCHAR(50),
+                device VARCHAR(50),
+                os VARCHAR(50),
+                resolution VARCHAR(50),
+                project_id INTEGER,
+                team_member_id INTEGER,
+                branch VARCHAR(100),
+                commit_hash VARCHAR(100),
+                environment VARCHAR(50),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (project_id) REFERENCES projects(id),
+                FOREIGN KEY (team_member_id) REFERENCES users(id)
+            )
+        `);
+
+        // Test Suites table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS test_suites (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name VARCHAR(255) NOT NULL,
+                description TEXT,
+                project_id INTEGER,
+                framework VARCHAR(50),
+                is_active BOOLEAN DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (project_id) REFERENCES projects(id)
+            )
+        `);
+
+        // Test Executions table for tracking test runs
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS test_executions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                execution_id VARCHAR(100) UNIQUE NOT NULL,
+                name VARCHAR(255),
+                status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'completed', 'failed', 'cancelled')),
+                total_tests INTEGER DEFAULT 0,
+                passed_tests INTEGER DEFAULT 0,
+                failed_tests INTEGER DEFAULT 0,
+                skipped_tests INTEGER DEFAULT 0,
+                blocked_tests INTEGER DEFAULT 0,
+                start_time DATETIME,
+                end_time DATETIME,
+                duration INTEGER,
+                triggered_by INTEGER,
+                project_id INTEGER,
+                environment VARCHAR(50),
+                branch VARCHAR(100),
+                commit_hash VARCHAR(100),
+                metadata TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (triggered_by) REFERENCES users(id),
+                FOREIGN KEY (project_id) REFERENCES projects(id)
+            )
+        `);
+
+        // Test Results table linking executions to individual tests
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS test_results (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                execution_id INTEGER NOT NULL,
+                test_report_id INTEGER NOT NULL,
+                status VARCHAR(20) NOT NULL,
+                execution_order INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (execution_id) REFERENCES test_executions(id),
+                FOREIGN KEY (test_report_id) REFERENCES test_reports(id)
+            )
+        `);
+
+        // Files attached to a test report (screenshots, videos, Playwright traces, ...)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS test_artifacts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                test_report_id INTEGER NOT NULL,
+                type VARCHAR(20) NOT NULL CHECK (type IN ('screenshot', 'video', 'trace', 'log', 'other')),
+                file_name VARCHAR(255) NOT NULL,
+                stored_name VARCHAR(255) NOT NULL,
+                url TEXT NOT NULL,
+                mime_type VARCHAR(100),
+                size INTEGER NOT NULL,
+                checksum VARCHAR(64) NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (test_report_id) REFERENCES test_reports(id)
+            )
+        `);
+
+        // Deduplication keys for re-submitted results: a client Idempotency-Key for single
+        // reports, or the natural key (execution, test identity, retry) for batch uploads
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS ingestion_keys (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                idempotency_key VARCHAR(100) UNIQUE,
+                execution_id INTEGER,
+                test_key VARCHAR(500),
+                retry_index INTEGER DEFAULT 0,
+                test_report_id INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (execution_id) REFERENCES test_executions(id),
+                FOREIGN KEY (test_report_id) REFERENCES test_reports(id),
+                UNIQUE(execution_id, test_key, retry_index)
+            )
+        `);
+
+        // Team Performance Metrics table
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS team_performance (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                project_id INTEGER,
+                date DATE NOT NULL,
+                total_tests INTEGER DEFAULT 0,
+                passed_tests INTEGER DEFAULT 0,
+                failed_tests INTEGER DEFAULT 0,
+                skipped_tests INTEGER DEFAULT 0,
+                blocked_tests INTEGER DEFAULT 0,
+                total_execution_time INTEGER DEFAULT 0,
+                avg_execution_time INTEGER DEFAULT 0,
+                success_rate DECIMAL(5,2) DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (project_id) REFERENCES projects(id),
+                UNIQUE(user_id, project_id, date)
+            )
+        `);
+
+        // Notifications table for team alerts
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS notifications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER,
+                title VARCHAR(255) NOT NULL,
+                message TEXT NOT NULL,
+                type VARCHAR(50) DEFAULT 'info',
+                is_read BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `);
+
+        // Create indexes for better performance
+        db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_test_reports_status ON test_reports(status);
+            CREATE INDEX IF NOT EXISTS idx_test_reports_project ON test_reports(project_id);
+            CREATE INDEX IF NOT EXISTS idx_test_reports_member ON test_reports(team_member_id);
+            CREATE INDEX IF NOT EXISTS idx_test_reports_created ON test_reports(created_at);
+            CREATE INDEX IF NOT EXISTS idx_test_reports_framework ON test_reports(framework);
+            CREATE INDEX IF NOT EXISTS idx_test_executions_status ON test_executions(status);
+            CREATE INDEX IF NOT EXISTS idx_test_executions_project ON test_executions(project_id);
+            CREATE INDEX IF NOT EXISTS idx_team_performance_user_date ON team_performance(user_id, date);
+            CREATE INDEX IF NOT EXISTS idx_ingestion_keys_report ON ingestion_keys(test_report_id);
+            CREATE INDEX IF NOT EXISTS idx_test_artifacts_report ON test_artifacts(test_report_id);
+        `);
+    }
+};
@@ -0,0 +1,44 @@
+/**
+ * Teams (squads) with their members and the projects they own
+ */
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE teams (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name VARCHAR(100) UNIQUE NOT NULL,
+                description TEXT,
+                lead_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (lead_id) REFERENCES users(id)
+            )
+        `);
+
+        db.exec(`
+            CREATE TABLE team_members (
+                team_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (team_id, user_id),
+                FOREIGN KEY (team_id) REFERENCES teams(id),
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `);
+
+        db.exec(`
+            CREATE TABLE team_projects (
+                team_id INTEGER NOT NULL,
+                project_id INTEGER NOT NULL,
+                PRIMARY KEY (team_id, project_id),
+                FOREIGN KEY (team_id) REFERENCES teams(id),
+                FOREIGN KEY (project_id) REFERENCES projects(id)
+            )
+        `);
+
+        db.exec(`
+            CREATE INDEX idx_team_members_user ON team_members(user_id);
+            CREATE INDEX idx_team_projects_project ON team_projects(project_id);
+        `);
+    }
+};
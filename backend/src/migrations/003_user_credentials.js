@@ -0,0 +1,29 @@
+/**
+ * Passwords for users and the refresh tokens issued at login. Existing users have
+ * no password until one is set, so they cannot log in yet.
+ */
+module.exports = {
+    up(db) {
+        db.exec(`
+            ALTER TABLE users ADD COLUMN password_hash VARCHAR(100);
+            ALTER TABLE users ADD COLUMN last_login_at DATETIME;
+        `);
+
+        // Only a SHA-256 of each refresh token is stored; rotated tokens point at their successor
+        db.exec(`
+            CREATE TABLE refresh_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                token_hash VARCHAR(64) UNIQUE NOT NULL,
+                expires_at DATETIME NOT NULL,
+                revoked_at DATETIME,
+                replaced_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (replaced_by) REFERENCES refresh_tokens(id)
+            )
+        `);
+
+        db.exec('CREATE INDEX idx_refresh_tokens_user ON refresh_tokens(user_id)');
+    }
+};
@@ -0,0 +1,27 @@
+/**
+ * Project-scoped API keys for CI uploads. Only a SHA-256 of each key is stored;
+ * the prefix identifies a key in listings.
+ */
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE api_keys (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                project_id INTEGER NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                key_prefix VARCHAR(20) NOT NULL,
+                key_hash VARCHAR(64) UNIQUE NOT NULL,
+                scopes TEXT NOT NULL,
+                created_by INTEGER,
+                expires_at DATETIME,
+                last_used_at DATETIME,
+                revoked_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (project_id) REFERENCES projects(id),
+                FOREIGN KEY (created_by) REFERENCES users(id)
+            )
+        `);
+
+        db.exec('CREATE INDEX idx_api_keys_project ON api_keys(project_id)');
+    }
+};
@@ -0,0 +1,21 @@
+/**
+ * Per-project roles that override a user's role for one project
+ */
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE project_roles (
+                project_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                role VARCHAR(20) NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (project_id, user_id),
+                FOREIGN KEY (project_id) REFERENCES projects(id),
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `);
+
+        db.exec('CREATE INDEX idx_project_roles_user ON project_roles(user_id)');
+    }
+};
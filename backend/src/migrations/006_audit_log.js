@@ -0,0 +1,44 @@
+/**
+ * Append-only record of administrative and data-changing requests. Triggers refuse
+ * updates and deletes, so entries can only be added.
+ */
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                actor_type VARCHAR(20) NOT NULL,
+                actor_id INTEGER,
+                actor_name VARCHAR(100),
+                action VARCHAR(50) NOT NULL,
+                target_type VARCHAR(50) NOT NULL,
+                target_id VARCHAR(100),
+                before_state TEXT,
+                after_state TEXT,
+                ip_address VARCHAR(64),
+                request_id VARCHAR(100),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        db.exec(`
+            CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+            BEGIN
+                SELECT RAISE(ABORT, 'audit_log is append-only');
+            END
+        `);
+
+        db.exec(`
+            CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+            BEGIN
+                SELECT RAISE(ABORT, 'audit_log is append-only');
+            END
+        `);
+
+        db.exec(`
+            CREATE INDEX idx_audit_log_created ON audit_log(created_at);
+            CREATE INDEX idx_audit_log_target ON audit_log(target_type, target_id);
+            CREATE INDEX idx_audit_log_actor ON audit_log(actor_type, actor_id);
+        `);
+    }
+};
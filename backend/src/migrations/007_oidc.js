@@ -0,0 +1,26 @@
+/**
+ * Single sign-on: the identity provider account a user is linked to, and the
+ * logins that were sent to the provider and have not come back yet
+ */
+module.exports = {
+    up(db) {
+        db.exec(`
+            ALTER TABLE users ADD COLUMN oidc_issuer TEXT;
+            ALTER TABLE users ADD COLUMN oidc_subject TEXT;
+        `);
+
+        db.exec('CREATE UNIQUE INDEX idx_users_oidc ON users(oidc_issuer, oidc_subject)');
+
+        // The PKCE verifier and nonce of each login, looked up by its state parameter
+        db.exec(`
+            CREATE TABLE oidc_login_requests (
+                state VARCHAR(64) PRIMARY KEY,
+                nonce VARCHAR(64) NOT NULL,
+                code_verifier VARCHAR(128) NOT NULL,
+                redirect_to TEXT,
+                expires_at DATETIME NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+};
@@ -0,0 +1,11 @@
+/**
+ * The identity system's own IDs (SCIM externalId) of provisioned users and teams
+ */
+module.exports = {
+    up(db) {
+        db.exec(`
+            ALTER TABLE users ADD COLUMN scim_external_id TEXT;
+            ALTER TABLE teams ADD COLUMN scim_external_id TEXT;
+        `);
+    }
+};
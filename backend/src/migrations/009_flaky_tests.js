@@ -0,0 +1,38 @@
+/**
+ * Latest result of the flakiness analysis: one row per test that flaked in the window,
+ * replaced on every run. trend holds per-day { date, runs, failures, flaky } counts.
+ */
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE flaky_tests (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                project_id INTEGER,
+                test_key TEXT NOT NULL,
+                test_name VARCHAR(255) NOT NULL,
+                test_suite VARCHAR(255),
+                runs INTEGER NOT NULL,
+                failures INTEGER NOT NULL,
+                flips INTEGER NOT NULL,
+                flip_rate REAL NOT NULL,
+                retry_flakes INTEGER NOT NULL,
+                commit_flakes INTEGER NOT NULL,
+                score REAL NOT NULL,
+                trend TEXT NOT NULL,
+                first_run_at DATETIME,
+                last_run_at DATETIME,
+                last_flake_at DATETIME,
+                analyzed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (project_id) REFERENCES projects(id)
+            )
+        `);
+
+        db.exec(`
+            CREATE INDEX idx_flaky_tests_project ON flaky_tests(project_id, score);
+            CREATE INDEX idx_flaky_tests_key ON flaky_tests(test_key);
+        `);
+
+        // The analysis joins every result in the window to its execution
+        db.exec('CREATE INDEX IF NOT EXISTS idx_test_results_report ON test_results(test_report_id)');
+    }
+};
@@ -0,0 +1,45 @@
+/**
+ * Quarantined tests. A quarantine is active until released_at is set or expires_at
+ * passes. Without a test_key the quarantine covers every result with its suite and name,
+ * whatever framework ID or browser it carries. Results stored while a test is quarantined
+ * carry its quarantine_id, and executions count their quarantined failures separately.
+ */
+module.exports = {
+    up(db) {
+        db.exec(`
+            CREATE TABLE quarantined_tests (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                project_id INTEGER,
+                test_key TEXT,
+                test_name VARCHAR(255) NOT NULL,
+                test_suite VARCHAR(255),
+                owner_id INTEGER,
+                reason TEXT NOT NULL,
+                ticket VARCHAR(255),
+                expires_at DATETIME,
+                created_by INTEGER,
+                released_at DATETIME,
+                released_by INTEGER,
+                release_reason VARCHAR(20) CHECK (release_reason IN ('manual', 'expired', 'stable')),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (project_id) REFERENCES projects(id),
+                FOREIGN KEY (owner_id) REFERENCES users(id),
+                FOREIGN KEY (created_by) REFERENCES users(id),
+                FOREIGN KEY (released_by) REFERENCES users(id)
+            )
+        `);
+
+        db.exec(`
+            CREATE INDEX idx_quarantined_tests_key ON quarantined_tests(test_key, project_id);
+            CREATE INDEX idx_quarantined_tests_name ON quarantined_tests(test_name, project_id);
+            CREATE INDEX idx_quarantined_tests_active ON quarantined_tests(released_at);
+
+            ALTER TABLE test_reports ADD COLUMN quarantine_id INTEGER REFERENCES quarantined_tests(id);
+            ALTER TABLE test_executions ADD COLUMN quarantined_failures INTEGER DEFAULT 0;
+
+            -- Stability checks look up a quarantined test's recent results by name
+            CREATE INDEX IF NOT EXISTS idx_test_reports_name ON test_reports(test_name);
+        `);
+    }
+};
@@ -0,0 +1,175 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { msToSeconds, firstLine } = require('./parserUtils');
+
+const STATUS_MAP = {
+    passed: 'passed',
+    failed: 'failed',
+    broken: 'failed',
+    skipped: 'skipped',
+    unknown: 'blocked'
+};
+
+// Labels that may appear several times are kept as arrays
+const MULTI_VALUE_LABELS = ['tag', 'feature', 'story', 'epic'];
+
+const toIso = (ms) => (Number.isFinite(ms) ? new Date(ms).toISOString() : null);
+
+const readJson = (entry) => {
+    try {
+        return JSON.parse(entry.getData().toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+};
+
+const groupLabels = (labels) => (labels || []).reduce((grouped, label) => {
+    if (!label.name) return grouped;
+
+    if (MULTI_VALUE_LABELS.includes(label.name)) {
+        grouped[label.name] = [...(grouped[label.name] || []), label.value];
+    } else {
+        grouped[label.name] = label.value;
+    }
+    return grouped;
+}, {});
+
+const simplifySteps = (steps) => (steps || []).map(step => ({
+    name: step.name,
+    status: step.status,
+    duration: msToSeconds((step.stop || 0) - (step.start || 0)),
+    message: step.statusDetails ? step.statusDetails.message || null : null,
+    parameters: step.parameters && step.parameters.length ? step.parameters : undefined,
+    steps: step.steps && step.steps.length ? simplifySteps(step.steps) : undefined
+}));
+
+// Attachments can hang off the result itself or any nested step
+const collectAttachments = (node, collected = []) => {
+    for (const attachment of node.attachments || []) {
+        collected.push({ name: attachment.name, source: attachment.source, type: attachment.type });
+    }
+    for (const step of node.steps || []) {
+        collectAttachments(step, collected);
+    }
+    return collected;
+};
+
+const toFixtures = (containers, resultUuid) => containers
+    .filter(container => (container.children || []).includes(resultUuid))
+    .flatMap(container => [
+        ...(container.befores || []).map(fixture => ({ ...fixture, phase: 'before' })),
+        ...(container.afters || []).map(fixture => ({ ...fixture, phase: 'after' }))
+    ])
+    .map(fixture => ({
+        name: fixture.name,
+        phase: fixture.phase,
+        status: fixture.status,
+        message: fixture.statusDetails ? fixture.statusDetails.message || null : null
+    }));
+
+const parseResult = (result, containers) => {
+    const labels = groupLabels(result.labels);
+    const details = result.statusDetails || {};
+    const container = containers.find(c => (c.children || []).includes(result.uuid));
+    const suite = [labels.parentSuite, labels.suite, labels.subSuite].filter(Boolean).join(' › ');
+
+    return {
+        test_name: result.name || result.fullName || 'Unnamed test',
+        test_suite: suite || (container && container.name) || (labels.feature || [])[0] || null,
+        status: STATUS_MAP[result.status] || 'blocked',
+        execution_time: msToSeconds((result.stop || 0) - (result.start || 0)),
+        start_time: toIso(result.start),
+        end_time: toIso(result.stop),
+        error_message: firstLine(details.message),
+        stack_trace: details.trace || details.message || null,
+        tags: labels.tag || [],
+        framework: labels.framework || null,
+        metadata: {
+            testId: result.historyId || result.testCaseId || result.fullName || null,
+            historyId: result.historyId || null,
+            testCaseId: result.testCaseId || null,
+            fullName: result.fullName || null,
+            uuid: result.uuid,
+            allureStatus: result.status,
+            flaky: Boolean(details.flaky),
+            muted: Boolean(details.muted),
+            known: Boolean(details.known),
+            description: result.description || null,
+            labels,
+            parameters: result.parameters || [],
+            links: result.links || [],
+            steps: simplifySteps(result.steps),
+            fixtures: toFixtures(containers, result.uuid),
+            attachments: collectAttachments(result)
+        }
+    };
+};
+
+/**
+ * Parse a zipped allure-results directory (*-result.json, *-container.json and attachments)
+ * @param {Buffer} archive - Zip archive contents
+ * @returns {Object} Parsed execution, including attachment files to store
+ */
+const parseAllureArchive = (archive) => {
+    if (!Buffer.isBuffer(archive) || archive.length === 0) {
+        throw new Error('Request body must be a zip archive of an allure-results directory');
+    }
+
+    let entries;
+    try {
+        entries = new AdmZip(archive).getEntries().filter(entry => !entry.isDirectory);
+    } catch (error) {
+        throw new Error(`Unreadable zip archive: ${error.message}`);
+    }
+
+    const byName = (suffix) => entries.filter(entry => entry.entryName.endsWith(suffix));
+    const results = byName('-result.json').map(readJson).filter(Boolean);
+    const containers = byName('-container.json').map(readJson).filter(Boolean);
+
+    if (results.length === 0) {
+        throw new Error('No *-result.json files found in archive');
+    }
+
+    // Several results sharing a historyId are retries; the latest one decides the outcome
+    results.sort((a, b) => (a.start || 0) - (b.start || 0));
+    const attemptsByTest = {};
+    const reports = results.map(result => {
+        const report = parseResult(result, containers);
+        const key = report.metadata.testId || result.uuid;
+        attemptsByTest[key] = [...(attemptsByTest[key] || []), report];
+        return report;
+    });
+
+    for (const attempts of Object.values(attemptsByTest)) {
+        attempts.forEach((report, index) => {
+            report.metadata.retry = index;
+            report.metadata.superseded = index < attempts.length - 1;
+        });
+    }
+
+    const referenced = new Set(reports.flatMap(report => report.metadata.attachments.map(a => a.source)));
+    const attachments = entries
+        .filter(entry => referenced.has(path.basename(entry.entryName)))
+        .map(entry => ({ source: path.basename(entry.entryName), data: entry.getData() }));
+
+    const starts = results.map(result => result.start).filter(Number.isFinite);
+    const stops = results.map(result => result.stop).filter(Number.isFinite);
+    const frameworks = [...new Set(reports.map(report => report.framework).filter(Boolean))];
+
+    return {
+        format: 'allure',
+        name: 'Allure results',
+        framework: frameworks.length === 1 ? frameworks[0] : null,
+        startTime: starts.length ? toIso(Math.min(...starts)) : null,
+        endTime: stops.length ? toIso(Math.max(...stops)) : null,
+        metadata: {
+            resultFiles: results.length,
+            containerFiles: containers.length,
+            attachmentFiles: attachments.length
+        },
+        attachments,
+        reports
+    };
+};
+
+module.exports = { parseAllureArchive };
@@ -0,0 +1,129 @@
+const AdmZip = require('adm-zip');
+const { parseAllureArchive } = require('./allureParser');
+
+/**
+ * Zip an allure-results directory
+ * @param {Object} files - { fileName: contents }; objects are written as JSON
+ * @returns {Buffer} Zip archive
+ */
+const zipResults = (files) => {
+    const zip = new AdmZip();
+    for (const [name, contents] of Object.entries(files)) {
+        zip.addFile(name, Buffer.isBuffer(contents) ? contents : Buffer.from(JSON.stringify(contents)));
+    }
+    return zip.toBuffer();
+};
+
+const labels = [
+    { name: 'parentSuite', value: 'Web' },
+    { name: 'suite', value: 'Checkout' },
+    { name: 'framework', value: 'pytest' },
+    { name: 'tag', value: 'smoke' },
+    { name: 'tag', value: 'payments' },
+    { name: 'severity', value: 'critical' }
+];
+
+const ARCHIVE = zipResults({
+    'a1-result.json': {
+        uuid: 'a1',
+        historyId: 'h-pay',
+        name: 'pay by card',
+        fullName: 'tests.checkout.test_pay',
+        status: 'broken',
+        statusDetails: { message: 'ConnectionError: gateway down\nretrying', trace: 'Traceback ...' },
+        start: 1714557600000,
+        stop: 1714557601500,
+        labels,
+        steps: [
+            { name: 'open cart', status: 'passed', start: 1714557600000, stop: 1714557600200 },
+            {
+                name: 'submit payment',
+                status: 'broken',
+                start: 1714557600200,
+                stop: 1714557601500,
+                statusDetails: { message: 'ConnectionError' },
+                attachments: [{ name: 'screenshot', source: 'shot-1-attachment.png', type: 'image/png' }]
+            }
+        ]
+    },
+    'a2-result.json': {
+        uuid: 'a2',
+        historyId: 'h-pay',
+        name: 'pay by card',
+        status: 'passed',
+        statusDetails: { flaky: true },
+        start: 1714557602000,
+        stop: 1714557603000,
+        labels
+    },
+    'b1-result.json': { uuid: 'b1', historyId: 'h-refund', name: 'refund', status: 'unknown', start: 1714557604000, stop: 1714557604000 },
+    'c1-container.json': {
+        uuid: 'c1',
+        name: 'checkout fixtures',
+        children: ['a1', 'a2'],
+        befores: [{ name: 'login', status: 'passed' }],
+        afters: [{ name: 'clear cart', status: 'failed', statusDetails: { message: 'timeout' } }]
+    },
+    'shot-1-attachment.png': Buffer.from('png bytes'),
+    'unreferenced-attachment.txt': Buffer.from('not linked to a result'),
+    'broken-result.json': Buffer.from('{ not json')
+});
+
+describe('parseAllureArchive', () => {
+    it('maps results to reports with suites, labels and Allure statuses', () => {
+        const parsed = parseAllureArchive(ARCHIVE);
+
+        expect(parsed).toMatchObject({
+            format: 'allure',
+            framework: 'pytest',
+            startTime: '2024-05-01T10:00:00.000Z',
+            endTime: '2024-05-01T10:00:04.000Z',
+            metadata: { resultFiles: 3, containerFiles: 1, attachmentFiles: 1 }
+        });
+        expect(parsed.reports.map(report => [report.test_name, report.status])).toEqual([
+            ['pay by card', 'failed'],
+            ['pay by card', 'passed'],
+            ['refund', 'blocked']
+        ]);
+
+        const [broken] = parsed.reports;
+        expect(broken).toMatchObject({
+            test_suite: 'Web › Checkout',
+            execution_time: 1.5,
+            error_message: 'ConnectionError: gateway down',
+            stack_trace: 'Traceback ...',
+            tags: ['smoke', 'payments'],
+            metadata: { testId: 'h-pay', allureStatus: 'broken', labels: { severity: 'critical' } }
+        });
+    });
+
+    it('treats results sharing a historyId as retries of one test', () => {
+        const [first, retry, other] = parseAllureArchive(ARCHIVE).reports;
+
+        expect(first.metadata).toMatchObject({ retry: 0, superseded: true });
+        expect(retry.metadata).toMatchObject({ retry: 1, superseded: false, flaky: true });
+        expect(other.metadata).toMatchObject({ retry: 0, superseded: false });
+    });
+
+    it('keeps nested steps, container fixtures and referenced attachments', () => {
+        const parsed = parseAllureArchive(ARCHIVE);
+        const [broken] = parsed.reports;
+
+        expect(broken.metadata.steps).toEqual([
+            expect.objectContaining({ name: 'open cart', status: 'passed', duration: 0.2 }),
+            expect.objectContaining({ name: 'submit payment', status: 'broken', message: 'ConnectionError' })
+        ]);
+        expect(broken.metadata.fixtures).toEqual([
+            { name: 'login', phase: 'before', status: 'passed', message: null },
+            { name: 'clear cart', phase: 'after', status: 'failed', message: 'timeout' }
+        ]);
+        expect(broken.metadata.attachments).toEqual([{ name: 'screenshot', source: 'shot-1-attachment.png', type: 'image/png' }]);
+        expect(parsed.attachments).toEqual([{ source: 'shot-1-attachment.png', data: Buffer.from('png bytes') }]);
+    });
+
+    it('rejects empty bodies, non-zip bodies and archives without results', () => {
+        expect(() => parseAllureArchive(Buffer.alloc(0))).toThrow('Request body must be a zip archive');
+        expect(() => parseAllureArchive(Buffer.from('plain text'))).toThrow(/Unreadable zip archive/);
+        expect(() => parseAllureArchive(zipResults({ 'x-container.json': {} }))).toThrow('No *-result.json files found in archive');
+    });
+});
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { msToSeconds, firstLine, addMs } = require('./parserUtils');
+
+const MIME_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'text/plain': 'txt',
+    'application/json': 'json'
+};
+
+// Cucumber reports step durations in nanoseconds
+const nsToMs = (ns) => (Number(ns) || 0) / 1e6;
+
+const stepStatus = (step) => (step.result && step.result.status) || 'skipped';
+
+/**
+ * Roll step statuses up into a scenario status
+ * @param {Array} steps - Normalized steps and hooks of the scenario
+ * @returns {string} test_reports status
+ */
+const scenarioStatus = (steps) => {
+    const statuses = steps.map(step => step.status);
+
+    if (statuses.some(status => status === 'failed' || status === 'ambiguous')) return 'failed';
+    // Undefined steps mean the scenario could not run at all
+    if (statuses.includes('undefined')) return 'blocked';
+    if (statuses.includes('pending')) return 'skipped';
+    if (statuses.length > 0 && statuses.every(status => status === 'skipped')) return 'skipped';
+    return 'passed';
+};
+
+const toStep = (step, { hook = null, background = false } = {}) => ({
+    keyword: hook ? hook : (step.keyword || '').trim(),
+    name: step.name || (step.match && step.match.location) || '',
+    line: step.line || null,
+    status: stepStatus(step),
+    duration: msToSeconds(nsToMs(step.result && step.result.duration)),
+    error: (step.result && step.result.error_message) || null,
+    location: (step.match && step.match.location) || null,
+    background: background || undefined,
+    hook: hook ? true : undefined
+});
+
+const parseScenario = ({ feature, scenario, backgroundSteps, startTime, attachments }) => {
+    const rawSteps = [
+        ...(scenario.before || []).map(step => ({ step, options: { hook: 'Before' } })),
+        ...backgroundSteps.map(step => ({ step, options: { background: true } })),
+        ...(scenario.steps || []).map(step => ({ step, options: {} })),
+        ...(scenario.after || []).map(step => ({ step, options: { hook: 'After' } }))
+    ];
+    const steps = rawSteps.map(({ step, options }) => toStep(step, options));
+    const failedStep = steps.find(step => step.status === 'failed' || step.status === 'ambiguous') || null;
+    const durationMs = rawSteps.reduce((total, { step }) => total + nsToMs(step.result && step.result.duration), 0);
+    const tags = [...new Set([...(feature.tags || []), ...(scenario.tags || [])].map(tag => tag.name))];
+
+    // Embedded screenshots/logs become stored attachments, named by content so
+    // later uploads to the same execution never overwrite an earlier file
+    const scenarioAttachments = rawSteps
+        .flatMap(({ step }) => step.embeddings || [])
+        .map((embedding) => {
+            const mimeType = embedding.mime_type || (embedding.media && embedding.media.type) || 'text/plain';
+            const encoding = embedding.media && embedding.media.encoding === 'UTF-8' ? 'utf8' : 'base64';
+            const data = Buffer.from(embedding.data || '', encoding);
+            const hash = crypto.createHash('sha256').update(data).digest('hex').slice(0, 16);
+            const source = `${hash}.${MIME_EXTENSIONS[mimeType] || 'bin'}`;
+            attachments.push({ source, data });
+            return { name: source, source, type: mimeType };
+        });
+
+    return {
+        test_name: scenario.name || `${scenario.keyword || 'Scenario'} at line ${scenario.line}`,
+        test_suite: feature.name || feature.uri || null,
+        status: scenarioStatus(steps),
+        execution_time: msToSeconds(durationMs),
+        start_time: startTime,
+        end_time: addMs(startTime, durationMs),
+        error_message: failedStep ? firstLine(failedStep.error) || `${failedStep.keyword} ${failedStep.name} failed` : null,
+        stack_trace: failedStep ? failedStep.error : null,
+        tags,
+        framework: 'Cucumber',
+        metadata: {
+            testId: scenario.id || `${feature.uri}:${scenario.line}`,
+            feature: feature.name || null,
+            uri: feature.uri || null,
+            line: scenario.line || null,
+            keyword: scenario.keyword || 'Scenario',
+            failedStep: failedStep
+                ? { keyword: failedStep.keyword, name: failedStep.name, line: failedStep.line }
+                : null,
+            steps,
+            attachments: scenarioAttachments
+        }
+    };
+};
+
+/**
+ * Parse a Cucumber JSON report into one test report per scenario
+ * @param {Array} features - Cucumber JSON (array of features)
+ * @returns {Object} Parsed execution, including embedded attachments
+ */
+const parseCucumberJson = (features) => {
+    if (!Array.isArray(features)) {
+        throw new Error('Expected Cucumber JSON: an array of features');
+    }
+
+    const reports = [];
+    const attachments = [];
+
+    for (const feature of features) {
+        let backgroundSteps = [];
+
+        for (const element of feature.elements || []) {
+            // Backgrounds are emitted before every scenario they apply to
+            if (element.type === 'background') {
+                backgroundSteps = element.steps || [];
+                continue;
+            }
+
+            const report = parseScenario({
+                feature,
+                scenario: element,
+                backgroundSteps,
+                startTime: element.start_timestamp ? new Date(element.start_timestamp).toISOString() : null,
+                attachments
+            });
+            reports.push(report);
+            backgroundSteps = [];
+        }
+    }
+
+    const starts = reports.map(report => report.start_time).filter(Boolean).sort();
+    const ends = reports.map(report => report.end_time).filter(Boolean).sort();
+
+    return {
+        format: 'cucumber',
+        name: 'Cucumber run',
+        framework: 'Cucumber',
+        startTime: starts[0] || null,
+        endTime: ends[ends.length - 1] || null,
+        metadata: {
+            features: features.length
+        },
+        attachments,
+        reports
+    };
+};
+
+module.exports = { parseCucumberJson };
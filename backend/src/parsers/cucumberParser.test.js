@@ -0,0 +1,122 @@
+const { parseCucumberJson } = require('./cucumberParser');
+
+const step = (keyword, name, status, overrides = {}) => ({
+    keyword,
+    name,
+    line: 10,
+    result: { status, duration: 250000000 },
+    match: { location: `steps.js:${name.length}` },
+    ...overrides
+});
+
+const FEATURES = [{
+    uri: 'features/login.feature',
+    name: 'Login',
+    tags: [{ name: '@auth' }],
+    elements: [
+        {
+            type: 'background',
+            keyword: 'Background',
+            steps: [step('Given ', 'the login page is open', 'passed')]
+        },
+        {
+            type: 'scenario',
+            id: 'login;valid-credentials',
+            keyword: 'Scenario',
+            name: 'valid credentials',
+            line: 6,
+            start_timestamp: '2024-05-01T10:00:00.000Z',
+            tags: [{ name: '@smoke' }, { name: '@auth' }],
+            before: [{ result: { status: 'passed', duration: 1000000 }, match: { location: 'hooks.js:1' } }],
+            steps: [
+                step('When ', 'I sign in', 'passed'),
+                step('Then ', 'I see my dashboard', 'failed', {
+                    result: { status: 'failed', duration: 500000000, error_message: 'Expected dashboard\n    at steps.js:20' },
+                    embeddings: [
+                        { mime_type: 'image/png', data: Buffer.from('png bytes').toString('base64') },
+                        { media: { type: 'text/plain', encoding: 'UTF-8' }, data: 'console output' }
+                    ]
+                })
+            ]
+        },
+        {
+            type: 'scenario',
+            keyword: 'Scenario',
+            name: 'forgotten password',
+            line: 12,
+            steps: [step('When ', 'I reset my password', 'undefined', { result: { status: 'undefined' } })]
+        },
+        {
+            type: 'scenario',
+            keyword: 'Scenario Outline',
+            name: 'locked account',
+            line: 18,
+            steps: [
+                step('Given ', 'a locked account', 'pending', { result: { status: 'pending' } }),
+                step('Then ', 'I see a warning', 'skipped', { result: { status: 'skipped' } })
+            ]
+        }
+    ]
+}];
+
+describe('parseCucumberJson', () => {
+    it('maps every scenario to a report and rolls step statuses up', () => {
+        const parsed = parseCucumberJson(FEATURES);
+
+        expect(parsed).toMatchObject({ format: 'cucumber', framework: 'Cucumber', metadata: { features: 1 } });
+        expect(parsed.reports.map(report => [report.test_name, report.status])).toEqual([
+            ['valid credentials', 'failed'],
+            ['forgotten password', 'blocked'],
+            ['locked account', 'skipped']
+        ]);
+    });
+
+    it('applies the background only to the scenario that follows it', () => {
+        const [first, second] = parseCucumberJson(FEATURES).reports;
+
+        expect(first.metadata.steps.map(s => [s.keyword, s.background || false])).toEqual([
+            ['Before', false],
+            ['Given', true],
+            ['When', false],
+            ['Then', false]
+        ]);
+        expect(second.metadata.steps).toHaveLength(1);
+    });
+
+    it('points at the failing step and sums nanosecond durations', () => {
+        const [failed] = parseCucumberJson(FEATURES).reports;
+
+        expect(failed).toMatchObject({
+            test_suite: 'Login',
+            execution_time: 1.001,
+            start_time: '2024-05-01T10:00:00.000Z',
+            end_time: '2024-05-01T10:00:01.001Z',
+            error_message: 'Expected dashboard',
+            tags: ['@auth', '@smoke'],
+            metadata: {
+                testId: 'login;valid-credentials',
+                failedStep: { keyword: 'Then', name: 'I see my dashboard', line: 10 }
+            }
+        });
+    });
+
+    it('names embedded attachments by their content', () => {
+        const parsed = parseCucumberJson(FEATURES);
+        const [failed] = parsed.reports;
+
+        expect(failed.metadata.attachments).toEqual([
+            { name: expect.stringMatching(/^[0-9a-f]{16}\.png$/), source: expect.stringMatching(/^[0-9a-f]{16}\.png$/), type: 'image/png' },
+            { name: expect.stringMatching(/^[0-9a-f]{16}\.txt$/), source: expect.stringMatching(/^[0-9a-f]{16}\.txt$/), type: 'text/plain' }
+        ]);
+        expect(parsed.attachments.map(attachment => attachment.data.toString())).toEqual(['png bytes', 'console output']);
+
+        // The same bytes get the same name, different bytes a different one
+        const again = parseCucumberJson(FEATURES).reports[0].metadata.attachments;
+        expect(again.map(a => a.source)).toEqual(failed.metadata.attachments.map(a => a.source));
+        expect(failed.metadata.attachments[0].source).not.toBe(failed.metadata.attachments[1].source);
+    });
+
+    it('rejects documents that are not an array of features', () => {
+        expect(() => parseCucumberJson({ elements: [] })).toThrow('Expected Cucumber JSON: an array of features');
+    });
+});
@@ -0,0 +1,137 @@
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { msToSeconds, firstLine, addMs } = require('./parserUtils');
+
+const ARRAY_ELEMENTS = ['testsuite', 'testcase', 'property', 'failure', 'error', 'skipped'];
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    textNodeName: '#text',
+    parseAttributeValue: false,
+    trimValues: true,
+    isArray: (name) => ARRAY_ELEMENTS.includes(name)
+});
+
+// Elements may be plain text or objects with attributes and a text node
+const textOf = (node) => {
+    if (node === undefined || node === null) return null;
+    if (typeof node === 'object') return node['#text'] || null;
+    return String(node) || null;
+};
+
+const toProperties = (propertiesNode) => {
+    if (!propertiesNode || !propertiesNode.property) return {};
+
+    return propertiesNode.property.reduce((properties, property) => {
+        if (property.name) {
+            properties[property.name] = property.value !== undefined ? property.value : textOf(property);
+        }
+        return properties;
+    }, {});
+};
+
+const parseTestCase = (testCase, suite, startTime) => {
+    const failure = (testCase.failure || testCase.error || [])[0];
+    const skipped = (testCase.skipped || [])[0];
+    const durationMs = parseFloat(testCase.time || 0) * 1000;
+
+    let status = 'passed';
+    if (failure !== undefined) {
+        status = 'failed';
+    } else if (skipped !== undefined) {
+        status = 'skipped';
+    }
+
+    const failureText = textOf(failure);
+    const failureMessage = failure && typeof failure === 'object' ? failure.message : null;
+    const logs = [textOf(testCase['system-out']), textOf(testCase['system-err'])]
+        .filter(Boolean)
+        .join('\n');
+
+    return {
+        test_name: testCase.name || 'Unnamed test',
+        test_suite: suite.name || testCase.classname || null,
+        status,
+        execution_time: msToSeconds(durationMs),
+        start_time: startTime,
+        end_time: addMs(startTime, durationMs),
+        error_message: failureMessage || firstLine(failureText) ||
+            (skipped && typeof skipped === 'object' ? skipped.message || null : null),
+        stack_trace: failureText,
+        logs: logs || null,
+        metadata: {
+            classname: testCase.classname || null,
+            file: testCase.file || null,
+            failureType: failure && typeof failure === 'object' ? failure.type || null : null,
+            errorKind: testCase.error ? 'error' : (testCase.failure ? 'failure' : null),
+            hostname: suite.hostname || null,
+            properties: { ...toProperties(suite.properties), ...toProperties(testCase.properties) }
+        }
+    };
+};
+
+// Flatten nested testsuite elements, keeping the innermost suite for each testcase
+const collectSuites = (suites, collected = []) => {
+    for (const suite of suites || []) {
+        collected.push(suite);
+        collectSuites(suite.testsuite, collected);
+    }
+    return collected;
+};
+
+/**
+ * Parse a JUnit XML report (Surefire, pytest, Appium, ...)
+ * @param {string} xml - JUnit XML document
+ * @returns {Object} Parsed execution with normalized test reports
+ */
+const parseJUnitXml = (xml) => {
+    if (!xml || typeof xml !== 'string') {
+        throw new Error('Request body must be a JUnit XML document');
+    }
+
+    const validation = XMLValidator.validate(xml);
+    if (validation !== true) {
+        throw new Error(`Malformed XML: ${validation.err.msg} (line ${validation.err.line})`);
+    }
+
+    const document = xmlParser.parse(xml);
+    const hasRoot = Object.prototype.hasOwnProperty.call(document, 'testsuites');
+    const root = hasRoot && typeof document.testsuites === 'object' ? document.testsuites : {};
+    const topLevelSuites = hasRoot ? root.testsuite || [] : document.testsuite;
+
+    if (!topLevelSuites) {
+        throw new Error('No <testsuites> or <testsuite> element found');
+    }
+
+    const reports = [];
+    let firstStart = null;
+    let lastEnd = null;
+
+    for (const suite of collectSuites(topLevelSuites)) {
+        let cursor = addMs(suite.timestamp, 0);
+
+        for (const testCase of suite.testcase || []) {
+            const report = parseTestCase(testCase, suite, cursor);
+            reports.push(report);
+
+            if (cursor) {
+                cursor = report.end_time;
+                if (!firstStart || report.start_time < firstStart) firstStart = report.start_time;
+                if (!lastEnd || report.end_time > lastEnd) lastEnd = report.end_time;
+            }
+        }
+    }
+
+    return {
+        format: 'junit',
+        name: root.name || (topLevelSuites.length === 1 ? topLevelSuites[0].name : null) || 'JUnit import',
+        startTime: firstStart,
+        endTime: lastEnd,
+        metadata: {
+            suites: topLevelSuites.length
+        },
+        reports
+    };
+};
+
+module.exports = { parseJUnitXml };
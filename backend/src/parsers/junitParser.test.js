@@ -0,0 +1,83 @@
+const { parseJUnitXml } = require('./junitParser');
+
+const SUREFIRE_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Regression">
+  <testsuite name="com.example.LoginTests" timestamp="2024-05-01T10:00:00Z" hostname="ci-runner-3">
+    <properties>
+      <property name="browser" value="chrome"/>
+    </properties>
+    <testcase name="validLogin" classname="com.example.LoginTests" time="1.5"/>
+    <testcase name="lockedAccount" classname="com.example.LoginTests" time="0.25">
+      <failure message="expected 423 but was 200" type="AssertionError">java.lang.AssertionError: expected 423 but was 200
+    at com.example.LoginTests.lockedAccount(LoginTests.java:42)</failure>
+      <system-out>POST /login</system-out>
+    </testcase>
+    <testcase name="ssoLogin" classname="com.example.LoginTests" time="0">
+      <skipped message="SSO is disabled in staging"/>
+    </testcase>
+    <testcase name="brokenFixture" classname="com.example.LoginTests" time="0.1">
+      <error type="NullPointerException">java.lang.NullPointerException</error>
+    </testcase>
+  </testsuite>
+  <testsuite name="Outer">
+    <testsuite name="Inner">
+      <testcase name="nested" time="0.002"/>
+    </testsuite>
+  </testsuite>
+</testsuites>`;
+
+describe('parseJUnitXml', () => {
+    it('maps test cases to reports with status, timing and failure detail', () => {
+        const parsed = parseJUnitXml(SUREFIRE_XML);
+
+        expect(parsed).toMatchObject({ format: 'junit', name: 'Regression', metadata: { suites: 2 } });
+        expect(parsed.reports.map(report => [report.test_name, report.status])).toEqual([
+            ['validLogin', 'passed'],
+            ['lockedAccount', 'failed'],
+            ['ssoLogin', 'skipped'],
+            ['brokenFixture', 'failed'],
+            ['nested', 'passed']
+        ]);
+
+        const [valid, locked, skipped, broken] = parsed.reports;
+        expect(valid).toMatchObject({
+            test_suite: 'com.example.LoginTests',
+            execution_time: 1.5,
+            start_time: '2024-05-01T10:00:00.000Z',
+            end_time: '2024-05-01T10:00:01.500Z',
+            metadata: { hostname: 'ci-runner-3', properties: { browser: 'chrome' } }
+        });
+        expect(locked).toMatchObject({
+            error_message: 'expected 423 but was 200',
+            logs: 'POST /login',
+            start_time: '2024-05-01T10:00:01.500Z',
+            metadata: { failureType: 'AssertionError', errorKind: 'failure' }
+        });
+        expect(locked.stack_trace).toContain('LoginTests.java:42');
+        expect(skipped.error_message).toBe('SSO is disabled in staging');
+        expect(broken).toMatchObject({
+            error_message: 'java.lang.NullPointerException',
+            metadata: { failureType: 'NullPointerException', errorKind: 'error' }
+        });
+    });
+
+    it('keeps the innermost suite of nested test suites', () => {
+        const nested = parseJUnitXml(SUREFIRE_XML).reports[4];
+
+        expect(nested).toMatchObject({ test_suite: 'Inner', execution_time: 0.002, start_time: null });
+    });
+
+    it('accepts a single <testsuite> root', () => {
+        const parsed = parseJUnitXml('<testsuite name="pytest"><testcase classname="test_api" name="test_health"/></testsuite>');
+
+        expect(parsed.name).toBe('pytest');
+        expect(parsed.reports).toHaveLength(1);
+        expect(parsed.reports[0]).toMatchObject({ test_name: 'test_health', test_suite: 'pytest', status: 'passed' });
+    });
+
+    it('rejects malformed and non-JUnit documents', () => {
+        expect(() => parseJUnitXml('')).toThrow('Request body must be a JUnit XML document');
+        expect(() => parseJUnitXml('<testsuite><testcase></testsuite>')).toThrow(/Malformed XML/);
+        expect(() => parseJUnitXml('<coverage line-rate="0.8"/>')).toThrow('No <testsuites> or <testsuite> element found');
+    });
+});
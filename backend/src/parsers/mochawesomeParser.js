@@ -0,0 +1,132 @@
+const { msToSeconds, firstLine, addMs, stripAnsi } = require('./parserUtils');
+
+const IMAGE_PATTERN = /\.(png|jpe?g|gif)$/i;
+const VIDEO_PATTERN = /\.(mp4|webm)$/i;
+
+/**
+ * Collect file paths from a mochawesome test context. Context is a JSON string
+ * holding a string, a { title, value } object or an array of either.
+ * @param {string} context - Serialized addContext() values
+ * @returns {Array<string>} String values found in the context
+ */
+const contextValues = (context) => {
+    if (!context) return [];
+
+    let parsed = context;
+    if (typeof context === 'string') {
+        try {
+            parsed = JSON.parse(context);
+        } catch (error) {
+            return [context];
+        }
+    }
+
+    const values = [];
+    const visit = (value) => {
+        if (value === null || value === undefined) return;
+        if (Array.isArray(value)) {
+            value.forEach(visit);
+        } else if (typeof value === 'object') {
+            visit(value.value);
+        } else {
+            values.push(String(value));
+        }
+    };
+    visit(parsed);
+
+    return values;
+};
+
+const toStatus = (test) => {
+    if (test.state === 'passed' || test.pass) return 'passed';
+    if (test.state === 'failed' || test.fail) return 'failed';
+    // mochawesome marks tests that never ran because a hook failed as skipped
+    if (test.skipped) return 'blocked';
+    return 'skipped';
+};
+
+const parseTest = (test, suitePath, file, startTime) => {
+    const err = test.err || {};
+    const message = stripAnsi(err.message);
+    const values = contextValues(test.context);
+    const screenshots = values.filter(value => IMAGE_PATTERN.test(value));
+    const videos = values.filter(value => VIDEO_PATTERN.test(value));
+
+    return {
+        test_name: test.title,
+        test_suite: suitePath.join(' › ') || file || null,
+        status: toStatus(test),
+        execution_time: msToSeconds(test.duration || 0),
+        start_time: startTime,
+        end_time: addMs(startTime, test.duration),
+        error_message: firstLine(message),
+        stack_trace: stripAnsi(err.estack) || message || null,
+        framework: 'Cypress',
+        metadata: {
+            testId: test.uuid || null,
+            fullTitle: test.fullTitle || null,
+            file: file || null,
+            timedOut: Boolean(test.timedOut),
+            speed: test.speed || null,
+            diff: err.diff || null,
+            screenshots,
+            videos,
+            context: values.filter(value => !IMAGE_PATTERN.test(value) && !VIDEO_PATTERN.test(value))
+        }
+    };
+};
+
+const walkSuites = (suites, parentPath, file, state, reports) => {
+    for (const suite of suites || []) {
+        const suiteFile = suite.fullFile || suite.file || file;
+        const suitePath = [...parentPath, suite.title].filter(Boolean);
+
+        for (const test of suite.tests || []) {
+            const report = parseTest(test, suitePath, suiteFile, state.cursor);
+            state.cursor = report.end_time;
+            reports.push(report);
+        }
+
+        walkSuites(suite.suites, suitePath, suiteFile, state, reports);
+    }
+};
+
+/**
+ * Parse a mochawesome JSON report (typically merged with mochawesome-merge)
+ * @param {Object} report - Mochawesome report
+ * @returns {Object} Parsed execution with one test report per test
+ */
+const parseMochawesomeJson = (report) => {
+    if (!report || typeof report !== 'object' || !Array.isArray(report.results)) {
+        throw new Error('Expected mochawesome JSON with a "results" array');
+    }
+
+    const stats = report.stats || {};
+    const startTime = stats.start ? new Date(stats.start).toISOString() : null;
+    const reports = [];
+
+    // Root results are spec files whose own title is empty
+    walkSuites(report.results, [], null, { cursor: startTime }, reports);
+
+    return {
+        format: 'mochawesome',
+        name: 'Cypress run',
+        framework: 'Cypress',
+        startTime,
+        endTime: stats.end ? new Date(stats.end).toISOString() : addMs(startTime, stats.duration),
+        metadata: {
+            stats: {
+                suites: stats.suites,
+                tests: stats.tests,
+                passes: stats.passes,
+                pending: stats.pending,
+                failures: stats.failures,
+                skipped: stats.skipped
+            },
+            reporter: report.meta && report.meta.mochawesome ? report.meta.mochawesome.version : null
+        },
+        reports
+    };
+};
+
+module.exports = { parseMochawesomeJson };
@@ -0,0 +1,78 @@
+const { parseMochawesomeJson } = require('./mochawesomeParser');
+
+const MERGED_REPORT = {
+    stats: { suites: 2, tests: 4, passes: 1, failures: 1, pending: 1, skipped: 1, start: '2024-05-01T10:00:00.000Z', end: '2024-05-01T10:00:09.000Z' },
+    meta: { mochawesome: { version: '7.1.3' } },
+    results: [{
+        title: '',
+        fullFile: 'cypress/e2e/cart.cy.js',
+        tests: [],
+        suites: [{
+            title: 'Cart',
+            tests: [
+                { title: 'adds an item', fullTitle: 'Cart adds an item', uuid: 'u-1', state: 'passed', pass: true, duration: 350, speed: 'fast' },
+                {
+                    title: 'applies a coupon',
+                    uuid: 'u-2',
+                    state: 'failed',
+                    fail: true,
+                    duration: 4000,
+                    timedOut: true,
+                    context: JSON.stringify([
+                        'cypress/screenshots/cart.cy.js/coupon (failed).png',
+                        { title: 'video', value: 'cypress/videos/cart.cy.js.mp4' },
+                        { title: 'ticket', value: 'SHOP-12' }
+                    ]),
+                    err: { message: '\u001b[31mAssertionError: expected 10 to equal 9\u001b[39m', estack: 'AssertionError: expected 10 to equal 9\n    at cart.cy.js:18', diff: '- 10\n+ 9' }
+                },
+                { title: 'shares the cart', uuid: 'u-3', state: 'pending', pending: true, duration: 0 }
+            ],
+            suites: [{
+                title: 'when logged out',
+                tests: [{ title: 'asks to log in', uuid: 'u-4', skipped: true, duration: 0 }]
+            }]
+        }]
+    }]
+};
+
+describe('parseMochawesomeJson', () => {
+    it('maps mochawesome tests to reports with suite paths and statuses', () => {
+        const parsed = parseMochawesomeJson(MERGED_REPORT);
+
+        expect(parsed).toMatchObject({ format: 'mochawesome', framework: 'Cypress', endTime: '2024-05-01T10:00:09.000Z' });
+        expect(parsed.reports.map(report => [report.test_suite, report.test_name, report.status])).toEqual([
+            ['Cart', 'adds an item', 'passed'],
+            ['Cart', 'applies a coupon', 'failed'],
+            ['Cart', 'shares the cart', 'skipped'],
+            ['Cart › when logged out', 'asks to log in', 'blocked']
+        ]);
+    });
+
+    it('keeps sub-second durations and runs tests one after another', () => {
+        const [first, second] = parseMochawesomeJson(MERGED_REPORT).reports;
+
+        expect(first).toMatchObject({ execution_time: 0.35, start_time: '2024-05-01T10:00:00.000Z', end_time: '2024-05-01T10:00:00.350Z' });
+        expect(second.start_time).toBe('2024-05-01T10:00:00.350Z');
+    });
+
+    it('separates screenshots and videos from other addContext() values', () => {
+        const failed = parseMochawesomeJson(MERGED_REPORT).reports[1];
+
+        expect(failed).toMatchObject({
+            error_message: 'AssertionError: expected 10 to equal 9',
+            stack_trace: 'AssertionError: expected 10 to equal 9\n    at cart.cy.js:18',
+            metadata: {
+                file: 'cypress/e2e/cart.cy.js',
+                timedOut: true,
+                diff: '- 10\n+ 9',
+                screenshots: ['cypress/screenshots/cart.cy.js/coupon (failed).png'],
+                videos: ['cypress/videos/cart.cy.js.mp4'],
+                context: ['SHOP-12']
+            }
+        });
+    });
+
+    it('rejects documents without results', () => {
+        expect(() => parseMochawesomeJson({ stats: {} })).toThrow('Expected mochawesome JSON with a "results" array');
+    });
+});
@@ -0,0 +1,125 @@
+const { msToSeconds, firstLine } = require('./parserUtils');
+
+const toIso = (ms) => (Number.isFinite(ms) ? new Date(ms).toISOString() : null);
+
+/**
+ * Build a readable URL from a Postman SDK URL object (or raw string)
+ * @param {Object|string} url - request.url from the Newman report
+ * @returns {string|null} URL string
+ */
+const formatUrl = (url) => {
+    if (!url) return null;
+    if (typeof url === 'string') return url;
+    if (url.raw) return url.raw;
+
+    const host = Array.isArray(url.host) ? url.host.join('.') : url.host || '';
+    const pathname = Array.isArray(url.path) ? url.path.join('/') : url.path || '';
+    const query = (url.query || [])
+        .filter(param => !param.disabled)
+        .map(param => `${param.key}=${param.value === undefined || param.value === null ? '' : param.value}`)
+        .join('&');
+
+    return `${url.protocol ? `${url.protocol}://` : ''}${host}${url.port ? `:${url.port}` : ''}/${pathname}${query ? `?${query}` : ''}`;
+};
+
+// Map each request item ID to its folder path inside the collection
+const indexFolders = (items, parents = [], index = {}) => {
+    for (const item of items || []) {
+        if (Array.isArray(item.item)) {
+            indexFolders(item.item, [...parents, item.name], index);
+        } else if (item.id) {
+            index[item.id] = parents;
+        }
+    }
+    return index;
+};
+
+const parseExecution = (execution, collectionName, folders) => {
+    const item = execution.item || {};
+    const request = execution.request || {};
+    const response = execution.response || {};
+    const cursor = execution.cursor || {};
+    const assertions = (execution.assertions || []).map(assertion => ({
+        name: assertion.assertion,
+        status: assertion.skipped ? 'skipped' : (assertion.error ? 'failed' : 'passed'),
+        message: assertion.error ? assertion.error.message : null
+    }));
+    const failedAssertions = assertions.filter(assertion => assertion.status === 'failed');
+    const requestError = execution.requestError || null;
+
+    let status = 'passed';
+    if (requestError || failedAssertions.length > 0) {
+        status = 'failed';
+    } else if (assertions.length > 0 && assertions.every(assertion => assertion.status === 'skipped')) {
+        status = 'skipped';
+    }
+
+    const failureLines = [
+        ...(requestError ? [`Request error: ${requestError.message || requestError.code}`] : []),
+        ...failedAssertions.map(assertion => `${assertion.name}: ${assertion.message}`)
+    ];
+    const iteration = cursor.iteration || 0;
+    const folderPath = folders[item.id] || [];
+
+    return {
+        test_name: item.name || formatUrl(request.url) || 'Unnamed request',
+        test_suite: folderPath.length ? folderPath.join(' › ') : collectionName,
+        status,
+        execution_time: msToSeconds(response.responseTime),
+        error_message: firstLine(failureLines[0]),
+        stack_trace: failureLines.length ? failureLines.join('\n') : null,
+        framework: 'Postman',
+        metadata: {
+            testId: iteration > 0 ? `${item.id}:iteration-${iteration}` : item.id || null,
+            itemId: item.id || null,
+            iteration,
+            method: request.method || null,
+            url: formatUrl(request.url),
+            responseCode: response.code || null,
+            responseStatus: response.status || null,
+            responseTime: response.responseTime || null,
+            responseSize: response.responseSize || null,
+            requestError: requestError ? requestError.message || requestError.code : null,
+            assertions,
+            failedAssertions: failedAssertions.map(assertion => assertion.name)
+        }
+    };
+};
+
+/**
+ * Parse the output of `newman run --reporters json`
+ * @param {Object} report - Newman JSON report
+ * @returns {Object} Parsed execution with one test report per request execution
+ */
+const parseNewmanJson = (report) => {
+    if (!report || typeof report !== 'object' || !report.run || !Array.isArray(report.run.executions)) {
+        throw new Error('Expected Newman JSON reporter output with "run.executions"');
+    }
+
+    const collection = report.collection || {};
+    const collectionName = (collection.info && collection.info.name) || 'Postman collection';
+    const folders = indexFolders(collection.item);
+    const timings = report.run.timings || {};
+    const reports = report.run.executions.map(execution => parseExecution(execution, collectionName, folders));
+    const responseTimes = reports.map(r => r.metadata.responseTime).filter(Number.isFinite);
+
+    return {
+        format: 'newman',
+        name: collectionName,
+        framework: 'Postman',
+        startTime: toIso(timings.started),
+        endTime: toIso(timings.completed),
+        metadata: {
+            collectionId: collection.info ? collection.info._postman_id || null : null,
+            environment: report.environment ? report.environment.name || null : null,
+            stats: report.run.stats || {},
+            averageResponseTime: responseTimes.length
+                ? Math.round(responseTimes.reduce((a, b) => a + b, 0) / responseTimes.length)
+                : null,
+            failures: (report.run.failures || []).length
+        },
+        reports
+    };
+};
+
+module.exports = { parseNewmanJson };
@@ -0,0 +1,115 @@
+const { parseNewmanJson } = require('./newmanParser');
+
+const execution = (item, overrides = {}) => ({
+    item,
+    cursor: { iteration: 0 },
+    request: { method: 'GET', url: { protocol: 'https', host: ['api', 'example', 'com'], path: ['orders'] } },
+    response: { code: 200, status: 'OK', responseTime: 120, responseSize: 512 },
+    assertions: [{ assertion: 'Status code is 200' }],
+    ...overrides
+});
+
+const REPORT = {
+    collection: {
+        info: { _postman_id: 'col-1', name: 'Shop API' },
+        item: [
+            { id: 'health', name: 'Health check' },
+            { name: 'Orders', item: [{ name: 'Create', item: [{ id: 'create-order', name: 'Create order' }] }] }
+        ]
+    },
+    environment: { name: 'staging' },
+    run: {
+        stats: { requests: { total: 4, failed: 1 } },
+        timings: { started: 1714557600000, completed: 1714557605000 },
+        failures: [{}],
+        executions: [
+            execution({ id: 'health', name: 'Health check' }, {
+                request: { method: 'GET', url: { raw: 'https://api.example.com/health' } },
+                response: { code: 200, status: 'OK', responseTime: 80 }
+            }),
+            execution({ id: 'create-order', name: 'Create order' }, {
+                request: { method: 'POST', url: 'https://api.example.com/orders' },
+                response: { code: 500, status: 'Internal Server Error', responseTime: 320 },
+                assertions: [
+                    { assertion: 'Status code is 201', error: { message: 'expected 500 to equal 201' } },
+                    { assertion: 'Has order id' }
+                ]
+            }),
+            execution({ id: 'create-order', name: 'Create order' }, {
+                cursor: { iteration: 1 },
+                request: { method: 'POST', url: { host: 'localhost', port: '3000', path: 'orders', query: [{ key: 'dry', value: 1 }, { key: 'off', disabled: true }] } },
+                response: undefined,
+                requestError: { code: 'ECONNREFUSED' },
+                assertions: []
+            }),
+            execution({ id: 'health', name: 'Health check' }, {
+                cursor: { iteration: 2 },
+                assertions: [{ assertion: 'Status code is 200', skipped: true }]
+            })
+        ]
+    }
+};
+
+describe('parseNewmanJson', () => {
+    it('maps each request execution to a report grouped by collection folder', () => {
+        const parsed = parseNewmanJson(REPORT);
+
+        expect(parsed.reports.map(report => [report.test_suite, report.test_name, report.status])).toEqual([
+            ['Shop API', 'Health check', 'passed'],
+            ['Orders › Create', 'Create order', 'failed'],
+            ['Orders › Create', 'Create order', 'failed'],
+            ['Shop API', 'Health check', 'skipped']
+        ]);
+    });
+
+    it('reports failed assertions and request errors', () => {
+        const [, assertionFailure, requestFailure] = parseNewmanJson(REPORT).reports;
+
+        expect(assertionFailure).toMatchObject({
+            execution_time: 0.32,
+            error_message: 'Status code is 201: expected 500 to equal 201',
+            metadata: {
+                method: 'POST',
+                url: 'https://api.example.com/orders',
+                responseCode: 500,
+                failedAssertions: ['Status code is 201'],
+                assertions: [
+                    { name: 'Status code is 201', status: 'failed', message: 'expected 500 to equal 201' },
+                    { name: 'Has order id', status: 'passed', message: null }
+                ]
+            }
+        });
+        expect(requestFailure).toMatchObject({
+            error_message: 'Request error: ECONNREFUSED',
+            metadata: { requestError: 'ECONNREFUSED', url: 'localhost:3000/orders?dry=1' }
+        });
+    });
+
+    it('gives every iteration of a request its own test identity', () => {
+        const reports = parseNewmanJson(REPORT).reports;
+
+        expect(reports.map(report => report.metadata.testId)).toEqual([
+            'health',
+            'create-order',
+            'create-order:iteration-1',
+            'health:iteration-2'
+        ]);
+    });
+
+    it('describes the run from collection info and timings', () => {
+        const parsed = parseNewmanJson(REPORT);
+
+        expect(parsed).toMatchObject({
+            format: 'newman',
+            name: 'Shop API',
+            framework: 'Postman',
+            startTime: '2024-05-01T10:00:00.000Z',
+            endTime: '2024-05-01T10:00:05.000Z',
+            metadata: { collectionId: 'col-1', environment: 'staging', averageResponseTime: 173, failures: 1 }
+        });
+    });
+
+    it('rejects documents without run executions', () => {
+        expect(() => parseNewmanJson({ collection: {} })).toThrow('Expected Newman JSON reporter output with "run.executions"');
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * Convert a duration in milliseconds to the seconds stored in test_reports.execution_time
+ * @param {number} ms - Duration in milliseconds
+ * @returns {number|null} Duration in seconds, millisecond precision
+ */
+const msToSeconds = (ms) => {
+    const value = Number(ms);
+    return Number.isFinite(value) ? Math.round(value) / 1000 : null;
+};
+
+/**
+ * First non-empty line of a block of text, used as a short error message
+ * @param {string} text - Multi-line text
+ * @returns {string|null} First line
+ */
+const firstLine = (text) => {
+    if (!text) return null;
+    const line = String(text).split('\n').map(l => l.trim()).find(Boolean);
+    return line || null;
+};
+
+/**
+ * Add milliseconds to an ISO timestamp
+ * @param {string} isoTime - Start timestamp
+ * @param {number} ms - Milliseconds to add
+ * @returns {string|null} ISO timestamp
+ */
+const addMs = (isoTime, ms) => {
+    if (!isoTime) return null;
+    const time = new Date(isoTime).getTime();
+    return Number.isFinite(time) ? new Date(time + (Number(ms) || 0)).toISOString() : null;
+};
+
+// Matches ANSI colour/cursor escape sequences emitted by test runners
+const ANSI_PATTERN = /[\u001b\u009b][[()#;?]*(?:[0-9]{1,4}(?:;[0-9]{0,4})*)?[0-9A-ORZcf-nqry=><]/g;
+
+/**
+ * Remove terminal colour codes from runner output
+ * @param {string} text - Text that may contain ANSI escapes
+ * @returns {string|null} Plain text
+ */
+const stripAnsi = (text) => (text ? String(text).replace(ANSI_PATTERN, '') : null);
+
+module.exports = { msToSeconds, firstLine, addMs, stripAnsi };
@@ -0,0 +1,165 @@
+const { msToSeconds, firstLine, addMs, stripAnsi } = require('./parserUtils');
+
+const MOBILE_PROJECT_PATTERN = /mobile|iphone|ipad|pixel|galaxy|android/i;
+
+/**
+ * Derive browser and device from a Playwright project name
+ * ("chromium", "Mobile Safari", "Pixel 5", ...)
+ * @param {string} projectName - Playwright project name
+ * @returns {Object} Browser and device
+ */
+const describeProject = (projectName) => {
+    const name = projectName || '';
+    let browser = projectName || null;
+
+    if (/chrom|edge|pixel|galaxy|android/i.test(name)) {
+        browser = /edge/i.test(name) ? 'Edge' : 'Chromium';
+    } else if (/firefox/i.test(name)) {
+        browser = 'Firefox';
+    } else if (/webkit|safari|iphone|ipad/i.test(name)) {
+        browser = 'WebKit';
+    }
+
+    return {
+        browser,
+        device: MOBILE_PROJECT_PATTERN.test(name) ? projectName : 'Desktop'
+    };
+};
+
+// Compare the actual result with the expectation so test.fail() tests count as passing
+const toStatus = (result, test) => {
+    if (result.status === 'skipped') return 'skipped';
+    return result.status === (test.expectedStatus || 'passed') ? 'passed' : 'failed';
+};
+
+const joinOutput = (chunks) => (chunks || [])
+    .map(chunk => (chunk.text !== undefined
+        ? chunk.text
+        : Buffer.from(chunk.buffer || '', 'base64').toString('utf8')))
+    .join('');
+
+const findAttachment = (attachments, pattern) => {
+    const attachment = attachments.find(a => pattern.test(a.contentType || '') || pattern.test(a.name || ''));
+    return attachment ? attachment.path || null : null;
+};
+
+const parseResult = ({ spec, test, result, suitePath, os, superseded }) => {
+    const { browser, device } = describeProject(test.projectName);
+    const error = result.error || (result.errors || [])[0] || null;
+    const message = error ? stripAnsi(error.message) : null;
+    const attachments = (result.attachments || []).map(attachment => ({
+        name: attachment.name,
+        contentType: attachment.contentType,
+        path: attachment.path || null
+    }));
+    const logs = stripAnsi([joinOutput(result.stdout), joinOutput(result.stderr)].filter(Boolean).join('\n'));
+    const tags = [...new Set([
+        ...(spec.tags || []),
+        ...(test.annotations || []).filter(a => a.type === 'tag').map(a => a.description)
+    ])].filter(Boolean);
+
+    return {
+        test_name: spec.title,
+        test_suite: suitePath.join(' › ') || spec.file || null,
+        status: toStatus(result, test),
+        execution_time: msToSeconds(result.duration),
+        start_time: result.startTime ? new Date(result.startTime).toISOString() : null,
+        end_time: addMs(result.startTime, result.duration),
+        error_message: firstLine(message),
+        stack_trace: error ? stripAnsi(error.stack) || message : null,
+        logs: logs || null,
+        tags,
+        browser,
+        device,
+        os: os || null,
+        framework: 'Playwright',
+        metadata: {
+            testId: spec.id || null,
+            file: spec.file || null,
+            line: spec.line || null,
+            project: test.projectName || null,
+            retry: result.retry || 0,
+            superseded,
+            rawStatus: result.status,
+            expectedStatus: test.expectedStatus || 'passed',
+            outcome: test.status || null,
+            workerIndex: result.workerIndex,
+            annotations: test.annotations || [],
+            attachments,
+            screenshotPath: findAttachment(attachments, /^image\//),
+            videoPath: findAttachment(attachments, /^video\//),
+            tracePath: findAttachment(attachments, /^trace$|application\/zip/)
+        }
+    };
+};
+
+// Walk nested describe blocks, collecting one report per spec/test/result
+const walkSuites = (suites, parentPath, context, reports) => {
+    for (const suite of suites || []) {
+        // Top-level suites are files; their title is the file path
+        const suitePath = parentPath === null ? [] : [...parentPath, suite.title].filter(Boolean);
+
+        for (const spec of suite.specs || []) {
+            for (const test of spec.tests || []) {
+                const results = test.results || [];
+
+                results.forEach((result, index) => {
+                    reports.push(parseResult({
+                        spec: { ...spec, file: spec.file || suite.file },
+                        test,
+                        result,
+                        suitePath: suitePath.length ? suitePath : [suite.title],
+                        os: context.os,
+                        // Earlier attempts are kept for history but a retry replaced their outcome
+                        superseded: index < results.length - 1
+                    }));
+                });
+            }
+        }
+
+        walkSuites(suite.suites, suitePath, context, reports);
+    }
+};
+
+/**
+ * Parse the output of `playwright test --reporter=json`
+ * @param {Object} report - Playwright JSON report
+ * @returns {Object} Parsed execution with one test report per test attempt
+ */
+const parsePlaywrightJson = (report) => {
+    if (!report || typeof report !== 'object' || !Array.isArray(report.suites)) {
+        throw new Error('Expected Playwright JSON reporter output with a "suites" array');
+    }
+
+    const config = report.config || {};
+    const metadata = config.metadata || {};
+    const stats = report.stats || {};
+    const reports = [];
+
+    walkSuites(report.suites, null, { os: metadata.os || metadata.platform }, reports);
+
+    return {
+        format: 'playwright',
+        name: metadata.name || 'Playwright run',
+        framework: 'Playwright',
+        startTime: stats.startTime ? new Date(stats.startTime).toISOString() : null,
+        endTime: addMs(stats.startTime, stats.duration),
+        metadata: {
+            playwrightVersion: config.version || null,
+            projects: (config.projects || []).map(project => ({
+                name: project.name,
+                retries: project.retries
+            })),
+            stats: {
+                expected: stats.expected,
+                unexpected: stats.unexpected,
+                flaky: stats.flaky,
+                skipped: stats.skipped
+            },
+            errors: (report.errors || []).map(error => stripAnsi(error.message))
+        },
+        reports
+    };
+};
+
+module.exports = { parsePlaywrightJson };
@@ -0,0 +1,130 @@
+const { parsePlaywrightJson } = require('./playwrightParser');
+
+const result = (overrides) => ({
+    workerIndex: 0,
+    status: 'passed',
+    duration: 1200,
+    startTime: '2024-05-01T10:00:00.000Z',
+    retry: 0,
+    attachments: [],
+    stdout: [],
+    stderr: [],
+    errors: [],
+    ...overrides
+});
+
+const REPORT = {
+    config: { version: '1.44.0', metadata: { name: 'Nightly', os: 'linux' }, projects: [{ name: 'chromium', retries: 1 }] },
+    stats: { startTime: '2024-05-01T10:00:00.000Z', duration: 5000, expected: 2, unexpected: 1, flaky: 1, skipped: 0 },
+    suites: [{
+        title: 'checkout.spec.ts',
+        file: 'checkout.spec.ts',
+        specs: [],
+        suites: [{
+            title: 'Checkout',
+            specs: [
+                {
+                    id: 'abc-1',
+                    title: 'pays with card',
+                    file: 'checkout.spec.ts',
+                    line: 12,
+                    tags: ['@smoke'],
+                    tests: [{
+                        projectName: 'chromium',
+                        expectedStatus: 'passed',
+                        status: 'flaky',
+                        annotations: [{ type: 'tag', description: '@payments' }],
+                        results: [
+                            result({
+                                status: 'failed',
+                                error: { message: '\u001b[31mExpected: visible\u001b[39m\nReceived: hidden', stack: 'Error: at checkout.spec.ts:20' },
+                                attachments: [
+                                    { name: 'screenshot', contentType: 'image/png', path: '/results/test-failed-1.png' },
+                                    { name: 'trace', contentType: 'application/zip', path: '/results/trace.zip' }
+                                ],
+                                stdout: [{ text: 'opening cart\n' }]
+                            }),
+                            result({ retry: 1, startTime: '2024-05-01T10:00:02.000Z' })
+                        ]
+                    }]
+                },
+                {
+                    id: 'abc-2',
+                    title: 'known bug',
+                    file: 'checkout.spec.ts',
+                    tests: [{
+                        projectName: 'Mobile Safari',
+                        expectedStatus: 'failed',
+                        results: [result({ status: 'failed' })]
+                    }]
+                },
+                {
+                    id: 'abc-3',
+                    title: 'gift cards',
+                    file: 'checkout.spec.ts',
+                    tests: [{ projectName: 'firefox', results: [result({ status: 'skipped', duration: 0 })] }]
+                }
+            ]
+        }]
+    }]
+};
+
+describe('parsePlaywrightJson', () => {
+    it('keeps every attempt and marks attempts replaced by a retry as superseded', () => {
+        const parsed = parsePlaywrightJson(REPORT);
+        const [firstAttempt, retry] = parsed.reports;
+
+        expect(parsed.reports).toHaveLength(4);
+        expect(firstAttempt).toMatchObject({
+            test_name: 'pays with card',
+            test_suite: 'Checkout',
+            status: 'failed',
+            error_message: 'Expected: visible',
+            logs: 'opening cart\n',
+            tags: ['@smoke', '@payments'],
+            metadata: { testId: 'abc-1', retry: 0, superseded: true, line: 12, outcome: 'flaky' }
+        });
+        expect(retry).toMatchObject({ status: 'passed', metadata: { retry: 1, superseded: false } });
+    });
+
+    it('strips terminal colours and points at screenshot and trace attachments', () => {
+        const [firstAttempt] = parsePlaywrightJson(REPORT).reports;
+
+        expect(firstAttempt.stack_trace).toBe('Error: at checkout.spec.ts:20');
+        expect(firstAttempt.metadata).toMatchObject({
+            screenshotPath: '/results/test-failed-1.png',
+            tracePath: '/results/trace.zip',
+            videoPath: null
+        });
+    });
+
+    it('derives browser and device from the project name', () => {
+        const [chromium, , webkit, firefox] = parsePlaywrightJson(REPORT).reports;
+
+        expect(chromium).toMatchObject({ browser: 'Chromium', device: 'Desktop', os: 'linux', framework: 'Playwright' });
+        expect(webkit).toMatchObject({ browser: 'WebKit', device: 'Mobile Safari' });
+        expect(firefox).toMatchObject({ browser: 'Firefox', status: 'skipped' });
+    });
+
+    it('counts a test that failed as expected (test.fail()) as passed', () => {
+        const knownBug = parsePlaywrightJson(REPORT).reports[2];
+
+        expect(knownBug).toMatchObject({ status: 'passed', metadata: { rawStatus: 'failed', expectedStatus: 'failed' } });
+    });
+
+    it('describes the run from config and stats', () => {
+        const parsed = parsePlaywrightJson(REPORT);
+
+        expect(parsed).toMatchObject({
+            format: 'playwright',
+            name: 'Nightly',
+            startTime: '2024-05-01T10:00:00.000Z',
+            endTime: '2024-05-01T10:00:05.000Z',
+            metadata: { playwrightVersion: '1.44.0', stats: { unexpected: 1, flaky: 1 } }
+        });
+    });
+
+    it('rejects documents that are not Playwright JSON', () => {
+        expect(() => parsePlaywrightJson({ results: [] })).toThrow('Expected Playwright JSON reporter output');
+    });
+});
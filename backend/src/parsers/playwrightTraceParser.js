@@ -0,0 +1,261 @@
+const AdmZip = require('adm-zip');
+const { firstLine, stripAnsi } = require('./parserUtils');
+
+// Keep responses small for traces of long tests
+const MAX_NETWORK_ENTRIES = 2000;
+const MAX_CONSOLE_ENTRIES = 2000;
+
+const readEvents = (entry) => entry.getData()
+    .toString('utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            return null;
+        }
+    })
+    .filter(Boolean);
+
+const errorMessage = (error) => {
+    if (!error) return null;
+    // Older traces nest the serialized error one level deeper
+    const message = error.message || (error.error && error.error.message) || null;
+    return message ? stripAnsi(message) : null;
+};
+
+const actionLocation = (stack) => {
+    const frame = (stack || [])[0];
+    return frame ? `${frame.file}:${frame.line}` : null;
+};
+
+/**
+ * Find the screencast frame showing the page at a given moment
+ * @param {Array} frames - Screencast frames sorted by timestamp
+ * @param {number} time - Monotonic time in ms
+ * @returns {Object|null} Last frame at or before the time, else the first frame after it
+ */
+const frameAt = (frames, time) => {
+    if (frames.length === 0 || !Number.isFinite(time)) return null;
+
+    let low = 0;
+    let high = frames.length - 1;
+    let match = -1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (frames[middle].timestamp <= time) {
+            match = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    return frames[match === -1 ? 0 : match];
+};
+
+const applyEvent = (event, state) => {
+    switch (event.type) {
+        case 'context-options':
+            state.contexts.push(event);
+            break;
+        case 'before':
+            state.actions.set(event.callId, {
+                callId: event.callId,
+                apiName: event.apiName || event.title || [event.class, event.method].filter(Boolean).join('.'),
+                title: event.title || null,
+                startTime: event.startTime,
+                endTime: null,
+                params: event.params || {},
+                location: actionLocation(event.stack),
+                pageId: event.pageId || null,
+                error: null,
+                log: [],
+                snapshots: []
+            });
+            break;
+        case 'after': {
+            const action = state.actions.get(event.callId);
+            if (action) {
+                action.endTime = event.endTime;
+                action.error = errorMessage(event.error);
+            }
+            break;
+        }
+        case 'log': {
+            const action = state.actions.get(event.callId);
+            if (action) action.log.push(event.message);
+            break;
+        }
+        // Trace format v3 wrote each action as one event
+        case 'action': {
+            const metadata = event.metadata || {};
+            state.actions.set(metadata.id, {
+                callId: metadata.id,
+                apiName: metadata.apiName || [metadata.type, metadata.method].filter(Boolean).join('.'),
+                title: null,
+                startTime: metadata.startTime,
+                endTime: metadata.endTime,
+                params: metadata.params || {},
+                location: actionLocation(metadata.stack),
+                pageId: metadata.pageId || null,
+                error: errorMessage(metadata.error),
+                log: metadata.log || [],
+                snapshots: (metadata.snapshots || []).map(snapshot => snapshot.title)
+            });
+            break;
+        }
+        case 'frame-snapshot': {
+            const snapshot = event.snapshot || {};
+            const action = state.actions.get(snapshot.callId);
+            if (action && !action.snapshots.includes(snapshot.snapshotName)) {
+                action.snapshots.push(snapshot.snapshotName);
+            }
+            break;
+        }
+        case 'screencast-frame':
+            state.frames.push({
+                sha1: event.sha1,
+                timestamp: event.timestamp,
+                width: event.width,
+                height: event.height,
+                pageId: event.pageId
+            });
+            break;
+        case 'console':
+            state.console.push({
+                type: event.messageType || 'log',
+                text: event.text || '',
+                time: event.time,
+                location: event.location ? `${event.location.url}:${event.location.lineNumber}` : null
+            });
+            break;
+        case 'event':
+            // Older traces report console messages and page errors as generic events
+            if (event.method === 'console' && event.params && event.params.message) {
+                const message = event.params.message;
+                state.console.push({
+                    type: message.type || 'log',
+                    text: message.text || '',
+                    time: event.time,
+                    location: message.location ? `${message.location.url}:${message.location.lineNumber}` : null
+                });
+            } else if (event.method === 'pageError' && event.params) {
+                state.errors.push({ message: errorMessage(event.params.error), time: event.time });
+            }
+            break;
+        case 'stdout':
+        case 'stderr':
+            state.console.push({ type: event.type, text: event.text || '', time: event.timestamp, location: null });
+            break;
+        case 'error':
+            state.errors.push({ message: stripAnsi(event.message), time: null });
+            break;
+        case 'resource-snapshot': {
+            const snapshot = event.snapshot || {};
+            const request = snapshot.request || {};
+            const response = snapshot.response || {};
+            const content = response.content || {};
+            state.network.push({
+                method: request.method,
+                url: request.url,
+                status: response.status > 0 ? response.status : null,
+                statusText: response.statusText || null,
+                mimeType: content.mimeType || null,
+                size: content.size >= 0 ? content.size : null,
+                startTime: snapshot._monotonicTime,
+                duration: snapshot.time >= 0 ? Math.round(snapshot.time) : null,
+                failure: response._failureText || null
+            });
+            break;
+        }
+        default:
+            break;
+    }
+};
+
+/**
+ * Unpack a Playwright trace.zip into the action timeline, network calls, console output
+ * and the screencast frames that stand in for DOM snapshots
+ * @param {Buffer|string} archive - trace.zip contents or path
+ * @returns {Object} Parsed trace; times are milliseconds from the start of the trace
+ */
+const parsePlaywrightTrace = (archive) => {
+    let entries;
+    try {
+        entries = new AdmZip(archive).getEntries().filter(entry => !entry.isDirectory);
+    } catch (error) {
+        throw new Error(`Unreadable trace archive: ${error.message}`);
+    }
+
+    // Test runner traces hold test.trace plus one <n>-trace.trace/.network pair per browser context
+    const eventFiles = entries.filter(entry => /\.(trace|network)$/.test(entry.entryName));
+    if (!eventFiles.some(entry => entry.entryName.endsWith('.trace'))) {
+        throw new Error('No Playwright trace events (*.trace) found in archive');
+    }
+
+    const state = {
+        contexts: [],
+        actions: new Map(),
+        frames: [],
+        console: [],
+        network: [],
+        errors: []
+    };
+    for (const entry of eventFiles) {
+        readEvents(entry).forEach(event => applyEvent(event, state));
+    }
+
+    const actions = [...state.actions.values()]
+        .filter(action => Number.isFinite(action.startTime))
+        .sort((a, b) => a.startTime - b.startTime);
+    const frames = state.frames.sort((a, b) => a.timestamp - b.timestamp);
+    const context = state.contexts[0] || {};
+    const starts = [...actions.map(action => action.startTime), ...frames.map(frame => frame.timestamp)];
+    let origin = Number.isFinite(context.monotonicTime) ? context.monotonicTime : Math.min(...starts);
+    if (!Number.isFinite(origin)) origin = 0;
+    const relative = (time) => (Number.isFinite(time) ? Math.round(time - origin) : null);
+
+    // A failing test ends on the action that threw
+    const failing = [...actions].reverse().find(action => action.error) || null;
+
+    return {
+        metadata: {
+            version: context.version || null,
+            browserName: context.browserName || null,
+            platform: context.platform || null,
+            title: context.title || null,
+            sdkLanguage: context.sdkLanguage || null,
+            viewport: context.options ? context.options.viewport || null : null,
+            wallTime: Number.isFinite(context.wallTime) ? new Date(context.wallTime).toISOString() : null,
+            duration: actions.length
+                ? relative(Math.max(...actions.map(action => action.endTime || action.startTime)))
+                : 0
+        },
+        actions: actions.map(action => {
+            const frame = frameAt(frames, action.endTime || action.startTime);
+            return {
+                ...action,
+                startTime: relative(action.startTime),
+                endTime: relative(action.endTime),
+                duration: Number.isFinite(action.endTime) ? Math.round(action.endTime - action.startTime) : null,
+                errorSummary: firstLine(action.error),
+                frame: frame ? frame.sha1 : null
+            };
+        }),
+        failingAction: failing ? failing.callId : null,
+        network: state.network
+            .sort((a, b) => (a.startTime || 0) - (b.startTime || 0))
+            .slice(0, MAX_NETWORK_ENTRIES)
+            .map(request => ({ ...request, startTime: relative(request.startTime) })),
+        console: state.console
+            .slice(0, MAX_CONSOLE_ENTRIES)
+            .map(message => ({ ...message, time: relative(message.time) })),
+        errors: state.errors.map(error => ({ ...error, time: relative(error.time) })),
+        frames: frames.map(frame => ({ ...frame, timestamp: relative(frame.timestamp) })),
+        truncated: state.network.length > MAX_NETWORK_ENTRIES || state.console.length > MAX_CONSOLE_ENTRIES
+    };
+};
+
+module.exports = { parsePlaywrightTrace };
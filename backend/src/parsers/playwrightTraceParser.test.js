@@ -0,0 +1,89 @@
+const AdmZip = require('adm-zip');
+const { parsePlaywrightTrace } = require('./playwrightTraceParser');
+
+const ndjson = (events) => Buffer.from(events.map(event => JSON.stringify(event)).join('\n'));
+
+const TRACE_EVENTS = [
+    { type: 'context-options', version: 7, browserName: 'chromium', platform: 'linux', monotonicTime: 1000, wallTime: 1714557600000, options: { viewport: { width: 1280, height: 720 } } },
+    { type: 'before', callId: 'call@1', apiName: 'page.goto', startTime: 1010, params: { url: '/cart' }, stack: [{ file: 'cart.spec.ts', line: 4 }] },
+    { type: 'after', callId: 'call@1', endTime: 1200 },
+    { type: 'before', callId: 'call@2', apiName: 'locator.click', startTime: 1300 },
+    { type: 'log', callId: 'call@2', message: 'waiting for locator(\'#pay\')' },
+    { type: 'after', callId: 'call@2', endTime: 6300, error: { message: '\u001b[31mTimeout 5000ms exceeded.\u001b[39m\nCall log:' } },
+    { type: 'frame-snapshot', snapshot: { callId: 'call@2', snapshotName: 'before@call@2' } },
+    { type: 'screencast-frame', sha1: 'frame-1.jpeg', timestamp: 1150, width: 1280, height: 720, pageId: 'page@1' },
+    { type: 'screencast-frame', sha1: 'frame-2.jpeg', timestamp: 1250, width: 1280, height: 720, pageId: 'page@1' },
+    { type: 'console', messageType: 'error', text: 'Payment failed', time: 1400, location: { url: 'app.js', lineNumber: 9 } },
+    { type: 'event', method: 'pageError', time: 1500, params: { error: { error: { message: 'TypeError: x is undefined' } } } }
+];
+
+const NETWORK_EVENTS = [
+    { type: 'resource-snapshot', snapshot: { _monotonicTime: 1020, time: 35.6, request: { method: 'GET', url: '/cart' }, response: { status: 200, statusText: 'OK', content: { mimeType: 'text/html', size: 512 } } } },
+    { type: 'resource-snapshot', snapshot: { _monotonicTime: 1310, time: -1, request: { method: 'POST', url: '/pay' }, response: { status: -1, _failureText: 'net::ERR_FAILED', content: { size: -1 } } } }
+];
+
+const traceArchive = () => {
+    const zip = new AdmZip();
+    // Unparseable lines (e.g. a truncated last write) are skipped
+    zip.addFile('0-trace.trace', Buffer.concat([ndjson(TRACE_EVENTS), Buffer.from('\n{"type":"bef')]));
+    zip.addFile('0-trace.network', ndjson(NETWORK_EVENTS));
+    zip.addFile('resources/frame-1.jpeg', Buffer.from('frame one'));
+    return zip.toBuffer();
+};
+
+describe('parsePlaywrightTrace', () => {
+    it('builds the action timeline relative to the start of the trace', () => {
+        const trace = parsePlaywrightTrace(traceArchive());
+
+        expect(trace.metadata).toMatchObject({
+            version: 7,
+            browserName: 'chromium',
+            viewport: { width: 1280, height: 720 },
+            wallTime: '2024-05-01T10:00:00.000Z',
+            duration: 5300
+        });
+        expect(trace.actions.map(action => [action.apiName, action.startTime, action.duration, action.location])).toEqual([
+            ['page.goto', 10, 190, 'cart.spec.ts:4'],
+            ['locator.click', 300, 5000, null]
+        ]);
+    });
+
+    it('points at the failing action with its error and call log', () => {
+        const trace = parsePlaywrightTrace(traceArchive());
+        const click = trace.actions[1];
+
+        expect(trace.failingAction).toBe('call@2');
+        expect(click).toMatchObject({
+            error: 'Timeout 5000ms exceeded.\nCall log:',
+            errorSummary: 'Timeout 5000ms exceeded.',
+            log: ['waiting for locator(\'#pay\')'],
+            snapshots: ['before@call@2']
+        });
+    });
+
+    it('pairs each action with the last screencast frame before it ended', () => {
+        const [goto, click] = parsePlaywrightTrace(traceArchive()).actions;
+
+        expect(goto.frame).toBe('frame-1.jpeg');
+        expect(click.frame).toBe('frame-2.jpeg');
+    });
+
+    it('collects network calls, console output and page errors', () => {
+        const trace = parsePlaywrightTrace(traceArchive());
+
+        expect(trace.network).toEqual([
+            expect.objectContaining({ method: 'GET', url: '/cart', status: 200, size: 512, startTime: 20, duration: 36 }),
+            expect.objectContaining({ method: 'POST', status: null, size: null, duration: null, failure: 'net::ERR_FAILED' })
+        ]);
+        expect(trace.console).toEqual([{ type: 'error', text: 'Payment failed', time: 400, location: 'app.js:9' }]);
+        expect(trace.errors).toEqual([{ message: 'TypeError: x is undefined', time: 500 }]);
+    });
+
+    it('rejects archives without trace events', () => {
+        const zip = new AdmZip();
+        zip.addFile('notes.txt', Buffer.from('hello'));
+
+        expect(() => parsePlaywrightTrace(zip.toBuffer())).toThrow('No Playwright trace events (*.trace) found in archive');
+        expect(() => parsePlaywrightTrace(Buffer.from('plain text'))).toThrow(/Unreadable trace archive/);
+    });
+});
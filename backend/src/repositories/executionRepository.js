@@ -0,0 +1,172 @@
+const { getDatabase } = require('../config/database');
+const { buildFilters, percentage } = require('./filters');
+
+const FILTER_COLUMNS = {
+    projectId: 'e.project_id',
+    teamMemberId: 'e.triggered_by',
+    environment: 'e.environment',
+    branch: 'e.branch',
+    status: 'e.status'
+};
+
+// Groupings: the column rows are grouped by and the column naming each group
+const GROUPINGS = {
+    project: { key: 'e.project_id', name: 'p.name' },
+    branch: { key: 'e.branch', name: 'e.branch' },
+    environment: { key: 'e.environment', name: 'e.environment' }
+};
+
+// test_executions keeps its totals current as results arrive; duration is in seconds
+const EXECUTION_TOTALS = `
+    COUNT(*) as executions,
+    COALESCE(SUM(e.total_tests), 0) as totalTests,
+    COALESCE(SUM(e.passed_tests), 0) as passedTests,
+    COALESCE(SUM(e.failed_tests), 0) as failedTests,
+    COALESCE(SUM(e.skipped_tests), 0) as skippedTests,
+    ROUND(COALESCE(AVG(e.duration), 0), 2) as avgDuration,
+    COALESCE(SUM(e.duration), 0) as totalDuration,
+    MIN(e.created_at) as firstExecution,
+    MAX(e.created_at) as lastExecution
+`;
+
+const withPassRate = (row) => ({ ...row, passRate: percentage(row.passedTests, row.totalTests) });
+
+/**
+ * Read-side queries over test runs in test_executions. The member of an execution
+ * is the user in triggered_by.
+ */
+class ExecutionRepository {
+    buildFilters(filters = {}) {
+        return buildFilters(filters, {
+            columns: FILTER_COLUMNS,
+            dateColumn: 'e.created_at',
+            teamColumns: { member: 'e.triggered_by', project: 'e.project_id' }
+        });
+    }
+
+    /**
+     * Run counts and durations for the matching executions
+     * @param {Object} filters - Query filters
+     * @returns {Object} Totals including activeMembers
+     */
+    getSummary(filters = {}) {
+        const db = getDatabase();
+        const { where, params } = this.buildFilters(filters);
+
+        const row = db.prepare(`
+            SELECT ${EXECUTION_TOTALS},
+                COUNT(DISTINCT e.triggered_by) as activeMembers
+            FROM test_executions e
+            WHERE 1=1 ${where}
+        `).get(...params);
+
+        return withPassRate(row);
+    }
+
+    /**
+     * Most recent executions with the member and project names
+     * @param {Object} filters - Query filters
+     * @param {number} limit - Maximum rows
+     * @returns {Array<Object>} Executions, newest first
+     */
+    getRecent(filters = {}, limit = 10) {
+        const db = getDatabase();
+        const { where, params } = this.buildFilters(filters);
+
+        return db.prepare(`
+            SELECT
+                e.execution_id as executionId,
+                e.name,
+                e.status,
+                e.project_id as projectId,
+                p.name as projectName,
+                e.branch,
+                e.environment,
+                e.total_tests as totalTests,
+                e.passed_tests as passedTests,
+                e.failed_tests as failedTests,
+                e.skipped_tests as skippedTests,
+                e.duration as totalDuration,
+                e.created_at as createdAt,
+                u.full_name as executedBy,
+                u.username
+            FROM test_executions e
+            LEFT JOIN users u ON u.id = e.triggered_by
+            LEFT JOIN projects p ON p.id = e.project_id
+            WHERE 1=1 ${where}
+            ORDER BY e.created_at DESC, e.id DESC
+            LIMIT ?
+        `).all(...params, limit).map(row => ({
+            ...row,
+            passPercentage: percentage(row.passedTests, row.totalTests)
+        }));
+    }
+
+    /**
+     * Totals per member who triggered executions
+     * @param {Object} filters - Query filters
+     * @returns {Array<Object>} One row per member, most executions first
+     */
+    getStatsByMember(filters = {}) {
+        const db = getDatabase();
+        const { where, params } = this.buildFilters(filters);
+
+        return db.prepare(`
+            SELECT
+                u.id as userId,
+                u.username,
+                u.full_name as fullName,
+                ${EXECUTION_TOTALS}
+            FROM test_executions e
+            JOIN users u ON u.id = e.triggered_by
+            WHERE 1=1 ${where}
+            GROUP BY u.id
+            ORDER BY executions DESC
+        `).all(...params).map(withPassRate);
+    }
+
+    /**
+     * Totals per project, branch or environment
+     * @param {Object} filters - Query filters
+     * @param {string} group - One of project, branch, environment
+     * @returns {Array<Object>} Rows with the group's `id` and `name`
+     */
+    getStatsByGroup(filters = {}, group) {
+        const db = getDatabase();
+        const grouping = GROUPINGS[group];
+        if (!grouping) {
+            throw new Error(`Unknown grouping: ${group}`);
+        }
+        const { where, params } = this.buildFilters(filters);
+
+        return db.prepare(`
+            SELECT ${grouping.key} as id, ${grouping.name} as name, ${EXECUTION_TOTALS}
+            FROM test_executions e
+            LEFT JOIN projects p ON p.id = e.project_id
+            WHERE 1=1 ${where}
+            GROUP BY ${grouping.key}
+            ORDER BY executions DESC
+        `).all(...params).map(withPassRate);
+    }
+
+    /**
+     * Totals per time period
+     * @param {Object} filters - Query filters
+     * @param {string} periodFormat - strftime format of the period key, e.g. '%Y-%m-%d'
+     * @returns {Array<Object>} Rows with `period`, oldest first
+     */
+    getTrend(filters = {}, periodFormat = '%Y-%m-%d') {
+        const db = getDatabase();
+        const { where, params } = this.buildFilters(filters);
+
+        return db.prepare(`
+            SELECT strftime(?, e.created_at) as period, ${EXECUTION_TOTALS}
+            FROM test_executions e
+            WHERE 1=1 ${where}
+            GROUP BY period
+            ORDER BY period ASC
+        `).all(periodFormat, ...params).map(withPassRate);
+    }
+}
+
+module.exports = new ExecutionRepository();
@@ -0,0 +1,62 @@
+/**
+ * Build a SQL WHERE fragment from API query filters
+ * @param {Object} filters - Query filters (projectId, teamId, environment, branch, days, startDate, endDate, ...)
+ * @param {Object} options - { columns: filter name → column, dateColumn, teamColumns: { member, project } }
+ * @returns {Object} { where, params } - where starts with " AND" or is empty
+ */
+const buildFilters = (filters, { columns, dateColumn, teamColumns }) => {
+    let where = '';
+    const params = [];
+
+    for (const [filter, column] of Object.entries(columns)) {
+        const value = filters[filter];
+        if (value === undefined || value === null || value === '') continue;
+
+        // Comma-separated values and arrays match any of the values
+        const values = Array.isArray(value) ? value : String(value).split(',').filter(Boolean);
+        if (values.length === 1) {
+            where += ` AND ${column} = ?`;
+        } else {
+            where += ` AND ${column} IN (${values.map(() => '?').join(', ')})`;
+        }
+        params.push(...values);
+    }
+
+    // A team's numbers are the rows of its members plus the rows of the projects it owns
+    if (filters.teamId && teamColumns) {
+        where += ` AND (${teamColumns.member} IN (SELECT user_id FROM team_members WHERE team_id = ?)`
+            + ` OR ${teamColumns.project} IN (SELECT project_id FROM team_projects WHERE team_id = ?))`;
+        params.push(filters.teamId, filters.teamId);
+    }
+
+    // Timestamps are stored as 'YYYY-MM-DD HH:MM:SS', so normalize bounds with datetime()
+    if (filters.startDate) {
+        where += ` AND ${dateColumn} >= datetime(?)`;
+        params.push(filters.startDate);
+    }
+
+    if (filters.endDate) {
+        // A bare date includes the whole day
+        where += /^\d{4}-\d{2}-\d{2}$/.test(filters.endDate)
+            ? ` AND ${dateColumn} < datetime(?, '+1 day')`
+            : ` AND ${dateColumn} <= datetime(?)`;
+        params.push(filters.endDate);
+    }
+
+    if (filters.days) {
+        where += ` AND ${dateColumn} >= datetime('now', ?)`;
+        params.push(`-${parseInt(filters.days) || 30} days`);
+    }
+
+    return { where, params };
+};
+
+/**
+ * Percentage rounded to two decimals, 0 when there is nothing to divide by
+ * @param {number} part - Numerator
+ * @param {number} total - Denominator
+ * @returns {number} Percentage
+ */
+const percentage = (part, total) => (total > 0 ? parseFloat(((part / total) * 100).toFixed(2)) : 0);
+
+module.exports = { buildFilters, percentage };
@@ -0,0 +1,84 @@
+const { getDatabase } = require('../config/database');
+
+/**
+ * Map a projects row to the API shape
+ * @param {Object} row - projects row
+ * @returns {Object|null} Project with camelCase fields
+ */
+const toProject = (row) => {
+    if (!row) return null;
+
+    return {
+        projectId: row.id,
+        projectName: row.name,
+        description: row.description,
+        repositoryUrl: row.repository_url,
+        framework: row.framework,
+        environment: row.environment,
+        isActive: Boolean(row.is_active),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+};
+
+/**
+ * Projects in the projects table
+ */
+class ProjectRepository {
+    list() {
+        return getDatabase().prepare('SELECT * FROM projects ORDER BY name').all().map(toProject);
+    }
+
+    findById(id) {
+        return toProject(getDatabase().prepare('SELECT * FROM projects WHERE id = ?').get(id));
+    }
+
+    /**
+     * Users with a role of their own on a project
+     * @param {number} projectId - Project ID
+     * @returns {Array<Object>} { userId, username, fullName, userRole, role, updatedAt }
+     */
+    listRoles(projectId) {
+        return getDatabase().prepare(`
+            SELECT
+                pr.user_id as userId,
+                u.username,
+                u.full_name as fullName,
+                u.role as userRole,
+                pr.role,
+                pr.updated_at as updatedAt
+            FROM project_roles pr
+            JOIN users u ON u.id = pr.user_id
+            WHERE pr.project_id = ?
+            ORDER BY u.full_name
+        `).all(projectId);
+    }
+
+    /**
+     * Project roles of a user
+     * @param {number} userId - User ID
+     * @returns {Map<number, string>} Role by project ID
+     */
+    getRolesForUser(userId) {
+        const rows = getDatabase()
+            .prepare('SELECT project_id, role FROM project_roles WHERE user_id = ?')
+            .all(userId);
+
+        return new Map(rows.map(row => [row.project_id, row.role]));
+    }
+
+    setRole(projectId, userId, role) {
+        getDatabase().prepare(`
+            INSERT INTO project_roles (project_id, user_id, role) VALUES (?, ?, ?)
+            ON CONFLICT (project_id, user_id) DO UPDATE SET role = excluded.role, updated_at = CURRENT_TIMESTAMP
+        `).run(projectId, userId, role);
+    }
+
+    removeRole(projectId, userId) {
+        return getDatabase()
+            .prepare('DELETE FROM project_roles WHERE project_id = ? AND user_id = ?')
+            .run(projectId, userId).changes > 0;
+    }
+}
+
+module.exports = new ProjectRepository();
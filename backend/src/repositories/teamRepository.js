@@ -0,0 +1,205 @@
+const { getDatabase } = require('../config/database');
+
+/**
+ * Map a teams row to the API shape
+ * @param {Object} row - teams row, optionally with lead and count columns
+ * @returns {Object|null} Team with camelCase fields
+ */
+const toTeam = (row) => {
+    if (!row) return null;
+
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        leadId: row.lead_id,
+        leadName: row.lead_name || null,
+        memberCount: row.member_count || 0,
+        projectCount: row.project_count || 0,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+};
+
+const TEAM_SELECT = `
+    SELECT
+        t.*,
+        u.full_name as lead_name,
+        (SELECT COUNT(*) FROM team_members tm WHERE tm.team_id = t.id) as member_count,
+        (SELECT COUNT(*) FROM team_projects tp WHERE tp.team_id = t.id) as project_count
+    FROM teams t
+    LEFT JOIN users u ON u.id = t.lead_id
+`;
+
+/**
+ * Teams, their members and the projects they own
+ */
+class TeamRepository {
+    list() {
+        return getDatabase().prepare(`${TEAM_SELECT} ORDER BY t.name`).all().map(toTeam);
+    }
+
+    findById(id) {
+        return toTeam(getDatabase().prepare(`${TEAM_SELECT} WHERE t.id = ?`).get(id));
+    }
+
+    findByName(name) {
+        return toTeam(getDatabase().prepare(`${TEAM_SELECT} WHERE t.name = ?`).get(name));
+    }
+
+    /**
+     * Team with its members and owned projects
+     * @param {number} id - Team ID
+     * @returns {Object|null} Team, or null when it does not exist
+     */
+    getDetails(id) {
+        const team = this.findById(id);
+        if (!team) return null;
+
+        const db = getDatabase();
+        const members = db.prepare(`
+            SELECT u.id, u.username, u.full_name as fullName, u.role, tm.joined_at as joinedAt
+            FROM team_members tm
+            JOIN users u ON u.id = tm.user_id
+            WHERE tm.team_id = ?
+            ORDER BY u.full_name
+        `).all(id);
+        const projects = db.prepare(`
+            SELECT p.id as projectId, p.name as projectName
+            FROM team_projects tp
+            JOIN projects p ON p.id = tp.project_id
+            WHERE tp.team_id = ?
+            ORDER BY p.name
+        `).all(id);
+
+        return { ...team, members, projects };
+    }
+
+    /**
+     * Teams a user belongs to
+     * @param {number} userId - User ID
+     * @returns {Array<Object>} Teams
+     */
+    listForUser(userId) {
+        return getDatabase().prepare(`
+            ${TEAM_SELECT}
+            WHERE t.id IN (SELECT team_id FROM team_members WHERE user_id = ?)
+            ORDER BY t.name
+        `).all(userId).map(toTeam);
+    }
+
+    /**
+     * Insert a team together with its members and projects. The lead is always a member.
+     * @param {Object} team - { name, description, leadId, memberIds, projectIds }
+     * @returns {Object} Created team with members and projects
+     */
+    create({ name, description, leadId, memberIds = [], projectIds = [] }) {
+        const db = getDatabase();
+
+        const teamId = db.transaction(() => {
+            const { lastInsertRowid } = db.prepare(`
+                INSERT INTO teams (name, description, lead_id) VALUES (?, ?, ?)
+            `).run(name, description || null, leadId || null);
+
+            const members = leadId ? [leadId, ...memberIds] : memberIds;
+            members.forEach(userId => this.addMember(lastInsertRowid, userId));
+            projectIds.forEach(projectId => this.addProject(lastInsertRowid, projectId));
+
+            return lastInsertRowid;
+        })();
+
+        return this.getDetails(teamId);
+    }
+
+    /**
+     * Update the given fields of a team; a new lead becomes a member
+     * @param {number} id - Team ID
+     * @param {Object} changes - Any of name, description, leadId
+     * @returns {Object} Updated team with members and projects
+     */
+    update(id, { name, description, leadId }) {
+        const db = getDatabase();
+        const assignments = [];
+        const params = [];
+
+        if (name !== undefined) {
+            assignments.push('name = ?');
+            params.push(name);
+        }
+        if (description !== undefined) {
+            assignments.push('description = ?');
+            params.push(description || null);
+        }
+        if (leadId !== undefined) {
+            assignments.push('lead_id = ?');
+            params.push(leadId || null);
+        }
+
+        db.transaction(() => {
+            if (assignments.length > 0) {
+                db.prepare(`
+                    UPDATE teams SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+                `).run(...params, id);
+            }
+            if (leadId) {
+                this.addMember(id, leadId);
+            }
+        })();
+
+        return this.getDetails(id);
+    }
+
+    delete(id) {
+        const db = getDatabase();
+
+        return db.transaction(() => {
+            db.prepare('DELETE FROM team_members WHERE team_id = ?').run(id);
+            db.prepare('DELETE FROM team_projects WHERE team_id = ?').run(id);
+            return db.prepare('DELETE FROM teams WHERE id = ?').run(id).changes > 0;
+        })();
+    }
+
+    /**
+     * Add a user to a team; adding an existing member is a no-op
+     * @returns {boolean} Whether the user was added
+     */
+    addMember(teamId, userId) {
+        return getDatabase()
+            .prepare('INSERT OR IGNORE INTO team_members (team_id, user_id) VALUES (?, ?)')
+            .run(teamId, userId).changes > 0;
+    }
+
+    /**
+     * Remove a user from a team. A removed lead leaves the team without a lead.
+     * @returns {boolean} Whether the user was a member
+     */
+    removeMember(teamId, userId) {
+        const db = getDatabase();
+
+        return db.transaction(() => {
+            db.prepare(`
+                UPDATE teams SET lead_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND lead_id = ?
+            `).run(teamId, userId);
+            return db.prepare('DELETE FROM team_members WHERE team_id = ? AND user_id = ?')
+                .run(teamId, userId).changes > 0;
+        })();
+    }
+
+    /**
+     * Give a team ownership of a project; a project can be owned by several teams
+     * @returns {boolean} Whether the project was added
+     */
+    addProject(teamId, projectId) {
+        return getDatabase()
+            .prepare('INSERT OR IGNORE INTO team_projects (team_id, project_id) VALUES (?, ?)')
+            .run(teamId, projectId).changes > 0;
+    }
+
+    removeProject(teamId, projectId) {
+        return getDatabase()
+            .prepare('DELETE FROM team_projects WHERE team_id = ? AND project_id = ?')
+            .run(teamId, projectId).changes > 0;
+    }
+}
+
+module.exports = new TeamRepository();
@@ -0,0 +1,236 @@
+const { getDatabase } = require('../config/database');
+const { buildFilters, percentage } = require('./filters');
+
+// Retries replaced by a later attempt are kept for history but never counted
+const NOT_SUPERSEDED = 'COALESCE(json_extract(tr.metadata, \'$.superseded\'), 0) = 0';
+
+// A test that only passed on a retry
+const FLAKY = 'tr.status = \'passed\' AND COALESCE(json_extract(tr.metadata, \'$.retry\'), 0) > 0';
+
+const TEAM_COLUMNS = { member: 'tr.team_member_id', project: 'tr.project_id' };
+
+const FILTER_COLUMNS = {
+    projectId: 'tr.project_id',
+    teamMemberId: 'tr.team_member_id',
+    environment: 'tr.environment',
+    branch: 'tr.branch',
+    status: 'tr.status',
+    framework: 'tr.framework',
+    browser: 'tr.browser'
+};
+
+// Groupings: the column rows are grouped by and the column naming each group
+const GROUPINGS = {
+    project: { key: 'tr.project_id', name: 'p.name' },
+    branch: { key: 'tr.branch', name: 'tr.branch' },
+    environment: { key: 'tr.environment', name: 'tr.environment' },
+    framework: { key: 'tr.framework', name: 'tr.framework' }
+};
+
+const STATUS_COUNTS = `
+    COUNT(*) as totalTests,
+    COALESCE(SUM(CASE WHEN tr.status = 'passed' THEN 1 ELSE 0 END), 0) as totalPassed,
+    COALESCE(SUM(CASE WHEN tr.status = 'failed' THEN 1 ELSE 0 END), 0) as totalFailed,
+    COALESCE(SUM(CASE WHEN tr.status = 'skipped' THEN 1 ELSE 0 END), 0) as totalSkipped,
+    COALESCE(SUM(CASE WHEN tr.status = 'blocked' THEN 1 ELSE 0 END), 0) as totalBlocked,
+    COALESCE(SUM(CASE WHEN ${FLAKY} THEN 1 ELSE 0 END), 0) as totalFlaky,
+    ROUND(COALESCE(AVG(tr.execution_time), 0), 2) as avgExecutionTime
+`;
+
+const withPassRate = (row) => ({ ...row, passRate: percentage(row.totalPassed, row.totalTests) });
+
+/**
+ * Read-side queries over per-test rows in test_reports. Counts exclude superseded retries;
+ * execution_time is in seconds.
+ */
+class TestReportRepository {
+    buildFilters(filters = {}) {
+        const { where, params } = buildFilters(filters, {
+            columns: FILTER_COLUMNS,
+            dateColumn: 'tr.created_at',
+            teamColumns: TEAM_COLUMNS
+        });
+
+        return { where: `${where} AND ${NOT_SUPERSEDED}`, params };
+    }
+
+    /**
+     * Status counts, flaky count and pass rate for the matching test results
+     * @param {Object} filters - Query filters
+     * @returns {Object} Totals
+     */
+    getSummary(filters = {}) {
+        const db = getDatabase();
+        const { where, params } = this.buildFilters(filters);
+
+        const row = db.prepare(`
+            SELECT ${STATUS_COUNTS},
+                ROUND(COALESCE(SUM(tr.execution_time), 0), 2) as totalExecutionTime,
+                MIN(tr.created_at) as firstResult,
+                MAX(tr.created_at) as lastResult
+            FROM test_reports tr
+            WHERE 1=1 ${where}
+        `).get(...params);
+
+        return withPassRate(row);
+    }
+
+    /**
+     * Totals per team member who submitted results
+     * @param {Object} filters - Query filters
+     * @returns {Array<Object>} One row per member, most results first
+     */
+    getStatsByMember(filters = {}) {
+        const db = getDatabase();
+        const { where, params } = this.buildFilters(filters);
+
+        return db.prepare(`
+            SELECT
+                u.id as userId,
+                u.username,
+                u.full_name as fullName,
+                ${STATUS_COUNTS},
+                MAX(tr.created_at) as lastResult
+            FROM test_reports tr
+            JOIN users u ON u.id = tr.team_member_id
+            WHERE 1=1 ${where}
+            GROUP BY u.id
+            ORDER BY totalTests DESC
+        `).all(...params).map(withPassRate);
+    }
+
+    /**
+     * Totals per project, branch, environment or framework
+     * @param {Object} filters - Query filters
+     * @param {string} group - One of project, branch, environment, framework
+     * @returns {Array<Object>} Rows with the group's `id` and `name`
+     */
+    getStatsByGroup(filters = {}, group) {
+        const db = getDatabase();
+        const grouping = GROUPINGS[group];
+        if (!grouping) {
+            throw new Error(`Unknown grouping: ${group}`);
+        }
+        const { where, params } = this.buildFilters(filters);
+
+        return db.prepare(`
+            SELECT ${grouping.key} as id, ${grouping.name} as name, ${STATUS_COUNTS}
+            FROM test_reports tr
+            LEFT JOIN projects p ON p.id = tr.project_id
+            WHERE 1=1 ${where}
+            GROUP BY ${grouping.key}
+            ORDER BY totalTests DESC
+        `).all(...params).map(withPassRate);
+    }
+
+    /**
+     * Totals per time period
+     * @param {Object} filters - Query filters
+     * @param {string} periodFormat - strftime format of the period key, e.g. '%Y-%m-%d'
+     * @returns {Array<Object>} Rows with `period`, oldest first
+     */
+    getTrend(filters = {}, periodFormat = '%Y-%m-%d') {
+        const db = getDatabase();
+        const { where, params } = this.buildFilters(filters);
+
+        return db.prepare(`
+            SELECT strftime(?, tr.created_at) as period, ${STATUS_COUNTS}
+            FROM test_reports tr
+            WHERE 1=1 ${where}
+            GROUP BY period
+            ORDER BY period ASC
+        `).all(periodFormat, ...params).map(withPassRate);
+    }
+
+    /**
+     * Tests that failed most often
+     * @param {Object} filters - Query filters; `username` narrows to one member
+     * @param {Object} options - { limit, minFailures }
+     * @returns {Array<Object>} Failing tests, most failures first
+     */
+    getFailingTests(filters = {}, { limit = 20, minFailures = 1 } = {}) {
+        const db = getDatabase();
+        const { where, params } = this.buildFilters({ ...filters, status: 'failed' });
+        const memberFilter = filters.username ? ' AND u.username = ?' : '';
+        if (filters.username) params.push(filters.username);
+
+        return db.prepare(`
+            SELECT
+                tr.test_name as testName,
+                tr.test_suite as testSuite,
+                COUNT(*) as failureCount,
+                ROUND(AVG(tr.execution_time), 2) as avgDuration,
+                MAX(tr.created_at) as lastFailure,
+                (
+                    SELECT lu.full_name FROM test_reports last
+                    JOIN users lu ON lu.id = last.team_member_id
+                    WHERE last.test_name = tr.test_name AND last.status = 'failed'
+                    ORDER BY last.created_at DESC, last.id DESC LIMIT 1
+                ) as lastExecutedBy
+            FROM test_reports tr
+            LEFT JOIN users u ON u.id = tr.team_member_id
+            WHERE 1=1 ${where} ${memberFilter}
+            GROUP BY tr.test_name, tr.test_suite
+            HAVING failureCount >= ?
+            ORDER BY failureCount DESC, lastFailure DESC
+            LIMIT ?
+        `).all(...params, minFailures, limit);
+    }
+
+    /**
+     * Failure counts per team member
+     * @param {Object} filters - Query filters; `username` narrows to one member
+     * @returns {Array<Object>} One row per member, most failures first
+     */
+    getFailuresByMember(filters = {}) {
+        const db = getDatabase();
+        const { where, params } = this.buildFilters({ ...filters, status: 'failed' });
+        const memberFilter = filters.username ? ' AND u.username = ?' : '';
+        if (filters.username) params.push(filters.username);
+
+        return db.prepare(`
+            SELECT
+                u.full_name as fullName,
+                u.username,
+                COUNT(*) as totalFailures,
+                COUNT(DISTINCT tr.test_name) as uniqueFailingTests,
+                ROUND(AVG(tr.execution_time), 2) as avgFailureDuration
+            FROM test_reports tr
+            JOIN users u ON u.id = tr.team_member_id
+            WHERE 1=1 ${where} ${memberFilter}
+            GROUP BY u.id
+            ORDER BY totalFailures DESC
+        `).all(...params);
+    }
+
+    /**
+     * Test results with the submitting member's and project's names, newest first
+     * @param {Object} filters - Query filters; `members` is a comma-separated list of usernames
+     * @param {Object} options - { limit }
+     * @returns {Array<Object>} test_reports rows plus team_member_name, team_member_username and project_name
+     */
+    findWithDetails(filters = {}, { limit = 1000 } = {}) {
+        const db = getDatabase();
+        const { where, params } = buildFilters(filters, {
+            columns: { ...FILTER_COLUMNS, members: 'u.username' },
+            dateColumn: 'tr.created_at',
+            teamColumns: TEAM_COLUMNS
+        });
+
+        return db.prepare(`
+            SELECT
+                tr.*,
+                u.full_name as team_member_name,
+                u.username as team_member_username,
+                p.name as project_name
+            FROM test_reports tr
+            LEFT JOIN users u ON u.id = tr.team_member_id
+            LEFT JOIN projects p ON p.id = tr.project_id
+            WHERE ${NOT_SUPERSEDED} ${where}
+            ORDER BY tr.created_at DESC, tr.id DESC
+            LIMIT ?
+        `).all(...params, limit);
+    }
+}
+
+module.exports = new TestReportRepository();
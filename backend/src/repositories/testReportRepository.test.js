@@ -0,0 +1,50 @@
+const { initializeDatabase } = require('../config/database');
+const testReportService = require('../services/testReportService');
+const testReportRepository = require('./testReportRepository');
+
+describe('testReportRepository', () => {
+    const filters = { environment: 'repository-test' };
+
+    beforeAll(() => {
+        initializeDatabase();
+
+        const store = (testName, status, projectId, metadata = null) => testReportService.createTestReport({
+            test_name: testName,
+            test_suite: 'Checkout',
+            status,
+            execution_time: 1,
+            project_id: projectId,
+            team_member_id: 2,
+            environment: 'repository-test',
+            metadata
+        });
+        store('pays by card', 'failed', 1, { retry: 0, superseded: true });
+        store('pays by card', 'passed', 1, { retry: 1 });
+        store('applies coupon', 'failed', 1);
+        store('applies coupon', 'failed', 2);
+        store('opens app', 'passed', 2);
+    });
+
+    it('groups totals without superseded attempts', () => {
+        const byProject = testReportRepository.getStatsByGroup(filters, 'project');
+
+        expect(byProject).toHaveLength(2);
+        expect(byProject.map(row => [row.name, row.totalTests, row.totalFlaky, row.passRate])).toEqual(expect.arrayContaining([
+            ['Web Application', 2, 1, 50],
+            ['Mobile App', 2, 0, 50]
+        ]));
+        expect(() => testReportRepository.getStatsByGroup(filters, 'colour')).toThrow('Unknown grouping: colour');
+    });
+
+    it('ranks failing tests by failures that still count', () => {
+        expect(testReportRepository.getFailingTests(filters).map(row => [row.testName, row.failureCount])).toEqual([
+            ['applies coupon', 2]
+        ]);
+    });
+
+    it('totals results per team member', () => {
+        const [member] = testReportRepository.getStatsByMember(filters);
+
+        expect(member).toMatchObject({ userId: 2, totalTests: 4, totalPassed: 2, totalFailed: 2, passRate: 50 });
+    });
+});
@@ -0,0 +1,172 @@
+const { getDatabase } = require('../config/database');
+
+// API field → users column for fields that can be written
+const WRITABLE_COLUMNS = {
+    email: 'email',
+    fullName: 'full_name',
+    role: 'role',
+    avatarUrl: 'avatar_url',
+    isActive: 'is_active'
+};
+
+/**
+ * Map a users row to the API shape
+ * @param {Object} row - users row
+ * @returns {Object|null} User with camelCase fields
+ */
+const toUser = (row) => {
+    if (!row) return null;
+
+    return {
+        id: row.id,
+        username: row.username,
+        email: row.email,
+        fullName: row.full_name,
+        role: row.role,
+        avatarUrl: row.avatar_url,
+        isActive: Boolean(row.is_active),
+        lastLoginAt: row.last_login_at || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+};
+
+/**
+ * Team members in the users table
+ */
+class UserRepository {
+    list({ isActive } = {}) {
+        const db = getDatabase();
+        const where = isActive === undefined ? '' : 'WHERE is_active = ?';
+        const params = isActive === undefined ? [] : [isActive ? 1 : 0];
+
+        return db.prepare(`SELECT * FROM users ${where} ORDER BY full_name`).all(...params).map(toUser);
+    }
+
+    findById(id) {
+        return toUser(getDatabase().prepare('SELECT * FROM users WHERE id = ?').get(id));
+    }
+
+    findByUsername(username) {
+        return toUser(getDatabase().prepare('SELECT * FROM users WHERE username = ?').get(username));
+    }
+
+    findByEmail(email) {
+        return toUser(getDatabase().prepare('SELECT * FROM users WHERE email = ?').get(email));
+    }
+
+    findByUsernameOrEmail(username, email) {
+        return toUser(getDatabase()
+            .prepare('SELECT * FROM users WHERE username = ? OR email = ?')
+            .get(username, email));
+    }
+
+    /**
+     * Insert a user
+     * @param {Object} user - { username, email, fullName, role, avatarUrl, passwordHash }
+     * @returns {Object} Created user
+     */
+    create({ username, email, fullName, role, avatarUrl, passwordHash }) {
+        const result = getDatabase().prepare(`
+            INSERT INTO users (username, email, full_name, role, avatar_url, password_hash)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(username, email, fullName, role, avatarUrl || null, passwordHash || null);
+
+        return this.findById(result.lastInsertRowid);
+    }
+
+    /**
+     * Update the given fields of a user; fields left undefined are unchanged
+     * @param {string} username - Username
+     * @param {Object} changes - Any of email, fullName, role, avatarUrl, isActive
+     * @returns {Object|null} Updated user, or null when it does not exist
+     */
+    update(username, changes) {
+        const assignments = [];
+        const params = [];
+
+        for (const [field, column] of Object.entries(WRITABLE_COLUMNS)) {
+            if (changes[field] === undefined) continue;
+            assignments.push(`${column} = ?`);
+            params.push(field === 'isActive' ? (changes[field] ? 1 : 0) : changes[field]);
+        }
+
+        if (assignments.length > 0) {
+            getDatabase().prepare(`
+                UPDATE users SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE username = ?
+            `).run(...params, username);
+        }
+
+        return this.findByUsername(username);
+    }
+
+    /**
+     * Stored bcrypt hash of a user's password; never part of the API shape
+     * @param {number} id - User ID
+     * @returns {string|null} Password hash, or null when no password is set
+     */
+    getPasswordHash(id) {
+        const row = getDatabase().prepare('SELECT password_hash FROM users WHERE id = ?').get(id);
+        return row ? row.password_hash : null;
+    }
+
+    setPasswordHash(id, passwordHash) {
+        getDatabase().prepare(`
+            UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(passwordHash, id);
+    }
+
+    /**
+     * User linked to an identity provider account
+     * @param {string} issuer - OIDC issuer
+     * @param {string} subject - `sub` claim of the account
+     * @returns {Object|null} User
+     */
+    findByOidcSubject(issuer, subject) {
+        return toUser(getDatabase()
+            .prepare('SELECT * FROM users WHERE oidc_issuer = ? AND oidc_subject = ?')
+            .get(issuer, subject));
+    }
+
+    linkOidcAccount(id, issuer, subject) {
+        getDatabase().prepare(`
+            UPDATE users SET oidc_issuer = ?, oidc_subject = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(issuer, subject, id);
+    }
+
+    recordLogin(id) {
+        getDatabase().prepare('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+    }
+
+    /**
+     * Delete a user. Their test results and executions are kept without an owner.
+     * @param {string} username - Username
+     * @returns {boolean} Whether the user existed
+     */
+    delete(username) {
+        const db = getDatabase();
+        const user = this.findByUsername(username);
+        if (!user) return false;
+
+        db.transaction(() => {
+            db.prepare('UPDATE test_reports SET team_member_id = NULL WHERE team_member_id = ?').run(user.id);
+            db.prepare('UPDATE test_executions SET triggered_by = NULL WHERE triggered_by = ?').run(user.id);
+            db.prepare('DELETE FROM team_performance WHERE user_id = ?').run(user.id);
+            db.prepare('DELETE FROM notifications WHERE user_id = ?').run(user.id);
+            db.prepare('DELETE FROM team_members WHERE user_id = ?').run(user.id);
+            db.prepare('DELETE FROM project_roles WHERE user_id = ?').run(user.id);
+            db.prepare('UPDATE teams SET lead_id = NULL WHERE lead_id = ?').run(user.id);
+            db.prepare('DELETE FROM refresh_tokens WHERE user_id = ?').run(user.id);
+            db.prepare('UPDATE api_keys SET created_by = NULL WHERE created_by = ?').run(user.id);
+            db.prepare('UPDATE quarantined_tests SET owner_id = NULL WHERE owner_id = ?').run(user.id);
+            db.prepare('UPDATE quarantined_tests SET created_by = NULL WHERE created_by = ?').run(user.id);
+            db.prepare('UPDATE quarantined_tests SET released_by = NULL WHERE released_by = ?').run(user.id);
+            db.prepare('DELETE FROM users WHERE id = ?').run(user.id);
+        })();
+
+        return true;
+    }
+}
+
+module.exports = new UserRepository();
@@ -0,0 +1,93 @@
+const express = require('express');
+const auditService = require('../services/auditService');
+const { requirePermission } = require('../middleware/auth');
+const { validateAuditQuery } = require('../middleware/validation');
+const { PERMISSIONS } = require('../config/permissions');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const viewAuditLog = requirePermission(PERMISSIONS.VIEW_AUDIT_LOG);
+
+const CSV_COLUMNS = [
+    'id', 'createdAt', 'actorType', 'actorId', 'actorName', 'action',
+    'targetType', 'targetId', 'before', 'after', 'ipAddress', 'requestId'
+];
+
+// Quote a value for CSV; snapshots are written as JSON
+const toCsvField = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @route   GET /api/v1/audit-log
+ * @desc    List audit entries, newest first (filter by actor, actorType, action, targetType, targetId,
+ *          requestId, startDate and endDate)
+ * @access  Private (view_audit_log)
+ */
+router.get('/', viewAuditLog, validateAuditQuery, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                ...auditService.list(req.query),
+                ...auditService.getFacets()
+            }
+        });
+
+    } catch (error) {
+        logger.error('Failed to get audit log:', error);
+        res.status(500).json({
+            error: 'Failed to get audit log',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/audit-log/export
+ * @desc    Download every matching audit entry as CSV (default) or JSON (?format=json)
+ * @access  Private (view_audit_log)
+ */
+router.get('/export', viewAuditLog, validateAuditQuery, async (req, res) => {
+    try {
+        const { format } = req.query;
+        const entries = auditService.iterate(req.query);
+        const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        res.attachment(filename);
+        res.type(format === 'json' ? 'application/json' : 'text/csv');
+
+        if (format === 'json') {
+            res.write('[');
+            let first = true;
+            for (const entry of entries) {
+                res.write(`${first ? '' : ','}\n${JSON.stringify(entry)}`);
+                first = false;
+            }
+            res.end('\n]\n');
+        } else {
+            res.write(`${CSV_COLUMNS.join(',')}\n`);
+            for (const entry of entries) {
+                res.write(`${CSV_COLUMNS.map(column => toCsvField(entry[column])).join(',')}\n`);
+            }
+            res.end();
+        }
+
+        logger.info(`Audit log exported as ${format} by ${req.user.username}`);
+
+    } catch (error) {
+        logger.error('Failed to export audit log:', error);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({
+            error: 'Failed to export audit log',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const { initializeDatabase, getDatabase } = require('../config/database');
+const { createApp, bearer } = require('../test/helpers');
+const auditLogRoutes = require('./auditLog');
+const teamRoutes = require('./teams');
+
+describe('audit log', () => {
+    let api;
+
+    beforeAll(async () => {
+        initializeDatabase();
+        api = createApp({ '/api/v1/audit-log': auditLogRoutes, '/api/v1/teams': teamRoutes });
+
+        const { body } = await api.post('/api/v1/teams')
+            .set('Authorization', bearer('qa_lead'))
+            .send({ name: 'Audit, "quoted" team' });
+        await api.put(`/api/v1/teams/${body.data.id}`)
+            .set('Authorization', bearer('admin'))
+            .send({ name: 'Audited team' });
+    });
+
+    const asAdmin = (request) => request.set('Authorization', bearer('admin'));
+
+    it('refuses to change or delete entries', () => {
+        const db = getDatabase();
+
+        expect(() => db.prepare("UPDATE audit_log SET actor_name = 'someone else'").run()).toThrow('audit_log is append-only');
+        expect(() => db.prepare('DELETE FROM audit_log').run()).toThrow('audit_log is append-only');
+        expect(db.prepare('SELECT COUNT(*) FROM audit_log').pluck().get()).toBe(2);
+    });
+
+    it('lists entries newest first with their actor and snapshots', async () => {
+        const res = await asAdmin(api.get('/api/v1/audit-log'));
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.entries.map(entry => [entry.action, entry.actorName])).toEqual([
+            ['team.update', 'admin'],
+            ['team.create', 'qa_lead']
+        ]);
+        const [update] = res.body.data.entries;
+        expect(update).toMatchObject({ actorType: 'user', targetType: 'team', before: { name: 'Audit, "quoted" team' }, after: { name: 'Audited team' } });
+        expect(res.body.data).toMatchObject({ actions: ['team.create', 'team.update'], targetTypes: ['team'] });
+    });
+
+    it('filters entries', async () => {
+        const res = await asAdmin(api.get('/api/v1/audit-log').query({ actor: 'qa_lead', action: 'team.create' }));
+
+        expect(res.body.data.pagination.total).toBe(1);
+        expect(res.body.data.entries[0].action).toBe('team.create');
+    });
+
+    it('exports CSV with quoted snapshots and JSON', async () => {
+        const csv = await asAdmin(api.get('/api/v1/audit-log/export').query({ action: 'team.create' }));
+        expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+        expect(csv.headers['content-disposition']).toMatch(/attachment; filename="audit-log-\d{4}-\d{2}-\d{2}\.csv"/);
+        const [header, row, ...rest] = csv.text.trim().split('\n');
+        expect(header).toBe('id,createdAt,actorType,actorId,actorName,action,targetType,targetId,before,after,ipAddress,requestId');
+        expect(row).toContain('"{""id"":');
+        expect(row).toContain('""name"":""Audit, \\""quoted\\"" team""');
+        expect(rest).toEqual([]);
+
+        const json = await asAdmin(api.get('/api/v1/audit-log/export').query({ format: 'json' }));
+        expect(JSON.parse(json.text).map(entry => entry.action)).toEqual(['team.update', 'team.create']);
+    });
+
+    it('is only readable with view_audit_log', async () => {
+        const res = await api.get('/api/v1/audit-log').set('Authorization', bearer('qa_lead'));
+
+        expect(res.status).toBe(403);
+    });
+});
@@ -1,9 +1,239 @@
 const express = require('express');
+const authService = require('../services/authService');
+const userRepository = require('../repositories/userRepository');
+const permissionService = require('../services/permissionService');
+const oidcService = require('../services/oidcService');
+const auditService = require('../services/auditService');
+const { authenticateToken } = require('../middleware/auth');
+const { authRateLimiter } = require('../middleware/rateLimiter');
+const { validateRegister, validateLogin, validateRefreshToken } = require('../middleware/validation');
+const { logger } = require('../utils/logger');
+
 const router = express.Router();
 
+// Self-registration can be turned off once the team's accounts exist
+const REGISTRATION_ENABLED = process.env.ALLOW_REGISTRATION !== 'false';
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Only follow redirects within the dashboard
+const safeRedirect = (next) => (typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/');
+
+// Send the browser back to the dashboard's login page with an error to show
+const redirectWithError = (res, message) => {
+    res.redirect(`${FRONTEND_URL}/login?${new URLSearchParams({ ssoError: message })}`);
+};
+
 // Simple health check for auth
 router.get('/health', (req, res) => {
     res.json({ status: 'Auth service is running' });
 });
 
+/**
+ * @route   POST /api/v1/auth/register
+ * @desc    Create an account (role qa_engineer) and log it in
+ * @access  Public
+ */
+router.post('/register', authRateLimiter, validateRegister, async (req, res) => {
+    try {
+        if (!REGISTRATION_ENABLED) {
+            return res.status(403).json({
+                error: 'Registration is disabled',
+                message: 'Ask an administrator to create your account'
+            });
+        }
+
+        const { username, email } = req.body;
+        if (userRepository.findByUsernameOrEmail(username, email)) {
+            return res.status(409).json({
+                error: 'Account already exists',
+                message: 'Username or email already exists'
+            });
+        }
+
+        const session = await authService.register(req.body);
+        auditService.record(req, { action: 'user.register', targetType: 'user', targetId: session.user.id, after: session.user });
+
+        res.status(201).json({
+            success: true,
+            data: session
+        });
+
+    } catch (error) {
+        logger.error('Failed to register:', error);
+        res.status(500).json({
+            error: 'Failed to register',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/auth/login
+ * @desc    Exchange a username (or email) and password for an access and refresh token
+ * @access  Public
+ */
+router.post('/login', authRateLimiter, validateLogin, async (req, res) => {
+    try {
+        const session = await authService.login(req.body.username, req.body.password);
+        if (!session) {
+            return res.status(401).json({
+                error: 'Invalid credentials',
+                message: 'Username or password is incorrect'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: session
+        });
+
+    } catch (error) {
+        logger.error('Failed to log in:', error);
+        res.status(500).json({
+            error: 'Failed to log in',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/auth/refresh
+ * @desc    Exchange a refresh token for new tokens; the old refresh token stops working
+ * @access  Public
+ */
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+    try {
+        const session = authService.refresh(req.body.refreshToken);
+        if (!session) {
+            return res.status(401).json({
+                error: 'Invalid refresh token',
+                message: 'Log in again'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: session
+        });
+
+    } catch (error) {
+        logger.error('Failed to refresh session:', error);
+        res.status(500).json({
+            error: 'Failed to refresh session',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/auth/logout
+ * @desc    Revoke a refresh token; the access token expires on its own
+ * @access  Public
+ */
+router.post('/logout', validateRefreshToken, async (req, res) => {
+    try {
+        authService.logout(req.body.refreshToken);
+
+        res.json({
+            success: true,
+            message: 'Logged out'
+        });
+
+    } catch (error) {
+        logger.error('Failed to log out:', error);
+        res.status(500).json({
+            error: 'Failed to log out',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/auth/oidc
+ * @desc    Whether single sign-on is configured, and the provider name for the login page
+ * @access  Public
+ */
+router.get('/oidc', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            enabled: oidcService.isEnabled(),
+            providerName: oidcService.providerName
+        }
+    });
+});
+
+/**
+ * @route   GET /api/v1/auth/oidc/login
+ * @desc    Redirect the browser to the identity provider (?next=/path opens that page afterwards)
+ * @access  Public
+ */
+router.get('/oidc/login', authRateLimiter, async (req, res) => {
+    if (!oidcService.isEnabled()) {
+        return res.status(404).json({
+            error: 'Single sign-on is not configured',
+            message: 'Set OIDC_ISSUER and OIDC_CLIENT_ID to enable it'
+        });
+    }
+
+    try {
+        res.redirect(await oidcService.createAuthorizationUrl(safeRedirect(req.query.next)));
+
+    } catch (error) {
+        logger.error('Failed to start OIDC login:', error);
+        redirectWithError(res, 'The identity provider is not reachable');
+    }
+});
+
+/**
+ * @route   GET /api/v1/auth/oidc/callback
+ * @desc    Finish a single sign-on login and hand the session to the dashboard. The refresh token
+ *          travels in the URL fragment, which is not sent to servers, and the dashboard exchanges
+ *          it right away, so it cannot be used again.
+ * @access  Public
+ */
+router.get('/oidc/callback', authRateLimiter, async (req, res) => {
+    if (req.query.error) {
+        logger.warn(`OIDC login refused by the provider: ${req.query.error} ${req.query.error_description || ''}`);
+        return redirectWithError(res, req.query.error_description || `The identity provider refused the login (${req.query.error})`);
+    }
+
+    try {
+        const { user, before, redirectTo } = await oidcService.completeLogin(req.query);
+
+        // Changes made by the login are the user's own
+        req.user = user;
+        if (!before) {
+            auditService.record(req, { action: 'user.sso_create', targetType: 'user', targetId: user.id, after: user });
+        } else if (before.role !== user.role) {
+            auditService.record(req, { action: 'user.sso_role_change', targetType: 'user', targetId: user.id, before, after: user });
+        }
+
+        const { refreshToken } = authService.issueRefreshToken(user.id);
+        res.redirect(`${FRONTEND_URL}/login#${new URLSearchParams({ sso: refreshToken, next: redirectTo || '/' })}`);
+
+    } catch (error) {
+        if (error.status) {
+            logger.warn(`OIDC login failed: ${error.message}`);
+            return redirectWithError(res, error.message);
+        }
+
+        logger.error('Failed to complete OIDC login:', error);
+        redirectWithError(res, 'Single sign-on failed; please try again');
+    }
+});
+
+/**
+ * @route   GET /api/v1/auth/me
+ * @desc    Get the user of the access token with the permissions of their role and project roles
+ * @access  Private
+ */
+router.get('/me', authenticateToken, (req, res) => {
+    res.json({
+        success: true,
+        data: { ...req.user, ...permissionService.describe(req.user) }
+    });
+});
+
 module.exports = router;
@@ -0,0 +1,73 @@
+const { initializeDatabase, getDatabase } = require('../config/database');
+const { createApp } = require('../test/helpers');
+const authRoutes = require('./auth');
+
+describe('auth sessions', () => {
+    let api;
+
+    beforeAll(() => {
+        initializeDatabase();
+        api = createApp({ '/api/v1/auth': authRoutes });
+    });
+
+    const login = async () => {
+        const res = await api.post('/api/v1/auth/login').send({ username: 'admin', password: 'admin-password' });
+        return res.body.data;
+    };
+    const refresh = (refreshToken) => api.post('/api/v1/auth/refresh').send({ refreshToken });
+
+    it('logs in with the admin password and rejects a wrong one', async () => {
+        const session = await login();
+        expect(session).toMatchObject({ tokenType: 'Bearer', user: { username: 'admin' } });
+        expect(session.refreshToken).toEqual(expect.any(String));
+
+        const wrong = await api.post('/api/v1/auth/login').send({ username: 'admin', password: 'nope' });
+        expect(wrong.status).toBe(401);
+    });
+
+    it('rotates the refresh token on every refresh', async () => {
+        const { refreshToken } = await login();
+
+        const first = await refresh(refreshToken);
+        expect(first.status).toBe(200);
+        expect(first.body.data.refreshToken).not.toBe(refreshToken);
+
+        const second = await refresh(first.body.data.refreshToken);
+        expect(second.status).toBe(200);
+    });
+
+    it('revokes every session of the user when a used token comes back', async () => {
+        const { refreshToken: other } = await login();
+        const { refreshToken } = await login();
+        const { body } = await refresh(refreshToken);
+
+        expect((await refresh(refreshToken)).status).toBe(401);
+        expect((await refresh(body.data.refreshToken)).status).toBe(401);
+        expect((await refresh(other)).status).toBe(401);
+    });
+
+    it('refuses logged-out, expired and unknown tokens', async () => {
+        const { refreshToken: loggedOut } = await login();
+        await api.post('/api/v1/auth/logout').send({ refreshToken: loggedOut });
+        expect((await refresh(loggedOut)).status).toBe(401);
+
+        const { refreshToken: expired } = await login();
+        getDatabase().prepare(`
+            UPDATE refresh_tokens SET expires_at = '2000-01-01T00:00:00.000Z' WHERE revoked_at IS NULL
+        `).run();
+        expect((await refresh(expired)).status).toBe(401);
+
+        expect((await refresh('not-a-real-token')).status).toBe(401);
+    });
+
+    it('does not treat logging out twice as token reuse', async () => {
+        const { refreshToken } = await login();
+        await api.post('/api/v1/auth/logout').send({ refreshToken });
+        await api.post('/api/v1/auth/logout').send({ refreshToken });
+        const { refreshToken: current } = await login();
+
+        await refresh(refreshToken);
+
+        expect((await refresh(current)).status).toBe(200);
+    });
+});
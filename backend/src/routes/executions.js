@@ -0,0 +1,206 @@
+const express = require('express');
+const executionService = require('../services/executionService');
+const auditService = require('../services/auditService');
+const {
+    validateExecutionStart,
+    validateExecutionResults,
+    validateExecutionFinish,
+    validateIngestQuery
+} = require('../middleware/validation');
+const { authenticateIngest, restrictToKeyProject, requireKeyProject } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Resolve :id (numeric ID or execution_id) into req.execution
+const loadExecution = (req, res, next) => {
+    try {
+        const execution = executionService.findExecution(req.params.id);
+        if (!execution) {
+            return res.status(404).json({ error: 'Execution not found' });
+        }
+
+        req.execution = execution;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Project API keys only start and write to executions of their own project
+const pinExecutionProject = [
+    restrictToKeyProject(req => [[req.body, 'project_id']]),
+    requireKeyProject(req => req.body.execution_id && executionService.findExecution(req.body.execution_id))
+];
+
+const pinResultsProject = restrictToKeyProject(req => req.body.results.map(result => [result, 'project_id']));
+
+const requireRunning = (req, res, next) => {
+    if (req.execution.status !== 'running') {
+        return res.status(409).json({
+            error: 'Execution is not running',
+            message: `Execution ${req.execution.execution_id} is already ${req.execution.status}`
+        });
+    }
+    next();
+};
+
+// Resolve :id into a running execution the caller may write to
+const writableExecution = [
+    authenticateIngest('ingest'),
+    loadExecution,
+    requireKeyProject(req => req.execution),
+    requireRunning
+];
+
+/**
+ * @route   POST /api/v1/executions
+ * @desc    Start a live execution; re-posting an open execution_id returns it unchanged
+ * @access  Project API key with the ingest scope, or access token
+ */
+router.post('/', authenticateIngest('ingest'), validateExecutionStart, pinExecutionProject, async (req, res) => {
+    try {
+        const { execution, created } = executionService.startExecution(req.body);
+        if (created) {
+            auditService.record(req, { action: 'execution.start', targetType: 'execution', targetId: execution.execution_id, after: execution });
+        }
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: created ? 'Execution started' : 'Execution already exists',
+            data: execution
+        });
+
+    } catch (error) {
+        logger.error('Failed to start execution:', error);
+        res.status(500).json({
+            error: 'Failed to start execution',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/executions
+ * @desc    List executions, newest first (filter with ?status=running for in-progress runs)
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+    try {
+        const data = executionService.listExecutions(req.query);
+
+        res.json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        logger.error('Failed to get executions:', error);
+        res.status(500).json({
+            error: 'Failed to get executions',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/executions/:id
+ * @desc    Get an execution with its live totals
+ * @access  Public
+ */
+router.get('/:id', loadExecution, (req, res) => {
+    res.json({
+        success: true,
+        data: req.execution
+    });
+});
+
+/**
+ * @route   GET /api/v1/executions/:id/results
+ * @desc    Get the test reports of an execution in reporting order
+ * @access  Public
+ */
+router.get('/:id/results', loadExecution, async (req, res) => {
+    try {
+        const data = executionService.getExecutionResults(req.execution.id, req.query);
+
+        res.json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        logger.error('Failed to get execution results:', error);
+        res.status(500).json({
+            error: 'Failed to get execution results',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/executions/:id/results
+ * @desc    Append a batch of results to a running execution
+ * @access  Project API key with the ingest scope, or access token
+ */
+router.post('/:id/results', writableExecution, validateIngestQuery, validateExecutionResults, pinResultsProject, async (req, res) => {
+    try {
+        const data = executionService.appendResults(req.execution, req.body.results, {
+            onDuplicate: req.query.onDuplicate
+        });
+        if (data.created + data.updated > 0) {
+            auditService.record(req, {
+                action: 'execution.add_results',
+                targetType: 'execution',
+                targetId: req.execution.execution_id,
+                after: { created: data.created, updated: data.updated, ignored: data.ignored }
+            });
+        }
+
+        res.status(data.created > 0 ? 201 : 200).json({
+            success: true,
+            message: `${data.created} results added, ${data.updated} updated, ${data.ignored} ignored`,
+            data
+        });
+
+    } catch (error) {
+        logger.error('Failed to append execution results:', error);
+        res.status(500).json({
+            error: 'Failed to append execution results',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/executions/:id/finish
+ * @desc    Finalize a running execution with computed totals and duration
+ * @access  Project API key with the ingest scope, or access token
+ */
+router.post('/:id/finish', writableExecution, validateExecutionFinish, async (req, res) => {
+    try {
+        const execution = executionService.finishExecution(req.execution, req.body);
+        auditService.record(req, {
+            action: 'execution.finish',
+            targetType: 'execution',
+            targetId: execution.execution_id,
+            before: req.execution,
+            after: execution
+        });
+
+        res.json({
+            success: true,
+            message: `Execution ${execution.status}`,
+            data: execution
+        });
+
+    } catch (error) {
+        logger.error('Failed to finish execution:', error);
+        res.status(500).json({
+            error: 'Failed to finish execution',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
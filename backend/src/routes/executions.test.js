@@ -0,0 +1,109 @@
+const { initializeDatabase, getDatabase } = require('../config/database');
+const executionService = require('../services/executionService');
+const { createApp, createApiKey } = require('../test/helpers');
+const executionRoutes = require('./executions');
+
+describe('execution lifecycle', () => {
+    let api;
+    let apiKey;
+
+    beforeAll(() => {
+        initializeDatabase();
+        api = createApp({ '/api/v1/executions': executionRoutes });
+        apiKey = createApiKey(1);
+    });
+
+    const post = (url, body) => api.post(`/api/v1/executions${url}`).set('X-API-Key', apiKey).send(body);
+
+    it('starts, fills and finishes a live execution', async () => {
+        const started = await post('', { execution_id: 'live-1', name: 'Nightly', project_id: 1, framework: 'Playwright' });
+        expect(started.status).toBe(201);
+        expect(started.body.data).toMatchObject({ execution_id: 'live-1', status: 'running', project_id: 1 });
+
+        const reopened = await post('', { execution_id: 'live-1' });
+        expect(reopened.status).toBe(200);
+        expect(reopened.body.data.id).toBe(started.body.data.id);
+
+        const appended = await post('/live-1/results', {
+            results: [
+                { test_name: 'opens home', status: 'passed', execution_time: 1.2 },
+                { test_name: 'searches', status: 'failed' }
+            ]
+        });
+        expect(appended.status).toBe(201);
+        expect(appended.body.data).toMatchObject({ created: 2, execution: { status: 'running', total_tests: 2, failed_tests: 1 } });
+
+        const results = await api.get('/api/v1/executions/live-1/results');
+        expect(results.body.data.results.map(result => [result.test_name, result.framework, result.project_id])).toEqual([
+            ['opens home', 'Playwright', 1],
+            ['searches', 'Playwright', 1]
+        ]);
+
+        const finished = await post('/live-1/finish', { status: 'failed' });
+        expect(finished.status).toBe(200);
+        expect(finished.body.data).toMatchObject({ status: 'failed', total_tests: 2, passed_tests: 1 });
+        expect(finished.body.data.end_time).toBeTruthy();
+    });
+
+    it('refuses results for an execution that is no longer running', async () => {
+        const res = await post('/live-1/results', { results: [{ test_name: 'late', status: 'passed' }] });
+
+        expect(res.status).toBe(409);
+        expect(res.body.message).toBe('Execution live-1 is already failed');
+    });
+
+    it('refuses keys made only of digits, which would hide the execution with that ID', async () => {
+        const { id } = executionService.findExecution('live-1');
+
+        const res = await post('', { execution_id: String(id) });
+        expect(res.status).toBe(400);
+
+        const found = await api.get(`/api/v1/executions/${id}`);
+        expect(found.body.data.execution_id).toBe('live-1');
+    });
+
+    it('answers 404 for unknown executions', async () => {
+        const res = await post('/missing/finish', {});
+
+        expect(res.status).toBe(404);
+    });
+
+    it('keeps project API keys out of other projects\' executions', async () => {
+        const other = createApiKey(2);
+        const res = await api.post('/api/v1/executions')
+            .set('X-API-Key', other)
+            .send({ execution_id: 'live-1' });
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('executionService.cancelAbandonedExecutions', () => {
+    const backdate = (id, minutes) => getDatabase()
+        .prepare('UPDATE test_executions SET updated_at = datetime(\'now\', ?) WHERE id = ?')
+        .run(`-${minutes} minutes`, id);
+
+    it('cancels running executions without activity for longer than the timeout', () => {
+        const { execution: stale } = executionService.startExecution({ execution_id: 'stale-1' });
+        const { execution: active } = executionService.startExecution({ execution_id: 'active-1' });
+        executionService.appendResults(stale, [{ test_name: 'one', status: 'passed' }]);
+        backdate(stale.id, 90);
+        backdate(active.id, 10);
+
+        expect(executionService.cancelAbandonedExecutions(60)).toBe(1);
+
+        const cancelled = executionService.findExecution('stale-1');
+        expect(cancelled).toMatchObject({ status: 'cancelled', total_tests: 1, metadata: { cancelReason: 'timeout' } });
+        expect(cancelled.end_time).toBeTruthy();
+        expect(executionService.findExecution('active-1').status).toBe('running');
+    });
+
+    it('leaves finished executions alone', () => {
+        const { execution } = executionService.startExecution({ execution_id: 'done-1' });
+        executionService.finishExecution(execution);
+        backdate(execution.id, 120);
+
+        expect(executionService.cancelAbandonedExecutions(60)).toBe(0);
+        expect(executionService.findExecution('done-1').status).toBe('completed');
+    });
+});
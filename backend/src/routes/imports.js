@@ -0,0 +1,134 @@
+const express = require('express');
+const ingestionService = require('../services/ingestionService');
+const auditService = require('../services/auditService');
+const { parseJUnitXml } = require('../parsers/junitParser');
+const { parsePlaywrightJson } = require('../parsers/playwrightParser');
+const { parseMochawesomeJson } = require('../parsers/mochawesomeParser');
+const { parseAllureArchive } = require('../parsers/allureParser');
+const { parseCucumberJson } = require('../parsers/cucumberParser');
+const { parseNewmanJson } = require('../parsers/newmanParser');
+const { validateImportQuery, validateIdempotencyKey, validateCiContext } = require('../middleware/validation');
+const { authenticateIngest, restrictToKeyProject, requireKeyProject } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const xmlBody = express.text({
+    type: ['application/xml', 'text/xml', 'text/plain'],
+    limit: '50mb'
+});
+
+const zipBody = express.raw({
+    type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+    limit: '200mb'
+});
+
+// Upload context shared by every format; a project API key may only create or extend
+// executions of its own project
+const importContext = [
+    validateIdempotencyKey,
+    validateCiContext,
+    validateImportQuery,
+    restrictToKeyProject(req => [[req.query, 'projectId']]),
+    requireKeyProject(req => ingestionService.findUploadTarget({ ...req.query, idempotencyKey: req.idempotencyKey }))
+];
+
+/**
+ * Build a route handler that parses a report file and stores it as one execution
+ * @param {string} label - Report format name used in messages
+ * @param {Function} parse - Parser turning the request body into an execution
+ * @returns {Function} Express route handler
+ */
+const createImportHandler = (label, parse) => async (req, res) => {
+    let parsed;
+    try {
+        parsed = parse(req.body, req);
+    } catch (error) {
+        logger.warn(`Rejected ${label} import: ${error.message}`);
+        return res.status(400).json({
+            error: `Invalid ${label} report`,
+            message: error.message
+        });
+    }
+
+    try {
+        const { execution, reportIds, created, updated, ignored } = ingestionService.ingestExecution(parsed, {
+            ...req.query,
+            idempotencyKey: req.idempotencyKey,
+            ci: req.ciContext
+        });
+
+        if (created + updated > 0) {
+            auditService.record(req, {
+                action: 'execution.import',
+                targetType: 'execution',
+                targetId: execution.execution_id,
+                after: { format: label, projectId: execution.project_id, created, updated, ignored }
+            });
+        }
+
+        // Nothing new means the whole report was a re-submission
+        res.status(created > 0 ? 201 : 200).json({
+            success: true,
+            message: `${label} report imported successfully`,
+            data: {
+                execution,
+                reportIds,
+                created,
+                updated,
+                ignored
+            }
+        });
+
+    } catch (error) {
+        logger.error(`Failed to import ${label} report:`, error);
+        res.status(500).json({
+            error: `Failed to import ${label} report`,
+            message: error.message
+        });
+    }
+};
+
+/**
+ * @route   POST /api/v1/test-reports/import/junit
+ * @desc    Import a JUnit XML report as a new test execution
+ * @access  Project API key with the ingest scope, or access token
+ */
+router.post('/junit', authenticateIngest('ingest'), xmlBody, importContext, createImportHandler('JUnit XML', parseJUnitXml));
+
+/**
+ * @route   POST /api/v1/test-reports/import/playwright
+ * @desc    Import `playwright test --reporter=json` output as a new test execution
+ * @access  Project API key with the ingest scope, or access token
+ */
+router.post('/playwright', authenticateIngest('ingest'), importContext, createImportHandler('Playwright JSON', parsePlaywrightJson));
+
+/**
+ * @route   POST /api/v1/test-reports/import/cypress
+ * @desc    Import a (merged) mochawesome JSON report from Cypress as a new test execution
+ * @access  Project API key with the ingest scope, or access token
+ */
+router.post('/cypress', authenticateIngest('ingest'), importContext, createImportHandler('Cypress mochawesome', parseMochawesomeJson));
+
+/**
+ * @route   POST /api/v1/test-reports/import/allure
+ * @desc    Import a zipped allure-results directory, including attachments, as a new test execution
+ * @access  Project API key with the ingest scope, or access token
+ */
+router.post('/allure', authenticateIngest('ingest'), zipBody, importContext, createImportHandler('Allure results', parseAllureArchive));
+
+/**
+ * @route   POST /api/v1/test-reports/import/cucumber
+ * @desc    Import a Cucumber JSON report (one test report per scenario) as a new test execution
+ * @access  Project API key with the ingest scope, or access token
+ */
+router.post('/cucumber', authenticateIngest('ingest'), importContext, createImportHandler('Cucumber JSON', parseCucumberJson));
+
+/**
+ * @route   POST /api/v1/test-reports/import/newman
+ * @desc    Import a Newman (Postman) JSON report, one test report per request, as a new test execution
+ * @access  Project API key with the ingest scope, or access token
+ */
+router.post('/newman', authenticateIngest('ingest'), importContext, createImportHandler('Newman JSON', parseNewmanJson));
+
+module.exports = router;
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { initializeDatabase, getDatabase } = require('../config/database');
+const { UPLOADS_DIR } = require('../config/uploads');
+const { createApp, createApiKey } = require('../test/helpers');
+const importRoutes = require('./imports');
+
+const JUNIT_XML = `<testsuite name="API" timestamp="2024-05-01T10:00:00Z">
+  <testcase name="health" classname="api" time="0.2"/>
+  <testcase name="orders" classname="api" time="0.5"><failure message="500"/></testcase>
+</testsuite>`;
+
+describe('POST /api/v1/test-reports/import/junit', () => {
+    let api;
+    let apiKey;
+
+    beforeAll(() => {
+        initializeDatabase();
+        api = createApp({ '/api/v1/test-reports/import': importRoutes });
+        apiKey = createApiKey(3);
+    });
+
+    const importJUnit = (query, xml = JUNIT_XML) => api.post('/api/v1/test-reports/import/junit')
+        .query(query)
+        .set('X-API-Key', apiKey)
+        .set('Content-Type', 'application/xml')
+        .send(xml);
+
+    it('stores the report as one execution in the key\'s project', async () => {
+        const res = await importJUnit({ executionId: 'junit-1', environment: 'staging', branch: 'main' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data).toMatchObject({ created: 2, updated: 0, ignored: 0 });
+        expect(res.body.data.execution).toMatchObject({
+            execution_id: 'junit-1',
+            name: 'API',
+            status: 'completed',
+            project_id: 3,
+            total_tests: 2,
+            passed_tests: 1,
+            failed_tests: 1
+        });
+
+        const rows = getDatabase()
+            .prepare('SELECT test_name, status, project_id, environment, branch FROM test_reports WHERE id IN (?, ?) ORDER BY id')
+            .all(...res.body.data.reportIds);
+        expect(rows).toEqual([
+            { test_name: 'health', status: 'passed', project_id: 3, environment: 'staging', branch: 'main' },
+            { test_name: 'orders', status: 'failed', project_id: 3, environment: 'staging', branch: 'main' }
+        ]);
+    });
+
+    it('answers 400 with the parser error for invalid XML', async () => {
+        const res = await importJUnit({}, '<testsuite><testcase>');
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Invalid JUnit XML report');
+        expect(res.body.message).toMatch(/Malformed XML/);
+    });
+
+    it('refuses an API key uploading to another project', async () => {
+        const res = await importJUnit({ projectId: 1 });
+
+        expect(res.status).toBe(403);
+    });
+
+    it('rejects execution IDs made only of dots', async () => {
+        const res = await importJUnit({ executionId: '..' });
+
+        expect(res.status).toBe(400);
+
+        const header = await api.post('/api/v1/test-reports/import/junit')
+            .set('X-API-Key', apiKey)
+            .set('Idempotency-Key', '.')
+            .set('Content-Type', 'application/xml')
+            .send(JUNIT_XML);
+        expect(header.status).toBe(400);
+    });
+});
+
+describe('POST /api/v1/test-reports/import/playwright', () => {
+    let api;
+    let apiKey;
+
+    beforeAll(() => {
+        api = createApp({ '/api/v1/test-reports/import': importRoutes });
+        apiKey = createApiKey(1);
+    });
+
+    const attempt = (status, retry) => ({ status, retry, duration: 100, startTime: '2024-05-01T10:00:00.000Z' });
+    const report = {
+        suites: [{
+            title: 'login.spec.ts',
+            file: 'login.spec.ts',
+            specs: [
+                { id: 'l-1', title: 'logs in', tests: [{ projectName: 'chromium', results: [attempt('failed', 0), attempt('passed', 1)] }] },
+                { id: 'l-2', title: 'logs out', tests: [{ projectName: 'chromium', results: [attempt('passed', 0)] }] }
+            ]
+        }]
+    };
+
+    it('stores every attempt but counts only the last one per test', async () => {
+        const res = await api.post('/api/v1/test-reports/import/playwright')
+            .set('X-API-Key', apiKey)
+            .send(report);
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.created).toBe(3);
+        expect(res.body.data.execution).toMatchObject({ total_tests: 2, passed_tests: 2, failed_tests: 0, project_id: 1 });
+    });
+});
+
+describe('POST /api/v1/test-reports/import/allure', () => {
+    let api;
+    let apiKey;
+
+    beforeAll(() => {
+        api = createApp({ '/api/v1/test-reports/import': importRoutes });
+        apiKey = createApiKey(1);
+    });
+
+    const archive = () => {
+        const zip = new AdmZip();
+        zip.addFile('r1-result.json', Buffer.from(JSON.stringify({
+            uuid: 'r1',
+            historyId: 'h-search',
+            name: 'search',
+            status: 'failed',
+            attachments: [{ name: 'page', source: 's1-attachment.png', type: 'image/png' }]
+        })));
+        zip.addFile('s1-attachment.png', Buffer.from('screenshot bytes'));
+        return zip.toBuffer();
+    };
+
+    it('stores attachments and links them from the report', async () => {
+        const res = await api.post('/api/v1/test-reports/import/allure')
+            .query({ executionId: 'allure-1' })
+            .set('X-API-Key', apiKey)
+            .set('Content-Type', 'application/zip')
+            .send(archive());
+
+        expect(res.status).toBe(201);
+        const { screenshot_url: url, metadata } = getDatabase()
+            .prepare('SELECT screenshot_url, metadata FROM test_reports WHERE id = ?')
+            .get(res.body.data.reportIds[0]);
+        expect(JSON.parse(metadata).attachments[0].url).toBe(url);
+        expect(url).toMatch(/^\/uploads\/executions\/\d+\/s1-attachment\.png$/);
+        expect(fs.readFileSync(path.join(UPLOADS_DIR, url.replace('/uploads/', ''))).toString()).toBe('screenshot bytes');
+    });
+
+    it('stores attachments that browsers would render as downloads', async () => {
+        const zip = new AdmZip();
+        zip.addFile('r2-result.json', Buffer.from(JSON.stringify({
+            uuid: 'r2',
+            historyId: 'h-report',
+            name: 'report',
+            status: 'passed',
+            attachments: [
+                { name: 'page', source: 'x-attachment.html', type: 'text/html' },
+                { name: 'chart', source: 'y-attachment.svg', type: 'image/svg+xml' }
+            ]
+        })));
+        zip.addFile('x-attachment.html', Buffer.from('<script>alert(1)</script>'));
+        zip.addFile('y-attachment.svg', Buffer.from('<svg><script>alert(1)</script></svg>'));
+
+        const res = await api.post('/api/v1/test-reports/import/allure')
+            .query({ executionId: 'allure-2' })
+            .set('X-API-Key', apiKey)
+            .set('Content-Type', 'application/zip')
+            .send(zip.toBuffer());
+
+        const { metadata } = getDatabase().prepare('SELECT metadata FROM test_reports WHERE id = ?').get(res.body.data.reportIds[0]);
+        const urls = JSON.parse(metadata).attachments.map(attachment => attachment.url);
+        expect(urls).toEqual([
+            expect.stringMatching(/\/x-attachment\.html\.bin$/),
+            expect.stringMatching(/\/y-attachment\.svg\.bin$/)
+        ]);
+        const directory = path.join(UPLOADS_DIR, path.dirname(urls[0].replace('/uploads/', '')));
+        expect(fs.readdirSync(directory).sort()).toEqual(['x-attachment.html.bin', 'y-attachment.svg.bin']);
+    });
+});
+
+describe('POST /api/v1/test-reports/import/cucumber', () => {
+    let api;
+    let apiKey;
+
+    beforeAll(() => {
+        api = createApp({ '/api/v1/test-reports/import': importRoutes });
+        apiKey = createApiKey(1);
+    });
+
+    const feature = (line, screenshot) => [{
+        uri: 'features/cart.feature',
+        name: 'Cart',
+        elements: [{
+            type: 'scenario',
+            keyword: 'Scenario',
+            name: `scenario at line ${line}`,
+            line,
+            steps: [{
+                keyword: 'Then ',
+                name: 'the cart is shown',
+                result: { status: 'failed', duration: 1000000 },
+                embeddings: [{ mime_type: 'image/png', data: Buffer.from(screenshot).toString('base64') }]
+            }]
+        }]
+    }];
+
+    const importCucumber = (features, query = {}) => api.post('/api/v1/test-reports/import/cucumber')
+        .query({ executionId: 'cucumber-1', ...query })
+        .set('X-API-Key', apiKey)
+        .send(features);
+
+    const storedScreenshot = (reportId) => {
+        const { screenshot_url: url } = getDatabase()
+            .prepare('SELECT screenshot_url FROM test_reports WHERE id = ?')
+            .get(reportId);
+        return path.join(UPLOADS_DIR, url.replace('/uploads/', ''));
+    };
+
+    it('keeps the attachments of earlier uploads to the same execution', async () => {
+        const first = await importCucumber(feature(3, 'first screenshot'));
+        const second = await importCucumber(feature(8, 'second screenshot'));
+
+        expect(second.body.data.created).toBe(1);
+        expect(fs.readFileSync(storedScreenshot(first.body.data.reportIds[0])).toString()).toBe('first screenshot');
+        expect(fs.readFileSync(storedScreenshot(second.body.data.reportIds[0])).toString()).toBe('second screenshot');
+    });
+
+    it('writes nothing for ignored duplicates and replaces attachments on update', async () => {
+        const directory = path.dirname(storedScreenshot((await importCucumber(feature(3, 'first screenshot'))).body.data.reportIds[0]));
+        const before = fs.readdirSync(directory).sort();
+
+        const ignored = await importCucumber(feature(3, 'retaken screenshot'));
+        expect(ignored.body.data).toMatchObject({ created: 0, ignored: 1 });
+        expect(fs.readdirSync(directory).sort()).toEqual(before);
+
+        const updated = await importCucumber(feature(3, 'retaken screenshot'), { onDuplicate: 'update' });
+        expect(updated.body.data).toMatchObject({ updated: 1 });
+        expect(fs.readFileSync(storedScreenshot(updated.body.data.reportIds[0])).toString()).toBe('retaken screenshot');
+    });
+});
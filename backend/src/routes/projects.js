@@ -1,42 +1,45 @@
 const express = require('express');
-const TestReport = require('../models/TestReport');
+const analyticsService = require('../services/analyticsService');
+const projectRepository = require('../repositories/projectRepository');
+const apiKeyService = require('../services/apiKeyService');
+const userRepository = require('../repositories/userRepository');
+const auditService = require('../services/auditService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+    validateAnalyticsQuery,
+    validateProjectTrendsQuery,
+    validateApiKey,
+    validateProjectRole
+} = require('../middleware/validation');
+const { PERMISSIONS } = require('../config/permissions');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
+// Project settings: the user's role on this project applies
+const manageProject = requirePermission(PERMISSIONS.MANAGE_PROJECTS, req => req.params.projectId);
+
+// Resolve :projectId into req.project
+const loadProject = (req, res, next) => {
+    try {
+        const project = projectRepository.findById(req.params.projectId);
+        if (!project) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        req.project = project;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
 // Get all projects
 router.get('/', async (req, res) => {
     try {
-        const projects = await TestReport.aggregate([
-            {
-                $group: {
-                    _id: '$projectId',
-                    projectName: { $first: '$projectName' },
-                    totalExecutions: { $sum: 1 },
-                    lastExecution: { $max: '$createdAt' },
-                    averagePassPercentage: { $avg: '$passPercentage' },
-                    totalTests: { $sum: '$totalTests' },
-                    totalDuration: { $sum: '$totalDuration' }
-                }
-            },
-            {
-                $project: {
-                    projectId: '$_id',
-                    projectName: 1,
-                    totalExecutions: 1,
-                    lastExecution: 1,
-                    averagePassPercentage: { $round: ['$averagePassPercentage', 2] },
-                    totalTests: 1,
-                    totalDuration: 1,
-                    averageDuration: { $round: [{ $divide: ['$totalDuration', '$totalExecutions'] }, 2] }
-                }
-            },
-            { $sort: { lastExecution: -1 } }
-        ]);
-
         res.json({
             success: true,
-            data: projects
+            data: analyticsService.listProjects()
         });
 
     } catch (error) {
@@ -49,90 +52,11 @@ router.get('/', async (req, res) => {
 });
 
 // Get project details
-router.get('/:projectId', async (req, res) => {
+router.get('/:projectId', loadProject, validateAnalyticsQuery, async (req, res) => {
     try {
-        const { projectId } = req.params;
-        const { days = 30 } = req.query;
-
-        // Date filter
-        const daysAgo = new Date();
-        daysAgo.setDate(daysAgo.getDate() - parseInt(days));
-
-        const projectDetails = await TestReport.aggregate([
-            { $match: { projectId, createdAt: { $gte: daysAgo } } },
-            {
-                $group: {
-                    _id: null,
-                    projectId: { $first: '$projectId' },
-                    projectName: { $first: '$projectName' },
-                    totalExecutions: { $sum: 1 },
-                    totalTests: { $sum: '$totalTests' },
-                    totalPassed: { $sum: '$passedTests' },
-                    totalFailed: { $sum: '$failedTests' },
-                    totalSkipped: { $sum: '$skippedTests' },
-                    totalDuration: { $sum: '$totalDuration' },
-                    averagePassPercentage: { $avg: '$passPercentage' },
-                    averageDuration: { $avg: '$totalDuration' },
-                    lastExecution: { $max: '$createdAt' },
-                    firstExecution: { $min: '$createdAt' }
-                }
-            }
-        ]);
-
-        if (projectDetails.length === 0) {
-            return res.status(404).json({ error: 'Project not found' });
-        }
-
-        // Get recent executions
-        const recentExecutions = await TestReport.find({ projectId })
-            .sort({ createdAt: -1 })
-            .limit(10)
-            .select('executionId createdAt totalTests passedTests failedTests totalDuration passPercentage')
-            .lean();
-
-        // Get branch statistics
-        const branchStats = await TestReport.aggregate([
-            { $match: { projectId, createdAt: { $gte: daysAgo } } },
-            {
-                $group: {
-                    _id: '$branch',
-                    executions: { $sum: 1 },
-                    averagePassPercentage: { $avg: '$passPercentage' },
-                    totalTests: { $sum: '$totalTests' }
-                }
-            },
-            { $sort: { executions: -1 } }
-        ]);
-
-        // Get environment statistics
-        const environmentStats = await TestReport.aggregate([
-            { $match: { projectId, createdAt: { $gte: daysAgo } } },
-            {
-                $group: {
-                    _id: '$environment',
-                    executions: { $sum: 1 },
-                    averagePassPercentage: { $avg: '$passPercentage' },
-                    totalTests: { $sum: '$totalTests' }
-                }
-            },
-            { $sort: { executions: -1 } }
-        ]);
-
-        const projectData = {
-            ...projectDetails[0],
-            recentExecutions,
-            branchStats,
-            environmentStats,
-            timeRange: {
-                days: parseInt(days),
-                startDate: daysAgo.toISOString(),
-                endDate: new Date().toISOString()
-            }
-        };
-
         res.json({
             success: true,
-            data: projectData
+            data: analyticsService.getProjectDetails(req.project, req.query.days)
         });
 
     } catch (error) {
@@ -145,48 +69,13 @@ router.get('/:projectId', async (req, res) => {
 });
 
 // Get project trends
-router.get('/:projectId/trends', async (req, res) => {
+router.get('/:projectId/trends', loadProject, validateProjectTrendsQuery, async (req, res) => {
     try {
-        const { projectId } = req.params;
-        const { days = 30, interval = 'day' } = req.query;
-
-        // Date filter
-        const daysAgo = new Date();
-        daysAgo.setDate(daysAgo.getDate() - parseInt(days));
-
-        let dateFormat;
-        if (interval === 'hour') {
-            dateFormat = '%Y-%m-%d-%H';
-        } else if (interval === 'day') {
-            dateFormat = '%Y-%m-%d';
-        } else if (interval === 'week') {
-            dateFormat = '%Y-%U';
-        } else if (interval === 'month') {
-            dateFormat = '%Y-%m';
-        }
-
-        const trends = await TestReport.aggregate([
-            { $match: { projectId, createdAt: { $gte: daysAgo } } },
-            {
-                $group: {
-                    _id: {
-                        date: { $dateToString: { format: dateFormat, date: '$createdAt' } }
-                    },
-                    executions: { $sum: 1 },
-                    tests: { $sum: '$totalTests' },
-                    passed: { $sum: '$passedTests' },
-                    failed: { $sum: '$failedTests' },
-                    skipped: { $sum: '$skippedTests' },
-                    passPercentage: { $avg: '$passPercentage' },
-                    duration: { $avg: '$totalDuration' }
-                }
-            },
-            { $sort: { '_id.date': 1 } }
-        ]);
+        const { days, interval } = req.query;
 
         res.json({
             success: true,
-            data: trends
+            data: analyticsService.getProjectTrends(req.project, { days, interval })
         });
 
     } catch (error) {
@@ -198,4 +87,178 @@ router.get('/:projectId/trends', async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/v1/projects/:projectId/api-keys
+ * @desc    List the API keys of a project, including revoked and expired ones
+ * @access  Private
+ */
+router.get('/:projectId/api-keys', authenticateToken, loadProject, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: apiKeyService.list(req.project.projectId)
+        });
+
+    } catch (error) {
+        logger.error('Failed to list API keys:', error);
+        res.status(500).json({
+            error: 'Failed to list API keys',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/projects/:projectId/api-keys
+ * @desc    Create an API key for CI uploads to a project; the key is only returned once
+ * @access  Private (manage_projects)
+ */
+router.post('/:projectId/api-keys', manageProject, loadProject, validateApiKey, async (req, res) => {
+    try {
+        const apiKey = apiKeyService.create(req.project.projectId, req.body, req.user);
+
+        // The plain key must never be stored outside the response
+        const { key, ...snapshot } = apiKey;
+        auditService.record(req, { action: 'api_key.create', targetType: 'api_key', targetId: apiKey.id, after: snapshot });
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created; store it now, it cannot be shown again',
+            data: apiKey
+        });
+
+    } catch (error) {
+        logger.error('Failed to create API key:', error);
+        res.status(500).json({
+            error: 'Failed to create API key',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/projects/:projectId/api-keys/:keyId
+ * @desc    Revoke an API key; it stays listed with its revocation time
+ * @access  Private (manage_projects)
+ */
+router.delete('/:projectId/api-keys/:keyId', manageProject, loadProject, async (req, res) => {
+    try {
+        const { projectId } = req.project;
+        const apiKey = apiKeyService.findById(projectId, req.params.keyId);
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        const revoked = apiKeyService.revoke(projectId, apiKey.id);
+        const after = apiKeyService.findById(projectId, apiKey.id);
+        if (revoked) {
+            auditService.record(req, { action: 'api_key.revoke', targetType: 'api_key', targetId: apiKey.id, before: apiKey, after });
+            logger.info(`API key ${apiKey.id} of project ${projectId} revoked by ${req.user.username}`);
+        }
+
+        res.json({
+            success: true,
+            message: 'API key revoked',
+            data: after
+        });
+
+    } catch (error) {
+        logger.error('Failed to revoke API key:', error);
+        res.status(500).json({
+            error: 'Failed to revoke API key',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/projects/:projectId/roles
+ * @desc    List the users whose role on this project differs from their own role
+ * @access  Private
+ */
+router.get('/:projectId/roles', authenticateToken, loadProject, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: projectRepository.listRoles(req.project.projectId)
+        });
+
+    } catch (error) {
+        logger.error('Failed to list project roles:', error);
+        res.status(500).json({
+            error: 'Failed to list project roles',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/projects/:projectId/roles/:userId
+ * @desc    Give a user a role on this project, overriding their own role here
+ * @access  Private (manage_projects)
+ */
+router.put('/:projectId/roles/:userId', manageProject, loadProject, validateProjectRole, async (req, res) => {
+    try {
+        const user = userRepository.findById(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { projectId } = req.project;
+        const before = projectRepository.getRolesForUser(user.id).get(projectId) || null;
+        projectRepository.setRole(projectId, user.id, req.body.role);
+        auditService.record(req, {
+            action: 'project.set_role',
+            targetType: 'project',
+            targetId: projectId,
+            before: before && { userId: user.id, role: before },
+            after: { userId: user.id, role: req.body.role }
+        });
+
+        logger.info(`${user.username} is now ${req.body.role} on project ${projectId}`);
+        res.json({
+            success: true,
+            message: 'Project role saved',
+            data: projectRepository.listRoles(projectId)
+        });
+
+    } catch (error) {
+        logger.error('Failed to save project role:', error);
+        res.status(500).json({
+            error: 'Failed to save project role',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/projects/:projectId/roles/:userId
+ * @desc    Remove a user's project role; their own role applies again
+ * @access  Private (manage_projects)
+ */
+router.delete('/:projectId/roles/:userId', manageProject, loadProject, async (req, res) => {
+    try {
+        const { projectId } = req.project;
+        const { userId } = req.params;
+        const role = projectRepository.getRolesForUser(userId).get(projectId);
+        if (!projectRepository.removeRole(projectId, userId)) {
+            return res.status(404).json({ error: 'Project role not found' });
+        }
+        auditService.record(req, { action: 'project.remove_role', targetType: 'project', targetId: projectId, before: { userId: parseInt(userId), role } });
+
+        res.json({
+            success: true,
+            message: 'Project role removed',
+            data: projectRepository.listRoles(projectId)
+        });
+
+    } catch (error) {
+        logger.error('Failed to remove project role:', error);
+        res.status(500).json({
+            error: 'Failed to remove project role',
+            message: error.message
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,165 @@
+const { initializeDatabase, getDatabase } = require('../config/database');
+const testReportService = require('../services/testReportService');
+const userRepository = require('../repositories/userRepository');
+const { createApp, bearer, createApiKey } = require('../test/helpers');
+const executionRoutes = require('./executions');
+const projectRoutes = require('./projects');
+const testReportsRoutes = require('./testReports');
+
+describe('project API keys', () => {
+    let api;
+    let executions = 0;
+
+    beforeAll(() => {
+        initializeDatabase();
+        api = createApp({ '/api/v1/executions': executionRoutes, '/api/v1/projects': projectRoutes });
+    });
+
+    const startExecution = (key, body = { execution_id: `keys-${++executions}` }) => {
+        const request = api.post('/api/v1/executions');
+        return (key ? request.set('X-API-Key', key) : request).send(body);
+    };
+
+    it('returns the key once and lists it by prefix only', async () => {
+        const res = await api.post('/api/v1/projects/2/api-keys')
+            .set('Authorization', bearer('admin'))
+            .send({ name: 'Nightly', scopes: ['ingest'] });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.key).toMatch(/^tdk_/);
+        expect(res.body.data.keyPrefix).toBe(res.body.data.key.slice(0, 12));
+
+        const listed = await api.get('/api/v1/projects/2/api-keys').set('Authorization', bearer('admin'));
+        const stored = listed.body.data.find(apiKey => apiKey.id === res.body.data.id);
+        expect(stored).toMatchObject({ name: 'Nightly', scopes: ['ingest'], createdBy: 1 });
+        expect(stored.key).toBeUndefined();
+    });
+
+    it('requires manage_projects to create keys', async () => {
+        const res = await api.post('/api/v1/projects/2/api-keys')
+            .set('Authorization', bearer('qa_engineer1'))
+            .send({ name: 'Sneaky' });
+
+        expect(res.status).toBe(403);
+    });
+
+    it('refuses uploads without credentials', async () => {
+        const res = await startExecution(null);
+
+        expect(res.status).toBe(401);
+    });
+
+    it('fills in and pins uploads to the key\'s project', async () => {
+        const key = createApiKey(2);
+
+        const pinned = await startExecution(key, { execution_id: 'keys-pinned' });
+        expect(pinned.status).toBe(201);
+        expect(pinned.body.data.project_id).toBe(2);
+
+        const elsewhere = await startExecution(key, { execution_id: 'keys-elsewhere', project_id: 1 });
+        expect(elsewhere.status).toBe(403);
+        expect(elsewhere.body.message).toBe('This API key can only upload to project 2');
+    });
+
+    it('refuses keys without the route\'s scope', async () => {
+        const res = await startExecution(createApiKey(1, ['artifacts']));
+
+        expect(res.status).toBe(403);
+        expect(res.body.error).toBe('Insufficient scope');
+    });
+
+    it('stops accepting revoked and expired keys', async () => {
+        const created = await api.post('/api/v1/projects/1/api-keys')
+            .set('Authorization', bearer('admin'))
+            .send({ name: 'Temporary' });
+        const { id, key } = created.body.data;
+        expect((await startExecution(key)).status).toBe(201);
+
+        const revoked = await api.delete(`/api/v1/projects/1/api-keys/${id}`).set('Authorization', bearer('admin'));
+        expect(revoked.body.data.revokedAt).toBeTruthy();
+        expect((await startExecution(key)).status).toBe(401);
+
+        const expiring = createApiKey(1);
+        getDatabase().prepare(`
+            UPDATE api_keys SET expires_at = '2000-01-01T00:00:00.000Z' WHERE revoked_at IS NULL
+        `).run();
+        expect((await startExecution(expiring)).status).toBe(401);
+    });
+});
+
+describe('project roles', () => {
+    let api;
+    let engineer;
+    let lead;
+
+    beforeAll(() => {
+        initializeDatabase();
+        api = createApp({ '/api/v1/projects': projectRoutes, '/api/v1/test-reports': testReportsRoutes });
+        engineer = userRepository.findByUsername('qa_engineer1');
+        lead = userRepository.findByUsername('qa_lead');
+    });
+
+    const setRole = (projectId, userId, role) => api.put(`/api/v1/projects/${projectId}/roles/${userId}`)
+        .set('Authorization', bearer('admin'))
+        .send({ role });
+    const storeReport = (projectId) => testReportService.createTestReport({ test_name: 'roles', status: 'failed', project_id: projectId });
+    const edit = (username, testReport) => api.put(`/api/v1/test-reports/${testReport.id}`)
+        .set('Authorization', bearer(username))
+        .send({ status: 'skipped' });
+    const remove = (username, testReport) => api.delete(`/api/v1/test-reports/${testReport.id}`)
+        .set('Authorization', bearer(username));
+
+    it('lets a project role grant results permissions on that project only', async () => {
+        expect((await edit('qa_engineer1', storeReport(2))).status).toBe(403);
+
+        expect((await setRole(2, engineer.id, 'qa_lead')).status).toBe(200);
+
+        const edited = await edit('qa_engineer1', storeReport(2));
+        expect(edited.status).toBe(200);
+        expect(edited.body.data.status).toBe('skipped');
+        expect((await remove('qa_engineer1', storeReport(2))).status).toBe(200);
+        expect((await edit('qa_engineer1', storeReport(1))).status).toBe(403);
+        expect((await remove('qa_engineer1', storeReport(1))).status).toBe(403);
+    });
+
+    it('lets a project role take results permissions away on that project', async () => {
+        await setRole(3, lead.id, 'qa_engineer');
+
+        expect((await edit('qa_lead', storeReport(3))).status).toBe(403);
+        expect((await remove('qa_lead', storeReport(3))).status).toBe(403);
+        expect((await edit('qa_lead', storeReport(1))).status).toBe(200);
+    });
+
+    it('applies the user\'s own role again once the project role is removed', async () => {
+        const removed = await api.delete(`/api/v1/projects/2/roles/${engineer.id}`).set('Authorization', bearer('admin'));
+        expect(removed.status).toBe(200);
+
+        expect((await edit('qa_engineer1', storeReport(2))).status).toBe(403);
+        expect((await api.delete(`/api/v1/projects/2/roles/${engineer.id}`).set('Authorization', bearer('admin'))).status).toBe(404);
+    });
+
+    it('keeps project roles from granting project management elsewhere', async () => {
+        await setRole(2, engineer.id, 'qa_lead');
+
+        const here = await api.put(`/api/v1/projects/2/roles/${lead.id}`)
+            .set('Authorization', bearer('qa_engineer1'))
+            .send({ role: 'qa_lead' });
+        const elsewhere = await api.put(`/api/v1/projects/1/roles/${lead.id}`)
+            .set('Authorization', bearer('qa_engineer1'))
+            .send({ role: 'qa_lead' });
+
+        expect(here.status).toBe(200);
+        expect(elsewhere.status).toBe(403);
+    });
+
+    it('keeps project roles from moving results to another project', async () => {
+        const testReport = storeReport(2);
+
+        const moved = await api.put(`/api/v1/test-reports/${testReport.id}`)
+            .set('Authorization', bearer('qa_engineer1'))
+            .send({ project_id: 1 });
+
+        expect(moved.status).toBe(400);
+        expect(testReportService.getTestReportById(testReport.id).project_id).toBe(2);
+    });
+});
@@ -0,0 +1,163 @@
+const express = require('express');
+const quarantineService = require('../services/quarantineService');
+const auditService = require('../services/auditService');
+const {
+    validateQuarantine,
+    validateQuarantineUpdate,
+    validateQuarantineQuery
+} = require('../middleware/validation');
+const { authenticateIngest, restrictToKeyProject, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Resolve :id into req.quarantine
+const loadQuarantine = (req, res, next) => {
+    try {
+        const quarantine = quarantineService.findById(req.params.id);
+        if (!quarantine) {
+            return res.status(404).json({ error: 'Quarantine not found' });
+        }
+
+        req.quarantine = quarantine;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Quarantining a test changes how its project's results count
+const manageQuarantine = requirePermission(PERMISSIONS.MANAGE_PROJECTS, req => req.quarantine.projectId);
+
+/**
+ * @route   GET /api/v1/quarantine
+ * @desc    List quarantined tests, so reporters can skip or tag them; active ones unless includeReleased
+ * @access  Project API key with the ingest scope, or access token
+ */
+router.get('/', validateQuarantineQuery, authenticateIngest('ingest'), restrictToKeyProject(req => [[req.query, 'projectId']]), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: quarantineService.list(req.query)
+        });
+
+    } catch (error) {
+        logger.error('Failed to list quarantined tests:', error);
+        res.status(500).json({
+            error: 'Failed to list quarantined tests',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/quarantine
+ * @desc    Quarantine a test with an owner, reason, optional ticket and expiry
+ * @access  Private (manage_projects)
+ */
+router.post('/', requirePermission(PERMISSIONS.MANAGE_PROJECTS, req => req.body.projectId), validateQuarantine, async (req, res) => {
+    try {
+        const quarantine = quarantineService.create(req.body, req.user);
+        auditService.record(req, { action: 'quarantine.create', targetType: 'quarantine', targetId: quarantine.id, after: quarantine });
+
+        res.status(201).json({
+            success: true,
+            message: 'Test quarantined',
+            data: quarantine
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                error: 'Failed to quarantine test',
+                message: error.message
+            });
+        }
+
+        logger.error('Failed to quarantine test:', error);
+        res.status(500).json({
+            error: 'Failed to quarantine test',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/quarantine/:id
+ * @desc    Change the owner, reason, ticket or expiry of a quarantine
+ * @access  Private (manage_projects)
+ */
+router.put('/:id', loadQuarantine, manageQuarantine, validateQuarantineUpdate, async (req, res) => {
+    try {
+        const quarantine = quarantineService.update(req.quarantine.id, req.body);
+        auditService.record(req, {
+            action: 'quarantine.update',
+            targetType: 'quarantine',
+            targetId: quarantine.id,
+            before: req.quarantine,
+            after: quarantine
+        });
+
+        res.json({
+            success: true,
+            message: 'Quarantine updated',
+            data: quarantine
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                error: 'Failed to update quarantine',
+                message: error.message
+            });
+        }
+
+        logger.error('Failed to update quarantine:', error);
+        res.status(500).json({
+            error: 'Failed to update quarantine',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/quarantine/:id
+ * @desc    Release a quarantined test; its later failures count again
+ * @access  Private (manage_projects)
+ */
+router.delete('/:id', loadQuarantine, manageQuarantine, async (req, res) => {
+    try {
+        if (!req.quarantine.active) {
+            return res.status(409).json({
+                error: 'Quarantine not active',
+                message: `Quarantine ${req.quarantine.id} was already released or has expired`
+            });
+        }
+
+        const quarantine = quarantineService.release(req.quarantine.id, { reason: 'manual', releasedBy: req.user });
+        auditService.record(req, {
+            action: 'quarantine.release',
+            targetType: 'quarantine',
+            targetId: quarantine.id,
+            before: req.quarantine,
+            after: quarantine
+        });
+
+        logger.info(`Released quarantine of ${quarantine.testKey || quarantine.testName}`);
+        res.json({
+            success: true,
+            message: 'Quarantine released',
+            data: quarantine
+        });
+
+    } catch (error) {
+        logger.error('Failed to release quarantine:', error);
+        res.status(500).json({
+            error: 'Failed to release quarantine',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
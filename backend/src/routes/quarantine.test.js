@@ -0,0 +1,56 @@
+const { initializeDatabase } = require('../config/database');
+const userRepository = require('../repositories/userRepository');
+const { createApp, bearer, createApiKey } = require('../test/helpers');
+const quarantineRoutes = require('./quarantine');
+
+describe('quarantine routes', () => {
+    let api;
+    let owner;
+
+    beforeAll(() => {
+        initializeDatabase();
+        api = createApp({ '/api/v1/quarantine': quarantineRoutes });
+        owner = userRepository.findByUsername('qa_engineer1');
+    });
+
+    const create = (username, body) => api.post('/api/v1/quarantine')
+        .set('Authorization', bearer(username))
+        .send({ projectId: 1, testSuite: 'Checkout', ownerId: owner.id, reason: 'Flaky on CI', ...body });
+
+    it('quarantines tests with manage_projects on their project', async () => {
+        const res = await create('qa_lead', { testName: 'pays by card', ticket: 'QA-12' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data).toMatchObject({
+            testKey: null,
+            testSuite: 'Checkout',
+            owner: { username: 'qa_engineer1' },
+            ticket: 'QA-12',
+            active: true
+        });
+        expect((await create('qa_engineer1', { testName: 'applies coupon' })).status).toBe(403);
+        expect((await create('qa_lead', { testName: 'applies coupon', ownerId: 999 })).status).toBe(400);
+    });
+
+    it('lists the quarantines of an API key\'s project to CI', async () => {
+        await create('admin', { projectId: 2, testName: 'opens app' });
+
+        const res = await api.get('/api/v1/quarantine').set('X-API-Key', createApiKey(2));
+
+        expect(res.body.data.map(quarantine => quarantine.testName)).toEqual(['opens app']);
+    });
+
+    it('releases a quarantine once', async () => {
+        const { body } = await api.get('/api/v1/quarantine').query({ projectId: 1 }).set('Authorization', bearer('qa_lead'));
+        const [{ id }] = body.data;
+
+        const released = await api.delete(`/api/v1/quarantine/${id}`).set('Authorization', bearer('qa_lead'));
+        expect(released.body.data).toMatchObject({ active: false, releaseReason: 'manual', releasedBy: userRepository.findByUsername('qa_lead').id });
+
+        const again = await api.delete(`/api/v1/quarantine/${id}`).set('Authorization', bearer('qa_lead'));
+        expect(again.status).toBe(409);
+
+        const listed = await api.get('/api/v1/quarantine').query({ projectId: 1, includeReleased: true }).set('Authorization', bearer('qa_lead'));
+        expect(listed.body.data).toEqual([expect.objectContaining({ id, releasedAt: expect.any(String) })]);
+    });
+});
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const express = require('express');
+const scimService = require('../services/scimService');
+const auditService = require('../services/auditService');
+const { logger } = require('../utils/logger');
+
+const { SCHEMAS, scimError } = scimService;
+
+const router = express.Router();
+
+// SCIM clients send application/scim+json, which the global body parser skips
+router.use(express.json({ type: ['application/json', 'application/scim+json'] }));
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest();
+
+/**
+ * Send a SCIM error response (RFC 7644 section 3.12)
+ */
+const sendError = (res, status, detail, scimType) => {
+    res.status(status).type('application/scim+json').json({
+        schemas: [SCHEMAS.ERROR],
+        status: String(status),
+        scimType,
+        detail
+    });
+};
+
+const send = (res, status, resource) => {
+    res.status(status).type('application/scim+json').json(resource);
+};
+
+/**
+ * Bearer token the identity system provisions with, compared in constant time.
+ * SCIM is off until SCIM_TOKEN is set.
+ */
+const authenticateScim = (req, res, next) => {
+    const expected = process.env.SCIM_TOKEN;
+    if (!expected) {
+        return sendError(res, 404, 'SCIM provisioning is not enabled');
+    }
+
+    const match = (req.get('Authorization') || '').match(/^Bearer (.+)$/i);
+    if (!match || !crypto.timingSafeEqual(hashToken(match[1]), hashToken(expected))) {
+        return sendError(res, 401, 'A valid SCIM bearer token is required');
+    }
+
+    req.scimClient = true;
+    next();
+};
+
+router.use(authenticateScim);
+
+// Absolute location of a resource, e.g. https://dashboard.example.com/scim/v2/Users/5
+const locate = (req, resource) => {
+    resource.meta.location = `${req.protocol}://${req.get('host')}${req.baseUrl}/${resource.meta.resourceType}s/${resource.id}`;
+    return resource;
+};
+
+const listResponse = (req, { totalResults, startIndex, Resources }) => ({
+    schemas: [SCHEMAS.LIST],
+    totalResults,
+    startIndex,
+    itemsPerPage: Resources.length,
+    Resources: Resources.map(resource => locate(req, resource))
+});
+
+// Group members can be thousands of users; clients that only need the group ask to leave them out
+const groupOptions = (req) => ({
+    includeMembers: !String(req.query.excludedAttributes || '').toLowerCase().split(',').includes('members')
+});
+
+/**
+ * Wrap a handler so thrown errors become SCIM errors
+ */
+const handle = (description, handler) => (req, res) => {
+    try {
+        handler(req, res);
+    } catch (error) {
+        if (error.status) {
+            return sendError(res, error.status, error.message, error.scimType);
+        }
+        logger.error(`Failed to ${description}:`, error);
+        sendError(res, 500, `Failed to ${description}`);
+    }
+};
+
+/**
+ * @route   GET /scim/v2/ServiceProviderConfig
+ * @desc    SCIM features this server supports
+ * @access  Private (SCIM token)
+ */
+router.get('/ServiceProviderConfig', (req, res) => {
+    send(res, 200, {
+        schemas: ['urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig'],
+        patch: { supported: true },
+        bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+        filter: { supported: true, maxResults: 1000 },
+        changePassword: { supported: false },
+        sort: { supported: false },
+        etag: { supported: false },
+        authenticationSchemes: [{
+            type: 'oauthbearertoken',
+            name: 'Bearer token',
+            description: 'The SCIM_TOKEN configured on the server'
+        }]
+    });
+});
+
+/**
+ * @route   GET /scim/v2/ResourceTypes
+ * @desc    Resource types this server provisions
+ * @access  Private (SCIM token)
+ */
+router.get('/ResourceTypes', (req, res) => {
+    const resourceTypes = [
+        { id: 'User', name: 'User', endpoint: '/Users', schema: SCHEMAS.USER },
+        { id: 'Group', name: 'Group', endpoint: '/Groups', schema: SCHEMAS.GROUP }
+    ];
+
+    send(res, 200, {
+        schemas: [SCHEMAS.LIST],
+        totalResults: resourceTypes.length,
+        startIndex: 1,
+        itemsPerPage: resourceTypes.length,
+        Resources: resourceTypes.map(resourceType => ({
+            schemas: ['urn:ietf:params:scim:schemas:core:2.0:ResourceType'],
+            ...resourceType
+        }))
+    });
+});
+
+/**
+ * @route   GET /scim/v2/Users
+ * @desc    List users (filter, startIndex, count)
+ * @access  Private (SCIM token)
+ */
+router.get('/Users', handle('list SCIM users', (req, res) => {
+    send(res, 200, listResponse(req, scimService.listUsers(req.query)));
+}));
+
+/**
+ * @route   GET /scim/v2/Users/:id
+ * @desc    Get a user
+ * @access  Private (SCIM token)
+ */
+router.get('/Users/:id', handle('get SCIM user', (req, res) => {
+    const user = scimService.getUser(req.params.id);
+    if (!user) {
+        throw scimError(404, `User ${req.params.id} not found`);
+    }
+    send(res, 200, locate(req, user));
+}));
+
+/**
+ * @route   POST /scim/v2/Users
+ * @desc    Provision a user
+ * @access  Private (SCIM token)
+ */
+router.post('/Users', handle('create SCIM user', (req, res) => {
+    const user = scimService.createUser(req.body);
+    auditService.record(req, { action: 'user.create', targetType: 'user', targetId: user.id, after: user });
+    send(res, 201, locate(req, user));
+}));
+
+/**
+ * @route   PUT /scim/v2/Users/:id
+ * @desc    Replace a user; active=false deactivates the account and ends its sessions
+ * @access  Private (SCIM token)
+ */
+router.put('/Users/:id', handle('replace SCIM user', (req, res) => {
+    const result = scimService.replaceUser(req.params.id, req.body);
+    if (!result) {
+        throw scimError(404, `User ${req.params.id} not found`);
+    }
+    auditService.record(req, { action: 'user.update', targetType: 'user', targetId: result.after.id, ...result });
+    send(res, 200, locate(req, result.after));
+}));
+
+/**
+ * @route   PATCH /scim/v2/Users/:id
+ * @desc    Apply add, replace and remove operations to a user
+ * @access  Private (SCIM token)
+ */
+router.patch('/Users/:id', handle('patch SCIM user', (req, res) => {
+    const result = scimService.patchUser(req.params.id, req.body);
+    if (!result) {
+        throw scimError(404, `User ${req.params.id} not found`);
+    }
+    auditService.record(req, { action: 'user.update', targetType: 'user', targetId: result.after.id, ...result });
+    send(res, 200, locate(req, result.after));
+}));
+
+/**
+ * @route   DELETE /scim/v2/Users/:id
+ * @desc    Delete a user
+ * @access  Private (SCIM token)
+ */
+router.delete('/Users/:id', handle('delete SCIM user', (req, res) => {
+    const before = scimService.deleteUser(req.params.id);
+    if (!before) {
+        throw scimError(404, `User ${req.params.id} not found`);
+    }
+    auditService.record(req, { action: 'user.delete', targetType: 'user', targetId: before.id, before });
+    res.status(204).end();
+}));
+
+/**
+ * @route   GET /scim/v2/Groups
+ * @desc    List teams as groups (filter, startIndex, count, excludedAttributes=members)
+ * @access  Private (SCIM token)
+ */
+router.get('/Groups', handle('list SCIM groups', (req, res) => {
+    send(res, 200, listResponse(req, scimService.listGroups(req.query, groupOptions(req))));
+}));
+
+/**
+ * @route   GET /scim/v2/Groups/:id
+ * @desc    Get a team as a group
+ * @access  Private (SCIM token)
+ */
+router.get('/Groups/:id', handle('get SCIM group', (req, res) => {
+    const group = scimService.getGroup(req.params.id, groupOptions(req));
+    if (!group) {
+        throw scimError(404, `Group ${req.params.id} not found`);
+    }
+    send(res, 200, locate(req, group));
+}));
+
+/**
+ * @route   POST /scim/v2/Groups
+ * @desc    Provision a team with its members
+ * @access  Private (SCIM token)
+ */
+router.post('/Groups', handle('create SCIM group', (req, res) => {
+    const group = scimService.createGroup(req.body);
+    auditService.record(req, { action: 'team.create', targetType: 'team', targetId: group.id, after: group });
+    send(res, 201, locate(req, group));
+}));
+
+/**
+ * @route   PUT /scim/v2/Groups/:id
+ * @desc    Rename a team and replace its members
+ * @access  Private (SCIM token)
+ */
+router.put('/Groups/:id', handle('replace SCIM group', (req, res) => {
+    const result = scimService.replaceGroup(req.params.id, req.body);
+    if (!result) {
+        throw scimError(404, `Group ${req.params.id} not found`);
+    }
+    auditService.record(req, { action: 'team.update', targetType: 'team', targetId: result.after.id, ...result });
+    send(res, 200, locate(req, result.after));
+}));
+
+/**
+ * @route   PATCH /scim/v2/Groups/:id
+ * @desc    Rename a team or add, remove and replace members
+ * @access  Private (SCIM token)
+ */
+router.patch('/Groups/:id', handle('patch SCIM group', (req, res) => {
+    const result = scimService.patchGroup(req.params.id, req.body);
+    if (!result) {
+        throw scimError(404, `Group ${req.params.id} not found`);
+    }
+    auditService.record(req, { action: 'team.update', targetType: 'team', targetId: result.after.id, ...result });
+    send(res, 200, locate(req, result.after));
+}));
+
+/**
+ * @route   DELETE /scim/v2/Groups/:id
+ * @desc    Delete a team
+ * @access  Private (SCIM token)
+ */
+router.delete('/Groups/:id', handle('delete SCIM group', (req, res) => {
+    const before = scimService.deleteGroup(req.params.id);
+    if (!before) {
+        throw scimError(404, `Group ${req.params.id} not found`);
+    }
+    auditService.record(req, { action: 'team.delete', targetType: 'team', targetId: before.id, before });
+    res.status(204).end();
+}));
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const { initializeDatabase } = require('../config/database');
+const authService = require('../services/authService');
+const userRepository = require('../repositories/userRepository');
+const { createApp } = require('../test/helpers');
+const scimRoutes = require('./scim');
+
+const PATCH_SCHEMA = 'urn:ietf:params:scim:api:messages:2.0:PatchOp';
+
+describe('SCIM provisioning', () => {
+    let api;
+
+    beforeAll(() => {
+        initializeDatabase();
+        process.env.SCIM_TOKEN = 'scim-secret';
+        api = createApp({ '/scim/v2': scimRoutes });
+    });
+
+    afterAll(() => {
+        delete process.env.SCIM_TOKEN;
+    });
+
+    const scim = (method, url, body) => {
+        const request = api[method](`/scim/v2${url}`)
+            .set('Authorization', 'Bearer scim-secret')
+            .set('Content-Type', 'application/scim+json');
+        return body ? request.send(JSON.stringify(body)) : request;
+    };
+    const patch = (url, ...Operations) => scim('patch', url, { schemas: [PATCH_SCHEMA], Operations });
+
+    it('requires the SCIM token', async () => {
+        const res = await api.get('/scim/v2/Users').set('Authorization', 'Bearer wrong');
+
+        expect(res.status).toBe(401);
+        expect(res.headers['content-type']).toMatch(/^application\/scim\+json/);
+    });
+
+    it('provisions users and finds existing accounts by email', async () => {
+        const created = await scim('post', '/Users', {
+            userName: 'jane.doe@example.com',
+            name: { givenName: 'Jane', familyName: 'Doe' },
+            emails: [{ value: 'jane.doe@example.com', primary: true }],
+            externalId: 'okta-1'
+        });
+        expect(created.status).toBe(201);
+        expect(created.body).toMatchObject({ userName: 'jane.doe@example.com', displayName: 'Jane Doe', active: true });
+        expect(created.body.meta.location).toMatch(/\/scim\/v2\/Users\/\d+$/);
+
+        const clash = await scim('post', '/Users', { userName: 'jane.doe@example.com' });
+        expect(clash.status).toBe(409);
+
+        const { email } = userRepository.findByUsername('qa_engineer2');
+        const found = await scim('get', '/Users').query({ filter: `userName eq "${email.toUpperCase()}"` });
+        expect(found.body).toMatchObject({ totalResults: 1, itemsPerPage: 1 });
+        expect(found.body.Resources[0].userName).toBe('qa_engineer2');
+    });
+
+    it('filters and pages users', async () => {
+        const filtered = await scim('get', '/Users').query({ filter: 'externalId eq "okta-1" or (userName sw "qa_" and active eq true)' });
+        expect(filtered.body.totalResults).toBe(4);
+
+        const page = await scim('get', '/Users').query({ filter: 'userName sw "qa_"', startIndex: 2, count: 1 });
+        expect(page.body).toMatchObject({ totalResults: 3, startIndex: 2, itemsPerPage: 1 });
+
+        const invalid = await scim('get', '/Users').query({ filter: 'title eq "x"' });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body).toMatchObject({ status: '400', scimType: 'invalidFilter' });
+    });
+
+    it('applies PATCH operations with and without paths', async () => {
+        const jane = userRepository.findByUsername('jane.doe@example.com');
+
+        const res = await patch(`/Users/${jane.id}`,
+            { op: 'replace', path: 'emails[type eq "work"].value', value: 'jane@example.com' },
+            { op: 'replace', value: { 'name.givenName': 'Janet' } },
+            { op: 'add', path: 'urn:ietf:params:scim:schemas:extension:enterprise:2.0:User:department', value: 'QA' });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ displayName: 'Janet Doe', emails: [{ value: 'jane@example.com' }] });
+
+        const removeAll = await patch(`/Users/${jane.id}`, { op: 'remove' });
+        expect(removeAll.status).toBe(400);
+        expect(removeAll.body.scimType).toBe('noTarget');
+    });
+
+    it('deactivates users and ends their sessions', async () => {
+        const jane = userRepository.findByUsername('jane.doe@example.com');
+        const { refreshToken } = authService.issueRefreshToken(jane.id);
+
+        const res = await patch(`/Users/${jane.id}`, { op: 'replace', value: { active: 'False' } });
+
+        expect(res.body.active).toBe(false);
+        expect(userRepository.findById(jane.id).isActive).toBe(false);
+        expect(authService.refresh(refreshToken)).toBeNull();
+    });
+
+    it('manages group members', async () => {
+        const jane = userRepository.findByUsername('jane.doe@example.com');
+        const engineer = userRepository.findByUsername('qa_engineer1');
+
+        const created = await scim('post', '/Groups', {
+            displayName: 'SCIM Squad',
+            members: [{ value: String(jane.id) }, { value: String(engineer.id) }]
+        });
+        expect(created.status).toBe(201);
+        const { id } = created.body;
+
+        const byMember = await scim('get', '/Groups').query({ filter: `members[value eq "${jane.id}"]`, excludedAttributes: 'members' });
+        expect(byMember.body.Resources).toEqual([expect.objectContaining({ id, displayName: 'SCIM Squad' })]);
+        expect(byMember.body.Resources[0].members).toBeUndefined();
+
+        const removed = await patch(`/Groups/${id}`, { op: 'remove', path: `members[value eq "${jane.id}"]` });
+        expect(removed.body.members).toEqual([{ value: String(engineer.id), display: engineer.fullName }]);
+
+        expect((await scim('delete', `/Groups/${id}`)).status).toBe(204);
+        expect((await scim('get', `/Groups/${id}`)).status).toBe(404);
+    });
+
+    it('deletes users', async () => {
+        const jane = userRepository.findByUsername('jane.doe@example.com');
+
+        expect((await scim('delete', `/Users/${jane.id}`)).status).toBe(204);
+        expect((await scim('delete', `/Users/${jane.id}`)).status).toBe(404);
+    });
+});
@@ -0,0 +1,113 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateStorageProvider, validateStorageCleanup } = require('../middleware/validation');
+const { PERMISSIONS } = require('../config/permissions');
+const auditService = require('../services/auditService');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Loaded lazily so cloud providers are only initialized once storage is used
+const getStorageService = () => require('../services/storageService');
+
+/**
+ * @route   GET /api/v1/storage
+ * @desc    Get the storage provider results are mirrored to and its usage
+ * @access  Private
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const storageService = getStorageService();
+        res.json({
+            success: true,
+            data: {
+                provider: storageService.getProviderInfo(),
+                usage: await storageService.getStorageInfo()
+            }
+        });
+
+    } catch (error) {
+        logger.error('Failed to get storage info:', error);
+        res.status(500).json({
+            error: 'Failed to get storage info',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/storage/provider
+ * @desc    Switch the storage provider until the next restart (STORAGE_PROVIDER sets it permanently)
+ * @access  Private (switch_storage)
+ */
+router.put('/provider', requirePermission(PERMISSIONS.SWITCH_STORAGE), validateStorageProvider, async (req, res) => {
+    try {
+        const { provider } = req.body;
+        const storageService = getStorageService();
+        const previous = storageService.getProviderInfo();
+        await storageService.switchProvider(provider);
+
+        // A provider that fails to initialize falls back to local storage
+        const current = storageService.getProviderInfo();
+        auditService.record(req, {
+            action: 'storage.switch_provider',
+            targetType: 'storage',
+            before: previous,
+            after: current
+        });
+
+        if (current.name !== provider) {
+            return res.status(502).json({
+                error: 'Failed to switch storage provider',
+                message: `${provider} could not be initialized; using ${current.name} storage`
+            });
+        }
+
+        logger.info(`Storage provider switched to ${provider} by ${req.user.username}`);
+        res.json({
+            success: true,
+            message: `Storage provider switched to ${provider}`,
+            data: current
+        });
+
+    } catch (error) {
+        logger.error('Failed to switch storage provider:', error);
+        res.status(500).json({
+            error: 'Failed to switch storage provider',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/storage/cleanup
+ * @desc    Delete mirrored results older than daysToKeep (default 90) from the storage provider
+ * @access  Private (run_cleanup)
+ */
+router.post('/cleanup', requirePermission(PERMISSIONS.RUN_CLEANUP), validateStorageCleanup, async (req, res) => {
+    try {
+        const { daysToKeep } = req.body;
+        const deleted = await getStorageService().cleanupOldResults(daysToKeep);
+        auditService.record(req, {
+            action: 'storage.cleanup',
+            targetType: 'storage',
+            after: { deleted, daysToKeep }
+        });
+
+        logger.info(`Storage cleanup by ${req.user.username}: ${deleted} results older than ${daysToKeep} days deleted`);
+        res.json({
+            success: true,
+            message: `${deleted} results deleted`,
+            data: { deleted, daysToKeep }
+        });
+
+    } catch (error) {
+        logger.error('Failed to clean up storage:', error);
+        res.status(500).json({
+            error: 'Failed to clean up storage',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
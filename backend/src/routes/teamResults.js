@@ -17,7 +17,7 @@ router.get('/', authenticateToken, validateTeamQuery, getTeamResults);
  * @desc    Get team-wide analytics and trends
  * @access  Private
  */
-router.get('/analytics', authenticateToken, getTeamAnalytics);
+router.get('/analytics', authenticateToken, validateTeamQuery, getTeamAnalytics);
 
 /**
  * @route   GET /api/v1/team-results/performance
@@ -0,0 +1,57 @@
+const { initializeDatabase } = require('../config/database');
+const testReportService = require('../services/testReportService');
+const { createApp, bearer } = require('../test/helpers');
+const teamResultsRoutes = require('./teamResults');
+
+describe('GET /api/v1/team-results', () => {
+    let api;
+
+    beforeAll(() => {
+        initializeDatabase();
+        api = createApp({ '/api/v1/team-results': teamResultsRoutes });
+
+        const store = (framework, status, executionTime) => testReportService.createTestReport({
+            test_name: `${framework} ${status} ${executionTime}`,
+            status,
+            execution_time: executionTime,
+            framework,
+            project_id: 2
+        });
+        store('Cypress', 'passed', 0.35);
+        store('Cypress', 'passed', 0.4);
+        store('Cypress', 'failed', 0.2);
+        store('Playwright', 'passed', 2.25);
+    });
+
+    const summary = async () => {
+        const res = await api.get('/api/v1/team-results').query({ projectId: 2 }).set('Authorization', bearer('qa_engineer1'));
+        expect(res.status).toBe(200);
+        return res.body.data.summary;
+    };
+
+    it('compares success rates per framework', async () => {
+        const { frameworkStats } = await summary();
+
+        expect(frameworkStats.find(stat => stat.framework === 'Cypress')).toMatchObject({
+            total: 3,
+            passed: 2,
+            failed: 1,
+            successRate: 66.67
+        });
+        expect(frameworkStats.find(stat => stat.framework === 'Playwright')).toMatchObject({ total: 1, successRate: 100 });
+    });
+
+    it('reports sub-second average execution times to one decimal', async () => {
+        const { avgExecutionTime, frameworkStats } = await summary();
+
+        expect(frameworkStats.find(stat => stat.framework === 'Cypress').avgExecutionTime).toBe(0.3);
+        expect(frameworkStats.find(stat => stat.framework === 'Playwright').avgExecutionTime).toBe(2.3);
+        expect(avgExecutionTime).toBe(0.8);
+    });
+
+    it('requires an access token', async () => {
+        const res = await api.get('/api/v1/team-results');
+
+        expect(res.status).toBe(401);
+    });
+});
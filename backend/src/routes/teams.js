@@ -0,0 +1,331 @@
+const express = require('express');
+const teamRepository = require('../repositories/teamRepository');
+const userRepository = require('../repositories/userRepository');
+const projectRepository = require('../repositories/projectRepository');
+const {
+    validateTeam,
+    validateTeamUpdate,
+    validateTeamMember,
+    validateTeamProject
+} = require('../middleware/validation');
+const auditService = require('../services/auditService');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const manageTeams = requirePermission(PERMISSIONS.MANAGE_TEAMS);
+
+// Resolve :id into req.team
+const loadTeam = (req, res, next) => {
+    try {
+        const team = teamRepository.findById(req.params.id);
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        req.team = team;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// IDs in the request that do not exist, as a message, or null when all of them do
+const findUnknownReferences = ({ userIds = [], projectIds = [] }) => {
+    const unknownUsers = userIds.filter(id => !userRepository.findById(id));
+    const unknownProjects = projectIds.filter(id => !projectRepository.findById(id));
+    const problems = [];
+
+    if (unknownUsers.length > 0) problems.push(`unknown user ID(s): ${unknownUsers.join(', ')}`);
+    if (unknownProjects.length > 0) problems.push(`unknown project ID(s): ${unknownProjects.join(', ')}`);
+
+    return problems.length > 0 ? problems.join('; ') : null;
+};
+
+/**
+ * @route   GET /api/v1/teams
+ * @desc    List teams with their lead and member/project counts
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: teamRepository.list()
+        });
+
+    } catch (error) {
+        logger.error('Failed to list teams:', error);
+        res.status(500).json({
+            error: 'Failed to list teams',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/teams
+ * @desc    Create a team with optional lead, members and owned projects
+ * @access  Private (manage_teams)
+ */
+router.post('/', manageTeams, validateTeam, async (req, res) => {
+    try {
+        const { name, leadId, memberIds, projectIds } = req.body;
+
+        if (teamRepository.findByName(name)) {
+            return res.status(409).json({
+                error: 'Team already exists',
+                message: `A team named "${name}" already exists`
+            });
+        }
+
+        const unknown = findUnknownReferences({
+            userIds: leadId ? [leadId, ...memberIds] : memberIds,
+            projectIds
+        });
+        if (unknown) {
+            return res.status(400).json({ error: 'Invalid team', message: unknown });
+        }
+
+        const team = teamRepository.create(req.body);
+        auditService.record(req, { action: 'team.create', targetType: 'team', targetId: team.id, after: team });
+
+        logger.info(`Team created: ${team.name} (${team.memberCount} members)`);
+        res.status(201).json({
+            success: true,
+            message: 'Team created',
+            data: team
+        });
+
+    } catch (error) {
+        logger.error('Failed to create team:', error);
+        res.status(500).json({
+            error: 'Failed to create team',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/teams/:id
+ * @desc    Get a team with its members and owned projects
+ * @access  Public
+ */
+router.get('/:id', loadTeam, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: teamRepository.getDetails(req.team.id)
+        });
+
+    } catch (error) {
+        logger.error('Failed to get team:', error);
+        res.status(500).json({
+            error: 'Failed to get team',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/teams/:id
+ * @desc    Rename a team, change its description or lead
+ * @access  Private (manage_teams)
+ */
+router.put('/:id', manageTeams, loadTeam, validateTeamUpdate, async (req, res) => {
+    try {
+        const { name, leadId } = req.body;
+
+        const existing = name && teamRepository.findByName(name);
+        if (existing && existing.id !== req.team.id) {
+            return res.status(409).json({
+                error: 'Team already exists',
+                message: `A team named "${name}" already exists`
+            });
+        }
+
+        const unknown = leadId && findUnknownReferences({ userIds: [leadId] });
+        if (unknown) {
+            return res.status(400).json({ error: 'Invalid team', message: unknown });
+        }
+
+        const before = teamRepository.getDetails(req.team.id);
+        const team = teamRepository.update(req.team.id, req.body);
+        auditService.record(req, { action: 'team.update', targetType: 'team', targetId: team.id, before, after: team });
+
+        res.json({
+            success: true,
+            message: 'Team updated',
+            data: team
+        });
+
+    } catch (error) {
+        logger.error('Failed to update team:', error);
+        res.status(500).json({
+            error: 'Failed to update team',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/teams/:id
+ * @desc    Delete a team; its members and projects are kept
+ * @access  Private (manage_teams)
+ */
+router.delete('/:id', manageTeams, loadTeam, async (req, res) => {
+    try {
+        const before = teamRepository.getDetails(req.team.id);
+        teamRepository.delete(req.team.id);
+        auditService.record(req, { action: 'team.delete', targetType: 'team', targetId: req.team.id, before });
+
+        logger.info(`Team deleted: ${req.team.name}`);
+        res.json({
+            success: true,
+            message: 'Team deleted'
+        });
+
+    } catch (error) {
+        logger.error('Failed to delete team:', error);
+        res.status(500).json({
+            error: 'Failed to delete team',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/teams/:id/members
+ * @desc    Add a user to a team
+ * @access  Private (manage_teams)
+ */
+router.post('/:id/members', manageTeams, loadTeam, validateTeamMember, async (req, res) => {
+    try {
+        const { userId } = req.body;
+
+        const unknown = findUnknownReferences({ userIds: [userId] });
+        if (unknown) {
+            return res.status(400).json({ error: 'Invalid member', message: unknown });
+        }
+
+        const added = teamRepository.addMember(req.team.id, userId);
+        if (added) {
+            auditService.record(req, { action: 'team.add_member', targetType: 'team', targetId: req.team.id, after: { userId } });
+        }
+
+        res.status(added ? 201 : 200).json({
+            success: true,
+            message: added ? 'Member added' : 'User is already a member',
+            data: teamRepository.getDetails(req.team.id)
+        });
+
+    } catch (error) {
+        logger.error('Failed to add team member:', error);
+        res.status(500).json({
+            error: 'Failed to add team member',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/teams/:id/members/:userId
+ * @desc    Remove a user from a team
+ * @access  Private (manage_teams)
+ */
+router.delete('/:id/members/:userId', manageTeams, loadTeam, async (req, res) => {
+    try {
+        if (!teamRepository.removeMember(req.team.id, req.params.userId)) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        auditService.record(req, {
+            action: 'team.remove_member',
+            targetType: 'team',
+            targetId: req.team.id,
+            before: { userId: parseInt(req.params.userId) }
+        });
+
+        res.json({
+            success: true,
+            message: 'Member removed',
+            data: teamRepository.getDetails(req.team.id)
+        });
+
+    } catch (error) {
+        logger.error('Failed to remove team member:', error);
+        res.status(500).json({
+            error: 'Failed to remove team member',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/teams/:id/projects
+ * @desc    Give a team ownership of a project
+ * @access  Private (manage_teams)
+ */
+router.post('/:id/projects', manageTeams, loadTeam, validateTeamProject, async (req, res) => {
+    try {
+        const { projectId } = req.body;
+
+        const unknown = findUnknownReferences({ projectIds: [projectId] });
+        if (unknown) {
+            return res.status(400).json({ error: 'Invalid project', message: unknown });
+        }
+
+        const added = teamRepository.addProject(req.team.id, projectId);
+        if (added) {
+            auditService.record(req, { action: 'team.add_project', targetType: 'team', targetId: req.team.id, after: { projectId } });
+        }
+
+        res.status(added ? 201 : 200).json({
+            success: true,
+            message: added ? 'Project added' : 'Project is already owned by the team',
+            data: teamRepository.getDetails(req.team.id)
+        });
+
+    } catch (error) {
+        logger.error('Failed to add team project:', error);
+        res.status(500).json({
+            error: 'Failed to add team project',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/teams/:id/projects/:projectId
+ * @desc    Remove a project from a team
+ * @access  Private (manage_teams)
+ */
+router.delete('/:id/projects/:projectId', manageTeams, loadTeam, async (req, res) => {
+    try {
+        if (!teamRepository.removeProject(req.team.id, req.params.projectId)) {
+            return res.status(404).json({ error: 'Project not owned by the team' });
+        }
+        auditService.record(req, {
+            action: 'team.remove_project',
+            targetType: 'team',
+            targetId: req.team.id,
+            before: { projectId: req.params.projectId }
+        });
+
+        res.json({
+            success: true,
+            message: 'Project removed',
+            data: teamRepository.getDetails(req.team.id)
+        });
+
+    } catch (error) {
+        logger.error('Failed to remove team project:', error);
+        res.status(500).json({
+            error: 'Failed to remove team project',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
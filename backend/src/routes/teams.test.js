@@ -0,0 +1,79 @@
+const { initializeDatabase } = require('../config/database');
+const testReportService = require('../services/testReportService');
+const userRepository = require('../repositories/userRepository');
+const { createApp, bearer } = require('../test/helpers');
+const teamRoutes = require('./teams');
+const testReportsRoutes = require('./testReports');
+
+describe('teams', () => {
+    let api;
+    let engineer;
+    let otherEngineer;
+
+    beforeAll(() => {
+        initializeDatabase();
+        api = createApp({ '/api/v1/teams': teamRoutes, '/api/v1/test-reports': testReportsRoutes });
+        engineer = userRepository.findByUsername('qa_engineer1');
+        otherEngineer = userRepository.findByUsername('qa_engineer2');
+    });
+
+    const asLead = (request) => request.set('Authorization', bearer('qa_lead'));
+
+    it('creates a team with its lead, members and projects', async () => {
+        const lead = userRepository.findByUsername('qa_lead');
+        const res = await asLead(api.post('/api/v1/teams')).send({
+            name: 'Checkout squad',
+            leadId: lead.id,
+            memberIds: [engineer.id],
+            projectIds: [1]
+        });
+
+        expect(res.status).toBe(201);
+        const details = await api.get(`/api/v1/teams/${res.body.data.id}`);
+        expect(details.body.data.members.map(member => member.username).sort()).toEqual(['qa_engineer1', 'qa_lead']);
+        expect(details.body.data.projects).toEqual([{ projectId: 1, projectName: 'Web Application' }]);
+    });
+
+    it('refuses duplicate names and unknown references', async () => {
+        const duplicate = await asLead(api.post('/api/v1/teams')).send({ name: 'Checkout squad' });
+        expect(duplicate.status).toBe(409);
+
+        const unknown = await asLead(api.post('/api/v1/teams')).send({ name: 'Ghosts', memberIds: [999], projectIds: [998] });
+        expect(unknown.status).toBe(400);
+        expect(unknown.body.message).toBe('unknown user ID(s): 999; unknown project ID(s): 998');
+    });
+
+    it('requires manage_teams to change teams', async () => {
+        const res = await api.post('/api/v1/teams')
+            .set('Authorization', bearer('qa_engineer1'))
+            .send({ name: 'Rogue team' });
+
+        expect(res.status).toBe(403);
+    });
+
+    it('adds and removes members and projects', async () => {
+        const { body } = await asLead(api.post('/api/v1/teams')).send({ name: 'Mobile squad' });
+        const id = body.data.id;
+
+        expect((await asLead(api.post(`/api/v1/teams/${id}/members`)).send({ userId: otherEngineer.id })).status).toBe(201);
+        expect((await asLead(api.post(`/api/v1/teams/${id}/members`)).send({ userId: otherEngineer.id })).status).toBe(200);
+        expect((await asLead(api.post(`/api/v1/teams/${id}/projects`)).send({ projectId: 2 })).status).toBe(201);
+
+        const removed = await asLead(api.delete(`/api/v1/teams/${id}/members/${otherEngineer.id}`));
+        expect(removed.body.data.members).toEqual([]);
+        expect((await asLead(api.delete(`/api/v1/teams/${id}/members/${otherEngineer.id}`))).status).toBe(404);
+    });
+
+    it('filters statistics to a team\'s members and owned projects', async () => {
+        const { body: teams } = await api.get('/api/v1/teams');
+        const checkout = teams.data.find(team => team.name === 'Checkout squad');
+        const store = (fields) => testReportService.createTestReport({ test_name: 'team filter', status: 'passed', environment: 'team-test', ...fields });
+        store({ team_member_id: engineer.id, project_id: 3 });
+        store({ project_id: 1 });
+        store({ team_member_id: otherEngineer.id, project_id: 3 });
+
+        const res = await api.get('/api/v1/test-reports/stats/summary').query({ teamId: checkout.id, environment: 'team-test' });
+
+        expect(res.body.data.totalTests).toBe(2);
+    });
+});
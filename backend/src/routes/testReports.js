@@ -1,84 +1,153 @@
 const express = require('express');
-const TestReport = require('../models/TestReport');
+const stream = require('stream');
+const zlib = require('zlib');
+const testReportService = require('../services/testReportService');
+const ingestionService = require('../services/ingestionService');
+const artifactService = require('../services/artifactService');
+const auditService = require('../services/auditService');
+const testReportRepository = require('../repositories/testReportRepository');
+const {
+    validateTestReport,
+    validateTestReportUpdate,
+    validateIngestQuery,
+    validateImportQuery,
+    validateIdempotencyKey,
+    validateCiContext,
+    validateAnalyticsQuery
+} = require('../middleware/validation');
+const {
+    authenticateIngest,
+    restrictToKeyProject,
+    requireKeyProject,
+    requirePermission
+} = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
-// Get all test reports with pagination and filtering
-router.get('/', async (req, res) => {
+// A project API key stores reports in its own project only
+const pinReportProject = restrictToKeyProject(req => [[req.body, 'project_id']]);
+
+// ...and bulk uploads may only create or extend executions of that project
+const pinUploadProject = [
+    restrictToKeyProject(req => [[req.query, 'projectId']]),
+    requireKeyProject(req => ingestionService.findUploadTarget({ ...req.query, idempotencyKey: req.idempotencyKey }))
+];
+
+// Ingest a single test report; an Idempotency-Key header makes re-posting it safe
+router.post('/', authenticateIngest('ingest'), validateIdempotencyKey, validateIngestQuery, validateTestReport, pinReportProject, async (req, res) => {
     try {
-        const {
-            page = 1,
-            limit = 20,
-            projectId,
-            branch,
-            status,
-            environment,
-            browser,
-            executionType,
-            startDate,
-            endDate,
-            sortBy = 'createdAt',
-            sortOrder = 'desc'
-        } = req.query;
-
-        // Build filters
-        const filters = {};
-        if (projectId) filters.projectId = projectId;
-        if (branch) filters.branch = branch;
-        if (environment) filters.environment = environment;
-        if (browser) filters.browser = browser;
-        if (executionType) filters.executionType = executionType;
-
-        // Status filter
-        if (status) {
-            if (status === 'passed') {
-                filters.failedTests = 0;
-                filters.skippedTests = 0;
-            } else if (status === 'failed') {
-                filters.failedTests = { $gt: 0 };
-            } else if (status === 'partial') {
-                filters.failedTests = { $gt: 0 };
-                filters.passedTests = { $gt: 0 };
-            }
+        const { testReport, result } = ingestionService.ingestTestReport(req.body, {
+            idempotencyKey: req.idempotencyKey,
+            onDuplicate: req.query.onDuplicate
+        });
+
+        if (result !== 'ignored') {
+            auditService.record(req, {
+                action: `test_report.${result === 'created' ? 'create' : 'update'}`,
+                targetType: 'test_report',
+                targetId: testReport.id,
+                after: testReport
+            });
         }
 
-        // Date range filter
-        if (startDate || endDate) {
-            filters.createdAt = {};
-            if (startDate) filters.createdAt.$gte = new Date(startDate);
-            if (endDate) filters.createdAt.$lte = new Date(endDate);
+        // Mirroring is best-effort and never blocks the response
+        const storage = result === 'ignored' ? null : await testReportService.mirrorToStorage(testReport);
+
+        logger.info(`Test report ${result}: ${testReport.id} (${testReport.test_name})`);
+        res.status(result === 'created' ? 201 : 200).json({
+            success: true,
+            message: `Test report ${result === 'created' ? 'stored' : result} successfully`,
+            data: {
+                id: testReport.id,
+                result,
+                testReport,
+                storage
+            }
+        });
+
+    } catch (error) {
+        logger.error('Failed to store test report:', error);
+        res.status(500).json({
+            error: 'Failed to store test report',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/test-reports/bulk
+ * @desc    Stream newline-delimited JSON test reports (optionally gzip-encoded) into one execution.
+ *          The whole upload is a single request, so large suites stay within the rate limit.
+ * @access  Project API key with the ingest scope, or access token
+ */
+router.post('/bulk', authenticateIngest('ingest'), validateIdempotencyKey, validateCiContext, validateImportQuery, pinUploadProject, async (req, res) => {
+    if (!req.is(['application/x-ndjson', 'application/jsonl', 'application/jsonlines', 'text/plain'])) {
+        return res.status(415).json({
+            error: 'Unsupported content type',
+            message: 'Send newline-delimited JSON with Content-Type: application/x-ndjson'
+        });
+    }
+
+    try {
+        // pipeline() passes errors of the request on to the gunzip stream the service reads
+        const input = req.headers['content-encoding'] === 'gzip'
+            ? stream.pipeline(req, zlib.createGunzip(), () => {})
+            : req;
+
+        const result = await ingestionService.ingestNdjson(input, {
+            ...req.query,
+            idempotencyKey: req.idempotencyKey,
+            ci: req.ciContext,
+            requiredProjectId: req.apiKey && req.apiKey.projectId
+        });
+        const accepted = result.created + result.updated + result.ignored;
+        if (result.created + result.updated > 0) {
+            const { execution, created, updated, ignored, failed } = result;
+            auditService.record(req, {
+                action: 'execution.bulk_upload',
+                targetType: 'execution',
+                targetId: execution.execution_id,
+                after: { projectId: execution.project_id, created, updated, ignored, failed }
+            });
+        }
+        let status = result.created > 0 ? 201 : 200;
+        if (accepted === 0 && result.failed > 0) {
+            status = 400;
         }
 
-        // Build sort options
-        const sortOptions = {};
-        sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+        res.status(status).json({
+            success: status !== 400,
+            message: `${result.created} test reports stored, ${result.updated} updated, ` +
+                `${result.ignored} ignored, ${result.failed} rejected`,
+            data: result
+        });
 
-        // Calculate pagination
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                error: 'Failed to process bulk upload',
+                message: error.message
+            });
+        }
 
-        // Execute query
-        const testReports = await TestReport.find(filters)
-            .sort(sortOptions)
-            .skip(skip)
-            .limit(parseInt(limit))
-            .select('-testResults')
-            .lean();
+        logger.error('Failed to process bulk upload:', error);
+        res.status(500).json({
+            error: 'Failed to process bulk upload',
+            message: error.message
+        });
+    }
+});
 
-        // Get total count for pagination
-        const total = await TestReport.countDocuments(filters);
+// Get all test reports with pagination and filtering
+router.get('/', async (req, res) => {
+    try {
+        const data = testReportService.listTestReports(req.query);
 
         res.json({
             success: true,
-            data: {
-                testReports,
-                pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    total,
-                    pages: Math.ceil(total / parseInt(limit))
-                }
-            }
+            data
         });
 
     } catch (error) {
@@ -90,12 +159,37 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/v1/test-reports/stats/summary
+ * @desc    Status counts and pass rate over the last N days; superseded retries are not counted
+ * @access  Public
+ */
+router.get('/stats/summary', validateAnalyticsQuery, async (req, res) => {
+    try {
+        const { projectId, teamId, environment, branch, days } = req.query;
+
+        const stats = testReportRepository.getSummary({ projectId, teamId, environment, branch, days });
+
+        res.json({
+            success: true,
+            data: stats
+        });
+
+    } catch (error) {
+        logger.error('Failed to get test report statistics:', error);
+        res.status(500).json({
+            error: 'Failed to get test report statistics',
+            message: error.message
+        });
+    }
+});
+
 // Get specific test report by ID
 router.get('/:id', async (req, res) => {
     try {
         const { id } = req.params;
 
-        const testReport = await TestReport.findById(id);
+        const testReport = testReportService.getTestReportById(id);
         if (!testReport) {
             return res.status(404).json({ error: 'Test report not found' });
         }
@@ -114,113 +208,96 @@ router.get('/:id', async (req, res) => {
     }
 });
 
-// Update test report
-router.put('/:id', async (req, res) => {
+// Get the step-by-step breakdown of a test report (Cucumber, Allure, ...)
+router.get('/:id/steps', async (req, res) => {
     try {
         const { id } = req.params;
-        const updateData = req.body;
-
-        // Remove fields that shouldn't be updated
-        delete updateData.executionId;
-        delete updateData.createdAt;
-        delete updateData.updatedAt;
-
-        const testReport = await TestReport.findByIdAndUpdate(
-            id,
-            updateData,
-            { new: true, runValidators: true }
-        );
 
+        const testReport = testReportService.getTestReportById(id);
         if (!testReport) {
             return res.status(404).json({ error: 'Test report not found' });
         }
 
+        const metadata = testReport.metadata || {};
+        const steps = metadata.steps || [];
+
         res.json({
             success: true,
-            data: testReport
+            data: {
+                id: testReport.id,
+                testName: testReport.test_name,
+                status: testReport.status,
+                failedStep: metadata.failedStep ||
+                    steps.find(step => step.status === 'failed' || step.status === 'broken') ||
+                    null,
+                steps
+            }
         });
 
     } catch (error) {
-        logger.error('Failed to update test report:', error);
+        logger.error('Failed to get test report steps:', error);
         res.status(500).json({
-            error: 'Failed to update test report',
+            error: 'Failed to get test report steps',
             message: error.message
         });
     }
 });
 
-// Delete test report
-router.delete('/:id', async (req, res) => {
+// Project of the test report in :id, for permissions granted per project
+const reportProject = (req) => {
+    const testReport = testReportService.getTestReportById(req.params.id);
+    return testReport && testReport.project_id;
+};
+
+// Update test report (edit_results on its project)
+router.put('/:id', requirePermission(PERMISSIONS.EDIT_RESULTS, reportProject), validateTestReportUpdate, async (req, res) => {
     try {
         const { id } = req.params;
 
-        const testReport = await TestReport.findByIdAndDelete(id);
-        if (!testReport) {
+        const before = testReportService.getTestReportById(id);
+        if (!before) {
             return res.status(404).json({ error: 'Test report not found' });
         }
 
+        const testReport = testReportService.updateTestReport(id, req.body);
+        auditService.record(req, { action: 'test_report.update', targetType: 'test_report', targetId: before.id, before, after: testReport });
+
         res.json({
             success: true,
-            message: 'Test report deleted successfully'
+            data: testReport
         });
 
     } catch (error) {
-        logger.error('Failed to delete test report:', error);
+        logger.error('Failed to update test report:', error);
         res.status(500).json({
-            error: 'Failed to delete test report',
+            error: 'Failed to update test report',
             message: error.message
         });
     }
 });
 
-// Get test report statistics
-router.get('/stats/summary', async (req, res) => {
+// Delete test report (delete_results on its project)
+router.delete('/:id', requirePermission(PERMISSIONS.DELETE_RESULTS, reportProject), async (req, res) => {
     try {
-        const { projectId, days = 30 } = req.query;
-
-        const filters = {};
-        if (projectId) filters.projectId = projectId;
-
-        // Date filter
-        const daysAgo = new Date();
-        daysAgo.setDate(daysAgo.getDate() - parseInt(days));
-        filters.createdAt = { $gte: daysAgo };
-
-        const stats = await TestReport.aggregate([
-            { $match: filters },
-            {
-                $group: {
-                    _id: null,
-                    totalExecutions: { $sum: 1 },
-                    totalTests: { $sum: '$totalTests' },
-                    totalPassed: { $sum: '$passedTests' },
-                    totalFailed: { $sum: '$failedTests' },
-                    totalSkipped: { $sum: '$skippedTests' },
-                    totalDuration: { $sum: '$totalDuration' },
-                    averagePassPercentage: { $avg: '$passPercentage' },
-                    averageDuration: { $avg: '$totalDuration' }
-                }
-            }
-        ]);
+        const { id } = req.params;
+
+        const before = testReportService.getTestReportById(id);
+        if (!before || !testReportService.deleteTestReport(id)) {
+            return res.status(404).json({ error: 'Test report not found' });
+        }
+
+        artifactService.deleteReportFiles(id);
+        auditService.record(req, { action: 'test_report.delete', targetType: 'test_report', targetId: before.id, before });
 
         res.json({
             success: true,
-            data: stats[0] || {
-                totalExecutions: 0,
-                totalTests: 0,
-                totalPassed: 0,
-                totalFailed: 0,
-                totalSkipped: 0,
-                totalDuration: 0,
-                averagePassPercentage: 0,
-                averageDuration: 0
-            }
+            message: 'Test report deleted successfully'
         });
 
     } catch (error) {
-        logger.error('Failed to get test report statistics:', error);
+        logger.error('Failed to delete test report:', error);
         res.status(500).json({
-            error: 'Failed to get test report statistics',
+            error: 'Failed to delete test report',
             message: error.message
         });
     }
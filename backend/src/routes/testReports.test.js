@@ -0,0 +1,194 @@
+const zlib = require('zlib');
+const { initializeDatabase, getDatabase } = require('../config/database');
+const testReportService = require('../services/testReportService');
+const { createApp, bearer, createApiKey } = require('../test/helpers');
+const testReportsRoutes = require('./testReports');
+
+describe('POST /api/v1/test-reports', () => {
+    let api;
+
+    beforeAll(() => {
+        initializeDatabase();
+        api = createApp({ '/api/v1/test-reports': testReportsRoutes });
+    });
+
+    const report = {
+        test_name: 'Checkout with saved card',
+        test_suite: 'Checkout',
+        status: 'failed',
+        execution_time: 4.2,
+        error_message: 'Timeout waiting for #pay',
+        tags: ['@smoke', '@checkout'],
+        metadata: { retry: 0 },
+        framework: 'Playwright',
+        browser: 'chromium',
+        project_id: 1,
+        environment: 'staging'
+    };
+
+    it('stores the report and returns it', async () => {
+        const res = await api.post('/api/v1/test-reports').set('Authorization', bearer('qa_engineer1')).send(report);
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.result).toBe('created');
+        expect(res.body.data.testReport).toMatchObject({
+            id: res.body.data.id,
+            test_name: 'Checkout with saved card',
+            status: 'failed',
+            project_id: 1,
+            metadata: { retry: 0 }
+        });
+
+        const stored = await api.get(`/api/v1/test-reports/${res.body.data.id}`);
+        expect(stored.status).toBe(200);
+        expect(stored.body.data).toMatchObject({ test_suite: 'Checkout', error_message: 'Timeout waiting for #pay' });
+    });
+
+    it('rejects reports without a valid status', async () => {
+        const res = await api.post('/api/v1/test-reports')
+            .set('Authorization', bearer('qa_engineer1'))
+            .send({ ...report, status: 'green' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.details[0].path).toEqual(['status']);
+    });
+
+    it('rejects uploads without credentials', async () => {
+        const res = await api.post('/api/v1/test-reports').send(report);
+
+        expect(res.status).toBe(401);
+    });
+
+    it('lists stored reports filtered by status', async () => {
+        const res = await api.get('/api/v1/test-reports').query({ status: 'failed', projectId: 1 });
+
+        expect(res.status).toBe(200);
+        const names = res.body.data.testReports.map(testReport => testReport.test_name);
+        expect(names).toContain('Checkout with saved card');
+        expect(res.body.data.testReports.every(testReport => testReport.status === 'failed')).toBe(true);
+    });
+});
+
+describe('POST /api/v1/test-reports/bulk', () => {
+    let api;
+    let apiKey;
+
+    beforeAll(() => {
+        api = createApp({ '/api/v1/test-reports': testReportsRoutes });
+        apiKey = createApiKey(2);
+    });
+
+    const ndjson = (...lines) => lines.map(line => (typeof line === 'string' ? line : JSON.stringify(line))).join('\n') + '\n';
+    const bulk = (query = {}) => api.post('/api/v1/test-reports/bulk')
+        .query(query)
+        .set('X-API-Key', apiKey)
+        .set('Content-Type', 'application/x-ndjson');
+
+    it('stores valid lines in one execution and reports the rejected ones', async () => {
+        const body = ndjson(
+            { test_name: 'opens app', status: 'passed', execution_time: 1.5 },
+            '{ not json',
+            { test_name: 'no status' },
+            '',
+            { test_name: 'signs in', status: 'failed' }
+        );
+        const res = await bulk().send(body);
+
+        expect(res.status).toBe(201);
+        expect(res.body.data).toMatchObject({ received: 4, created: 2, failed: 2, errorsTruncated: false });
+        expect(res.body.data.errors.map(error => error.line)).toEqual([2, 3]);
+        expect(res.body.data.errors[0].message).toMatch(/^Invalid JSON/);
+        expect(res.body.data.execution).toMatchObject({
+            name: 'Bulk upload',
+            status: 'completed',
+            project_id: 2,
+            total_tests: 2,
+            passed_tests: 1,
+            failed_tests: 1
+        });
+    });
+
+    it('accepts gzip-encoded uploads', async () => {
+        const body = zlib.gzipSync(ndjson({ test_name: 'gzipped', status: 'passed' }));
+        const res = await bulk().set('Content-Encoding', 'gzip').send(body);
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.created).toBe(1);
+    });
+
+    const storedExecution = (executionId) => getDatabase()
+        .prepare('SELECT * FROM test_executions WHERE execution_id = ?')
+        .get(executionId);
+
+    it('rejects lines naming another project without creating an execution', async () => {
+        const res = await bulk({ executionId: 'bulk-elsewhere' })
+            .send(ndjson({ test_name: 'elsewhere', status: 'passed', project_id: 1 }));
+
+        expect(res.status).toBe(400);
+        expect(res.body.data.errors[0].message).toBe('project_id 1 is outside project 2');
+        expect(res.body.data.execution).toBeNull();
+        expect(storedExecution('bulk-elsewhere')).toBeUndefined();
+    });
+
+    it('answers 400 for a body that is not valid gzip', async () => {
+        const res = await bulk({ executionId: 'bulk-bad-gzip' })
+            .set('Content-Encoding', 'gzip')
+            .send(Buffer.from(ndjson({ test_name: 'plain', status: 'passed' })));
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toMatch(/^The upload could not be read: /);
+        expect(storedExecution('bulk-bad-gzip')).toBeUndefined();
+    });
+
+    it('answers 415 for bodies that are not NDJSON', async () => {
+        const res = await api.post('/api/v1/test-reports/bulk')
+            .set('X-API-Key', apiKey)
+            .send({ test_name: 'json', status: 'passed' });
+
+        expect(res.status).toBe(415);
+    });
+});
+
+describe('GET /api/v1/test-reports/stats/summary', () => {
+    let api;
+
+    beforeAll(() => {
+        api = createApp({ '/api/v1/test-reports': testReportsRoutes });
+
+        const store = (status, metadata, environment = 'stats-qa') => testReportService.createTestReport({
+            test_name: 'pays by card',
+            status,
+            execution_time: 2,
+            project_id: 3,
+            environment,
+            metadata
+        });
+        store('failed', { retry: 0, superseded: true });
+        store('passed', { retry: 1, superseded: false });
+        store('passed', null);
+        store('failed', null, 'stats-production');
+    });
+
+    it('counts only the last attempt of retried tests', async () => {
+        const res = await api.get('/api/v1/test-reports/stats/summary').query({ projectId: 3, environment: 'stats-qa' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({
+            totalTests: 2,
+            totalPassed: 2,
+            totalFailed: 0,
+            totalFlaky: 1,
+            totalExecutionTime: 4,
+            avgExecutionTime: 2,
+            passRate: 100
+        });
+    });
+
+    it('applies the analytics filters', async () => {
+        const production = await api.get('/api/v1/test-reports/stats/summary').query({ environment: 'stats-production' });
+        expect(production.body.data).toMatchObject({ totalTests: 1, totalFailed: 1, passRate: 0 });
+
+        const invalid = await api.get('/api/v1/test-reports/stats/summary').query({ days: 0 });
+        expect(invalid.status).toBe(400);
+    });
+});
@@ -0,0 +1,99 @@
+const express = require('express');
+const artifactService = require('../services/artifactService');
+const testReportService = require('../services/testReportService');
+const traceService = require('../services/traceService');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Resolve :artifactId into req.artifact, accepting only trace artifacts
+const loadTraceArtifact = (req, res, next) => {
+    try {
+        const artifact = artifactService.getArtifact(req.params.artifactId);
+        if (!artifact || artifact.type !== 'trace') {
+            return res.status(404).json({ error: 'Trace not found' });
+        }
+
+        req.artifact = artifact;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/v1/traces/test-reports/:id
+ * @desc    Get a test report with the Playwright traces uploaded for it
+ * @access  Public
+ */
+router.get('/test-reports/:id', async (req, res) => {
+    try {
+        const testReport = testReportService.getTestReportById(req.params.id);
+        if (!testReport) {
+            return res.status(404).json({ error: 'Test report not found' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                testReport,
+                traces: artifactService.listArtifacts(testReport.id, 'trace')
+            }
+        });
+
+    } catch (error) {
+        logger.error('Failed to get test report traces:', error);
+        res.status(500).json({
+            error: 'Failed to get test report traces',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/traces/:artifactId
+ * @desc    Unpack a stored trace.zip: action timeline, network calls, console output and screencast frames
+ * @access  Public
+ */
+router.get('/:artifactId', loadTraceArtifact, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: traceService.getTrace(req.artifact)
+        });
+
+    } catch (error) {
+        logger.error('Failed to read trace:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to read trace',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/traces/:artifactId/frames/:sha1
+ * @desc    Get a screencast frame (page snapshot image) from a trace
+ * @access  Public
+ */
+router.get('/:artifactId/frames/:sha1', loadTraceArtifact, async (req, res) => {
+    try {
+        const frame = traceService.getFrame(req.artifact, req.params.sha1);
+        if (!frame) {
+            return res.status(404).json({ error: 'Frame not found' });
+        }
+
+        // Frames never change for a given trace
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.type(frame.contentType).send(frame.data);
+
+    } catch (error) {
+        logger.error('Failed to read trace frame:', error);
+        res.status(error.status || 500).json({
+            error: 'Failed to read trace frame',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const AdmZip = require('adm-zip');
+const { initializeDatabase } = require('../config/database');
+const testReportService = require('../services/testReportService');
+const { createApp, createApiKey } = require('../test/helpers');
+const uploadRoutes = require('./upload');
+const traceRoutes = require('./traces');
+
+const traceArchive = () => {
+    const zip = new AdmZip();
+    zip.addFile('0-trace.trace', Buffer.from([
+        { type: 'context-options', browserName: 'chromium', monotonicTime: 0 },
+        { type: 'before', callId: 'call@1', apiName: 'page.goto', startTime: 10 },
+        { type: 'after', callId: 'call@1', endTime: 50 },
+        { type: 'screencast-frame', sha1: 'page-1.jpeg', timestamp: 40 }
+    ].map(event => JSON.stringify(event)).join('\n')));
+    zip.addFile('resources/page-1.jpeg', Buffer.from('jpeg bytes'));
+    zip.addFile('resources/captured.html', Buffer.from('<script>alert(1)</script>'));
+    return zip.toBuffer();
+};
+
+describe('trace viewer', () => {
+    let api;
+    let testReport;
+    let trace;
+
+    beforeAll(async () => {
+        initializeDatabase();
+        api = createApp({ '/api/v1/upload': uploadRoutes, '/api/v1/traces': traceRoutes });
+        testReport = testReportService.createTestReport({ test_name: 'opens cart', status: 'failed', project_id: 1 });
+
+        const res = await api.post(`/api/v1/upload/test-reports/${testReport.id}/artifacts`)
+            .set('X-API-Key', createApiKey(1))
+            .attach('files', traceArchive(), 'trace.zip')
+            .attach('files', Buffer.from('not a trace'), 'broken-trace.zip');
+        [trace] = res.body.data.artifacts;
+    });
+
+    it('lists the traces of a test report', async () => {
+        const res = await api.get(`/api/v1/traces/test-reports/${testReport.id}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.traces.map(artifact => artifact.file_name)).toEqual(['trace.zip', 'broken-trace.zip']);
+    });
+
+    it('unpacks a trace with frame URLs for its actions', async () => {
+        const res = await api.get(`/api/v1/traces/${trace.id}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.artifact).toMatchObject({ id: trace.id, fileName: 'trace.zip', testReportId: testReport.id });
+        expect(res.body.data.actions).toEqual([
+            expect.objectContaining({ apiName: 'page.goto', frameUrl: `/api/v1/traces/${trace.id}/frames/page-1.jpeg` })
+        ]);
+    });
+
+    it('serves screencast frames but no other captured resources', async () => {
+        const frame = await api.get(`/api/v1/traces/${trace.id}/frames/page-1.jpeg`);
+        expect(frame.status).toBe(200);
+        expect(frame.headers['content-type']).toBe('image/jpeg');
+        expect(frame.body.toString()).toBe('jpeg bytes');
+
+        const resource = await api.get(`/api/v1/traces/${trace.id}/frames/captured.html`);
+        expect(resource.status).toBe(404);
+    });
+
+    it('answers 422 for stored files that are not traces', async () => {
+        const { body } = await api.get(`/api/v1/traces/test-reports/${testReport.id}`);
+        const res = await api.get(`/api/v1/traces/${body.data.traces[1].id}`);
+
+        expect(res.status).toBe(422);
+    });
+});
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const artifactService = require('../services/artifactService');
+const testReportService = require('../services/testReportService');
+const auditService = require('../services/auditService');
+const { validateArtifactUpload, ARTIFACT_TYPES } = require('../middleware/validation');
+const { uploadRateLimiter } = require('../middleware/rateLimiter');
+const { authenticateIngest, requireKeyProject, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { ALLOWED_EXTENSIONS } = require('../config/uploads');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const MAX_ARTIFACT_SIZE_MB = parseInt(process.env.MAX_ARTIFACT_SIZE_MB) || 200;
+const MAX_FILES_PER_UPLOAD = 10;
+
+const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+        const directory = artifactService.reportDirectory(req.testReport.id);
+        fs.mkdir(directory, { recursive: true }, error => cb(error, directory));
+    },
+    filename: (req, file, cb) => {
+        const safeName = path.basename(file.originalname).replace(/[^\w.-]+/g, '_');
+        cb(null, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safeName}`);
+    }
+});
+
+const upload = multer({
+    storage,
+    limits: {
+        fileSize: MAX_ARTIFACT_SIZE_MB * 1024 * 1024,
+        files: MAX_FILES_PER_UPLOAD
+    },
+    fileFilter: (req, file, cb) => {
+        const extension = path.extname(file.originalname).toLowerCase();
+        if (!ALLOWED_EXTENSIONS.includes(extension)) {
+            return cb(new Error(`File type ${extension || '(none)'} is not allowed`));
+        }
+        cb(null, true);
+    }
+});
+
+const removeUploadedFiles = (req) => {
+    artifactService.removeFiles((req.files || []).map(file => file.path));
+};
+
+// Resolve :id into req.testReport before any file is written
+const loadTestReport = (req, res, next) => {
+    try {
+        const testReport = testReportService.getTestReportById(req.params.id);
+        if (!testReport) {
+            return res.status(404).json({ error: 'Test report not found' });
+        }
+
+        req.testReport = testReport;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+const receiveFiles = (req, res, next) => {
+    upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, (error) => {
+        if (error) {
+            removeUploadedFiles(req);
+            return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+                error: 'Invalid artifact upload',
+                message: error.message
+            });
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({
+                error: 'Invalid artifact upload',
+                message: 'Attach at least one file in the "files" field'
+            });
+        }
+        next();
+    });
+};
+
+// Drop files already written to disk when a later middleware rejects the request
+const discardFilesOnError = (error, req, res, next) => {
+    removeUploadedFiles(req);
+    next(error);
+};
+
+/**
+ * @route   POST /api/v1/upload/test-reports/:id/artifacts
+ * @desc    Attach screenshots, videos, Playwright traces or logs (multipart "files") to a test report
+ * @access  Project API key with the artifacts scope, or access token
+ */
+router.post(
+    '/test-reports/:id/artifacts',
+    uploadRateLimiter,
+    authenticateIngest('artifacts'),
+    loadTestReport,
+    requireKeyProject(req => req.testReport),
+    receiveFiles,
+    validateArtifactUpload,
+    discardFilesOnError,
+    async (req, res) => {
+        try {
+            const artifacts = await artifactService.addArtifacts(req.testReport, req.files, req.body.type);
+            auditService.record(req, {
+                action: 'artifact.upload',
+                targetType: 'test_report',
+                targetId: req.testReport.id,
+                after: { artifacts }
+            });
+
+            res.status(201).json({
+                success: true,
+                message: `${artifacts.length} artifacts uploaded successfully`,
+                data: {
+                    artifacts,
+                    testReport: testReportService.getTestReportById(req.testReport.id)
+                }
+            });
+
+        } catch (error) {
+            removeUploadedFiles(req);
+            logger.error('Failed to store artifacts:', error);
+            res.status(500).json({
+                error: 'Failed to store artifacts',
+                message: error.message
+            });
+        }
+    }
+);
+
+/**
+ * @route   GET /api/v1/upload/test-reports/:id/artifacts
+ * @desc    List the artifacts of a test report (filter with ?type=screenshot|video|trace|log|other)
+ * @access  Public
+ */
+router.get('/test-reports/:id/artifacts', loadTestReport, async (req, res) => {
+    try {
+        const type = ARTIFACT_TYPES.includes(req.query.type) ? req.query.type : undefined;
+
+        res.json({
+            success: true,
+            data: artifactService.listArtifacts(req.testReport.id, type)
+        });
+
+    } catch (error) {
+        logger.error('Failed to get artifacts:', error);
+        res.status(500).json({
+            error: 'Failed to get artifacts',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/upload/artifacts/:artifactId
+ * @desc    Get artifact details, including its checksum and download URL
+ * @access  Public
+ */
+router.get('/artifacts/:artifactId', async (req, res) => {
+    try {
+        const artifact = artifactService.getArtifact(req.params.artifactId);
+        if (!artifact) {
+            return res.status(404).json({ error: 'Artifact not found' });
+        }
+
+        res.json({
+            success: true,
+            data: artifact
+        });
+
+    } catch (error) {
+        logger.error('Failed to get artifact:', error);
+        res.status(500).json({
+            error: 'Failed to get artifact',
+            message: error.message
+        });
+    }
+});
+
+// Project of the test report owning the artifact in :artifactId
+const artifactProject = (req) => {
+    const artifact = artifactService.getArtifact(req.params.artifactId);
+    const testReport = artifact && testReportService.getTestReportById(artifact.test_report_id);
+    return testReport && testReport.project_id;
+};
+
+/**
+ * @route   DELETE /api/v1/upload/artifacts/:artifactId
+ * @desc    Delete an artifact and its stored file
+ * @access  Private (delete_results on the test report's project)
+ */
+router.delete('/artifacts/:artifactId', requirePermission(PERMISSIONS.DELETE_RESULTS, artifactProject), async (req, res) => {
+    try {
+        const artifact = artifactService.getArtifact(req.params.artifactId);
+        if (!artifact) {
+            return res.status(404).json({ error: 'Artifact not found' });
+        }
+
+        artifactService.deleteArtifact(artifact);
+        auditService.record(req, { action: 'artifact.delete', targetType: 'artifact', targetId: artifact.id, before: artifact });
+
+        res.json({
+            success: true,
+            message: 'Artifact deleted successfully'
+        });
+
+    } catch (error) {
+        logger.error('Failed to delete artifact:', error);
+        res.status(500).json({
+            error: 'Failed to delete artifact',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { initializeDatabase } = require('../config/database');
+const { UPLOADS_DIR } = require('../config/uploads');
+const testReportService = require('../services/testReportService');
+const { createApp, createApiKey, bearer } = require('../test/helpers');
+const uploadRoutes = require('./upload');
+
+describe('test report artifacts', () => {
+    let api;
+    let apiKey;
+    let testReport;
+
+    beforeAll(() => {
+        initializeDatabase();
+        api = createApp({ '/api/v1/upload': uploadRoutes });
+        apiKey = createApiKey(1);
+        testReport = testReportService.createTestReport({ test_name: 'checkout', status: 'failed', project_id: 1 });
+    });
+
+    const upload = (files, id = testReport.id, key = apiKey) => {
+        const request = api.post(`/api/v1/upload/test-reports/${id}/artifacts`).set('X-API-Key', key);
+        for (const [name, contents] of Object.entries(files)) {
+            request.attach('files', Buffer.from(contents), name);
+        }
+        return request;
+    };
+
+    const storedFile = (url) => path.join(UPLOADS_DIR, decodeURIComponent(url.replace('/uploads/', '')));
+
+    it('stores files with their detected type and checksum', async () => {
+        const res = await upload({ 'failure.png': 'png bytes', 'trace.zip': 'zip bytes', 'console.log': 'log line' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.artifacts.map(artifact => [artifact.file_name, artifact.type])).toEqual([
+            ['failure.png', 'screenshot'],
+            ['trace.zip', 'trace'],
+            ['console.log', 'log']
+        ]);
+
+        const [screenshot] = res.body.data.artifacts;
+        expect(screenshot.checksum).toBe(crypto.createHash('sha256').update('png bytes').digest('hex'));
+        expect(fs.readFileSync(storedFile(screenshot.url)).toString()).toBe('png bytes');
+        expect(res.body.data.testReport.screenshot_url).toBe(screenshot.url);
+    });
+
+    it('lists artifacts filtered by type', async () => {
+        const res = await api.get(`/api/v1/upload/test-reports/${testReport.id}/artifacts`).query({ type: 'trace' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map(artifact => artifact.file_name)).toEqual(['trace.zip']);
+    });
+
+    it('rejects disallowed file types without keeping any file', async () => {
+        const res = await upload({ 'payload.exe': 'MZ' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('File type .exe is not allowed');
+        expect(fs.readdirSync(path.join(UPLOADS_DIR, 'reports', String(testReport.id)))
+            .some(name => name.endsWith('payload.exe'))).toBe(false);
+    });
+
+    it('refuses API keys of another project and unknown reports', async () => {
+        expect((await upload({ 'a.png': 'x' }, testReport.id, createApiKey(2))).status).toBe(403);
+        expect((await upload({ 'a.png': 'x' }, 999999)).status).toBe(404);
+    });
+
+    it('deletes an artifact, its file and the report URL pointing at it', async () => {
+        const { body } = await upload({ 'second.png': 'second bytes' });
+        const [first] = (await api.get(`/api/v1/upload/test-reports/${testReport.id}/artifacts`).query({ type: 'screenshot' })).body.data;
+
+        const forbidden = await api.delete(`/api/v1/upload/artifacts/${first.id}`).set('Authorization', bearer('qa_engineer1'));
+        expect(forbidden.status).toBe(403);
+
+        const res = await api.delete(`/api/v1/upload/artifacts/${first.id}`).set('Authorization', bearer('qa_lead'));
+        expect(res.status).toBe(200);
+        expect(fs.existsSync(storedFile(first.url))).toBe(false);
+        expect(testReportService.getTestReportById(testReport.id).screenshot_url).toBe(body.data.artifacts[0].url);
+    });
+});
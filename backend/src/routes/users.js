@@ -1,22 +1,37 @@
 const express = require('express');
-const { getDatabase } = require('../config/database');
+const userRepository = require('../repositories/userRepository');
+const analyticsService = require('../services/analyticsService');
+const authService = require('../services/authService');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateUser, validateUserUpdate, validateAnalyticsQuery } = require('../middleware/validation');
+const { PERMISSIONS } = require('../config/permissions');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
+// Users may change their own profile and password; roles, activation and other accounts need manage_users
+const authorizeUserUpdate = (req, res, next) => {
+    const ownProfile = req.user.username === req.params.username &&
+        req.body.role === undefined &&
+        req.body.isActive === undefined;
+
+    if (!ownProfile && !permissionService.can(req.user, PERMISSIONS.MANAGE_USERS)) {
+        return res.status(403).json({
+            success: false,
+            message: `Your role does not have the ${PERMISSIONS.MANAGE_USERS} permission`
+        });
+    }
+    next();
+};
+
 // Get all users (QA team members)
 router.get('/', async (req, res) => {
     try {
-        const db = getDatabase();
-        const users = db.prepare(`
-            SELECT id, username, email, fullName, role, isActive, createdAt
-            FROM users 
-            ORDER BY fullName
-        `).all();
-
         res.json({
             success: true,
-            data: users
+            data: userRepository.list()
         });
     } catch (error) {
         logger.error('Error fetching users:', error);
@@ -27,14 +42,7 @@ router.get('/', async (req, res) => {
 // Get user by username
 router.get('/:username', async (req, res) => {
     try {
-        const { username } = req.params;
-        const db = getDatabase();
-        
-        const user = db.prepare(`
-            SELECT id, username, email, fullName, role, isActive, createdAt
-            FROM users 
-            WHERE username = ?
-        `).get(username);
+        const user = userRepository.findByUsername(req.params.username);
 
         if (!user) {
             return res.status(404).json({ success: false, message: 'User not found' });
@@ -51,40 +59,31 @@ router.get('/:username', async (req, res) => {
 });
 
 // Create new user
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.MANAGE_USERS), validateUser, async (req, res) => {
     try {
-        const { username, email, fullName, role = 'qa' } = req.body;
-        const db = getDatabase();
+        const { username, email, password, ...profile } = req.body;
 
         // Check if user already exists
-        const existingUser = db.prepare(`
-            SELECT id FROM users WHERE username = ? OR email = ?
-        `).get(username, email);
-
-        if (existingUser) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Username or email already exists' 
+        if (userRepository.findByUsernameOrEmail(username, email)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Username or email already exists'
             });
         }
 
-        // Insert new user
-        const result = db.prepare(`
-            INSERT INTO users (username, email, fullName, role)
-            VALUES (?, ?, ?, ?)
-        `).run(username, email, fullName, role);
-
-        // Add to default team
-        db.prepare(`
-            INSERT INTO team_members (teamId, userId)
-            VALUES (1, ?)
-        `).run(result.lastInsertRowid);
+        const user = userRepository.create({
+            ...profile,
+            username,
+            email,
+            passwordHash: password ? await authService.hashPassword(password) : null
+        });
 
+        auditService.record(req, { action: 'user.create', targetType: 'user', targetId: user.id, after: user });
         logger.info(`New user created: ${username}`);
         res.status(201).json({
             success: true,
             message: 'User created successfully',
-            data: { id: result.lastInsertRowid, username, email, fullName, role }
+            data: user
         });
     } catch (error) {
         logger.error('Error creating user:', error);
@@ -93,26 +92,41 @@ router.post('/', async (req, res) => {
 });
 
 // Update user
-router.put('/:username', async (req, res) => {
+router.put('/:username', authenticateToken, validateUserUpdate, authorizeUserUpdate, async (req, res) => {
     try {
         const { username } = req.params;
-        const { email, fullName, role, isActive } = req.body;
-        const db = getDatabase();
 
-        const result = db.prepare(`
-            UPDATE users 
-            SET email = ?, fullName = ?, role = ?, isActive = ?, updatedAt = CURRENT_TIMESTAMP
-            WHERE username = ?
-        `).run(email, fullName, role, isActive, username);
-
-        if (result.changes === 0) {
+        const before = userRepository.findByUsername(username);
+        if (!before) {
             return res.status(404).json({ success: false, message: 'User not found' });
         }
 
+        const { email, password, ...changes } = req.body;
+        const existing = email && userRepository.findByEmail(email);
+        if (existing && existing.username !== username) {
+            return res.status(400).json({ success: false, message: 'Email already in use' });
+        }
+
+        const user = userRepository.update(username, { ...changes, email });
+
+        // A new password ends the user's existing sessions
+        if (password) {
+            userRepository.setPasswordHash(user.id, await authService.hashPassword(password));
+            authService.revokeAll(user.id);
+        }
+
+        auditService.record(req, {
+            action: 'user.update',
+            targetType: 'user',
+            targetId: user.id,
+            before,
+            after: password ? { ...user, passwordChanged: true } : user
+        });
         logger.info(`User updated: ${username}`);
         res.json({
             success: true,
-            message: 'User updated successfully'
+            message: 'User updated successfully',
+            data: user
         });
     } catch (error) {
         logger.error('Error updating user:', error);
@@ -120,20 +134,22 @@ router.put('/:username', async (req, res) => {
     }
 });
 
-// Delete user
-router.delete('/:username', async (req, res) => {
+// Delete user; their test results are kept without an owner
+router.delete('/:username', requirePermission(PERMISSIONS.MANAGE_USERS), async (req, res) => {
     try {
         const { username } = req.params;
-        const db = getDatabase();
 
-        const result = db.prepare(`
-            DELETE FROM users WHERE username = ?
-        `).run(username);
+        // Keeps the last administrator from locking everyone out
+        if (username === req.user.username) {
+            return res.status(400).json({ success: false, message: 'You cannot delete your own account' });
+        }
 
-        if (result.changes === 0) {
+        const before = userRepository.findByUsername(username);
+        if (!before || !userRepository.delete(username)) {
             return res.status(404).json({ success: false, message: 'User not found' });
         }
 
+        auditService.record(req, { action: 'user.delete', targetType: 'user', targetId: before.id, before });
         logger.info(`User deleted: ${username}`);
         res.json({
             success: true,
@@ -146,39 +162,18 @@ router.delete('/:username', async (req, res) => {
 });
 
 // Get user statistics
-router.get('/:username/stats', async (req, res) => {
+router.get('/:username/stats', validateAnalyticsQuery, async (req, res) => {
     try {
-        const { username } = req.params;
-        const { days = 30 } = req.query;
-        const db = getDatabase();
-
-        // Get user ID
-        const user = db.prepare(`
-            SELECT id FROM users WHERE username = ?
-        `).get(username);
+        const { days, projectId } = req.query;
 
+        const user = userRepository.findByUsername(req.params.username);
         if (!user) {
             return res.status(404).json({ success: false, message: 'User not found' });
         }
 
-        // Get user statistics
-        const stats = db.prepare(`
-            SELECT 
-                COUNT(*) as totalExecutions,
-                SUM(totalTests) as totalTests,
-                SUM(passedTests) as totalPassed,
-                SUM(failedTests) as totalFailed,
-                AVG(totalDuration) as avgDuration,
-                ROUND((SUM(passedTests) * 100.0 / SUM(totalTests)), 2) as passRate,
-                MIN(createdAt) as firstExecution,
-                MAX(createdAt) as lastExecution
-            FROM test_reports 
-            WHERE executedBy = ? AND createdAt >= datetime('now', '-${days} days')
-        `).get(user.id);
-
         res.json({
             success: true,
-            data: stats
+            data: analyticsService.getMemberStats(user, { days, projectId })
         });
     } catch (error) {
         logger.error('Error fetching user stats:', error);
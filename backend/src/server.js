@@ -3,22 +3,35 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
-const path = require('path');
 require('dotenv').config();
 
 const { initializeDatabase } = require('./config/database');
+const { UPLOADS_DIR } = require('./config/uploads');
 const { logger } = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
-const rateLimiter = require('./middleware/rateLimiter');
+const { rateLimiter } = require('./middleware/rateLimiter');
+const { requestId } = require('./middleware/requestId');
+const { INGEST_AUTH_REQUIRED } = require('./middleware/auth');
+const executionService = require('./services/executionService');
+const flakinessService = require('./services/flakinessService');
+const quarantineService = require('./services/quarantineService');
 
 // Import routes
 const testReportsRoutes = require('./routes/testReports');
+const importRoutes = require('./routes/imports');
+const executionsRoutes = require('./routes/executions');
+const tracesRoutes = require('./routes/traces');
 const analyticsRoutes = require('./routes/analytics');
 const projectsRoutes = require('./routes/projects');
 const authRoutes = require('./routes/auth');
 const uploadRoutes = require('./routes/upload');
 const usersRoutes = require('./routes/users');
+const teamsRoutes = require('./routes/teams');
 const teamResultsRoutes = require('./routes/teamResults');
+const storageRoutes = require('./routes/storage');
+const auditLogRoutes = require('./routes/auditLog');
+const quarantineRoutes = require('./routes/quarantine');
+const scimRoutes = require('./routes/scim');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -42,8 +55,15 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 // Compression middleware
 app.use(compression());
 
+// Request IDs, logged in front of the combined access log format
+app.use(requestId);
+morgan.token('id', req => req.id);
+
 // Logging middleware
-app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
+app.use(morgan(`:id ${morgan.combined}`, { stream: { write: message => logger.info(message.trim()) } }));
+
+// SCIM provisioning authenticates with its own token and syncs in bursts, so it is not rate limited
+app.use('/scim/v2', scimRoutes);
 
 // Rate limiting
 app.use(rateLimiter);
@@ -59,16 +79,23 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/v1/test-reports/import', importRoutes);
 app.use('/api/v1/test-reports', testReportsRoutes);
+app.use('/api/v1/executions', executionsRoutes);
 app.use('/api/v1/analytics', analyticsRoutes);
 app.use('/api/v1/projects', projectsRoutes);
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/upload', uploadRoutes);
+app.use('/api/v1/traces', tracesRoutes);
 app.use('/api/v1/users', usersRoutes);
+app.use('/api/v1/teams', teamsRoutes);
 app.use('/api/v1/team-results', teamResultsRoutes);
+app.use('/api/v1/storage', storageRoutes);
+app.use('/api/v1/audit-log', auditLogRoutes);
+app.use('/api/v1/quarantine', quarantineRoutes);
 
 // Serve static files (for uploaded test artifacts)
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+app.use('/uploads', express.static(UPLOADS_DIR));
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -87,6 +114,19 @@ const startServer = async () => {
         // Initialize SQLite database
         await initializeDatabase();
 
+        // Cancel live executions whose reporter went away
+        executionService.startAbandonedExecutionSweep();
+
+        // Re-score flaky tests now and on FLAKY_ANALYSIS_SCHEDULE
+        flakinessService.startFlakinessAnalysis();
+
+        // Release expired and stable-again quarantined tests on QUARANTINE_SWEEP_SCHEDULE
+        quarantineService.startQuarantineSweep();
+
+        if (!INGEST_AUTH_REQUIRED) {
+            logger.warn('REQUIRE_INGEST_AUTH=false: anyone who can reach the server can upload results to any project');
+        }
+
         // Start the server
         app.listen(PORT, () => {
             logger.info(`🚀 Server running on port ${PORT}`);
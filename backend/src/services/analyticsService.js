@@ -0,0 +1,330 @@
+const executionRepository = require('../repositories/executionRepository');
+const testReportRepository = require('../repositories/testReportRepository');
+const projectRepository = require('../repositories/projectRepository');
+const flakinessService = require('./flakinessService');
+const { percentage } = require('../repositories/filters');
+
+// strftime formats of the period keys for each trend interval
+const INTERVAL_FORMATS = {
+    hour: '%Y-%m-%d %H:00',
+    day: '%Y-%m-%d',
+    week: '%Y-W%W',
+    month: '%Y-%m'
+};
+
+const indexBy = (rows, key) => new Map(rows.map(row => [row[key], row]));
+
+/**
+ * Combine per-member test totals with per-member execution totals. Members who only
+ * submitted standalone results have no executions, and the other way round.
+ * @param {Array<Object>} testStats - testReportRepository.getStatsByMember rows
+ * @param {Array<Object>} executionStats - executionRepository.getStatsByMember rows
+ * @returns {Array<Object>} One entry per member with both kinds of totals
+ */
+const mergeMemberStats = (testStats, executionStats) => {
+    const tests = indexBy(testStats, 'userId');
+    const executions = indexBy(executionStats, 'userId');
+    const userIds = new Set([...tests.keys(), ...executions.keys()]);
+
+    return [...userIds].map(userId => {
+        const test = tests.get(userId) || {};
+        const execution = executions.get(userId) || {};
+        const lastActivity = [test.lastResult, execution.lastExecution].filter(Boolean).sort().pop() || null;
+
+        return {
+            userId,
+            fullName: test.fullName || execution.fullName,
+            username: test.username || execution.username,
+            executions: execution.executions || 0,
+            totalTests: test.totalTests || 0,
+            passedTests: test.totalPassed || 0,
+            failedTests: test.totalFailed || 0,
+            skippedTests: test.totalSkipped || 0,
+            flakyTests: test.totalFlaky || 0,
+            passRate: test.passRate || 0,
+            avgDuration: execution.avgDuration || 0,
+            totalDuration: execution.totalDuration || 0,
+            lastExecution: lastActivity
+        };
+    });
+};
+
+/**
+ * Combine test totals and execution counts per period
+ * @param {Array<Object>} testTrend - testReportRepository.getTrend rows
+ * @param {Array<Object>} executionTrend - executionRepository.getTrend rows
+ * @returns {Array<Object>} { period, test, execution } entries, oldest first
+ */
+const mergeTrends = (testTrend, executionTrend) => {
+    const tests = indexBy(testTrend, 'period');
+    const executions = indexBy(executionTrend, 'period');
+
+    return [...new Set([...tests.keys(), ...executions.keys()])]
+        .sort()
+        .map(period => ({
+            period,
+            test: tests.get(period) || { totalTests: 0, totalPassed: 0, totalFailed: 0, totalSkipped: 0, passRate: 0 },
+            execution: executions.get(period) || { executions: 0, avgDuration: 0 }
+        }));
+};
+
+/**
+ * Analytics combining per-test rows (test_reports) with test runs (test_executions).
+ * Test counts come from test_reports so standalone results are included; run counts
+ * and durations come from test_executions.
+ */
+class AnalyticsService {
+    /**
+     * Team dashboard: overall totals, per-member performance, recent runs,
+     * repeated failures and the daily trend
+     * @param {Object} filters - { projectId, days, environment, branch }
+     * @returns {Object} Dashboard data
+     */
+    getDashboard(filters) {
+        const tests = testReportRepository.getSummary(filters);
+        const executions = executionRepository.getSummary(filters);
+
+        const teamPerformance = mergeMemberStats(
+            testReportRepository.getStatsByMember(filters),
+            executionRepository.getStatsByMember(filters)
+        ).map(member => ({
+            qaMember: member.fullName,
+            username: member.username,
+            totalExecutions: member.executions,
+            totalTests: member.totalTests,
+            totalPassed: member.passedTests,
+            totalFailed: member.failedTests,
+            passRate: member.passRate,
+            avgDuration: member.avgDuration,
+            lastExecution: member.lastExecution
+        })).sort((a, b) => b.totalTests - a.totalTests);
+
+        return {
+            overall: {
+                totalExecutions: executions.executions,
+                totalTests: tests.totalTests,
+                totalPassed: tests.totalPassed,
+                totalFailed: tests.totalFailed,
+                totalSkipped: tests.totalSkipped,
+                totalFlaky: tests.totalFlaky,
+                flakyTests: flakinessService.count({ projectId: filters.projectId }),
+                avgDuration: executions.avgDuration,
+                overallPassRate: tests.passRate
+            },
+            teamPerformance,
+            recentExecutions: executionRepository.getRecent(filters, 10),
+            failurePatterns: testReportRepository.getFailingTests(filters, { minFailures: 2 }),
+            trends: this.getDailyTrend(filters)
+        };
+    }
+
+    /**
+     * Test totals and run counts per day, most recent first
+     * @param {Object} filters - Query filters
+     * @param {number} limit - Maximum days
+     * @returns {Array<Object>} { date, executions, totalTests, passedTests, failedTests, passRate }
+     */
+    getDailyTrend(filters, limit = 30) {
+        return mergeTrends(testReportRepository.getTrend(filters), executionRepository.getTrend(filters))
+            .map(({ period, test, execution }) => ({
+                date: period,
+                executions: execution.executions,
+                totalTests: test.totalTests,
+                passedTests: test.totalPassed,
+                failedTests: test.totalFailed,
+                passRate: test.passRate
+            }))
+            .reverse()
+            .slice(0, limit);
+    }
+
+    /**
+     * Activity of a single member
+     * @param {Object} user - User from userRepository
+     * @param {Object} filters - { projectId, days }
+     * @returns {Object} Member statistics, recent runs, per-project totals and daily trend
+     */
+    getMemberAnalytics(user, filters) {
+        const memberFilters = { ...filters, teamMemberId: user.id };
+
+        return {
+            user,
+            stats: this.getMemberStats(user, filters),
+            recentExecutions: executionRepository.getRecent(memberFilters, 20),
+            projectBreakdown: testReportRepository.getStatsByGroup(memberFilters, 'project').map(project => ({
+                projectId: project.id,
+                projectName: project.name,
+                totalTests: project.totalTests,
+                passedTests: project.totalPassed,
+                failedTests: project.totalFailed,
+                passRate: project.passRate
+            })),
+            dailyTrend: this.getDailyTrend(memberFilters)
+        };
+    }
+
+    /**
+     * Totals for a single member
+     * @param {Object} user - User from userRepository
+     * @param {Object} filters - { projectId, days }
+     * @returns {Object} Test and execution totals
+     */
+    getMemberStats(user, filters) {
+        const memberFilters = { ...filters, teamMemberId: user.id };
+        const tests = testReportRepository.getSummary(memberFilters);
+        const executions = executionRepository.getSummary(memberFilters);
+
+        return {
+            totalExecutions: executions.executions,
+            totalTests: tests.totalTests,
+            totalPassed: tests.totalPassed,
+            totalFailed: tests.totalFailed,
+            totalSkipped: tests.totalSkipped,
+            totalFlaky: tests.totalFlaky,
+            avgDuration: executions.avgDuration,
+            passRate: tests.passRate,
+            firstExecution: [tests.firstResult, executions.firstExecution].filter(Boolean).sort()[0] || null,
+            lastExecution: [tests.lastResult, executions.lastExecution].filter(Boolean).sort().pop() || null
+        };
+    }
+
+    /**
+     * Members side by side, plus team-wide efficiency
+     * @param {Object} filters - { projectId, days }
+     * @returns {Object} { teamComparison, teamEfficiency }
+     */
+    getTeamComparison(filters) {
+        const tests = testReportRepository.getSummary(filters);
+        const executions = executionRepository.getSummary(filters);
+        const teamComparison = mergeMemberStats(
+            testReportRepository.getStatsByMember(filters),
+            executionRepository.getStatsByMember(filters)
+        ).sort((a, b) => b.executions - a.executions || b.totalTests - a.totalTests);
+
+        return {
+            teamComparison,
+            teamEfficiency: {
+                activeMembers: teamComparison.length,
+                totalExecutions: executions.executions,
+                totalTests: tests.totalTests,
+                teamPassRate: tests.passRate,
+                avgExecutionTime: executions.avgDuration,
+                totalTimeSpent: executions.totalDuration
+            }
+        };
+    }
+
+    /**
+     * Most frequent failures, optionally for one member
+     * @param {Object} filters - { projectId, days, qaMember }
+     * @returns {Object} { topFailingTests, failuresByMember }
+     */
+    getFailureAnalysis({ qaMember, ...filters }) {
+        const failureFilters = { ...filters, username: qaMember };
+
+        return {
+            topFailingTests: testReportRepository.getFailingTests(failureFilters),
+            failuresByMember: testReportRepository.getFailuresByMember(failureFilters)
+        };
+    }
+
+    /**
+     * All projects with their all-time totals, most recently run first
+     * @returns {Array<Object>} Projects with execution and test totals
+     */
+    listProjects() {
+        const tests = indexBy(testReportRepository.getStatsByGroup({}, 'project'), 'id');
+        const executions = indexBy(executionRepository.getStatsByGroup({}, 'project'), 'id');
+
+        return projectRepository.list()
+            .map(project => {
+                const test = tests.get(project.projectId) || {};
+                const execution = executions.get(project.projectId) || {};
+
+                return {
+                    ...project,
+                    totalExecutions: execution.executions || 0,
+                    lastExecution: execution.lastExecution || null,
+                    averagePassPercentage: test.passRate || 0,
+                    totalTests: test.totalTests || 0,
+                    totalDuration: execution.totalDuration || 0,
+                    averageDuration: execution.avgDuration || 0
+                };
+            })
+            .sort((a, b) => String(b.lastExecution || '').localeCompare(String(a.lastExecution || '')));
+    }
+
+    /**
+     * Totals of one project over the last `days` days
+     * @param {Object} project - Project from projectRepository
+     * @param {number} days - Days to include
+     * @returns {Object} Project totals, recent runs and per-branch/environment totals
+     */
+    getProjectDetails(project, days) {
+        const filters = { projectId: project.projectId, days };
+        const tests = testReportRepository.getSummary(filters);
+        const executions = executionRepository.getSummary(filters);
+        const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        const groupStats = (group) => {
+            const testGroups = indexBy(testReportRepository.getStatsByGroup(filters, group), 'id');
+
+            return executionRepository.getStatsByGroup(filters, group).map(execution => ({
+                name: execution.name,
+                executions: execution.executions,
+                averagePassPercentage: execution.passRate,
+                totalTests: (testGroups.get(execution.id) || execution).totalTests
+            }));
+        };
+
+        return {
+            ...project,
+            totalExecutions: executions.executions,
+            totalTests: tests.totalTests,
+            totalPassed: tests.totalPassed,
+            totalFailed: tests.totalFailed,
+            totalSkipped: tests.totalSkipped,
+            totalFlaky: tests.totalFlaky,
+            totalDuration: executions.totalDuration,
+            averagePassPercentage: tests.passRate,
+            averageDuration: executions.avgDuration,
+            firstExecution: executions.firstExecution,
+            lastExecution: executions.lastExecution,
+            recentExecutions: executionRepository.getRecent({ projectId: project.projectId }, 10),
+            branchStats: groupStats('branch'),
+            environmentStats: groupStats('environment'),
+            timeRange: {
+                days,
+                startDate: startDate.toISOString(),
+                endDate: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Runs and test totals of one project per period
+     * @param {Object} project - Project from projectRepository
+     * @param {Object} options - { days, interval: hour|day|week|month }
+     * @returns {Array<Object>} { date, executions, tests, passed, failed, skipped, passPercentage, duration }
+     */
+    getProjectTrends(project, { days, interval = 'day' }) {
+        const filters = { projectId: project.projectId, days };
+        const format = INTERVAL_FORMATS[interval];
+
+        return mergeTrends(
+            testReportRepository.getTrend(filters, format),
+            executionRepository.getTrend(filters, format)
+        ).map(({ period, test, execution }) => ({
+            date: period,
+            executions: execution.executions,
+            tests: test.totalTests,
+            passed: test.totalPassed,
+            failed: test.totalFailed,
+            skipped: test.totalSkipped,
+            passPercentage: percentage(test.totalPassed, test.totalTests),
+            duration: execution.avgDuration
+        }));
+    }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { getDatabase } = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const KEY_PREFIX = 'tdk_';
+const DISPLAYED_KEY_LENGTH = 12;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Map an api_keys row to the API shape; the key itself is never stored
+ * @param {Object} row - api_keys row, optionally with creator_name
+ * @returns {Object|null} API key with camelCase fields
+ */
+const toApiKey = (row) => {
+    if (!row) return null;
+
+    return {
+        id: row.id,
+        projectId: row.project_id,
+        name: row.name,
+        keyPrefix: row.key_prefix,
+        scopes: JSON.parse(row.scopes),
+        createdBy: row.created_by,
+        createdByName: row.creator_name || null,
+        expiresAt: row.expires_at,
+        lastUsedAt: row.last_used_at,
+        revokedAt: row.revoked_at,
+        createdAt: row.created_at
+    };
+};
+
+const API_KEY_SELECT = `
+    SELECT k.*, u.full_name as creator_name
+    FROM api_keys k
+    LEFT JOIN users u ON u.id = k.created_by
+`;
+
+/**
+ * Project-scoped API keys that let CI jobs upload results without a user's session
+ */
+class ApiKeyService {
+    list(projectId) {
+        return getDatabase()
+            .prepare(`${API_KEY_SELECT} WHERE k.project_id = ? ORDER BY k.created_at DESC, k.id DESC`)
+            .all(projectId)
+            .map(toApiKey);
+    }
+
+    findById(projectId, id) {
+        return toApiKey(getDatabase()
+            .prepare(`${API_KEY_SELECT} WHERE k.project_id = ? AND k.id = ?`)
+            .get(projectId, id));
+    }
+
+    /**
+     * Create a key for a project. The plain key is only returned here.
+     * @param {number} projectId - Project the key uploads to
+     * @param {Object} options - { name, scopes, expiresAt }
+     * @param {Object} createdBy - User creating the key
+     * @returns {Object} The stored key with the plain `key`
+     */
+    create(projectId, { name, scopes, expiresAt = null }, createdBy) {
+        const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+        const { lastInsertRowid } = getDatabase().prepare(`
+            INSERT INTO api_keys (project_id, name, key_prefix, key_hash, scopes, created_by, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            projectId,
+            name,
+            key.slice(0, DISPLAYED_KEY_LENGTH),
+            hashKey(key),
+            JSON.stringify(scopes),
+            createdBy ? createdBy.id : null,
+            expiresAt ? new Date(expiresAt).toISOString() : null
+        );
+
+        logger.info(`API key ${lastInsertRowid} created for project ${projectId}`);
+        return { ...this.findById(projectId, lastInsertRowid), key };
+    }
+
+    /**
+     * Revoke a key; uploads using it are refused from now on
+     * @param {number} projectId - Project ID
+     * @param {number} id - API key ID
+     * @returns {boolean} Whether an active key was revoked
+     */
+    revoke(projectId, id) {
+        const { changes } = getDatabase().prepare(`
+            UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+            WHERE project_id = ? AND id = ? AND revoked_at IS NULL
+        `).run(projectId, id);
+
+        return changes > 0;
+    }
+
+    /**
+     * Resolve the key sent by a client and record its use
+     * @param {string} key - Plain API key
+     * @returns {Object|null} API key, or null when it is unknown, revoked or expired
+     */
+    authenticate(key) {
+        const db = getDatabase();
+        const apiKey = toApiKey(db.prepare(`${API_KEY_SELECT} WHERE k.key_hash = ?`).get(hashKey(key)));
+
+        if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date())) {
+            return null;
+        }
+
+        db.prepare('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(apiKey.id);
+        return apiKey;
+    }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getDatabase } = require('../config/database');
+const { UPLOADS_DIR } = require('../config/uploads');
+const { logger } = require('../utils/logger');
+
+// Report columns kept pointing at the first artifact of their type
+const URL_COLUMNS = {
+    screenshot: 'screenshot_url',
+    video: 'video_url'
+};
+
+class ArtifactService {
+    reportDirectory(testReportId) {
+        return path.join(UPLOADS_DIR, 'reports', String(testReportId));
+    }
+
+    /**
+     * Guess the artifact type of an uploaded file
+     * @param {Object} file - Multer file ({ originalname, mimetype })
+     * @returns {string} Artifact type (screenshot, video, trace, log or other)
+     */
+    detectType(file) {
+        const name = file.originalname.toLowerCase();
+        const mimeType = file.mimetype || '';
+
+        if (mimeType.startsWith('image/')) return 'screenshot';
+        if (mimeType.startsWith('video/')) return 'video';
+        // Playwright writes traces as trace.zip (or <test>-trace.zip)
+        if (name.endsWith('.zip') && name.includes('trace')) return 'trace';
+        if (mimeType.startsWith('text/') || name.endsWith('.log')) return 'log';
+        return 'other';
+    }
+
+    checksum(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('error', reject)
+                .on('end', () => resolve(hash.digest('hex')));
+        });
+    }
+
+    /**
+     * Record files stored by multer as artifacts of a test report
+     * @param {Object} testReport - Owning test report
+     * @param {Array} files - Multer files saved under reportDirectory()
+     * @param {string} [type] - Artifact type for all files; detected per file when omitted
+     * @returns {Promise<Array>} Stored artifacts
+     */
+    async addArtifacts(testReport, files, type) {
+        const checksums = await Promise.all(files.map(file => this.checksum(file.path)));
+        const db = getDatabase();
+
+        const insert = db.prepare(`
+            INSERT INTO test_artifacts (
+                test_report_id, type, file_name, stored_name, url, mime_type, size, checksum
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        const store = db.transaction(() => files.map((file, index) => {
+            const artifactType = type || this.detectType(file);
+            const url = `/uploads/reports/${testReport.id}/${encodeURIComponent(file.filename)}`;
+            const result = insert.run(
+                testReport.id,
+                artifactType,
+                file.originalname,
+                file.filename,
+                url,
+                file.mimetype || null,
+                file.size,
+                checksums[index]
+            );
+
+            const column = URL_COLUMNS[artifactType];
+            if (column) {
+                db.prepare(`
+                    UPDATE test_reports
+                    SET ${column} = COALESCE(${column}, ?), updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `).run(url, testReport.id);
+            }
+
+            return result.lastInsertRowid;
+        }));
+
+        const ids = store();
+        logger.info(`Stored ${ids.length} artifacts for test report ${testReport.id}`);
+        return ids.map(id => this.getArtifact(id));
+    }
+
+    getArtifact(id) {
+        const db = getDatabase();
+        return db.prepare('SELECT * FROM test_artifacts WHERE id = ?').get(id) || null;
+    }
+
+    listArtifacts(testReportId, type) {
+        const db = getDatabase();
+
+        if (type) {
+            return db.prepare(`
+                SELECT * FROM test_artifacts WHERE test_report_id = ? AND type = ? ORDER BY id
+            `).all(testReportId, type);
+        }
+
+        return db.prepare('SELECT * FROM test_artifacts WHERE test_report_id = ? ORDER BY id').all(testReportId);
+    }
+
+    /**
+     * Delete an artifact, its file, and the report URL pointing at it
+     * @param {Object} artifact - test_artifacts row
+     */
+    deleteArtifact(artifact) {
+        const db = getDatabase();
+        const column = URL_COLUMNS[artifact.type];
+
+        const remove = db.transaction(() => {
+            db.prepare('DELETE FROM test_artifacts WHERE id = ?').run(artifact.id);
+
+            if (column) {
+                // Fall back to the next artifact of the same type, if any
+                const next = db.prepare(`
+                    SELECT url FROM test_artifacts WHERE test_report_id = ? AND type = ? ORDER BY id LIMIT 1
+                `).get(artifact.test_report_id, artifact.type);
+
+                db.prepare(`
+                    UPDATE test_reports SET ${column} = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND ${column} = ?
+                `).run(next ? next.url : null, artifact.test_report_id, artifact.url);
+            }
+        });
+
+        remove();
+        this.removeFiles([path.join(this.reportDirectory(artifact.test_report_id), artifact.stored_name)]);
+    }
+
+    // Remove every stored file of a deleted test report
+    deleteReportFiles(testReportId) {
+        try {
+            fs.rmSync(this.reportDirectory(testReportId), { recursive: true, force: true });
+        } catch (error) {
+            logger.error(`Failed to delete artifacts of test report ${testReportId}:`, error);
+        }
+    }
+
+    removeFiles(filePaths) {
+        for (const filePath of filePaths) {
+            try {
+                fs.rmSync(filePath, { force: true });
+            } catch (error) {
+                logger.error(`Failed to delete artifact file ${filePath}:`, error);
+            }
+        }
+    }
+}
+
+module.exports = new ArtifactService();
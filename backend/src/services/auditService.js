@@ -0,0 +1,143 @@
+const { getDatabase } = require('../config/database');
+const { buildFilters } = require('../repositories/filters');
+const { logger } = require('../utils/logger');
+
+const FILTER_COLUMNS = {
+    actor: 'actor_name',
+    actorType: 'actor_type',
+    action: 'action',
+    targetType: 'target_type',
+    targetId: 'target_id',
+    requestId: 'request_id'
+};
+
+const parseState = (value) => (value === null ? null : JSON.parse(value));
+
+/**
+ * Map an audit_log row to the API shape
+ * @param {Object} row - audit_log row
+ * @returns {Object} Audit entry with camelCase fields and parsed snapshots
+ */
+const toEntry = (row) => ({
+    id: row.id,
+    createdAt: row.created_at,
+    actorType: row.actor_type,
+    actorId: row.actor_id,
+    actorName: row.actor_name,
+    action: row.action,
+    targetType: row.target_type,
+    targetId: row.target_id,
+    before: parseState(row.before_state),
+    after: parseState(row.after_state),
+    ipAddress: row.ip_address,
+    requestId: row.request_id
+});
+
+/**
+ * Who made a request: a signed-in user, a project API key or nobody
+ * @param {Object} req - Express request
+ * @returns {Object} { type, id, name }
+ */
+const actorOf = (req) => {
+    if (req.user) return { type: 'user', id: req.user.id, name: req.user.username };
+    if (req.apiKey) return { type: 'api_key', id: req.apiKey.id, name: req.apiKey.name };
+    if (req.scimClient) return { type: 'scim', id: null, name: 'SCIM' };
+    return { type: 'anonymous', id: null, name: null };
+};
+
+/**
+ * Append-only log of administrative and data-changing requests
+ */
+class AuditService {
+    /**
+     * Record a completed change. Never throws: the change already happened, so a failed
+     * entry is logged instead of failing the request.
+     * @param {Object} req - Express request of the change
+     * @param {Object} entry - { action, targetType, targetId, before, after }
+     */
+    record(req, { action, targetType, targetId = null, before = null, after = null }) {
+        const actor = actorOf(req);
+
+        try {
+            getDatabase().prepare(`
+                INSERT INTO audit_log (
+                    actor_type, actor_id, actor_name, action, target_type, target_id,
+                    before_state, after_state, ip_address, request_id
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                actor.type,
+                actor.id,
+                actor.name,
+                action,
+                targetType,
+                targetId === null ? null : String(targetId),
+                before === null ? null : JSON.stringify(before),
+                after === null ? null : JSON.stringify(after),
+                req.ip || null,
+                req.id || null
+            );
+        } catch (error) {
+            logger.error(`Failed to record audit entry ${action} ${targetType} ${targetId}:`, error);
+        }
+    }
+
+    /**
+     * Audit entries, newest first
+     * @param {Object} filters - { actor, actorType, action, targetType, targetId, requestId, startDate, endDate, page, limit }
+     * @returns {Object} { entries, pagination }
+     */
+    list(filters = {}) {
+        const db = getDatabase();
+        const { where, params } = buildFilters(filters, { columns: FILTER_COLUMNS, dateColumn: 'created_at' });
+        const page = Math.max(parseInt(filters.page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 500);
+
+        const rows = db.prepare(`
+            SELECT * FROM audit_log WHERE 1=1 ${where}
+            ORDER BY id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, pageSize, (page - 1) * pageSize);
+
+        const { total } = db.prepare(`SELECT COUNT(*) as total FROM audit_log WHERE 1=1 ${where}`).get(...params);
+
+        return {
+            entries: rows.map(toEntry),
+            pagination: {
+                page,
+                limit: pageSize,
+                total,
+                pages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    /**
+     * Every matching entry, newest first, read row by row for exports
+     * @param {Object} filters - Same filters as list()
+     * @returns {Iterator<Object>} Audit entries
+     */
+    *iterate(filters = {}) {
+        const { where, params } = buildFilters(filters, { columns: FILTER_COLUMNS, dateColumn: 'created_at' });
+        const rows = getDatabase()
+            .prepare(`SELECT * FROM audit_log WHERE 1=1 ${where} ORDER BY id DESC`)
+            .iterate(...params);
+
+        for (const row of rows) {
+            yield toEntry(row);
+        }
+    }
+
+    /**
+     * Actions and target types seen so far, for filter menus
+     * @returns {Object} { actions, targetTypes }
+     */
+    getFacets() {
+        const db = getDatabase();
+        return {
+            actions: db.prepare('SELECT DISTINCT action FROM audit_log ORDER BY action').pluck().all(),
+            targetTypes: db.prepare('SELECT DISTINCT target_type FROM audit_log ORDER BY target_type').pluck().all()
+        };
+    }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { getDatabase } = require('../config/database');
+const userRepository = require('../repositories/userRepository');
+const permissionService = require('./permissionService');
+const { logger } = require('../utils/logger');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 10;
+const TOKEN_ISSUER = 'test-dashboard';
+
+// Compared against when the user does not exist, so unknown usernames take as long as wrong passwords
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', BCRYPT_ROUNDS);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class AuthService {
+    constructor() {
+        this.secret = null;
+    }
+
+    /**
+     * Signing key for access tokens. Without JWT_SECRET a random key is used outside
+     * production, which logs everyone out on restart.
+     * @returns {string} Secret
+     */
+    getSecret() {
+        if (this.secret) return this.secret;
+
+        if (process.env.JWT_SECRET) {
+            this.secret = process.env.JWT_SECRET;
+        } else if (process.env.NODE_ENV === 'production') {
+            throw new Error('JWT_SECRET must be set in production');
+        } else {
+            logger.warn('JWT_SECRET is not set; using a random key, so sessions end when the server restarts');
+            this.secret = crypto.randomBytes(32).toString('hex');
+        }
+
+        return this.secret;
+    }
+
+    hashPassword(password) {
+        return bcrypt.hash(password, BCRYPT_ROUNDS);
+    }
+
+    /**
+     * Create an account with the default role and open a session for it
+     * @param {Object} account - { username, email, fullName, password }
+     * @returns {Promise<Object>} Session
+     */
+    async register({ username, email, fullName, password }) {
+        const user = userRepository.create({
+            username,
+            email,
+            fullName,
+            role: 'qa_engineer',
+            passwordHash: await this.hashPassword(password)
+        });
+
+        logger.info(`User registered: ${username}`);
+        return this.createSession(user);
+    }
+
+    /**
+     * Check a username (or email) and password
+     * @param {string} identifier - Username or email
+     * @param {string} password - Plain-text password
+     * @returns {Promise<Object|null>} Session, or null when the credentials are not valid
+     */
+    async login(identifier, password) {
+        const user = userRepository.findByUsernameOrEmail(identifier, identifier);
+        const passwordHash = user && user.isActive ? userRepository.getPasswordHash(user.id) : null;
+
+        const matches = await bcrypt.compare(password, passwordHash || DUMMY_PASSWORD_HASH);
+        if (!passwordHash || !matches) {
+            logger.warn(`Failed login for ${identifier}`);
+            return null;
+        }
+
+        userRepository.recordLogin(user.id);
+        logger.info(`User logged in: ${user.username}`);
+        return this.createSession(userRepository.findById(user.id));
+    }
+
+    /**
+     * Issue an access token and a refresh token for a user
+     * @param {Object} user - User from userRepository
+     * @param {Object} [issued] - Refresh token already issued for the session
+     * @returns {Object} { user (with its permissions), accessToken, tokenType, expiresIn, refreshToken,
+     *                    refreshTokenExpiresAt }
+     */
+    createSession(user, issued = this.issueRefreshToken(user.id)) {
+        const { refreshToken, expiresAt } = issued;
+
+        return {
+            user: { ...user, ...permissionService.describe(user) },
+            accessToken: this.signAccessToken(user),
+            tokenType: 'Bearer',
+            expiresIn: ACCESS_TOKEN_TTL,
+            refreshToken,
+            refreshTokenExpiresAt: expiresAt
+        };
+    }
+
+    signAccessToken(user) {
+        return jwt.sign(
+            { username: user.username, role: user.role },
+            this.getSecret(),
+            { subject: String(user.id), issuer: TOKEN_ISSUER, expiresIn: ACCESS_TOKEN_TTL }
+        );
+    }
+
+    /**
+     * Verify an access token
+     * @param {string} token - JWT from the Authorization header
+     * @returns {Object} Token payload; `sub` is the user ID
+     * @throws {JsonWebTokenError|TokenExpiredError} When the token is invalid or expired
+     */
+    verifyAccessToken(token) {
+        return jwt.verify(token, this.getSecret(), { issuer: TOKEN_ISSUER });
+    }
+
+    issueRefreshToken(userId) {
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+        const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+        const { lastInsertRowid } = getDatabase().prepare(`
+            INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)
+        `).run(userId, hashToken(refreshToken), expiresAt);
+
+        return { refreshToken, expiresAt, id: lastInsertRowid };
+    }
+
+    /**
+     * Exchange a refresh token for a new session. Each refresh token works once; presenting
+     * one that was already used revokes every session of its user, since it was likely stolen.
+     * @param {string} refreshToken - Refresh token from login or the previous refresh
+     * @returns {Object|null} Session, or null when the token is not valid
+     */
+    refresh(refreshToken) {
+        const db = getDatabase();
+        const stored = db.prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?').get(hashToken(refreshToken));
+        if (!stored) return null;
+
+        if (stored.revoked_at) {
+            if (stored.replaced_by) {
+                logger.warn(`Reused refresh token for user ${stored.user_id}; revoking all of their sessions`);
+                this.revokeAll(stored.user_id);
+            }
+            return null;
+        }
+
+        const user = userRepository.findById(stored.user_id);
+        if (new Date(stored.expires_at) <= new Date() || !user || !user.isActive) {
+            return null;
+        }
+
+        const issued = db.transaction(() => {
+            const next = this.issueRefreshToken(user.id);
+            db.prepare(`
+                UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = ? WHERE id = ?
+            `).run(next.id, stored.id);
+            return next;
+        })();
+
+        return this.createSession(user, issued);
+    }
+
+    /**
+     * End the session of a refresh token; unknown or already revoked tokens are ignored
+     * @param {string} refreshToken - Refresh token
+     */
+    logout(refreshToken) {
+        getDatabase().prepare(`
+            UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = ? AND revoked_at IS NULL
+        `).run(hashToken(refreshToken));
+    }
+
+    revokeAll(userId) {
+        getDatabase().prepare(`
+            UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL
+        `).run(userId);
+    }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,248 @@
+const cron = require('node-cron');
+const { getDatabase } = require('../config/database');
+const ingestionService = require('./ingestionService');
+const testReportService = require('./testReportService');
+const { normalizeCiContext } = require('../utils/ciContext');
+const { logger } = require('../utils/logger');
+
+// Running executions without any activity for this long are marked as cancelled
+const EXECUTION_TIMEOUT_MINUTES = parseInt(process.env.EXECUTION_TIMEOUT_MINUTES) || 60;
+
+const SWEEP_SCHEDULE = process.env.EXECUTION_SWEEP_SCHEDULE || '*/5 * * * *';
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone designator
+const sqliteToIso = (timestamp) => new Date(`${timestamp.replace(' ', 'T')}Z`).toISOString();
+
+class ExecutionService {
+    /**
+     * Open a live execution that results are streamed into
+     * @param {Object} execution - Validated start payload
+     * @returns {Object} { execution, created } - created is false when execution_id was already open
+     */
+    startExecution(execution) {
+        if (execution.execution_id) {
+            const existing = ingestionService.getExecutionByKey(execution.execution_id);
+            if (existing) {
+                return { execution: existing, created: false };
+            }
+        }
+
+        const ci = normalizeCiContext(execution.ci);
+        const started = ingestionService.createExecution({
+            executionId: execution.execution_id,
+            name: execution.name,
+            startTime: execution.start_time ? new Date(execution.start_time).toISOString() : null,
+            team_member_id: execution.team_member_id,
+            project_id: execution.project_id,
+            environment: execution.environment,
+            branch: execution.branch || (ci && ci.branch),
+            commit_hash: execution.commit_hash || (ci && ci.commit),
+            metadata: {
+                format: 'live',
+                ...execution.metadata,
+                framework: execution.framework || undefined,
+                browser: execution.browser || undefined,
+                ...(ci && { ci })
+            }
+        });
+
+        logger.info(`Execution started: ${started.execution_id}`);
+        return { execution: started, created: true };
+    }
+
+    /**
+     * Find an execution by its numeric ID or its execution_id key. Digits always mean the
+     * numeric ID, so a key cannot hide another execution.
+     * @param {string|number} idOrKey - test_executions.id or test_executions.execution_id
+     * @returns {Object|null} Execution
+     */
+    findExecution(idOrKey) {
+        return /^\d+$/.test(String(idOrKey))
+            ? ingestionService.getExecution(idOrKey)
+            : ingestionService.getExecutionByKey(String(idOrKey));
+    }
+
+    /**
+     * Append results to a running execution and refresh its live totals
+     * @param {Object} execution - Running execution
+     * @param {Array} results - Validated test reports
+     * @param {Object} options - { onDuplicate: 'ignore' | 'update' }
+     * @returns {Object} Updated execution with the reportIds and created/updated/ignored counts
+     */
+    appendResults(execution, results, { onDuplicate } = {}) {
+        const db = getDatabase();
+        const metadata = execution.metadata || {};
+        const defaults = {
+            framework: metadata.framework || null,
+            browser: metadata.browser || null,
+            project_id: execution.project_id,
+            team_member_id: execution.triggered_by,
+            environment: execution.environment,
+            branch: execution.branch,
+            commit_hash: execution.commit_hash
+        };
+
+        const append = db.transaction(() => {
+            const outcome = ingestionService.addReports(execution.id, results, defaults, { onDuplicate });
+            ingestionService.refreshExecutionTotals(execution.id);
+            return outcome;
+        });
+
+        const outcome = append();
+        return { execution: ingestionService.getExecution(execution.id), ...outcome };
+    }
+
+    /**
+     * Close a running execution, computing its final totals and duration
+     * @param {Object} execution - Running execution
+     * @param {Object} options - { status, end_time }
+     * @returns {Object} Finalized execution
+     */
+    finishExecution(execution, { status = 'completed', end_time: endTime } = {}) {
+        const db = getDatabase();
+
+        const finish = db.transaction(() => {
+            db.prepare(`
+                UPDATE test_executions SET end_time = ? WHERE id = ?
+            `).run(endTime ? new Date(endTime).toISOString() : new Date().toISOString(), execution.id);
+            ingestionService.refreshExecutionTotals(execution.id, status);
+        });
+
+        finish();
+        const finished = ingestionService.getExecution(execution.id);
+
+        logger.info(`Execution ${finished.execution_id} finished as ${status}: ${finished.total_tests} tests`);
+        return finished;
+    }
+
+    listExecutions(filters = {}) {
+        const db = getDatabase();
+        const { page = 1, limit = 20, status, projectId, environment, branch } = filters;
+        const conditions = [];
+        const params = [];
+
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        if (projectId) {
+            conditions.push('project_id = ?');
+            params.push(projectId);
+        }
+        if (environment) {
+            conditions.push('environment = ?');
+            params.push(environment);
+        }
+        if (branch) {
+            conditions.push('branch = ?');
+            params.push(branch);
+        }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const currentPage = Math.max(parseInt(page) || 1, 1);
+
+        const rows = db.prepare(`
+            SELECT id FROM test_executions ${where}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, pageSize, (currentPage - 1) * pageSize);
+
+        const { total } = db.prepare(`
+            SELECT COUNT(*) as total FROM test_executions ${where}
+        `).get(...params);
+
+        return {
+            executions: rows.map(row => ingestionService.getExecution(row.id)),
+            pagination: {
+                page: currentPage,
+                limit: pageSize,
+                total,
+                pages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    /**
+     * Test reports of an execution in the order they were reported
+     * @param {number} executionId - test_executions.id
+     * @param {Object} options - { page, limit, status }
+     * @returns {Object} Results and pagination
+     */
+    getExecutionResults(executionId, { page = 1, limit = 100, status } = {}) {
+        const db = getDatabase();
+        const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+        const currentPage = Math.max(parseInt(page) || 1, 1);
+        const statusFilter = status ? 'AND r.status = ?' : '';
+        const params = status ? [executionId, status] : [executionId];
+
+        const rows = db.prepare(`
+            SELECT tr.*, r.execution_order
+            FROM test_results r
+            JOIN test_reports tr ON tr.id = r.test_report_id
+            WHERE r.execution_id = ? ${statusFilter}
+            ORDER BY r.execution_order ASC
+            LIMIT ? OFFSET ?
+        `).all(...params, pageSize, (currentPage - 1) * pageSize);
+
+        const { total } = db.prepare(`
+            SELECT COUNT(*) as total FROM test_results r WHERE r.execution_id = ? ${statusFilter}
+        `).get(...params);
+
+        return {
+            results: rows.map(row => testReportService.fromRow(row)),
+            pagination: {
+                page: currentPage,
+                limit: pageSize,
+                total,
+                pages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    /**
+     * Mark running executions that stopped reporting as cancelled
+     * @param {number} [timeoutMinutes] - Inactivity after which an execution is abandoned
+     * @returns {number} Number of executions cancelled
+     */
+    cancelAbandonedExecutions(timeoutMinutes = EXECUTION_TIMEOUT_MINUTES) {
+        const db = getDatabase();
+
+        const abandoned = db.prepare(`
+            SELECT id, execution_id, updated_at FROM test_executions
+            WHERE status = 'running' AND updated_at < datetime('now', ?)
+        `).all(`-${timeoutMinutes} minutes`);
+
+        const cancel = db.transaction(() => {
+            for (const execution of abandoned) {
+                // The last reported activity is the best guess for when the run ended
+                db.prepare(`
+                    UPDATE test_executions
+                    SET end_time = COALESCE(end_time, ?),
+                        metadata = json_set(COALESCE(metadata, '{}'), '$.cancelReason', 'timeout')
+                    WHERE id = ?
+                `).run(sqliteToIso(execution.updated_at), execution.id);
+                ingestionService.refreshExecutionTotals(execution.id, 'cancelled');
+            }
+        });
+
+        cancel();
+
+        if (abandoned.length > 0) {
+            logger.warn(`Cancelled ${abandoned.length} abandoned executions: ${abandoned.map(e => e.execution_id).join(', ')}`);
+        }
+        return abandoned.length;
+    }
+
+    startAbandonedExecutionSweep() {
+        return cron.schedule(SWEEP_SCHEDULE, () => {
+            try {
+                this.cancelAbandonedExecutions();
+            } catch (error) {
+                logger.error('Failed to cancel abandoned executions:', error);
+            }
+        });
+    }
+}
+
+module.exports = new ExecutionService();
@@ -0,0 +1,283 @@
+const cron = require('node-cron');
+const { getDatabase } = require('../config/database');
+const { testKey } = require('../utils/testKey');
+const { logger } = require('../utils/logger');
+
+// Sliding window: results of the last FLAKY_WINDOW_DAYS days, at most FLAKY_WINDOW_RUNS runs per test
+const WINDOW_DAYS = parseInt(process.env.FLAKY_WINDOW_DAYS) || 30;
+const WINDOW_RUNS = parseInt(process.env.FLAKY_WINDOW_RUNS) || 50;
+
+// Without retry or same-commit evidence, a test is flaky when its outcome keeps flipping
+const MIN_FLIP_RATE = parseFloat(process.env.FLAKY_MIN_FLIP_RATE) || 0.3;
+const MIN_RUNS = parseInt(process.env.FLAKY_MIN_RUNS) || 5;
+
+const ANALYSIS_SCHEDULE = process.env.FLAKY_ANALYSIS_SCHEDULE || '15 * * * *';
+
+// Results read per query; other requests are served between batches
+const ANALYSIS_BATCH_SIZE = parseInt(process.env.FLAKY_ANALYSIS_BATCH_SIZE) || 5000;
+
+const releaseEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const toFlakyTest = (row) => ({
+    id: row.id,
+    projectId: row.project_id,
+    projectName: row.project_name,
+    testKey: row.test_key,
+    testName: row.test_name,
+    testSuite: row.test_suite,
+    runs: row.runs,
+    failures: row.failures,
+    flips: row.flips,
+    flipRate: row.flip_rate,
+    retryFlakes: row.retry_flakes,
+    commitFlakes: row.commit_flakes,
+    score: row.score,
+    trend: JSON.parse(row.trend),
+    firstRunAt: row.first_run_at,
+    lastRunAt: row.last_run_at,
+    lastFlakeAt: row.last_flake_at,
+    analyzedAt: row.analyzed_at
+});
+
+/**
+ * Score one test from its runs. A run is an execution, or a standalone result; its
+ * attempts are the original try and its retries.
+ * @param {Object} test - { projectId, testKey, testName, testSuite, runs: Map }
+ * @returns {Object|null} Analysis, or null when the test is not flaky
+ */
+const scoreTest = (test) => {
+    const runs = [...test.runs.values()].slice(-WINDOW_RUNS);
+
+    // Passed and failed attempts in one run, or a framework that reported the test as flaky
+    runs.forEach(run => {
+        run.outcome = run.outcome || (run.statuses.has('failed') ? 'failed' : 'passed');
+        run.retryFlake = run.flagged || (run.statuses.has('passed') && run.statuses.has('failed'));
+    });
+
+    const byCommit = new Map();
+    runs.filter(run => run.commit).forEach(run => {
+        byCommit.set(run.commit, [...(byCommit.get(run.commit) || []), run.outcome]);
+    });
+    const flakyCommits = new Set([...byCommit.entries()]
+        .filter(([, outcomes]) => outcomes.includes('passed') && outcomes.includes('failed'))
+        .map(([commit]) => commit));
+
+    let flips = 0;
+    let lastFlakeAt = null;
+    runs.forEach((run, index) => {
+        const flipped = index > 0 && run.outcome !== runs[index - 1].outcome;
+        if (flipped) flips++;
+        if (run.retryFlake || flakyCommits.has(run.commit) || flipped) lastFlakeAt = run.lastAt;
+    });
+
+    const flipRate = runs.length > 1 ? flips / (runs.length - 1) : 0;
+    const retryFlakes = runs.filter(run => run.retryFlake).length;
+    const evidence = runs.filter(run => run.retryFlake || flakyCommits.has(run.commit)).length;
+
+    const flaky = retryFlakes > 0 || flakyCommits.size > 0 || (runs.length >= MIN_RUNS && flipRate >= MIN_FLIP_RATE);
+    if (!flaky) return null;
+
+    const trend = new Map();
+    runs.forEach(run => {
+        const date = run.firstAt.slice(0, 10);
+        const day = trend.get(date) || { date, runs: 0, failures: 0, flaky: 0 };
+        day.runs++;
+        if (run.statuses.has('failed')) day.failures++;
+        if (run.retryFlake || flakyCommits.has(run.commit)) day.flaky++;
+        trend.set(date, day);
+    });
+
+    return {
+        projectId: test.projectId,
+        testKey: test.testKey,
+        testName: test.testName,
+        testSuite: test.testSuite,
+        runs: runs.length,
+        failures: runs.filter(run => run.statuses.has('failed')).length,
+        flips,
+        flipRate: round(flipRate),
+        retryFlakes,
+        commitFlakes: flakyCommits.size,
+        // 0-100: how often the outcome flips, and how many runs show direct evidence
+        score: Math.round(((flipRate + evidence / runs.length) / 2) * 1000) / 10,
+        trend: [...trend.values()],
+        firstRunAt: runs[0].firstAt,
+        lastRunAt: runs[runs.length - 1].lastAt,
+        lastFlakeAt
+    };
+};
+
+/**
+ * Add a stored result to the run it belongs to
+ * @param {Map} tests - Tests by project and test key, filled in place
+ * @param {Object} row - test_reports row with the execution_id of its execution, if any
+ */
+const addResult = (tests, row) => {
+    const metadata = row.metadata ? JSON.parse(row.metadata) : {};
+    const key = testKey({ ...row, metadata });
+    const id = `${row.project_id || ''}|${key}`;
+
+    if (!tests.has(id)) {
+        tests.set(id, {
+            projectId: row.project_id,
+            testKey: key,
+            testName: row.test_name,
+            testSuite: row.test_suite,
+            runs: new Map()
+        });
+    }
+    const test = tests.get(id);
+
+    const runId = row.execution_id ? `execution:${row.execution_id}` : `report:${row.id}`;
+    const run = test.runs.get(runId) || {
+        commit: row.commit_hash,
+        firstAt: row.created_at,
+        statuses: new Set(),
+        flagged: false
+    };
+    run.statuses.add(row.status);
+    run.flagged = run.flagged || metadata.flaky === true;
+    run.lastAt = row.created_at;
+    // The last attempt decides the run; earlier ones were superseded by a retry
+    if (!metadata.superseded) run.outcome = row.status;
+    test.runs.set(runId, run);
+};
+
+/**
+ * Finds tests that both pass and fail on the same commit or across retries, or keep
+ * flipping between runs, and ranks them by a flakiness score
+ */
+class FlakinessService {
+    /**
+     * Analyze the window and replace the stored results. Calls made while an analysis
+     * is running share its result.
+     * @returns {Promise<Object>} { analyzedTests, flakyTests }
+     */
+    analyze() {
+        if (!this.running) {
+            this.running = this.runAnalysis().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    /**
+     * Read the window in batches of ANALYSIS_BATCH_SIZE rows and score its tests,
+     * releasing the event loop between batches so requests are still served
+     * @returns {Promise<Object>} { analyzedTests, flakyTests }
+     */
+    async runAnalysis() {
+        const startedAt = Date.now();
+        const db = getDatabase();
+        const tests = new Map();
+
+        const since = db.prepare("SELECT datetime('now', ?)").pluck().get(`-${WINDOW_DAYS} days`);
+        const selectBatch = db.prepare(`
+            SELECT
+                tr.id, tr.test_name, tr.test_suite, tr.browser, tr.metadata, tr.status,
+                tr.commit_hash, tr.project_id, tr.created_at, r.execution_id
+            FROM test_reports tr
+            LEFT JOIN test_results r ON r.test_report_id = tr.id
+            WHERE tr.status IN ('passed', 'failed')
+              AND (tr.created_at > ? OR (tr.created_at = ? AND tr.id > ?))
+            ORDER BY tr.created_at ASC, tr.id ASC
+            LIMIT ?
+        `);
+
+        let cursor = { createdAt: since, id: 0 };
+        let rowCount = 0;
+        for (;;) {
+            const rows = selectBatch.all(cursor.createdAt, cursor.createdAt, cursor.id, ANALYSIS_BATCH_SIZE);
+            rows.forEach(row => addResult(tests, row));
+            rowCount += rows.length;
+
+            if (rows.length < ANALYSIS_BATCH_SIZE) break;
+            const last = rows[rows.length - 1];
+            cursor = { createdAt: last.created_at, id: last.id };
+            await releaseEventLoop();
+        }
+
+        const flaky = [];
+        let scored = 0;
+        for (const test of tests.values()) {
+            const result = scoreTest(test);
+            if (result) flaky.push(result);
+            if (++scored % ANALYSIS_BATCH_SIZE === 0) await releaseEventLoop();
+        }
+
+        const insert = db.prepare(`
+            INSERT INTO flaky_tests (
+                project_id, test_key, test_name, test_suite, runs, failures, flips, flip_rate,
+                retry_flakes, commit_flakes, score, trend, first_run_at, last_run_at, last_flake_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        db.transaction(() => {
+            db.prepare('DELETE FROM flaky_tests').run();
+            flaky.forEach(test => insert.run(
+                test.projectId, test.testKey, test.testName, test.testSuite, test.runs, test.failures,
+                test.flips, test.flipRate, test.retryFlakes, test.commitFlakes, test.score,
+                JSON.stringify(test.trend), test.firstRunAt, test.lastRunAt, test.lastFlakeAt
+            ));
+        })();
+
+        logger.info(`Flakiness analysis: ${flaky.length} flaky of ${tests.size} tests in the last ${WINDOW_DAYS} days ` +
+            `(${rowCount} results in ${Date.now() - startedAt} ms)`);
+        return { analyzedTests: tests.size, flakyTests: flaky.length };
+    }
+
+    /**
+     * Flaky tests from the last analysis, highest score first
+     * @param {Object} filters - { projectId, minScore, limit }
+     * @returns {Object} { tests, total, analyzedAt, window }
+     */
+    list({ projectId, minScore = 0, limit = 20 } = {}) {
+        const db = getDatabase();
+        const where = projectId ? 'f.score >= ? AND f.project_id = ?' : 'f.score >= ?';
+        const params = projectId ? [minScore, projectId] : [minScore];
+
+        const { total, analyzedAt } = db.prepare(`
+            SELECT COUNT(*) as total, MAX(f.analyzed_at) as analyzedAt FROM flaky_tests f WHERE ${where}
+        `).get(...params);
+
+        const tests = db.prepare(`
+            SELECT f.*, p.name as project_name
+            FROM flaky_tests f
+            LEFT JOIN projects p ON p.id = f.project_id
+            WHERE ${where}
+            ORDER BY f.score DESC, f.last_flake_at DESC
+            LIMIT ?
+        `).all(...params, limit).map(toFlakyTest);
+
+        return { tests, total, analyzedAt, window: { days: WINDOW_DAYS, runs: WINDOW_RUNS } };
+    }
+
+    /**
+     * Number of flaky tests found by the last analysis
+     * @param {Object} filters - { projectId }
+     * @returns {number} Flaky tests
+     */
+    count({ projectId } = {}) {
+        const db = getDatabase();
+        const row = projectId
+            ? db.prepare('SELECT COUNT(*) as total FROM flaky_tests WHERE project_id = ?').get(projectId)
+            : db.prepare('SELECT COUNT(*) as total FROM flaky_tests').get();
+        return row.total;
+    }
+
+    startFlakinessAnalysis() {
+        const run = () => {
+            this.analyze().catch(error => {
+                logger.error('Failed to analyze flaky tests:', error);
+            });
+        };
+
+        run();
+        return cron.schedule(ANALYSIS_SCHEDULE, run);
+    }
+}
+
+module.exports = new FlakinessService();
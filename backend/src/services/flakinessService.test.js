@@ -0,0 +1,73 @@
+// Small batches, so the analysis has to carry runs across batch boundaries
+process.env.FLAKY_ANALYSIS_BATCH_SIZE = '2';
+
+const { initializeDatabase, getDatabase } = require('../config/database');
+const ingestionService = require('./ingestionService');
+const testReportService = require('./testReportService');
+const flakinessService = require('./flakinessService');
+
+describe('flakinessService.analyze', () => {
+    const store = (testName, status, fields = {}) => testReportService.createTestReport({
+        test_name: testName,
+        test_suite: 'Flakiness',
+        status,
+        project_id: 3,
+        ...fields
+    });
+
+    const analyzed = (testName) => flakinessService.list({ projectId: 3, limit: 100 }).tests.find(test => test.testName === testName);
+
+    beforeAll(async () => {
+        initializeDatabase();
+
+        ingestionService.ingestExecution({
+            format: 'playwright',
+            name: 'Nightly',
+            reports: [
+                { test_name: 'retries to green', test_suite: 'Flakiness', status: 'failed', metadata: { retry: 0 } },
+                { test_name: 'retries to green', test_suite: 'Flakiness', status: 'passed', metadata: { retry: 1 } }
+            ]
+        }, { executionId: 'flaky-1', projectId: 3 });
+
+        store('same commit', 'passed', { commit_hash: 'abc' });
+        store('same commit', 'failed', { commit_hash: 'abc' });
+        store('same commit', 'passed', { commit_hash: 'def' });
+
+        ['passed', 'failed', 'passed', 'failed', 'passed'].forEach(status => store('keeps flipping', status));
+        ['passed', 'failed', 'failed', 'failed', 'failed'].forEach(status => store('broke once', status));
+        ['passed', 'passed', 'passed', 'passed', 'passed'].forEach(status => store('stable', status));
+        store('reported flaky', 'passed', { metadata: { flaky: true } });
+
+        await flakinessService.analyze();
+    });
+
+    it('flags passed and failed attempts of one run', () => {
+        expect(analyzed('retries to green')).toMatchObject({ runs: 1, retryFlakes: 1, failures: 1, flips: 0, score: 50 });
+        expect(analyzed('reported flaky')).toMatchObject({ runs: 1, retryFlakes: 1, failures: 0 });
+    });
+
+    it('flags both outcomes on one commit', () => {
+        expect(analyzed('same commit')).toMatchObject({ runs: 3, commitFlakes: 1, retryFlakes: 0, flips: 2, flipRate: 1 });
+        expect(analyzed('same commit').score).toBe(83.3);
+    });
+
+    it('flags tests whose outcome keeps flipping, but not a single breakage', () => {
+        const flipping = analyzed('keeps flipping');
+        expect(flipping).toMatchObject({ runs: 5, flips: 4, flipRate: 1, score: 50 });
+        expect(flipping.trend).toEqual([expect.objectContaining({ runs: 5, failures: 2, flaky: 0 })]);
+
+        expect(analyzed('broke once')).toBeUndefined();
+        expect(analyzed('stable')).toBeUndefined();
+    });
+
+    it('replaces earlier results and shares a running analysis', async () => {
+        getDatabase().prepare("UPDATE test_reports SET status = 'passed' WHERE test_name = 'keeps flipping'").run();
+
+        const first = flakinessService.analyze();
+        expect(flakinessService.analyze()).toBe(first);
+        await first;
+
+        expect(analyzed('keeps flipping')).toBeUndefined();
+        expect(flakinessService.count({ projectId: 3 })).toBe(3);
+    });
+});
@@ -7,7 +7,8 @@ class GoogleDriveService {
     constructor() {
         this.drive = null;
         this.folderId = null;
-        this.initialize();
+        // Connected by storageService once selected; connecting here as well left a
+        // rejected promise that crashed the process when credentials were missing
     }
 
     async initialize() {
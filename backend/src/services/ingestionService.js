@@ -0,0 +1,524 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { getDatabase } = require('../config/database');
+const { UPLOADS_DIR, safeFileName } = require('../config/uploads');
+const testReportService = require('./testReportService');
+const { testReportSchema } = require('../middleware/validation');
+const { testKey } = require('../utils/testKey');
+const { logger } = require('../utils/logger');
+
+// Rows per SQLite transaction when streaming bulk uploads
+const BULK_BATCH_SIZE = parseInt(process.env.BULK_BATCH_SIZE) || 500;
+
+// Per-line errors returned to the client; the rest are only counted
+const MAX_REPORTED_ERRORS = 100;
+
+class IngestionService {
+    /**
+     * Store a parsed report file as one test execution with its test reports.
+     * Re-posting to an existing execution only stores results it has not seen yet.
+     * @param {Object} parsed - Parser output: { name, framework, startTime, endTime, metadata, reports, attachments }
+     * @param {Object} context - Upload context (projectId, environment, branch, commitHash, executionId,
+     *                           idempotencyKey, onDuplicate, ci, ...)
+     * @returns {Object} The execution, the test report IDs with their per-report results and
+     *                  created/updated/ignored counts
+     */
+    ingestExecution(parsed, context = {}) {
+        const db = getDatabase();
+        const defaults = this.resolveDefaults(parsed, context);
+        const executionKey = this.resolveExecutionKey(context);
+        const attachments = parsed.attachments || [];
+        let reports = parsed.reports;
+
+        const ingest = db.transaction(() => {
+            const existing = this.getExecutionByKey(executionKey);
+            const execution = existing || this.createExecution({
+                executionId: executionKey,
+                name: context.name || parsed.name,
+                startTime: parsed.startTime,
+                endTime: parsed.endTime,
+                metadata: { format: parsed.format, ...parsed.metadata, ci: context.ci || undefined },
+                ...defaults
+            });
+            if (attachments.length > 0) {
+                reports = this.linkAttachments(reports, execution.id);
+            }
+
+            const outcome = this.addReports(execution.id, reports, defaults, {
+                onDuplicate: context.onDuplicate
+            });
+            // A live execution stays open until its owner finishes it
+            this.refreshExecutionTotals(execution.id, existing && existing.status === 'running' ? null : 'completed');
+
+            return { executionId: execution.id, ...outcome };
+        });
+
+        const { executionId, ...outcome } = ingest();
+        const execution = this.getExecution(executionId);
+
+        // Ignored duplicates keep the files of the upload that stored them
+        const storedSources = new Set(reports
+            .filter((report, index) => outcome.results[index] !== 'ignored')
+            .flatMap(report => ((report.metadata && report.metadata.attachments) || []).map(a => a.source)));
+        const storedAttachments = attachments.filter(attachment => storedSources.has(attachment.source));
+        if (storedAttachments.length > 0) {
+            this.storeAttachments(executionId, storedAttachments);
+        }
+
+        logger.info(
+            `Ingested ${parsed.format} results into execution ${execution.execution_id}: ` +
+            `${outcome.created} created, ${outcome.updated} updated, ${outcome.ignored} ignored`
+        );
+        return { execution, ...outcome };
+    }
+
+    /**
+     * Store a single test report, deduplicated by the client's Idempotency-Key
+     * @param {Object} report - Validated test report
+     * @param {Object} options - { idempotencyKey, onDuplicate: 'ignore' | 'update' }
+     * @returns {Object} { testReport, result: 'created' | 'updated' | 'ignored' }
+     */
+    ingestTestReport(report, { idempotencyKey, onDuplicate = 'ignore' } = {}) {
+        if (!idempotencyKey) {
+            return { testReport: testReportService.createTestReport(report), result: 'created' };
+        }
+
+        const db = getDatabase();
+        const ingest = db.transaction(() => {
+            const existing = db.prepare(`
+                SELECT test_report_id FROM ingestion_keys WHERE idempotency_key = ?
+            `).get(idempotencyKey);
+
+            if (existing && onDuplicate === 'update') {
+                return {
+                    testReport: this.replaceReport(existing.test_report_id, report),
+                    result: 'updated'
+                };
+            }
+            if (existing) {
+                return {
+                    testReport: testReportService.getTestReportById(existing.test_report_id),
+                    result: 'ignored'
+                };
+            }
+
+            const testReport = testReportService.createTestReport(report);
+            db.prepare(`
+                INSERT INTO ingestion_keys (idempotency_key, test_report_id) VALUES (?, ?)
+            `).run(idempotencyKey, testReport.id);
+
+            return { testReport, result: 'created' };
+        });
+
+        return ingest();
+    }
+
+    /**
+     * Stream newline-delimited JSON test reports into one execution.
+     * Lines are validated individually and inserted in batched transactions.
+     * @param {stream.Readable} input - NDJSON stream, one test report per line
+     * @param {Object} context - Upload context (projectId, environment, branch, commitHash, executionId,
+     *                           idempotencyKey, onDuplicate, ci, ...); with requiredProjectId, lines
+     *                           naming another project are rejected
+     * @returns {Promise<Object>} Execution (null when nothing was stored), counts and per-line errors
+     */
+    async ingestNdjson(input, context = {}) {
+        const db = getDatabase();
+        const defaults = this.resolveDefaults({}, context);
+        const executionKey = this.resolveExecutionKey(context);
+        const existing = this.getExecutionByKey(executionKey);
+        // Created with the first valid batch, so an upload that stores nothing leaves no execution behind
+        let execution = existing;
+
+        // Shared across batches so repeated identities are numbered over the whole upload
+        const occurrences = new Map();
+        const insertBatch = db.transaction((executionId, reports) => this.addReports(executionId, reports, defaults, {
+            onDuplicate: context.onDuplicate,
+            occurrences
+        }));
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        const errors = [];
+        const counts = { created: 0, updated: 0, ignored: 0 };
+        let batch = [];
+        let received = 0;
+        let failed = 0;
+        let lineNumber = 0;
+        let readError = null;
+        let uploadFailed = false;
+
+        // A body that is not valid gzip or a dropped connection
+        input.on('error', (error) => {
+            readError = error;
+        });
+
+        const flush = () => {
+            if (batch.length === 0) return;
+            if (!execution) {
+                execution = this.createExecution({
+                    executionId: executionKey,
+                    name: context.name || 'Bulk upload',
+                    metadata: { format: 'ndjson', ci: context.ci || undefined },
+                    ...defaults
+                });
+            }
+            const outcome = insertBatch(execution.id, batch);
+            counts.created += outcome.created;
+            counts.updated += outcome.updated;
+            counts.ignored += outcome.ignored;
+            batch = [];
+        };
+
+        const reject = (line, message) => {
+            failed++;
+            if (errors.length < MAX_REPORTED_ERRORS) {
+                errors.push({ line, message });
+            }
+        };
+
+        try {
+            for await (const line of lines) {
+                lineNumber++;
+                if (!line.trim()) continue;
+                received++;
+
+                let report;
+                try {
+                    report = JSON.parse(line);
+                } catch (error) {
+                    reject(lineNumber, `Invalid JSON: ${error.message}`);
+                    continue;
+                }
+
+                const { error, value } = testReportSchema.validate(report, {
+                    abortEarly: false,
+                    stripUnknown: true
+                });
+                if (error) {
+                    reject(lineNumber, error.details.map(detail => detail.message).join('; '));
+                    continue;
+                }
+
+                if (context.requiredProjectId && value.project_id && value.project_id !== context.requiredProjectId) {
+                    reject(lineNumber, `project_id ${value.project_id} is outside project ${context.requiredProjectId}`);
+                    continue;
+                }
+
+                batch.push(value);
+                if (batch.length >= BULK_BATCH_SIZE) {
+                    flush();
+                }
+            }
+            flush();
+        } catch (error) {
+            uploadFailed = true;
+            if (readError) {
+                const badRequest = new Error(`The upload could not be read: ${readError.message}`);
+                badRequest.status = 400;
+                throw badRequest;
+            }
+            throw error;
+        } finally {
+            // Keep whatever was committed before a failed upload, but a new execution it created is
+            // marked failed rather than completed; live executions stay open
+            if (execution) {
+                let status = uploadFailed && !existing ? 'failed' : 'completed';
+                if (existing && (existing.status === 'running' || uploadFailed)) status = null;
+                this.refreshExecutionTotals(execution.id, status);
+            }
+        }
+
+        logger.info(
+            `Bulk upload ${executionKey}: ${counts.created} created, ${counts.updated} updated, ` +
+            `${counts.ignored} ignored, ${failed} rejected`
+        );
+        return {
+            execution: execution ? this.getExecution(execution.id) : null,
+            received,
+            ...counts,
+            failed,
+            errors,
+            errorsTruncated: failed > errors.length
+        };
+    }
+
+    /**
+     * Fill in fields shared by every report of an upload
+     * @param {Object} parsed - Parser output
+     * @param {Object} context - Upload context
+     * @returns {Object} Default test report column values
+     */
+    resolveDefaults(parsed, context) {
+        const ci = context.ci || {};
+        let framework = context.framework || parsed.framework;
+
+        if (!framework && context.projectId) {
+            const project = getDatabase()
+                .prepare('SELECT framework FROM projects WHERE id = ?')
+                .get(context.projectId);
+            framework = project && project.framework;
+        }
+
+        return {
+            framework: framework || null,
+            browser: context.browser || null,
+            project_id: context.projectId || null,
+            team_member_id: context.teamMemberId || null,
+            environment: context.environment || null,
+            branch: context.branch || ci.branch || null,
+            commit_hash: context.commitHash || ci.commit || null
+        };
+    }
+
+    /**
+     * Pick the test_executions.execution_id of an upload. An explicit executionId or an
+     * Idempotency-Key pins it, so re-posting the same results targets the same execution.
+     * @param {Object} context - Upload context
+     * @returns {string} Execution key
+     */
+    resolveExecutionKey(context) {
+        return context.executionId || context.idempotencyKey || crypto.randomUUID();
+    }
+
+    /**
+     * The stored execution an upload would add to, if it names one that exists
+     * @param {Object} context - Upload context
+     * @returns {Object|null} Execution
+     */
+    findUploadTarget({ executionId, idempotencyKey }) {
+        const executionKey = executionId || idempotencyKey;
+        return executionKey ? this.getExecutionByKey(executionKey) : null;
+    }
+
+    // Attachments live under the numeric execution ID, never the client-chosen execution key
+    attachmentUrl(executionId, source) {
+        return `/uploads/executions/${executionId}/${encodeURIComponent(safeFileName(source))}`;
+    }
+
+    /**
+     * Point report attachments (metadata.attachments[].source) at their stored URLs
+     * and fill screenshot_url/video_url from the first image/video attachment
+     * @param {Array} reports - Normalized test reports
+     * @param {number} executionId - test_executions.id
+     * @returns {Array} Reports with attachment URLs
+     */
+    linkAttachments(reports, executionId) {
+        return reports.map(report => {
+            const attachments = ((report.metadata && report.metadata.attachments) || []).map(attachment => ({
+                ...attachment,
+                url: attachment.source ? this.attachmentUrl(executionId, attachment.source) : attachment.url || null
+            }));
+            const firstOfType = (prefix) => {
+                const match = attachments.find(a => a.url && (a.type || '').startsWith(prefix));
+                return match ? match.url : null;
+            };
+
+            return {
+                ...report,
+                screenshot_url: report.screenshot_url || firstOfType('image/'),
+                video_url: report.video_url || firstOfType('video/'),
+                metadata: { ...report.metadata, attachments }
+            };
+        });
+    }
+
+    storeAttachments(executionId, attachments) {
+        const directory = path.join(UPLOADS_DIR, 'executions', String(executionId));
+
+        try {
+            fs.mkdirSync(directory, { recursive: true });
+            for (const attachment of attachments) {
+                fs.writeFileSync(path.join(directory, safeFileName(attachment.source)), attachment.data);
+            }
+        } catch (error) {
+            logger.error(`Failed to store attachments for execution ${executionId}:`, error);
+        }
+    }
+
+    createExecution(execution) {
+        const db = getDatabase();
+        const executionId = execution.executionId || crypto.randomUUID();
+
+        const result = db.prepare(`
+            INSERT INTO test_executions (
+                execution_id, name, status, start_time, end_time, triggered_by,
+                project_id, environment, branch, commit_hash, metadata
+            ) VALUES (?, ?, 'running', ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            executionId,
+            execution.name || null,
+            execution.startTime || new Date().toISOString(),
+            execution.endTime || null,
+            execution.team_member_id || null,
+            execution.project_id || null,
+            execution.environment || null,
+            execution.branch || null,
+            execution.commit_hash || null,
+            execution.metadata ? JSON.stringify(execution.metadata) : null
+        );
+
+        return this.getExecution(result.lastInsertRowid);
+    }
+
+    /**
+     * Insert test reports and link them to an execution. Reports whose natural key
+     * (execution, test identity, retry index) is already stored are ignored or updated.
+     * @param {number} executionId - test_executions.id
+     * @param {Array} reports - Normalized test reports
+     * @param {Object} defaults - Column values applied where a report has none
+     * @param {Object} options - { onDuplicate: 'ignore' | 'update', occurrences: Map shared across calls }
+     * @returns {Object} { reportIds, results, created, updated, ignored }; results[i] is
+     *                   'created' | 'updated' | 'ignored' for reportIds[i]
+     */
+    addReports(executionId, reports, defaults = {}, { onDuplicate = 'ignore', occurrences = new Map() } = {}) {
+        const db = getDatabase();
+        const { next_order: firstOrder } = db.prepare(`
+            SELECT COALESCE(MAX(execution_order), 0) + 1 as next_order
+            FROM test_results WHERE execution_id = ?
+        `).get(executionId);
+
+        const linkResult = db.prepare(`
+            INSERT INTO test_results (execution_id, test_report_id, status, execution_order)
+            VALUES (?, ?, ?, ?)
+        `);
+        const findKey = db.prepare(`
+            SELECT test_report_id FROM ingestion_keys
+            WHERE execution_id = ? AND test_key = ? AND retry_index = ?
+        `);
+        const insertKey = db.prepare(`
+            INSERT INTO ingestion_keys (execution_id, test_key, retry_index, test_report_id)
+            VALUES (?, ?, ?, ?)
+        `);
+
+        const outcome = { reportIds: [], results: [], created: 0, updated: 0, ignored: 0 };
+        let order = firstOrder;
+
+        for (const report of reports) {
+            const values = { ...report };
+            for (const [column, value] of Object.entries(defaults)) {
+                if (values[column] === undefined || values[column] === null) {
+                    values[column] = value;
+                }
+            }
+
+            // The same identity twice in one upload (e.g. duplicated JUnit names) is two tests,
+            // numbered in order so a re-post of the same file maps onto the same rows
+            const identity = testKey(values);
+            const retryIndex = parseInt(values.metadata && values.metadata.retry) || 0;
+            const occurrence = (occurrences.get(`${identity}#${retryIndex}`) || 0) + 1;
+            occurrences.set(`${identity}#${retryIndex}`, occurrence);
+            const key = occurrence > 1 ? `${identity}#${occurrence}` : identity;
+
+            const existing = findKey.get(executionId, key, retryIndex);
+            if (existing) {
+                const result = onDuplicate === 'update' ? 'updated' : 'ignored';
+                if (result === 'updated') {
+                    this.replaceReport(existing.test_report_id, values, executionId);
+                }
+                outcome[result]++;
+                outcome.reportIds.push(existing.test_report_id);
+                outcome.results.push(result);
+                continue;
+            }
+
+            const testReport = testReportService.createTestReport(values);
+            linkResult.run(executionId, testReport.id, testReport.status, order++);
+            insertKey.run(executionId, key, retryIndex, testReport.id);
+            outcome.reportIds.push(testReport.id);
+            outcome.results.push('created');
+            outcome.created++;
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Overwrite a previously stored report with a re-submitted one
+     * @param {number} testReportId - test_reports.id
+     * @param {Object} report - Re-submitted test report
+     * @param {number} [executionId] - test_executions.id whose result link should follow the new status
+     * @returns {Object} Updated test report
+     */
+    replaceReport(testReportId, report, executionId) {
+        const testReport = testReportService.updateTestReport(testReportId, report);
+
+        if (executionId) {
+            getDatabase().prepare(`
+                UPDATE test_results SET status = ? WHERE execution_id = ? AND test_report_id = ?
+            `).run(testReport.status, executionId, testReportId);
+        }
+
+        return testReport;
+    }
+
+    /**
+     * Recompute execution counters from its linked results.
+     * Attempts superseded by a retry are not counted; failures of quarantined tests are
+     * counted in failed_tests and again in quarantined_failures.
+     * @param {number} executionId - test_executions.id
+     * @param {string} [status] - New execution status, if it changes
+     */
+    refreshExecutionTotals(executionId, status) {
+        const db = getDatabase();
+
+        const totals = db.prepare(`
+            SELECT
+                COUNT(*) as total,
+                SUM(CASE WHEN r.status = 'passed' THEN 1 ELSE 0 END) as passed,
+                SUM(CASE WHEN r.status = 'failed' THEN 1 ELSE 0 END) as failed,
+                SUM(CASE WHEN r.status = 'skipped' THEN 1 ELSE 0 END) as skipped,
+                SUM(CASE WHEN r.status = 'blocked' THEN 1 ELSE 0 END) as blocked,
+                SUM(CASE WHEN r.status = 'failed' AND tr.quarantine_id IS NOT NULL THEN 1 ELSE 0 END) as quarantined,
+                COALESCE(SUM(tr.execution_time), 0) as totalTime
+            FROM test_results r
+            JOIN test_reports tr ON tr.id = r.test_report_id
+            WHERE r.execution_id = ?
+              AND COALESCE(json_extract(tr.metadata, '$.superseded'), 0) = 0
+        `).get(executionId);
+
+        const execution = this.getExecution(executionId);
+        const duration = execution.start_time && execution.end_time
+            ? Math.max(0, Math.round((new Date(execution.end_time) - new Date(execution.start_time)) / 1000))
+            : Math.round(totals.totalTime);
+
+        db.prepare(`
+            UPDATE test_executions
+            SET total_tests = ?, passed_tests = ?, failed_tests = ?, skipped_tests = ?,
+                blocked_tests = ?, quarantined_failures = ?, duration = ?, status = COALESCE(?, status),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(
+            totals.total,
+            totals.passed || 0,
+            totals.failed || 0,
+            totals.skipped || 0,
+            totals.blocked || 0,
+            totals.quarantined || 0,
+            duration,
+            status || null,
+            executionId
+        );
+    }
+
+    getExecutionByKey(executionKey) {
+        const execution = getDatabase()
+            .prepare('SELECT id FROM test_executions WHERE execution_id = ?')
+            .get(executionKey);
+
+        return execution ? this.getExecution(execution.id) : null;
+    }
+
+    getExecution(id) {
+        const db = getDatabase();
+        const execution = db.prepare('SELECT * FROM test_executions WHERE id = ?').get(id);
+        if (!execution) return null;
+
+        return {
+            ...execution,
+            metadata: execution.metadata ? JSON.parse(execution.metadata) : null
+        };
+    }
+}
+
+module.exports = new IngestionService();
@@ -0,0 +1,90 @@
+const { initializeDatabase, getDatabase } = require('../config/database');
+const ingestionService = require('./ingestionService');
+
+const run = (reports) => ({ format: 'junit', name: 'Nightly', reports });
+
+describe('ingestionService.ingestExecution', () => {
+    beforeAll(() => {
+        initializeDatabase();
+    });
+
+    const reports = [
+        { test_name: 'logs in', test_suite: 'Auth', status: 'failed', metadata: { retry: 0 } },
+        { test_name: 'logs in', test_suite: 'Auth', status: 'passed', metadata: { retry: 1 } },
+        { test_name: 'logs out', test_suite: 'Auth', status: 'passed' }
+    ];
+
+    it('ignores results already stored under the same test identity and retry', () => {
+        const first = ingestionService.ingestExecution(run(reports), { executionId: 'dedup-1', projectId: 1 });
+        const again = ingestionService.ingestExecution(run([...reports, { test_name: 'resets password', test_suite: 'Auth', status: 'passed' }]), {
+            executionId: 'dedup-1',
+            projectId: 1
+        });
+
+        expect(first).toMatchObject({ created: 3, ignored: 0 });
+        expect(again).toMatchObject({ created: 1, updated: 0, ignored: 3, results: ['ignored', 'ignored', 'ignored', 'created'] });
+        expect(again.reportIds.slice(0, 3)).toEqual(first.reportIds);
+        expect(again.execution).toMatchObject({ id: first.execution.id, total_tests: 4 });
+    });
+
+    it('overwrites stored results with onDuplicate=update', () => {
+        const original = ingestionService.ingestExecution(run(reports), { executionId: 'dedup-2' });
+        const fixed = ingestionService.ingestExecution(run([{ ...reports[0], status: 'passed' }]), {
+            executionId: 'dedup-2',
+            onDuplicate: 'update'
+        });
+
+        expect(fixed).toMatchObject({ created: 0, updated: 1, reportIds: [original.reportIds[0]] });
+        const { status } = getDatabase().prepare('SELECT status FROM test_reports WHERE id = ?').get(original.reportIds[0]);
+        expect(status).toBe('passed');
+    });
+
+    it('numbers repeated identities so a re-posted file maps onto the same rows', () => {
+        const duplicated = [
+            { test_name: 'parametrized', status: 'passed' },
+            { test_name: 'parametrized', status: 'failed' }
+        ];
+        const first = ingestionService.ingestExecution(run(duplicated), { executionId: 'dedup-3' });
+        const again = ingestionService.ingestExecution(run(duplicated), { executionId: 'dedup-3' });
+
+        expect(first.created).toBe(2);
+        expect(again).toMatchObject({ created: 0, ignored: 2, reportIds: first.reportIds });
+    });
+
+    it('uses the Idempotency-Key as the execution key when no executionId is given', () => {
+        const first = ingestionService.ingestExecution(run(reports), { idempotencyKey: 'ci-run-7' });
+        const again = ingestionService.ingestExecution(run(reports), { idempotencyKey: 'ci-run-7' });
+
+        expect(first.execution.execution_id).toBe('ci-run-7');
+        expect(again).toMatchObject({ created: 0, ignored: 3 });
+    });
+});
+
+describe('ingestionService.ingestTestReport', () => {
+    const report = { test_name: 'checkout', status: 'failed', project_id: 1 };
+
+    it('returns the stored report for a repeated Idempotency-Key', () => {
+        const first = ingestionService.ingestTestReport(report, { idempotencyKey: 'single-1' });
+        const again = ingestionService.ingestTestReport({ ...report, status: 'passed' }, { idempotencyKey: 'single-1' });
+
+        expect(first.result).toBe('created');
+        expect(again).toMatchObject({ result: 'ignored', testReport: { id: first.testReport.id, status: 'failed' } });
+    });
+
+    it('replaces the stored report with onDuplicate=update', () => {
+        const first = ingestionService.ingestTestReport(report, { idempotencyKey: 'single-2' });
+        const updated = ingestionService.ingestTestReport({ ...report, status: 'passed' }, {
+            idempotencyKey: 'single-2',
+            onDuplicate: 'update'
+        });
+
+        expect(updated).toMatchObject({ result: 'updated', testReport: { id: first.testReport.id, status: 'passed' } });
+    });
+
+    it('creates a new report every time without a key', () => {
+        const first = ingestionService.ingestTestReport(report);
+        const second = ingestionService.ingestTestReport(report);
+
+        expect(second.testReport.id).not.toBe(first.testReport.id);
+    });
+});
@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { getDatabase } = require('../config/database');
+const userRepository = require('../repositories/userRepository');
+const { USER_ROLES } = require('../middleware/validation');
+const { logger } = require('../utils/logger');
+
+const LOGIN_REQUEST_TTL_MINUTES = 10;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+
+// Asymmetric algorithms only: the ID token must be signed with a key from the provider's JWKS
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Most privileged first; a user in several mapped groups gets the highest role
+const ROLE_PRECEDENCE = ['admin', 'qa_lead', 'qa_engineer'];
+
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Error ending a login with a message that is safe to show the user
+ * @param {string} message - Reason
+ * @param {number} [status] - HTTP status
+ * @returns {Error} Error with `status`
+ */
+const loginError = (message, status = 401) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Parse OIDC_ROLE_MAPPING ("claim value=role, ...") into a Map
+ * @param {string} value - Mapping from the environment
+ * @returns {Map<string, string>} Claim value → users.role
+ */
+const parseRoleMapping = (value = '') => {
+    const mapping = new Map();
+
+    for (const entry of value.split(',').map(part => part.trim()).filter(Boolean)) {
+        const separator = entry.lastIndexOf('=');
+        const claimValue = entry.slice(0, separator).trim();
+        const role = entry.slice(separator + 1).trim();
+
+        if (separator <= 0 || !USER_ROLES.includes(role)) {
+            logger.warn(`Ignoring OIDC_ROLE_MAPPING entry "${entry}": expected <claim value>=<${USER_ROLES.join('|')}>`);
+            continue;
+        }
+        mapping.set(claimValue, role);
+    }
+
+    return mapping;
+};
+
+// Read a claim by dotted path, e.g. realm_access.roles
+const readClaim = (claims, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+
+/**
+ * OpenID Connect authorization-code login with PKCE against the company identity provider.
+ * Users are matched by issuer and subject, linked by email on their first login, or created.
+ */
+class OidcService {
+    constructor() {
+        this.issuer = (process.env.OIDC_ISSUER || '').replace(/\/+$/, '');
+        this.clientId = process.env.OIDC_CLIENT_ID;
+        this.clientSecret = process.env.OIDC_CLIENT_SECRET;
+        this.redirectUri = process.env.OIDC_REDIRECT_URI ||
+            `http://localhost:${process.env.PORT || 3001}/api/v1/auth/oidc/callback`;
+        this.scopes = process.env.OIDC_SCOPES || 'openid profile email';
+        this.providerName = process.env.OIDC_PROVIDER_NAME || 'Single Sign-On';
+        this.roleClaim = process.env.OIDC_ROLE_CLAIM || 'groups';
+        this.roleMapping = parseRoleMapping(process.env.OIDC_ROLE_MAPPING);
+        this.defaultRole = USER_ROLES.includes(process.env.OIDC_DEFAULT_ROLE) ? process.env.OIDC_DEFAULT_ROLE : 'qa_engineer';
+
+        this.metadata = null;
+        this.metadataFetchedAt = 0;
+        this.signingKeys = new Map();
+    }
+
+    isEnabled() {
+        return Boolean(this.issuer && this.clientId);
+    }
+
+    /**
+     * Provider configuration from its discovery document, cached for an hour
+     * @returns {Promise<Object>} OpenID provider metadata
+     */
+    async getMetadata() {
+        if (this.metadata && Date.now() - this.metadataFetchedAt < METADATA_TTL_MS) {
+            return this.metadata;
+        }
+
+        const { data } = await axios.get(`${this.issuer}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT_MS });
+        if (data.issuer.replace(/\/+$/, '') !== this.issuer) {
+            throw new Error(`Discovery document is for issuer ${data.issuer}, expected ${this.issuer}`);
+        }
+
+        this.metadata = data;
+        this.metadataFetchedAt = Date.now();
+        return data;
+    }
+
+    /**
+     * Public key the provider signed a token with. The JWKS is fetched again for an unknown
+     * key ID, so key rotation at the provider needs no restart.
+     * @param {string} kid - Key ID from the token header
+     * @returns {Promise<KeyObject>} Public key
+     */
+    async getSigningKey(kid) {
+        if (!this.signingKeys.has(kid)) {
+            const { jwks_uri: jwksUri } = await this.getMetadata();
+            const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+
+            this.signingKeys = new Map(
+                data.keys
+                    .filter(jwk => !jwk.use || jwk.use === 'sig')
+                    .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+            );
+        }
+
+        const key = this.signingKeys.get(kid) || (kid === undefined && this.signingKeys.size === 1
+            ? this.signingKeys.values().next().value
+            : null);
+        if (!key) {
+            throw loginError(`Unknown ID token signing key ${kid}`);
+        }
+        return key;
+    }
+
+    /**
+     * Start a login: remember its state, nonce and PKCE verifier and build the provider URL
+     * @param {string} redirectTo - Dashboard path to open after the login
+     * @returns {Promise<string>} Authorization URL to redirect the browser to
+     */
+    async createAuthorizationUrl(redirectTo) {
+        const metadata = await this.getMetadata();
+        const state = randomToken();
+        const nonce = randomToken();
+        const codeVerifier = randomToken(48);
+        const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+        const db = getDatabase();
+        db.prepare("DELETE FROM oidc_login_requests WHERE expires_at <= datetime('now')").run();
+        db.prepare(`
+            INSERT INTO oidc_login_requests (state, nonce, code_verifier, redirect_to, expires_at)
+            VALUES (?, ?, ?, ?, datetime('now', ?))
+        `).run(state, nonce, codeVerifier, redirectTo, `+${LOGIN_REQUEST_TTL_MINUTES} minutes`);
+
+        const url = new URL(metadata.authorization_endpoint);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.clientId,
+            redirect_uri: this.redirectUri,
+            scope: this.scopes,
+            state,
+            nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        }).toString();
+
+        return url.toString();
+    }
+
+    /**
+     * Take the pending login of a state parameter; each state can be used once
+     * @param {string} state - State returned by the provider
+     * @returns {Object|null} Login request row
+     */
+    consumeLoginRequest(state) {
+        const db = getDatabase();
+        const request = db.prepare(`
+            SELECT * FROM oidc_login_requests WHERE state = ? AND expires_at > datetime('now')
+        `).get(state);
+
+        db.prepare('DELETE FROM oidc_login_requests WHERE state = ?').run(state);
+        return request || null;
+    }
+
+    /**
+     * Redeem an authorization code at the token endpoint
+     * @param {string} code - Authorization code
+     * @param {string} codeVerifier - PKCE verifier of the login
+     * @returns {Promise<Object>} Token response with id_token and access_token
+     */
+    async exchangeCode(code, codeVerifier) {
+        const metadata = await this.getMetadata();
+        const body = new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.redirectUri,
+            client_id: this.clientId,
+            code_verifier: codeVerifier
+        });
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+        // client_secret_basic is the default when the provider does not list its methods
+        const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+        if (this.clientSecret && authMethods.includes('client_secret_basic')) {
+            const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        } else if (this.clientSecret) {
+            body.set('client_secret', this.clientSecret);
+        }
+
+        try {
+            const { data } = await axios.post(metadata.token_endpoint, body.toString(), { headers, timeout: HTTP_TIMEOUT_MS });
+            return data;
+        } catch (error) {
+            const reason = error.response && error.response.data
+                ? error.response.data.error_description || error.response.data.error
+                : error.message;
+            throw loginError(`The identity provider rejected the login: ${reason}`);
+        }
+    }
+
+    /**
+     * Verify the ID token's signature, issuer, audience, expiry and nonce
+     * @param {string} idToken - ID token from the token response
+     * @param {string} nonce - Nonce sent with the authorization request
+     * @returns {Promise<Object>} ID token claims
+     */
+    async verifyIdToken(idToken, nonce) {
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded) {
+            throw loginError('The identity provider returned an invalid ID token');
+        }
+
+        const metadata = await this.getMetadata();
+        const algorithms = SIGNING_ALGORITHMS.filter(algorithm =>
+            (metadata.id_token_signing_alg_values_supported || ['RS256']).includes(algorithm));
+
+        let claims;
+        try {
+            claims = jwt.verify(idToken, await this.getSigningKey(decoded.header.kid), {
+                algorithms,
+                issuer: metadata.issuer,
+                audience: this.clientId,
+                nonce,
+                clockTolerance: 60
+            });
+        } catch (error) {
+            throw loginError(`Invalid ID token: ${error.message}`);
+        }
+
+        // A token issued to several clients must name this one as its authorized party
+        if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== this.clientId) {
+            throw loginError('Invalid ID token: not issued to this dashboard');
+        }
+
+        return claims;
+    }
+
+    /**
+     * Add UserInfo claims the ID token leaves out, such as groups at some providers
+     * @param {Object} claims - ID token claims
+     * @param {string} accessToken - Access token from the token response
+     * @returns {Promise<Object>} Combined claims
+     */
+    async withUserInfo(claims, accessToken) {
+        const { userinfo_endpoint: userInfoEndpoint } = await this.getMetadata();
+        if (!userInfoEndpoint || !accessToken || (claims.email && readClaim(claims, this.roleClaim) !== undefined)) {
+            return claims;
+        }
+
+        try {
+            const { data } = await axios.get(userInfoEndpoint, {
+                headers: { Authorization: `Bearer ${accessToken}` },
+                timeout: HTTP_TIMEOUT_MS
+            });
+
+            // UserInfo for a different subject must be ignored
+            return data.sub === claims.sub ? { ...data, ...claims } : claims;
+        } catch (error) {
+            logger.warn(`Failed to fetch OIDC UserInfo for ${claims.sub}: ${error.message}`);
+            return claims;
+        }
+    }
+
+    /**
+     * Role the provider's claims map to, or null when no claim value is mapped
+     * @param {Object} claims - ID token (and UserInfo) claims
+     * @returns {string|null} users.role
+     */
+    mapRole(claims) {
+        const value = readClaim(claims, this.roleClaim);
+        const values = (Array.isArray(value) ? value : [value]).filter(v => v !== undefined && v !== null).map(String);
+        const roles = values.map(v => this.roleMapping.get(v)).filter(Boolean);
+
+        return ROLE_PRECEDENCE.find(role => roles.includes(role)) || null;
+    }
+
+    /**
+     * A free username for a new account, from preferred_username or the email
+     * @param {Object} claims - ID token claims
+     * @returns {string} Username
+     */
+    pickUsername(claims) {
+        const base = String(claims.preferred_username || claims.email.split('@')[0])
+            .split('@')[0]
+            .replace(/[^\w.-]+/g, '_')
+            .slice(0, 45) || 'user';
+
+        let username = base;
+        for (let suffix = 2; userRepository.findByUsername(username); suffix++) {
+            username = `${base}-${suffix}`;
+        }
+        return username;
+    }
+
+    /**
+     * Find, link or create the user of a provider account and apply the mapped role
+     * @param {Object} claims - Verified claims
+     * @returns {Object} { user, before } - before is null for a new user
+     */
+    provisionUser(claims) {
+        const { issuer } = this;
+        const role = this.mapRole(claims);
+
+        let user = userRepository.findByOidcSubject(issuer, claims.sub);
+        if (!user && claims.email) {
+            // Link an existing account by email only when the provider vouches for the email;
+            // otherwise anyone able to set that address at the provider could take the account over
+            const existing = userRepository.findByEmail(claims.email);
+            if (existing && claims.email_verified === true) {
+                userRepository.linkOidcAccount(existing.id, issuer, claims.sub);
+                logger.info(`Linked ${existing.username} to OIDC subject ${claims.sub}`);
+                user = existing;
+            } else if (existing) {
+                throw loginError(`The email ${claims.email} belongs to another account and is not verified by the identity provider`, 409);
+            }
+        }
+
+        if (!user) {
+            if (!claims.email) {
+                throw loginError('The identity provider did not return an email address', 400);
+            }
+
+            const created = userRepository.create({
+                username: this.pickUsername(claims),
+                email: claims.email,
+                fullName: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || claims.email,
+                role: role || this.defaultRole,
+                avatarUrl: claims.picture
+            });
+            userRepository.linkOidcAccount(created.id, issuer, claims.sub);
+            logger.info(`User created from OIDC login: ${created.username} (${created.role})`);
+            return { user: created, before: null };
+        }
+
+        if (!user.isActive) {
+            throw loginError('Your account is deactivated', 403);
+        }
+
+        // Claims that map to a role keep users.role in sync with the provider
+        if (role && role !== user.role) {
+            logger.info(`OIDC role mapping changed ${user.username} from ${user.role} to ${role}`);
+            return { user: userRepository.update(user.username, { role }), before: user };
+        }
+
+        return { user, before: user };
+    }
+
+    /**
+     * Finish a login from the provider's redirect
+     * @param {Object} params - { code, state } from the callback query
+     * @returns {Promise<Object>} { user, before, redirectTo }
+     */
+    async completeLogin({ code, state }) {
+        const request = state && this.consumeLoginRequest(state);
+        if (!request) {
+            throw loginError('The login expired or was already used; please try again', 400);
+        }
+
+        const tokens = await this.exchangeCode(code, request.code_verifier);
+        if (!tokens.id_token) {
+            throw loginError('The identity provider did not return an ID token');
+        }
+
+        const claims = await this.withUserInfo(await this.verifyIdToken(tokens.id_token, request.nonce), tokens.access_token);
+        const { user, before } = this.provisionUser(claims);
+
+        userRepository.recordLogin(user.id);
+        logger.info(`User logged in with OIDC: ${user.username}`);
+        return { user: userRepository.findById(user.id), before, redirectTo: request.redirect_to };
+    }
+}
+
+module.exports = new OidcService();
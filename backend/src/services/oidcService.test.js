@@ -0,0 +1,70 @@
+process.env.OIDC_ISSUER = 'https://idp.example.com/';
+process.env.OIDC_CLIENT_ID = 'dashboard';
+process.env.OIDC_ROLE_MAPPING = 'qa-leads=qa_lead, admins=admin, broken';
+
+const { initializeDatabase } = require('../config/database');
+const userRepository = require('../repositories/userRepository');
+const oidcService = require('./oidcService');
+
+describe('oidcService.provisionUser', () => {
+    beforeAll(() => {
+        initializeDatabase();
+    });
+
+    const ISSUER = 'https://idp.example.com';
+    const emailOf = (username) => userRepository.findByUsername(username).email;
+
+    it('links an existing account when the provider verified its email', () => {
+        const { user, before } = oidcService.provisionUser({ sub: 'sub-lead', email: emailOf('qa_lead'), email_verified: true });
+
+        expect(user.username).toBe('qa_lead');
+        expect(before.username).toBe('qa_lead');
+        expect(userRepository.findByOidcSubject(ISSUER, 'sub-lead').username).toBe('qa_lead');
+    });
+
+    it('refuses to link an account when email_verified is missing or false', () => {
+        const email = emailOf('qa_engineer1');
+
+        const attempts = [
+            { sub: 'sub-missing', email },
+            { sub: 'sub-false', email, email_verified: false },
+            { sub: 'sub-string', email, email_verified: 'true' }
+        ];
+
+        for (const claims of attempts) {
+            expect(() => oidcService.provisionUser(claims)).toThrow(expect.objectContaining({ status: 409 }));
+            expect(userRepository.findByOidcSubject(ISSUER, claims.sub)).toBeNull();
+        }
+    });
+
+    it('creates new users with a free username and the mapped or default role', () => {
+        const { user, before } = oidcService.provisionUser({
+            sub: 'sub-new',
+            email: 'qa_lead@other.example.com',
+            preferred_username: 'qa_lead',
+            name: 'New Lead',
+            groups: ['qa-leads', 'staff']
+        });
+
+        expect(before).toBeNull();
+        expect(user).toMatchObject({ username: 'qa_lead-2', fullName: 'New Lead', role: 'qa_lead' });
+
+        const plain = oidcService.provisionUser({ sub: 'sub-plain', email: 'plain@example.com' }).user;
+        expect(plain).toMatchObject({ username: 'plain', role: 'qa_engineer' });
+    });
+
+    it('keeps the role in sync with the provider on later logins', () => {
+        const { user, before } = oidcService.provisionUser({ sub: 'sub-plain', email: 'plain@example.com', groups: ['admins', 'qa-leads'] });
+
+        expect(before.role).toBe('qa_engineer');
+        expect(user.role).toBe('admin');
+        expect(oidcService.provisionUser({ sub: 'sub-plain', email: 'plain@example.com' }).user.role).toBe('admin');
+    });
+
+    it('refuses deactivated users and providers without an email', () => {
+        userRepository.update('plain', { isActive: false });
+
+        expect(() => oidcService.provisionUser({ sub: 'sub-plain' })).toThrow(expect.objectContaining({ status: 403 }));
+        expect(() => oidcService.provisionUser({ sub: 'sub-anonymous' })).toThrow(expect.objectContaining({ status: 400 }));
+    });
+});
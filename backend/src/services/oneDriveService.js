@@ -9,7 +9,8 @@ class OneDriveService {
     constructor() {
         this.client = null;
         this.folderId = null;
-        this.initialize();
+        // Connected by storageService once selected; connecting here as well left a
+        // rejected promise that crashed the process when credentials were missing
     }
 
     async initialize() {
@@ -0,0 +1,48 @@
+const projectRepository = require('../repositories/projectRepository');
+const { PROJECT_PERMISSIONS, ROLE_PERMISSIONS } = require('../config/permissions');
+
+/**
+ * What a user's role (and their project roles) allow
+ */
+class PermissionService {
+    /**
+     * @param {Object} user - User from userRepository
+     * @param {string} permission - One of PERMISSIONS
+     * @param {number|string|null} projectId - Project the action targets, if any
+     * @returns {boolean} Whether the user may perform the action
+     */
+    can(user, permission, projectId = null) {
+        if (!user) return false;
+        if (user.role === 'admin') return true;
+
+        let role = user.role;
+        if (projectId && PROJECT_PERMISSIONS.includes(permission)) {
+            role = projectRepository.getRolesForUser(user.id).get(Number(projectId)) || role;
+        }
+
+        return (ROLE_PERMISSIONS[role] || []).includes(permission);
+    }
+
+    /**
+     * Permissions of a user, for clients deciding which actions to offer
+     * @param {Object} user - User from userRepository
+     * @returns {Object} { permissions, projectPermissions: { [projectId]: permissions } }
+     */
+    describe(user) {
+        const permissions = ROLE_PERMISSIONS[user.role] || [];
+        const projectPermissions = {};
+
+        if (user.role !== 'admin') {
+            for (const [projectId, role] of projectRepository.getRolesForUser(user.id)) {
+                projectPermissions[projectId] = [
+                    ...permissions.filter(permission => !PROJECT_PERMISSIONS.includes(permission)),
+                    ...(ROLE_PERMISSIONS[role] || []).filter(permission => PROJECT_PERMISSIONS.includes(permission))
+                ];
+            }
+        }
+
+        return { permissions, projectPermissions };
+    }
+}
+
+module.exports = new PermissionService();
@@ -0,0 +1,268 @@
+const cron = require('node-cron');
+const { getDatabase } = require('../config/database');
+const userRepository = require('../repositories/userRepository');
+const { testKey } = require('../utils/testKey');
+const { logger } = require('../utils/logger');
+
+// A quarantined test is released after this many consecutive runs without a failed attempt
+const RELEASE_AFTER_RUNS = parseInt(process.env.QUARANTINE_RELEASE_RUNS) || 10;
+
+const SWEEP_SCHEDULE = process.env.QUARANTINE_SWEEP_SCHEDULE || '30 * * * *';
+
+// expires_at is stored as ISO 8601; datetime() makes it comparable with SQLite timestamps
+const ACTIVE = 'q.released_at IS NULL AND (q.expires_at IS NULL OR datetime(q.expires_at) > datetime(\'now\'))';
+
+// A quarantine without a test_key matches results by suite and name, whichever framework
+// ID (Playwright, Cypress, Allure, ...) or browser they were reported with
+const MATCHES = 'q.project_id IS ? AND (q.test_key = ? OR (q.test_key IS NULL AND q.test_name = ? AND q.test_suite IS ?))';
+
+const QUARANTINE_SELECT = `
+    SELECT q.*, p.name as project_name, o.username as owner_username, o.full_name as owner_name,
+        CASE WHEN ${ACTIVE} THEN 1 ELSE 0 END as active
+    FROM quarantined_tests q
+    LEFT JOIN projects p ON p.id = q.project_id
+    LEFT JOIN users o ON o.id = q.owner_id
+`;
+
+const toQuarantine = (row) => {
+    if (!row) return null;
+
+    return {
+        id: row.id,
+        projectId: row.project_id,
+        projectName: row.project_name || null,
+        testKey: row.test_key,
+        testName: row.test_name,
+        testSuite: row.test_suite,
+        owner: row.owner_id ? { id: row.owner_id, username: row.owner_username, fullName: row.owner_name } : null,
+        reason: row.reason,
+        ticket: row.ticket,
+        expiresAt: row.expires_at,
+        active: Boolean(row.active),
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        releasedAt: row.released_at,
+        releasedBy: row.released_by,
+        releaseReason: row.release_reason
+    };
+};
+
+const assertOwner = (ownerId) => {
+    if (!userRepository.findById(ownerId)) {
+        const error = new Error(`User ${ownerId} does not exist`);
+        error.status = 400;
+        throw error;
+    }
+};
+
+/**
+ * Quarantined tests: their failures are still stored, but tagged with the quarantine
+ * and left out of success rates and quality gates
+ */
+class QuarantineService {
+    /**
+     * @param {Object} filters - { projectId, includeReleased }
+     * @returns {Array<Object>} Quarantines, newest first
+     */
+    list({ projectId, includeReleased = false } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (projectId) {
+            conditions.push('q.project_id = ?');
+            params.push(projectId);
+        }
+        if (!includeReleased) {
+            conditions.push(ACTIVE);
+        }
+
+        return getDatabase().prepare(`
+            ${QUARANTINE_SELECT}
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY q.created_at DESC, q.id DESC
+        `).all(...params).map(toQuarantine);
+    }
+
+    findById(id) {
+        return toQuarantine(getDatabase().prepare(`${QUARANTINE_SELECT} WHERE q.id = ?`).get(id));
+    }
+
+    /**
+     * @param {Object} test - { projectId, testKey, testName, testSuite }
+     * @returns {Object|null} Active quarantine with the same test key, or by suite and name without one
+     */
+    findActive({ projectId, testKey: key = null, testName, testSuite }) {
+        return toQuarantine(getDatabase().prepare(`
+            ${QUARANTINE_SELECT}
+            WHERE q.project_id IS ? AND q.test_key IS ? AND (q.test_key IS NOT NULL OR (q.test_name = ? AND q.test_suite IS ?))
+              AND ${ACTIVE}
+        `).get(projectId || null, key, testName, testSuite || null));
+    }
+
+    /**
+     * Quarantine a stored result belongs to
+     * @param {Object} report - Test report payload; metadata is an object
+     * @returns {number|null} ID of the active quarantine of its test
+     */
+    activeIdFor(report) {
+        const row = getDatabase()
+            .prepare(`SELECT q.id FROM quarantined_tests q WHERE ${MATCHES} AND ${ACTIVE}`)
+            .get(report.project_id || null, testKey(report), report.test_name, report.test_suite || null);
+        return row ? row.id : null;
+    }
+
+    /**
+     * Quarantine a test. Without a testKey the test is identified by suite and name in
+     * every format and browser.
+     * @param {Object} quarantine - { projectId, testName, testSuite, testKey, ownerId, reason, ticket, expiresAt }
+     * @param {Object} createdBy - User quarantining the test
+     * @returns {Object} Created quarantine
+     */
+    create({ projectId = null, testName, testSuite = null, testKey: key = null, ownerId, reason, ticket, expiresAt }, createdBy) {
+        const existing = this.findActive({ projectId, testKey: key, testName, testSuite });
+        if (existing) {
+            const error = new Error(`${testName} is already quarantined (quarantine ${existing.id})`);
+            error.status = 409;
+            throw error;
+        }
+        assertOwner(ownerId);
+
+        const { lastInsertRowid } = getDatabase().prepare(`
+            INSERT INTO quarantined_tests (
+                project_id, test_key, test_name, test_suite, owner_id, reason, ticket, expires_at, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            projectId,
+            key,
+            testName,
+            testSuite || null,
+            ownerId,
+            reason,
+            ticket || null,
+            expiresAt ? new Date(expiresAt).toISOString() : null,
+            createdBy ? createdBy.id : null
+        );
+
+        logger.info(`Quarantined ${key || testName}${projectId ? ` in project ${projectId}` : ''}`);
+        return this.findById(lastInsertRowid);
+    }
+
+    /**
+     * @param {number} id - Quarantine ID
+     * @param {Object} changes - Any of ownerId, reason, ticket, expiresAt
+     * @returns {Object} Updated quarantine
+     */
+    update(id, { ownerId, reason, ticket, expiresAt }) {
+        const assignments = [];
+        const params = [];
+
+        if (ownerId !== undefined) {
+            assertOwner(ownerId);
+            assignments.push('owner_id = ?');
+            params.push(ownerId);
+        }
+        if (reason !== undefined) {
+            assignments.push('reason = ?');
+            params.push(reason);
+        }
+        if (ticket !== undefined) {
+            assignments.push('ticket = ?');
+            params.push(ticket || null);
+        }
+        if (expiresAt !== undefined) {
+            assignments.push('expires_at = ?');
+            params.push(expiresAt ? new Date(expiresAt).toISOString() : null);
+        }
+
+        if (assignments.length > 0) {
+            getDatabase().prepare(`
+                UPDATE quarantined_tests SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(...params, id);
+        }
+        return this.findById(id);
+    }
+
+    /**
+     * End a quarantine; later results of the test count again
+     * @param {number} id - Quarantine ID
+     * @param {Object} options - { reason: manual|expired|stable, releasedBy }
+     * @returns {Object} Released quarantine
+     */
+    release(id, { reason = 'manual', releasedBy = null } = {}) {
+        getDatabase().prepare(`
+            UPDATE quarantined_tests
+            SET released_at = CURRENT_TIMESTAMP, released_by = ?, release_reason = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND released_at IS NULL
+        `).run(releasedBy ? releasedBy.id : null, reason, id);
+
+        return this.findById(id);
+    }
+
+    /**
+     * Whether the test's last RELEASE_AFTER_RUNS runs since it was quarantined all passed
+     * without a failed attempt
+     * @param {Object} quarantine - Active quarantine
+     * @returns {boolean} Whether the test is stable again
+     */
+    isStable(quarantine) {
+        const rows = getDatabase().prepare(`
+            SELECT tr.id, tr.test_name, tr.test_suite, tr.browser, tr.metadata, tr.status, r.execution_id
+            FROM test_reports tr
+            LEFT JOIN test_results r ON r.test_report_id = tr.id
+            WHERE tr.test_name = ? AND tr.project_id IS ? AND tr.created_at >= ?
+              AND tr.status IN ('passed', 'failed')
+            ORDER BY tr.created_at DESC, tr.id DESC
+        `).iterate(quarantine.testName, quarantine.projectId, quarantine.createdAt);
+
+        // The same matching as activeIdFor: the test key when there is one, suite and name otherwise
+        const matches = (row) => (quarantine.testKey
+            ? testKey({ ...row, metadata: row.metadata ? JSON.parse(row.metadata) : {} }) === quarantine.testKey
+            : (row.test_suite || null) === (quarantine.testSuite || null));
+
+        const runs = new Map();
+        for (const row of rows) {
+            if (!matches(row)) continue;
+
+            const runId = row.execution_id ? `execution:${row.execution_id}` : `report:${row.id}`;
+            if (!runs.has(runId) && runs.size === RELEASE_AFTER_RUNS) break;
+            runs.set(runId, runs.get(runId) || row.status === 'failed');
+        }
+
+        return runs.size === RELEASE_AFTER_RUNS && [...runs.values()].every(failed => !failed);
+    }
+
+    /**
+     * Release expired quarantines and tests that have been stable for RELEASE_AFTER_RUNS runs
+     * @returns {Object} { expired, stable } - Released quarantines
+     */
+    sweep() {
+        const db = getDatabase();
+        const released = { expired: [], stable: [] };
+
+        db.prepare(`
+            SELECT q.id FROM quarantined_tests q
+            WHERE q.released_at IS NULL AND q.expires_at IS NOT NULL AND datetime(q.expires_at) <= datetime('now')
+        `).all().forEach(({ id }) => released.expired.push(this.release(id, { reason: 'expired' })));
+
+        this.list().filter(quarantine => this.isStable(quarantine))
+            .forEach(quarantine => released.stable.push(this.release(quarantine.id, { reason: 'stable' })));
+
+        [...released.expired, ...released.stable].forEach(quarantine => {
+            logger.info(`Released quarantine of ${quarantine.testKey || quarantine.testName} (${quarantine.releaseReason})`);
+        });
+        return released;
+    }
+
+    startQuarantineSweep() {
+        return cron.schedule(SWEEP_SCHEDULE, () => {
+            try {
+                this.sweep();
+            } catch (error) {
+                logger.error('Failed to sweep quarantined tests:', error);
+            }
+        });
+    }
+}
+
+module.exports = new QuarantineService();
@@ -0,0 +1,116 @@
+process.env.QUARANTINE_RELEASE_RUNS = '3';
+
+const { initializeDatabase, getDatabase } = require('../config/database');
+const userRepository = require('../repositories/userRepository');
+const { evaluateGate } = require('../cli');
+const { parsePlaywrightJson } = require('../parsers/playwrightParser');
+const ingestionService = require('./ingestionService');
+const testReportService = require('./testReportService');
+const quarantineService = require('./quarantineService');
+
+describe('quarantineService', () => {
+    let owner;
+    let executions = 0;
+
+    beforeAll(() => {
+        initializeDatabase();
+        owner = userRepository.findByUsername('qa_lead');
+    });
+
+    const quarantine = (testName, fields = {}) => quarantineService.create({
+        projectId: 2,
+        testName,
+        testSuite: 'Quarantine',
+        ownerId: owner.id,
+        reason: 'Races the payment mock',
+        ...fields
+    }, owner);
+
+    // One execution of project 2 with the given results of a test
+    const runExecution = (testName, ...statuses) => ingestionService.ingestExecution({
+        format: 'junit',
+        name: 'Nightly',
+        reports: statuses.map((status, retry) => ({ test_name: testName, test_suite: 'Quarantine', status, metadata: { retry } }))
+    }, { executionId: `quarantine-${++executions}`, projectId: 2 }).execution;
+
+    it('tags failures of quarantined tests and leaves them out of the quality gate', () => {
+        const { id } = quarantine('pays by card');
+
+        const execution = ingestionService.ingestExecution({
+            format: 'junit',
+            name: 'Nightly',
+            reports: [
+                { test_name: 'pays by card', test_suite: 'Quarantine', status: 'failed' },
+                { test_name: 'pays by cash', test_suite: 'Quarantine', status: 'passed' }
+            ]
+        }, { executionId: 'quarantine-gate', projectId: 2 }).execution;
+
+        expect(execution).toMatchObject({ failed_tests: 1, quarantined_failures: 1 });
+        expect(evaluateGate(execution, { maxFailures: 0, minPassRate: 100 })).toEqual([]);
+
+        const elsewhere = testReportService.createTestReport({ test_name: 'pays by card', test_suite: 'Quarantine', status: 'failed', project_id: 1 });
+        expect(elsewhere.quarantine_id).toBeNull();
+        quarantineService.release(id);
+    });
+
+    it('matches suite and name in reports keyed by a framework test ID', () => {
+        const { id } = quarantine('pays by voucher');
+
+        const { execution } = ingestionService.ingestExecution(parsePlaywrightJson({
+            suites: [{
+                title: 'checkout.spec.ts',
+                file: 'checkout.spec.ts',
+                suites: [{
+                    title: 'Quarantine',
+                    specs: [{
+                        id: 'voucher-1',
+                        title: 'pays by voucher',
+                        tests: ['chromium', 'firefox'].map(projectName => ({
+                            projectName,
+                            results: [{ status: 'failed', retry: 0, duration: 10, error: { message: 'timeout' } }]
+                        }))
+                    }]
+                }]
+            }]
+        }), { executionId: 'quarantine-playwright', projectId: 2 });
+
+        expect(execution).toMatchObject({ failed_tests: 2, quarantined_failures: 2 });
+        const tagged = getDatabase().prepare('SELECT quarantine_id FROM test_reports WHERE test_name = ?').all('pays by voucher');
+        expect(tagged).toEqual([{ quarantine_id: id }, { quarantine_id: id }]);
+        quarantineService.release(id);
+    });
+
+    it('refuses a second active quarantine of the same test', () => {
+        quarantine('refunds');
+
+        expect(() => quarantine('refunds')).toThrow(expect.objectContaining({ status: 409 }));
+        expect(quarantine('refunds', { testKey: 'refund-1@chromium' }).testKey).toBe('refund-1@chromium');
+    });
+
+    it('releases a test after enough consecutive runs without a failed attempt', () => {
+        const { id } = quarantine('applies coupon');
+
+        runExecution('applies coupon', 'passed');
+        runExecution('applies coupon', 'failed', 'passed');
+        runExecution('applies coupon', 'passed');
+        expect(quarantineService.sweep().stable).toEqual([]);
+
+        // The run with a failed retry is still among the last three
+        runExecution('applies coupon', 'passed');
+        expect(quarantineService.sweep().stable).toEqual([]);
+
+        runExecution('applies coupon', 'passed');
+        const { stable } = quarantineService.sweep();
+
+        expect(stable).toEqual([expect.objectContaining({ id, active: false, releaseReason: 'stable' })]);
+        expect(runExecution('applies coupon', 'failed').quarantined_failures).toBe(0);
+    });
+
+    it('releases expired quarantines', () => {
+        const { id } = quarantine('opens receipt', { expiresAt: new Date(Date.now() + 60000).toISOString() });
+        getDatabase().prepare('UPDATE quarantined_tests SET expires_at = ? WHERE id = ?').run('2000-01-01T00:00:00.000Z', id);
+
+        expect(quarantineService.findById(id).active).toBe(false);
+        expect(quarantineService.sweep().expired).toEqual([expect.objectContaining({ id, releaseReason: 'expired' })]);
+    });
+});
@@ -0,0 +1,493 @@
+const { getDatabase } = require('../config/database');
+const userRepository = require('../repositories/userRepository');
+const teamRepository = require('../repositories/teamRepository');
+const authService = require('./authService');
+const { parseFilter, toSql, matchesFilter, parsePath } = require('../utils/scimFilter');
+const { logger } = require('../utils/logger');
+
+const SCHEMAS = {
+    USER: 'urn:ietf:params:scim:schemas:core:2.0:User',
+    GROUP: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+    LIST: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+    PATCH: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+    ERROR: 'urn:ietf:params:scim:api:messages:2.0:Error'
+};
+
+// Role of provisioned users; an OIDC role mapping can change it at their first login
+const PROVISIONED_ROLE = 'qa_engineer';
+
+const MAX_COUNT = 1000;
+
+/**
+ * Error answered as a SCIM error response
+ * @param {number} status - HTTP status
+ * @param {string} detail - Reason
+ * @param {string} [scimType] - SCIM error type, e.g. uniqueness or invalidValue
+ * @returns {Error} Error with status and scimType
+ */
+const scimError = (status, detail, scimType) => {
+    const error = new Error(detail);
+    error.status = status;
+    error.scimType = scimType;
+    return error;
+};
+
+// Usernames appear in URLs; SCIM userNames are often email addresses, which are kept
+const toUsername = (userName) => String(userName).trim().replace(/[^\w.@+-]+/g, '_');
+
+// SCIM clients send booleans as "True"/"False" strings as well
+const toBoolean = (value) => (typeof value === 'string' ? value.toLowerCase() === 'true' : Boolean(value));
+
+// SQLite timestamps are UTC without a zone
+const toIsoDate = (value) => (value ? new Date(`${value.replace(' ', 'T')}Z`).toISOString() : undefined);
+
+// userName matches the username or the email, so accounts created before provisioning are found
+const USER_ATTRIBUTES = {
+    id: 'id',
+    username: (comparison) => {
+        if (comparison.op !== 'eq') {
+            return toSql({ ...comparison, attribute: 'username_column' }, USER_ATTRIBUTES);
+        }
+        return { sql: '(LOWER(username) = LOWER(?) OR LOWER(email) = LOWER(?))', params: [comparison.value, comparison.value] };
+    },
+    username_column: 'username',
+    externalid: 'scim_external_id',
+    displayname: 'full_name',
+    'name.formatted': 'full_name',
+    emails: 'email',
+    'emails.value': 'email',
+    'emails.type': "'work'",
+    'emails.primary': '1',
+    active: 'is_active',
+    'meta.created': 'created_at',
+    'meta.lastmodified': 'updated_at'
+};
+
+const GROUP_ATTRIBUTES = {
+    id: 't.id',
+    displayname: 't.name',
+    externalid: 't.scim_external_id',
+    'members.value': (comparison) => {
+        if (comparison.op !== 'eq') {
+            throw scimError(400, 'Members can only be filtered with eq', 'invalidFilter');
+        }
+        return { sql: 't.id IN (SELECT team_id FROM team_members WHERE user_id = ?)', params: [comparison.value] };
+    },
+    'meta.created': 't.created_at',
+    'meta.lastmodified': 't.updated_at'
+};
+GROUP_ATTRIBUTES.members = GROUP_ATTRIBUTES['members.value'];
+
+// Attributes PATCH may change, by lower-case name
+const USER_PATCH_ATTRIBUTES = ['userName', 'name', 'displayName', 'emails', 'active', 'externalId'];
+const GROUP_PATCH_ATTRIBUTES = ['displayName', 'members', 'externalId'];
+
+const findKey = (object, name) => Object.keys(object).find(key => key.toLowerCase() === name);
+
+/**
+ * Apply one PATCH operation to a resource in place (RFC 7644 section 3.5.2)
+ * @param {Object} resource - SCIM resource
+ * @param {string} op - add, replace or remove
+ * @param {string} path - Attribute path
+ * @param {*} value - Operation value
+ * @param {Array<string>} attributes - Attributes that may change
+ */
+const applyOperation = (resource, op, path, value, attributes) => {
+    const { attribute, filter, subAttribute } = parsePath(path);
+    const key = attributes.find(name => name.toLowerCase() === attribute);
+    if (!key) {
+        // Extension and read-only attributes are not stored
+        logger.debug(`Ignoring SCIM PATCH of unsupported attribute ${path}`);
+        return;
+    }
+
+    if (filter) {
+        const entries = resource[key] || [];
+        const matching = entries.filter(entry => matchesFilter(entry, filter));
+
+        if (op === 'remove') {
+            if (subAttribute) {
+                matching.forEach(entry => delete entry[findKey(entry, subAttribute)]);
+            } else {
+                resource[key] = entries.filter(entry => !matching.includes(entry));
+            }
+        } else if (matching.length === 0 && subAttribute && filter.op === 'eq') {
+            // emails[type eq "work"].value on a user without a work email adds one
+            resource[key] = [...entries, { [filter.attribute]: filter.value, [subAttribute]: value }];
+        } else {
+            matching.forEach(entry => {
+                if (subAttribute) {
+                    entry[findKey(entry, subAttribute) || subAttribute] = value;
+                } else {
+                    Object.assign(entry, value);
+                }
+            });
+        }
+        return;
+    }
+
+    if (subAttribute) {
+        const object = resource[key] || {};
+        if (op === 'remove') {
+            delete object[findKey(object, subAttribute)];
+        } else {
+            object[findKey(object, subAttribute) || subAttribute] = value;
+        }
+        resource[key] = object;
+        return;
+    }
+
+    const current = resource[key];
+    if (Array.isArray(current)) {
+        const values = (Array.isArray(value) ? value : [value]).filter(entry => entry !== undefined);
+        const sameValue = (a, b) => String(a.value) === String(b.value);
+
+        if (op === 'remove') {
+            // Without a value the whole attribute is cleared
+            resource[key] = values.length === 0 ? [] : current.filter(entry => !values.some(v => sameValue(entry, v)));
+        } else if (op === 'add') {
+            resource[key] = [...current, ...values.filter(v => !current.some(entry => sameValue(entry, v)))];
+        } else {
+            resource[key] = values;
+        }
+    } else if (op === 'remove') {
+        resource[key] = null;
+    } else if (current && typeof current === 'object' && value && typeof value === 'object') {
+        // Sub-attributes missing from the value are left unchanged
+        resource[key] = { ...current, ...value };
+    } else {
+        resource[key] = value;
+    }
+};
+
+/**
+ * Apply a PatchOp request to a copy of a resource
+ * @param {Object} resource - SCIM resource
+ * @param {Object} patch - { schemas, Operations }
+ * @param {Array<string>} attributes - Attributes that may change
+ * @returns {Object} Patched copy
+ */
+const applyPatch = (resource, patch, attributes) => {
+    if (!patch || !(patch.schemas || []).includes(SCHEMAS.PATCH) || !Array.isArray(patch.Operations)) {
+        throw scimError(400, `Send a ${SCHEMAS.PATCH} request with Operations`, 'invalidSyntax');
+    }
+
+    const patched = JSON.parse(JSON.stringify(resource));
+    for (const operation of patch.Operations) {
+        const op = String(operation.op || '').toLowerCase();
+        if (!['add', 'replace', 'remove'].includes(op)) {
+            throw scimError(400, `Unsupported PATCH operation "${operation.op}"`, 'invalidSyntax');
+        }
+
+        if (operation.path) {
+            applyOperation(patched, op, operation.path, operation.value, attributes);
+        } else if (op === 'remove') {
+            throw scimError(400, 'remove operations need a path', 'noTarget');
+        } else if (operation.value && typeof operation.value === 'object') {
+            for (const [path, value] of Object.entries(operation.value)) {
+                applyOperation(patched, op, path, value, attributes);
+            }
+        } else {
+            throw scimError(400, 'Operations without a path need an object value', 'invalidValue');
+        }
+    }
+    return patched;
+};
+
+/**
+ * Users and teams exposed as SCIM 2.0 Users and Groups for an identity system to provision
+ */
+class ScimService {
+    toScimUser(row) {
+        const teams = teamRepository.listForUser(row.id);
+        const [givenName, ...familyName] = (row.full_name || '').split(' ');
+
+        return {
+            schemas: [SCHEMAS.USER],
+            id: String(row.id),
+            externalId: row.scim_external_id || undefined,
+            userName: row.username,
+            name: {
+                formatted: row.full_name,
+                givenName,
+                familyName: familyName.join(' ') || undefined
+            },
+            displayName: row.full_name,
+            emails: [{ value: row.email, type: 'work', primary: true }],
+            active: Boolean(row.is_active),
+            groups: teams.map(team => ({ value: String(team.id), display: team.name })),
+            meta: {
+                resourceType: 'User',
+                created: toIsoDate(row.created_at),
+                lastModified: toIsoDate(row.updated_at)
+            }
+        };
+    }
+
+    toScimGroup(row, { includeMembers = true } = {}) {
+        const members = includeMembers
+            ? getDatabase().prepare(`
+                SELECT u.id, u.full_name FROM team_members tm JOIN users u ON u.id = tm.user_id
+                WHERE tm.team_id = ? ORDER BY u.full_name
+            `).all(row.id)
+            : null;
+
+        return {
+            schemas: [SCHEMAS.GROUP],
+            id: String(row.id),
+            externalId: row.scim_external_id || undefined,
+            displayName: row.name,
+            members: members ? members.map(member => ({ value: String(member.id), display: member.full_name })) : undefined,
+            meta: {
+                resourceType: 'Group',
+                created: toIsoDate(row.created_at),
+                lastModified: toIsoDate(row.updated_at)
+            }
+        };
+    }
+
+    /**
+     * Run a list query with a SCIM filter and 1-based pagination
+     * @returns {Object} { totalResults, startIndex, rows }
+     */
+    query(from, attributes, { filter, startIndex, count }) {
+        const db = getDatabase();
+        const condition = filter ? toSql(parseFilter(filter), attributes) : { sql: '1=1', params: [] };
+        const start = Math.max(parseInt(startIndex) || 1, 1);
+        const size = Math.min(Math.max(parseInt(count) >= 0 ? parseInt(count) : 100, 0), MAX_COUNT);
+
+        const { total } = db.prepare(`SELECT COUNT(*) as total ${from} WHERE ${condition.sql}`).get(...condition.params);
+        const rows = db.prepare(`SELECT * ${from} WHERE ${condition.sql} ORDER BY id LIMIT ? OFFSET ?`)
+            .all(...condition.params, size, start - 1);
+
+        return { totalResults: total, startIndex: start, rows };
+    }
+
+    listUsers(params) {
+        const { rows, ...page } = this.query('FROM users', USER_ATTRIBUTES, params);
+        return { ...page, Resources: rows.map(row => this.toScimUser(row)) };
+    }
+
+    listGroups(params, { includeMembers = true } = {}) {
+        const { rows, ...page } = this.query('FROM teams t', GROUP_ATTRIBUTES, params);
+        return { ...page, Resources: rows.map(row => this.toScimGroup(row, { includeMembers })) };
+    }
+
+    getUserRow(id) {
+        return getDatabase().prepare('SELECT * FROM users WHERE id = ?').get(id);
+    }
+
+    getGroupRow(id) {
+        return getDatabase().prepare('SELECT * FROM teams WHERE id = ?').get(id);
+    }
+
+    getUser(id) {
+        const row = this.getUserRow(id);
+        return row ? this.toScimUser(row) : null;
+    }
+
+    getGroup(id, options) {
+        const row = this.getGroupRow(id);
+        return row ? this.toScimGroup(row, options) : null;
+    }
+
+    /**
+     * users columns described by a SCIM User
+     * @param {Object} resource - SCIM User
+     * @param {Object} [original] - The user before a PATCH, to tell which name attribute changed
+     * @returns {Object} { username, email, fullName, isActive, externalId }
+     */
+    fromScimUser(resource, original) {
+        if (!resource.userName) {
+            throw scimError(400, 'userName is required', 'invalidValue');
+        }
+
+        const emails = resource.emails || [];
+        const email = ((emails.find(entry => toBoolean(entry.primary)) || emails[0] || {}).value) ||
+            (String(resource.userName).includes('@') ? resource.userName : null);
+        if (!email) {
+            throw scimError(400, 'An email address is required', 'invalidValue');
+        }
+
+        const name = resource.name || {};
+        const joinedName = [name.givenName, name.familyName].filter(Boolean).join(' ');
+        let fullName = name.formatted || joinedName || resource.displayName || resource.userName;
+        if (original) {
+            const before = original.name || {};
+            if (resource.displayName !== original.displayName) {
+                fullName = resource.displayName;
+            } else if (name.formatted !== before.formatted) {
+                fullName = name.formatted;
+            } else if (name.givenName !== before.givenName || name.familyName !== before.familyName) {
+                fullName = joinedName;
+            } else {
+                fullName = original.displayName;
+            }
+        }
+
+        return {
+            username: toUsername(resource.userName),
+            email,
+            fullName: fullName || resource.userName,
+            isActive: resource.active === undefined ? true : toBoolean(resource.active),
+            externalId: resource.externalId || null
+        };
+    }
+
+    assertUserUnique({ username, email }, exceptId) {
+        const clash = getDatabase()
+            .prepare('SELECT id FROM users WHERE (username = ? OR email = ?) AND id != ?')
+            .get(username, email, exceptId || 0);
+        if (clash) {
+            throw scimError(409, `A user with userName ${username} or email ${email} already exists`, 'uniqueness');
+        }
+    }
+
+    createUser(resource) {
+        const fields = this.fromScimUser(resource);
+        this.assertUserUnique(fields);
+
+        const user = userRepository.create({
+            username: fields.username,
+            email: fields.email,
+            fullName: fields.fullName,
+            role: PROVISIONED_ROLE
+        });
+        getDatabase().prepare(`
+            UPDATE users SET scim_external_id = ?, is_active = ? WHERE id = ?
+        `).run(fields.externalId, fields.isActive ? 1 : 0, user.id);
+
+        logger.info(`SCIM provisioned user ${user.username}`);
+        return this.getUser(user.id);
+    }
+
+    /**
+     * Write a User's fields; deactivation also ends the user's sessions
+     * @returns {Object} { before, after } SCIM Users
+     */
+    updateUser(row, fields) {
+        const before = this.toScimUser(row);
+        this.assertUserUnique(fields, row.id);
+
+        getDatabase().prepare(`
+            UPDATE users
+            SET username = ?, email = ?, full_name = ?, is_active = ?, scim_external_id = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(fields.username, fields.email, fields.fullName, fields.isActive ? 1 : 0, fields.externalId, row.id);
+
+        if (row.is_active && !fields.isActive) {
+            authService.revokeAll(row.id);
+            logger.info(`SCIM deactivated user ${fields.username}`);
+        }
+
+        return { before, after: this.getUser(row.id) };
+    }
+
+    replaceUser(id, resource) {
+        const row = this.getUserRow(id);
+        if (!row) return null;
+        return this.updateUser(row, this.fromScimUser(resource));
+    }
+
+    patchUser(id, patch) {
+        const row = this.getUserRow(id);
+        if (!row) return null;
+
+        const original = this.toScimUser(row);
+        const patched = applyPatch(original, patch, USER_PATCH_ATTRIBUTES);
+        return this.updateUser(row, this.fromScimUser(patched, original));
+    }
+
+    deleteUser(id) {
+        const user = this.getUser(id);
+        if (!user) return null;
+
+        userRepository.delete(user.userName);
+        logger.info(`SCIM deleted user ${user.userName}`);
+        return user;
+    }
+
+    /**
+     * Team fields described by a SCIM Group
+     * @returns {Object} { name, memberIds, externalId }
+     */
+    fromScimGroup(resource) {
+        if (!resource.displayName) {
+            throw scimError(400, 'displayName is required', 'invalidValue');
+        }
+
+        const memberIds = [...new Set((resource.members || []).map(member => parseInt(member.value)))];
+        const unknown = memberIds.filter(memberId => !userRepository.findById(memberId));
+        if (unknown.length > 0) {
+            throw scimError(400, `Unknown member(s): ${unknown.join(', ')}`, 'invalidValue');
+        }
+
+        return { name: resource.displayName, memberIds, externalId: resource.externalId || null };
+    }
+
+    assertGroupUnique(name, exceptId) {
+        const existing = teamRepository.findByName(name);
+        if (existing && existing.id !== exceptId) {
+            throw scimError(409, `A group named ${name} already exists`, 'uniqueness');
+        }
+    }
+
+    createGroup(resource) {
+        const { name, memberIds, externalId } = this.fromScimGroup(resource);
+        this.assertGroupUnique(name);
+
+        const team = teamRepository.create({ name, memberIds });
+        getDatabase().prepare('UPDATE teams SET scim_external_id = ? WHERE id = ?').run(externalId, team.id);
+
+        logger.info(`SCIM provisioned group ${name} (${memberIds.length} members)`);
+        return this.getGroup(team.id);
+    }
+
+    /**
+     * Rename a team and bring its members in line with the Group
+     * @returns {Object} { before, after } SCIM Groups
+     */
+    updateGroup(row, { name, memberIds, externalId }) {
+        const before = this.toScimGroup(row);
+        this.assertGroupUnique(name, row.id);
+
+        const db = getDatabase();
+        db.transaction(() => {
+            teamRepository.update(row.id, { name });
+            db.prepare('UPDATE teams SET scim_external_id = ? WHERE id = ?').run(externalId, row.id);
+
+            const current = before.members.map(member => parseInt(member.value));
+            current.filter(userId => !memberIds.includes(userId)).forEach(userId => teamRepository.removeMember(row.id, userId));
+            memberIds.filter(userId => !current.includes(userId)).forEach(userId => teamRepository.addMember(row.id, userId));
+        })();
+
+        return { before, after: this.getGroup(row.id) };
+    }
+
+    replaceGroup(id, resource) {
+        const row = this.getGroupRow(id);
+        if (!row) return null;
+        return this.updateGroup(row, this.fromScimGroup(resource));
+    }
+
+    patchGroup(id, patch) {
+        const row = this.getGroupRow(id);
+        if (!row) return null;
+
+        const patched = applyPatch(this.toScimGroup(row), patch, GROUP_PATCH_ATTRIBUTES);
+        return this.updateGroup(row, this.fromScimGroup(patched));
+    }
+
+    deleteGroup(id) {
+        const group = this.getGroup(id);
+        if (!group) return null;
+
+        teamRepository.delete(group.id);
+        logger.info(`SCIM deleted group ${group.displayName}`);
+        return group;
+    }
+}
+
+module.exports = new ScimService();
+module.exports.SCHEMAS = SCHEMAS;
+module.exports.scimError = scimError;
@@ -0,0 +1,215 @@
+const { getDatabase } = require('../config/database');
+const quarantineService = require('./quarantineService');
+const { logger } = require('../utils/logger');
+
+// Columns that can be written through the API (id and timestamps are managed here)
+const WRITABLE_COLUMNS = [
+    'test_name', 'test_suite', 'status', 'execution_time', 'start_time', 'end_time',
+    'error_message', 'stack_trace', 'screenshot_url', 'video_url', 'logs', 'metadata',
+    'tags', 'framework', 'browser', 'device', 'os', 'resolution', 'project_id',
+    'team_member_id', 'branch', 'commit_hash', 'environment'
+];
+
+const SORTABLE_COLUMNS = ['created_at', 'updated_at', 'start_time', 'execution_time', 'test_name', 'status'];
+
+class TestReportService {
+    /**
+     * Convert an API payload into column values for the test_reports table
+     * @param {Object} report - Validated test report payload
+     * @returns {Object} Column/value map
+     */
+    toRow(report) {
+        const row = {};
+
+        for (const column of WRITABLE_COLUMNS) {
+            if (report[column] === undefined) continue;
+
+            let value = report[column];
+            if (column === 'metadata' && value !== null) {
+                value = JSON.stringify(value);
+            } else if (column === 'tags' && Array.isArray(value)) {
+                value = value.join(',');
+            } else if (value instanceof Date) {
+                value = value.toISOString();
+            }
+
+            row[column] = value === '' ? null : value;
+        }
+
+        return row;
+    }
+
+    /**
+     * Convert a test_reports row into the shape returned by the API
+     * @param {Object} row - Raw database row
+     * @returns {Object} Test report
+     */
+    fromRow(row) {
+        if (!row) return null;
+
+        let metadata = null;
+        if (row.metadata) {
+            try {
+                metadata = JSON.parse(row.metadata);
+            } catch (error) {
+                metadata = { raw: row.metadata };
+            }
+        }
+
+        return { ...row, metadata };
+    }
+
+    createTestReport(report) {
+        const db = getDatabase();
+        // Results of a quarantined test are stored but tagged, so they can be left out of success rates
+        const row = { ...this.toRow(report), quarantine_id: quarantineService.activeIdFor(report) };
+        const columns = Object.keys(row);
+
+        const result = db.prepare(`
+            INSERT INTO test_reports (${columns.join(', ')})
+            VALUES (${columns.map(column => `@${column}`).join(', ')})
+        `).run(row);
+
+        return this.getTestReportById(result.lastInsertRowid);
+    }
+
+    getTestReportById(id) {
+        const db = getDatabase();
+        const row = db.prepare('SELECT * FROM test_reports WHERE id = ?').get(id);
+        return this.fromRow(row);
+    }
+
+    listTestReports(filters = {}) {
+        const db = getDatabase();
+        const {
+            page = 1,
+            limit = 20,
+            sortBy = 'created_at',
+            sortOrder = 'desc'
+        } = filters;
+
+        const { where, params } = this.buildFilters(filters);
+        const orderColumn = SORTABLE_COLUMNS.includes(sortBy) ? sortBy : 'created_at';
+        const orderDirection = sortOrder === 'asc' ? 'ASC' : 'DESC';
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 500);
+        const offset = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+        const rows = db.prepare(`
+            SELECT * FROM test_reports
+            WHERE 1=1 ${where}
+            ORDER BY ${orderColumn} ${orderDirection}, id ${orderDirection}
+            LIMIT ? OFFSET ?
+        `).all(...params, pageSize, offset);
+
+        const { total } = db.prepare(`
+            SELECT COUNT(*) as total FROM test_reports WHERE 1=1 ${where}
+        `).get(...params);
+
+        return {
+            testReports: rows.map(row => this.fromRow(row)),
+            pagination: {
+                page: Math.max(parseInt(page) || 1, 1),
+                limit: pageSize,
+                total,
+                pages: Math.ceil(total / pageSize)
+            }
+        };
+    }
+
+    updateTestReport(id, changes) {
+        const db = getDatabase();
+        const row = this.toRow(changes);
+        const columns = Object.keys(row);
+
+        if (columns.length === 0) {
+            return this.getTestReportById(id);
+        }
+
+        const result = db.prepare(`
+            UPDATE test_reports
+            SET ${columns.map(column => `${column} = @${column}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = @id
+        `).run({ ...row, id });
+
+        return result.changes === 0 ? null : this.getTestReportById(id);
+    }
+
+    deleteTestReport(id) {
+        const db = getDatabase();
+
+        const removeReport = db.transaction((reportId) => {
+            db.prepare('DELETE FROM test_results WHERE test_report_id = ?').run(reportId);
+            db.prepare('DELETE FROM ingestion_keys WHERE test_report_id = ?').run(reportId);
+            db.prepare('DELETE FROM test_artifacts WHERE test_report_id = ?').run(reportId);
+            return db.prepare('DELETE FROM test_reports WHERE id = ?').run(reportId).changes;
+        });
+
+        return removeReport(id) > 0;
+    }
+
+    buildFilters(filters) {
+        let where = '';
+        const params = [];
+
+        const equalityFilters = {
+            projectId: 'project_id',
+            teamMemberId: 'team_member_id',
+            branch: 'branch',
+            status: 'status',
+            environment: 'environment',
+            browser: 'browser',
+            framework: 'framework',
+            testSuite: 'test_suite'
+        };
+
+        for (const [filter, column] of Object.entries(equalityFilters)) {
+            if (filters[filter]) {
+                where += ` AND ${column} = ?`;
+                params.push(filters[filter]);
+            }
+        }
+
+        // created_at is stored as 'YYYY-MM-DD HH:MM:SS', so normalize bounds with datetime()
+        if (filters.startDate) {
+            where += ' AND created_at >= datetime(?)';
+            params.push(filters.startDate);
+        }
+
+        if (filters.endDate) {
+            // A bare date includes the whole day
+            where += /^\d{4}-\d{2}-\d{2}$/.test(filters.endDate)
+                ? ' AND created_at < datetime(?, \'+1 day\')'
+                : ' AND created_at <= datetime(?)';
+            params.push(filters.endDate);
+        }
+
+        if (filters.days) {
+            where += ' AND created_at >= datetime(\'now\', ?)';
+            params.push(`-${parseInt(filters.days)} days`);
+        }
+
+        return { where, params };
+    }
+
+    /**
+     * Mirror a stored test report to the configured storage provider.
+     * Enabled with STORAGE_MIRROR_RESULTS=true; failures never fail ingestion.
+     * @param {Object} testReport - Stored test report
+     */
+    async mirrorToStorage(testReport) {
+        if (process.env.STORAGE_MIRROR_RESULTS !== 'true') {
+            return null;
+        }
+
+        try {
+            // Loaded lazily so cloud providers are only initialized when mirroring is enabled
+            const storageService = require('./storageService');
+            return await storageService.storeTestResult(testReport);
+        } catch (error) {
+            logger.warn(`Failed to mirror test report ${testReport.id} to storage:`, error);
+            return null;
+        }
+    }
+}
+
+module.exports = new TestReportService();
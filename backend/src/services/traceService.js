@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const artifactService = require('./artifactService');
+const { parsePlaywrightTrace } = require('../parsers/playwrightTraceParser');
+const { logger } = require('../utils/logger');
+
+// Unpacked traces kept in memory; trace archives can be tens of megabytes
+const TRACE_CACHE_SIZE = parseInt(process.env.TRACE_CACHE_SIZE) || 3;
+
+const FRAME_TYPES = {
+    '.jpeg': 'image/jpeg',
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png'
+};
+
+class TraceService {
+    constructor() {
+        this.cache = new Map();
+    }
+
+    /**
+     * Unpack a stored trace artifact, reusing the cached result when the file is unchanged
+     * @param {Object} artifact - test_artifacts row of type 'trace'
+     * @returns {Object} { trace, zip }
+     */
+    load(artifact) {
+        const cached = this.cache.get(artifact.id);
+        if (cached && cached.checksum === artifact.checksum) {
+            // Re-insert to mark as most recently used
+            this.cache.delete(artifact.id);
+            this.cache.set(artifact.id, cached);
+            return cached;
+        }
+
+        const filePath = path.join(artifactService.reportDirectory(artifact.test_report_id), artifact.stored_name);
+        const archive = fs.readFileSync(filePath);
+
+        let trace;
+        try {
+            trace = parsePlaywrightTrace(archive);
+        } catch (error) {
+            // Stored file is not a usable trace rather than a server failure
+            error.status = 422;
+            throw error;
+        }
+
+        const zip = new AdmZip(archive);
+        const entry = { checksum: artifact.checksum, trace, zip };
+
+        this.cache.set(artifact.id, entry);
+        if (this.cache.size > TRACE_CACHE_SIZE) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        logger.info(`Unpacked trace ${artifact.id}: ${trace.actions.length} actions, ${trace.network.length} requests`);
+        return entry;
+    }
+
+    /**
+     * Parsed trace with frame URLs the viewer can load
+     * @param {Object} artifact - test_artifacts row of type 'trace'
+     * @returns {Object} Parsed trace
+     */
+    getTrace(artifact) {
+        const { trace } = this.load(artifact);
+        const frameUrl = (sha1) => (sha1 ? `/api/v1/traces/${artifact.id}/frames/${encodeURIComponent(sha1)}` : null);
+
+        return {
+            artifact: {
+                id: artifact.id,
+                fileName: artifact.file_name,
+                size: artifact.size,
+                testReportId: artifact.test_report_id,
+                createdAt: artifact.created_at
+            },
+            ...trace,
+            actions: trace.actions.map(action => ({ ...action, frameUrl: frameUrl(action.frame) })),
+            frames: trace.frames.map(frame => ({ ...frame, url: frameUrl(frame.sha1) }))
+        };
+    }
+
+    /**
+     * Read a screencast frame from a trace. Only frames are served: other resources are
+     * captured page content that must not be rendered from this origin.
+     * @param {Object} artifact - test_artifacts row of type 'trace'
+     * @param {string} sha1 - Frame resource name
+     * @returns {Object|null} { data, contentType }
+     */
+    getFrame(artifact, sha1) {
+        const { trace, zip } = this.load(artifact);
+        if (!trace.frames.some(frame => frame.sha1 === sha1)) {
+            return null;
+        }
+
+        const entry = zip.getEntry(`resources/${sha1}`);
+        if (!entry) {
+            return null;
+        }
+
+        return {
+            data: entry.getData(),
+            contentType: FRAME_TYPES[path.extname(sha1).toLowerCase()] || 'image/jpeg'
+        };
+    }
+}
+
+module.exports = new TraceService();
@@ -0,0 +1,55 @@
+const express = require('express');
+const request = require('supertest');
+const errorHandler = require('../middleware/errorHandler');
+const authService = require('../services/authService');
+const apiKeyService = require('../services/apiKeyService');
+const userRepository = require('../repositories/userRepository');
+
+/**
+ * Mount routers the way server.js does
+ * @param {Object} routes - { '/api/v1/...': router }
+ * @returns {Object} Express app
+ */
+const buildApp = (routes) => {
+    const app = express();
+    app.use(express.json({ limit: '50mb' }));
+
+    for (const [mountPath, router] of Object.entries(routes)) {
+        app.use(mountPath, router);
+    }
+    app.use(errorHandler);
+
+    return app;
+};
+
+/**
+ * Mount routers the way server.js does and wrap the app for supertest
+ * @param {Object} routes - { '/api/v1/...': router }
+ * @returns {Object} supertest agent
+ */
+const createApp = (routes) => request(buildApp(routes));
+
+/**
+ * Authorization header for one of the seeded users (admin, qa_lead, qa_engineer1, qa_engineer2)
+ * @param {string} username - Username
+ * @returns {string} Header value
+ */
+const bearer = (username) => `Bearer ${authService.signAccessToken(userRepository.findByUsername(username))}`;
+
+/**
+ * Create a project API key
+ * @param {number} projectId - Project of the key
+ * @param {Array<string>} scopes - Key scopes
+ * @returns {string} The key, for the X-API-Key header
+ */
+const createApiKey = (projectId, scopes = ['ingest', 'artifacts']) => {
+    const admin = userRepository.findByUsername('admin');
+    return apiKeyService.create(projectId, { name: 'CI', scopes }, admin).key;
+};
+
+module.exports = {
+    buildApp,
+    createApp,
+    bearer,
+    createApiKey
+};
@@ -0,0 +1,17 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test file runs against its own in-memory database and uploads directory
+process.env.DB_PATH = ':memory:';
+process.env.UPLOADS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'test-dashboard-uploads-'));
+process.env.JWT_SECRET = 'test-secret';
+process.env.ADMIN_PASSWORD = 'admin-password';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.DB_BACKUP_BEFORE_MIGRATE = 'false';
+
+require('../utils/logger').logger.silent = true;
+
+afterAll(() => {
+    fs.rmSync(process.env.UPLOADS_DIR, { recursive: true, force: true });
+});
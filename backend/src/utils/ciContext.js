@@ -0,0 +1,166 @@
+// Fields of the CI context block stored in test_executions.metadata.ci
+const CI_FIELDS = [
+    'provider',
+    'pipeline',
+    'pipelineId',
+    'pipelineUrl',
+    'jobId',
+    'jobUrl',
+    'prNumber',
+    'author',
+    'trigger',
+    'branch',
+    'commit'
+];
+
+// Provider-specific trigger names mapped onto a common vocabulary
+const TRIGGERS = {
+    push: 'push',
+    pull_request: 'pull_request',
+    pull_request_target: 'pull_request',
+    merge_request_event: 'pull_request',
+    external_pull_request_event: 'pull_request',
+    pullrequest: 'pull_request',
+    schedule: 'schedule',
+    workflow_dispatch: 'manual',
+    web: 'manual',
+    manual: 'manual',
+    api: 'api',
+    trigger: 'api',
+    repository_dispatch: 'api',
+    individualci: 'push',
+    batchedci: 'push'
+};
+
+const normalizeTrigger = (value) => {
+    if (!value) return null;
+    const key = String(value).toLowerCase();
+    return TRIGGERS[key] || key;
+};
+
+const stripRef = (ref) => (ref || '').replace(/^refs\/heads\//, '').replace(/^origin\//, '') || null;
+
+const githubActions = (env) => {
+    const runUrl = env.GITHUB_RUN_ID && env.GITHUB_REPOSITORY
+        ? `${env.GITHUB_SERVER_URL || 'https://github.com'}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`
+        : null;
+    const pullRequest = /^refs\/pull\/(\d+)\//.exec(env.GITHUB_REF || '');
+
+    return {
+        provider: 'github-actions',
+        pipeline: env.GITHUB_WORKFLOW || null,
+        // Re-running a workflow keeps the run ID, so the attempt tells the runs apart
+        pipelineId: [env.GITHUB_RUN_ID, env.GITHUB_RUN_ATTEMPT].filter(Boolean).join('-') || null,
+        pipelineUrl: runUrl,
+        jobId: env.GITHUB_JOB || null,
+        jobUrl: runUrl && env.GITHUB_RUN_ATTEMPT ? `${runUrl}/attempts/${env.GITHUB_RUN_ATTEMPT}` : runUrl,
+        prNumber: pullRequest ? pullRequest[1] : null,
+        author: env.GITHUB_TRIGGERING_ACTOR || env.GITHUB_ACTOR || null,
+        trigger: normalizeTrigger(env.GITHUB_EVENT_NAME),
+        // Pull request builds check out a merge ref; GITHUB_HEAD_REF is the real branch
+        branch: env.GITHUB_HEAD_REF || env.GITHUB_REF_NAME || null,
+        commit: env.GITHUB_SHA || null
+    };
+};
+
+const gitlab = (env) => ({
+    provider: 'gitlab',
+    pipeline: env.CI_PROJECT_PATH || null,
+    pipelineId: env.CI_PIPELINE_ID || null,
+    pipelineUrl: env.CI_PIPELINE_URL || null,
+    jobId: env.CI_JOB_ID || null,
+    jobUrl: env.CI_JOB_URL || null,
+    prNumber: env.CI_MERGE_REQUEST_IID || env.CI_EXTERNAL_PULL_REQUEST_IID || null,
+    author: env.GITLAB_USER_LOGIN || env.CI_COMMIT_AUTHOR || null,
+    trigger: normalizeTrigger(env.CI_PIPELINE_SOURCE),
+    branch: env.CI_MERGE_REQUEST_SOURCE_BRANCH_NAME || env.CI_COMMIT_BRANCH || env.CI_COMMIT_REF_NAME || null,
+    commit: env.CI_COMMIT_SHA || null
+});
+
+const jenkins = (env) => ({
+    provider: 'jenkins',
+    pipeline: env.JOB_NAME || null,
+    pipelineId: env.BUILD_TAG || env.BUILD_NUMBER || null,
+    pipelineUrl: env.JOB_URL || null,
+    jobId: env.BUILD_NUMBER || null,
+    jobUrl: env.BUILD_URL || null,
+    // Multibranch pipelines set CHANGE_* for pull/merge request builds
+    prNumber: env.CHANGE_ID || null,
+    author: env.CHANGE_AUTHOR || env.BUILD_USER_ID || env.GIT_AUTHOR_NAME || null,
+    trigger: env.CHANGE_ID ? 'pull_request' : null,
+    branch: env.CHANGE_BRANCH || env.BRANCH_NAME || stripRef(env.GIT_BRANCH),
+    commit: env.GIT_COMMIT || null
+});
+
+const azureDevOps = (env) => {
+    const buildUrl = env.SYSTEM_COLLECTIONURI && env.BUILD_BUILDID
+        ? `${env.SYSTEM_COLLECTIONURI}${encodeURIComponent(env.SYSTEM_TEAMPROJECT || '')}/_build/results?buildId=${env.BUILD_BUILDID}`
+        : null;
+
+    return {
+        provider: 'azure-devops',
+        pipeline: env.BUILD_DEFINITIONNAME || null,
+        pipelineId: env.BUILD_BUILDID || null,
+        pipelineUrl: buildUrl,
+        jobId: env.SYSTEM_JOBID || null,
+        jobUrl: buildUrl && env.SYSTEM_JOBID ? `${buildUrl}&view=logs&j=${env.SYSTEM_JOBID}` : buildUrl,
+        prNumber: env.SYSTEM_PULLREQUEST_PULLREQUESTNUMBER || env.SYSTEM_PULLREQUEST_PULLREQUESTID || null,
+        author: env.BUILD_REQUESTEDFOREMAIL || env.BUILD_REQUESTEDFOR || null,
+        trigger: normalizeTrigger(env.BUILD_REASON),
+        branch: stripRef(env.SYSTEM_PULLREQUEST_SOURCEBRANCH || env.BUILD_SOURCEBRANCH),
+        commit: env.BUILD_SOURCEVERSION || null
+    };
+};
+
+const circleci = (env) => ({
+    provider: 'circleci',
+    pipeline: env.CIRCLE_PROJECT_REPONAME || null,
+    pipelineId: env.CIRCLE_WORKFLOW_ID || env.CIRCLE_BUILD_NUM || null,
+    pipelineUrl: env.CIRCLE_WORKFLOW_ID ? `https://app.circleci.com/pipelines/workflows/${env.CIRCLE_WORKFLOW_ID}` : null,
+    jobId: env.CIRCLE_BUILD_NUM || null,
+    jobUrl: env.CIRCLE_BUILD_URL || null,
+    prNumber: (/\/(\d+)$/.exec(env.CIRCLE_PULL_REQUEST || '') || [])[1] || null,
+    author: env.CIRCLE_USERNAME || null,
+    trigger: env.CIRCLE_PULL_REQUEST ? 'pull_request' : null,
+    branch: env.CIRCLE_BRANCH || null,
+    commit: env.CIRCLE_SHA1 || null
+});
+
+/**
+ * Read build provenance from a CI provider's environment variables
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object|null} CI context, or null when no supported CI provider is detected
+ */
+const parseCiEnvironment = (env = process.env) => {
+    if (env.GITHUB_ACTIONS === 'true') return githubActions(env);
+    if (env.GITLAB_CI === 'true') return gitlab(env);
+    if (env.JENKINS_URL) return jenkins(env);
+    if (env.TF_BUILD === 'True') return azureDevOps(env);
+    if (env.CIRCLECI === 'true') return circleci(env);
+    return null;
+};
+
+/**
+ * Turn a CI block sent by a client into the stored CI context. The client either sends
+ * the fields directly or its CI environment variables as `env`; explicit fields win.
+ * Raw environment variables are never stored.
+ * @param {Object} ci - { env, provider, pipelineId, jobUrl, ... }
+ * @returns {Object|null} CI context with only known, non-empty fields
+ */
+const normalizeCiContext = (ci) => {
+    if (!ci) return null;
+
+    const { env, ...fields } = ci;
+    const merged = { ...(env ? parseCiEnvironment(env) : null), ...fields };
+    const context = {};
+
+    for (const field of CI_FIELDS) {
+        if (merged[field] !== undefined && merged[field] !== null && merged[field] !== '') {
+            context[field] = field === 'trigger' ? normalizeTrigger(merged[field]) : String(merged[field]);
+        }
+    }
+
+    return Object.keys(context).length > 0 ? context : null;
+};
+
+module.exports = { parseCiEnvironment, normalizeCiContext };
@@ -0,0 +1,94 @@
+const { parseCiEnvironment, normalizeCiContext } = require('./ciContext');
+
+describe('parseCiEnvironment', () => {
+    it('reads GitHub Actions pull request builds', () => {
+        expect(parseCiEnvironment({
+            GITHUB_ACTIONS: 'true',
+            GITHUB_WORKFLOW: 'E2E',
+            GITHUB_REPOSITORY: 'acme/shop',
+            GITHUB_RUN_ID: '9001',
+            GITHUB_RUN_ATTEMPT: '2',
+            GITHUB_JOB: 'playwright',
+            GITHUB_REF: 'refs/pull/42/merge',
+            GITHUB_HEAD_REF: 'feature/cart',
+            GITHUB_REF_NAME: '42/merge',
+            GITHUB_EVENT_NAME: 'pull_request_target',
+            GITHUB_ACTOR: 'octocat',
+            GITHUB_SHA: 'abc123'
+        })).toEqual({
+            provider: 'github-actions',
+            pipeline: 'E2E',
+            pipelineId: '9001-2',
+            pipelineUrl: 'https://github.com/acme/shop/actions/runs/9001',
+            jobId: 'playwright',
+            jobUrl: 'https://github.com/acme/shop/actions/runs/9001/attempts/2',
+            prNumber: '42',
+            author: 'octocat',
+            trigger: 'pull_request',
+            branch: 'feature/cart',
+            commit: 'abc123'
+        });
+    });
+
+    it('reads GitLab merge request pipelines', () => {
+        expect(parseCiEnvironment({
+            GITLAB_CI: 'true',
+            CI_PIPELINE_ID: '77',
+            CI_MERGE_REQUEST_IID: '5',
+            CI_MERGE_REQUEST_SOURCE_BRANCH_NAME: 'fix/login',
+            CI_COMMIT_REF_NAME: 'main',
+            CI_PIPELINE_SOURCE: 'merge_request_event',
+            CI_COMMIT_SHA: 'def456'
+        })).toMatchObject({ provider: 'gitlab', pipelineId: '77', prNumber: '5', branch: 'fix/login', trigger: 'pull_request' });
+    });
+
+    it('strips ref prefixes from Jenkins and Azure DevOps branches', () => {
+        expect(parseCiEnvironment({ JENKINS_URL: 'https://ci', BUILD_NUMBER: '12', GIT_BRANCH: 'origin/develop' }))
+            .toMatchObject({ provider: 'jenkins', pipelineId: '12', branch: 'develop', trigger: null });
+        expect(parseCiEnvironment({
+            TF_BUILD: 'True',
+            SYSTEM_COLLECTIONURI: 'https://dev.azure.com/acme/',
+            SYSTEM_TEAMPROJECT: 'Shop App',
+            BUILD_BUILDID: '300',
+            BUILD_SOURCEBRANCH: 'refs/heads/release',
+            BUILD_REASON: 'Schedule'
+        })).toMatchObject({
+            provider: 'azure-devops',
+            pipelineUrl: 'https://dev.azure.com/acme/Shop%20App/_build/results?buildId=300',
+            branch: 'release',
+            trigger: 'schedule'
+        });
+    });
+
+    it('takes the pull request number from the CircleCI PR URL', () => {
+        expect(parseCiEnvironment({ CIRCLECI: 'true', CIRCLE_PULL_REQUEST: 'https://github.com/acme/shop/pull/8' }))
+            .toMatchObject({ provider: 'circleci', prNumber: '8', trigger: 'pull_request' });
+    });
+
+    it('returns null outside a supported CI provider', () => {
+        expect(parseCiEnvironment({ PATH: '/usr/bin' })).toBeNull();
+    });
+});
+
+describe('normalizeCiContext', () => {
+    it('lets explicit fields override values read from env and drops the rest of env', () => {
+        expect(normalizeCiContext({
+            env: { GITHUB_ACTIONS: 'true', GITHUB_RUN_ID: '1', GITHUB_SHA: 'abc', GITHUB_TOKEN: 'secret' },
+            commit: 'override',
+            prNumber: 3,
+            trigger: 'workflow_dispatch'
+        })).toEqual({
+            provider: 'github-actions',
+            pipelineId: '1',
+            prNumber: '3',
+            trigger: 'manual',
+            commit: 'override'
+        });
+    });
+
+    it('keeps only known, non-empty fields', () => {
+        expect(normalizeCiContext({ provider: 'buildkite', branch: '', token: 'secret' })).toEqual({ provider: 'buildkite' });
+        expect(normalizeCiContext({ branch: '' })).toBeNull();
+        expect(normalizeCiContext(undefined)).toBeNull();
+    });
+});
@@ -0,0 +1,280 @@
+/**
+ * SCIM 2.0 filters (RFC 7644 section 3.4.2.2), e.g. `userName eq "jane" and active eq true`
+ * or `members[value eq "5"]`, parsed into a tree and compiled to SQL
+ */
+
+const COMPARISON_OPERATORS = ['eq', 'ne', 'co', 'sw', 'ew', 'gt', 'ge', 'lt', 'le'];
+
+// Schema URN prefix of fully qualified attribute names, e.g. urn:ietf:params:scim:schemas:core:2.0:User:userName
+const CORE_SCHEMA_PREFIX = /^urn:ietf:params:scim:schemas:core:2\.0:(User|Group):/i;
+
+/**
+ * Error for a filter or path the client got wrong
+ * @param {string} detail - Reason
+ * @param {string} [scimType] - SCIM error type
+ * @returns {Error} Error with status 400 and scimType
+ */
+const invalidFilter = (detail, scimType = 'invalidFilter') => {
+    const error = new Error(detail);
+    error.status = 400;
+    error.scimType = scimType;
+    return error;
+};
+
+const tokenize = (input) => {
+    const tokens = [];
+    const pattern = /\s*(?:("(?:[^"\\]|\\.)*")|([()[\]])|([^\s()[\]"]+))/y;
+    let position = 0;
+
+    for (;;) {
+        pattern.lastIndex = position;
+        const match = pattern.exec(input);
+        if (!match) break;
+        position = pattern.lastIndex;
+
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'value', value: JSON.parse(match[1]) });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: match[2] });
+        } else if (match[3] !== undefined) {
+            tokens.push({ type: 'word', value: match[3] });
+        }
+    }
+
+    if (input.slice(position).trim() !== '') {
+        throw invalidFilter(`Cannot parse filter near "${input.slice(position)}"`);
+    }
+    return tokens;
+};
+
+const parseLiteral = (token) => {
+    if (!token) throw invalidFilter('Filter ends after an operator');
+    if (token.type === 'value') return token.value;
+    if (token.type !== 'word') throw invalidFilter(`Expected a value, found "${token.type}"`);
+
+    if (token.value === 'true') return true;
+    if (token.value === 'false') return false;
+    if (token.value === 'null') return null;
+    if (/^-?\d+(\.\d+)?$/.test(token.value)) return Number(token.value);
+    throw invalidFilter(`Expected a value, found "${token.value}"`);
+};
+
+const normalizeAttribute = (attribute) => attribute.replace(CORE_SCHEMA_PREFIX, '');
+
+/**
+ * Parse a filter into a tree of { op: 'and'|'or', left, right }, { op: 'not', filter },
+ * { op: 'valuePath', attribute, filter } and { op, attribute, value } comparisons
+ * @param {string} input - Filter expression
+ * @returns {Object} Filter tree
+ */
+const parseFilter = (input) => {
+    const tokens = tokenize(input);
+    let position = 0;
+
+    const peekWord = () => {
+        const token = tokens[position];
+        return token && token.type === 'word' ? token.value.toLowerCase() : null;
+    };
+
+    const expect = (type) => {
+        const token = tokens[position++];
+        if (!token || token.type !== type) {
+            throw invalidFilter(`Expected "${type}" in filter`);
+        }
+        return token;
+    };
+
+    let parseOr;
+
+    const parseComparison = (attribute) => {
+        const operator = peekWord();
+        position++;
+
+        if (operator === 'pr') {
+            return { op: 'pr', attribute };
+        }
+        if (!COMPARISON_OPERATORS.includes(operator)) {
+            throw invalidFilter(`Unsupported filter operator "${operator}"`);
+        }
+        return { op: operator, attribute, value: parseLiteral(tokens[position++]) };
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[position];
+        if (!token) throw invalidFilter('Filter is incomplete');
+
+        if (token.type === '(') {
+            position++;
+            const filter = parseOr();
+            expect(')');
+            return filter;
+        }
+
+        if (peekWord() === 'not') {
+            position++;
+            expect('(');
+            const filter = parseOr();
+            expect(')');
+            return { op: 'not', filter };
+        }
+
+        const attribute = normalizeAttribute(expect('word').value);
+
+        // emails[type eq "work"], optionally followed by .value eq "..."
+        if (tokens[position] && tokens[position].type === '[') {
+            position++;
+            const filter = parseOr();
+            expect(']');
+
+            const valuePath = { op: 'valuePath', attribute, filter };
+            const next = tokens[position];
+            if (next && next.type === 'word' && next.value.startsWith('.')) {
+                position++;
+                return { op: 'and', left: valuePath, right: parseComparison(`${attribute}${next.value}`) };
+            }
+            return valuePath;
+        }
+
+        return parseComparison(attribute);
+    };
+
+    const parseAnd = () => {
+        let left = parsePrimary();
+        while (peekWord() === 'and') {
+            position++;
+            left = { op: 'and', left, right: parsePrimary() };
+        }
+        return left;
+    };
+
+    parseOr = () => {
+        let left = parseAnd();
+        while (peekWord() === 'or') {
+            position++;
+            left = { op: 'or', left, right: parseAnd() };
+        }
+        return left;
+    };
+
+    const filter = parseOr();
+    if (position < tokens.length) {
+        throw invalidFilter('Unexpected text after the end of the filter');
+    }
+    return filter;
+};
+
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, c => `\\${c}`);
+
+/**
+ * Compile a filter tree to a SQL condition
+ * @param {Object} filter - Tree from parseFilter
+ * @param {Object} attributes - Lower-case attribute path → SQL expression, or a function
+ *                              (comparison) => { sql, params } for attributes that are not columns
+ * @returns {Object} { sql, params }
+ */
+const toSql = (filter, attributes, prefix = '') => {
+    switch (filter.op) {
+        case 'and':
+        case 'or': {
+            const left = toSql(filter.left, attributes, prefix);
+            const right = toSql(filter.right, attributes, prefix);
+            return { sql: `(${left.sql} ${filter.op.toUpperCase()} ${right.sql})`, params: [...left.params, ...right.params] };
+        }
+        case 'not': {
+            const inner = toSql(filter.filter, attributes, prefix);
+            return { sql: `NOT (${inner.sql})`, params: inner.params };
+        }
+        case 'valuePath':
+            // Attributes inside the brackets belong to the multi-valued attribute
+            return toSql(filter.filter, attributes, `${filter.attribute}.`);
+        default:
+            break;
+    }
+
+    const path = `${prefix}${filter.attribute}`.toLowerCase();
+    const column = attributes[path];
+    if (column === undefined) {
+        throw invalidFilter(`Filtering on "${prefix}${filter.attribute}" is not supported`);
+    }
+    if (typeof column === 'function') {
+        return column(filter);
+    }
+
+    const { op, value } = filter;
+    if (op === 'pr') {
+        return { sql: `(${column} IS NOT NULL AND ${column} != '')`, params: [] };
+    }
+    if (value === null) {
+        if (op !== 'eq' && op !== 'ne') throw invalidFilter(`"${op}" cannot compare with null`);
+        return { sql: `${column} IS ${op === 'eq' ? '' : 'NOT '}NULL`, params: [] };
+    }
+    if (typeof value === 'boolean' || typeof value === 'number') {
+        const operators = { eq: '=', ne: '!=', gt: '>', ge: '>=', lt: '<', le: '<=' };
+        if (!operators[op]) throw invalidFilter(`"${op}" only applies to strings`);
+        return { sql: `${column} ${operators[op]} ?`, params: [typeof value === 'boolean' ? Number(value) : value] };
+    }
+
+    // String attributes compare case-insensitively
+    switch (op) {
+        case 'eq': return { sql: `LOWER(${column}) = LOWER(?)`, params: [value] };
+        case 'ne': return { sql: `LOWER(${column}) != LOWER(?)`, params: [value] };
+        case 'co': return { sql: `${column} LIKE ? ESCAPE '\\'`, params: [`%${escapeLike(value)}%`] };
+        case 'sw': return { sql: `${column} LIKE ? ESCAPE '\\'`, params: [`${escapeLike(value)}%`] };
+        case 'ew': return { sql: `${column} LIKE ? ESCAPE '\\'`, params: [`%${escapeLike(value)}`] };
+        default: {
+            const operators = { gt: '>', ge: '>=', lt: '<', le: '<=' };
+            return { sql: `${column} ${operators[op]} ?`, params: [value] };
+        }
+    }
+};
+
+/**
+ * Whether an entry of a multi-valued attribute matches the filter inside a PATCH path,
+ * e.g. { value: "5" } for members[value eq "5"]
+ * @param {Object} entry - Attribute value
+ * @param {Object} filter - Tree from parseFilter
+ * @returns {boolean} Whether it matches
+ */
+const matchesFilter = (entry, filter) => {
+    switch (filter.op) {
+        case 'and': return matchesFilter(entry, filter.left) && matchesFilter(entry, filter.right);
+        case 'or': return matchesFilter(entry, filter.left) || matchesFilter(entry, filter.right);
+        case 'not': return !matchesFilter(entry, filter.filter);
+        default: break;
+    }
+
+    const key = Object.keys(entry).find(k => k.toLowerCase() === filter.attribute.toLowerCase());
+    const actual = key === undefined ? undefined : entry[key];
+    const comparable = (value) => (typeof value === 'string' ? value.toLowerCase() : value);
+
+    switch (filter.op) {
+        case 'pr': return actual !== undefined && actual !== null && actual !== '';
+        case 'eq': return comparable(String(actual)) === comparable(String(filter.value));
+        case 'ne': return comparable(String(actual)) !== comparable(String(filter.value));
+        case 'co': return comparable(String(actual)).includes(comparable(String(filter.value)));
+        case 'sw': return comparable(String(actual)).startsWith(comparable(String(filter.value)));
+        case 'ew': return comparable(String(actual)).endsWith(comparable(String(filter.value)));
+        default: throw invalidFilter(`"${filter.op}" is not supported in PATCH paths`, 'invalidPath');
+    }
+};
+
+/**
+ * Parse a PATCH path: `active`, `name.givenName`, `members[value eq "5"]` or
+ * `emails[type eq "work"].value`
+ * @param {string} path - PATCH operation path
+ * @returns {Object} { attribute, subAttribute, filter } - attribute is lower-case
+ */
+const parsePath = (path) => {
+    const match = normalizeAttribute(path).match(/^([^[.]+)(?:\[(.*)\])?(?:\.(.+))?$/);
+    if (!match) {
+        throw invalidFilter(`Invalid path "${path}"`, 'invalidPath');
+    }
+
+    return {
+        attribute: match[1].toLowerCase(),
+        filter: match[2] ? parseFilter(match[2]) : null,
+        subAttribute: match[3] ? match[3].toLowerCase() : null
+    };
+};
+
+module.exports = { parseFilter, toSql, matchesFilter, parsePath };
@@ -0,0 +1,97 @@
+const { parseFilter, toSql, matchesFilter, parsePath } = require('./scimFilter');
+
+describe('parseFilter', () => {
+    it('binds and tighter than or and reads literals', () => {
+        expect(parseFilter('userName eq "jane" or active eq true and meta.created gt 5')).toEqual({
+            op: 'or',
+            left: { op: 'eq', attribute: 'userName', value: 'jane' },
+            right: {
+                op: 'and',
+                left: { op: 'eq', attribute: 'active', value: true },
+                right: { op: 'gt', attribute: 'meta.created', value: 5 }
+            }
+        });
+    });
+
+    it('parses groups, not, presence and schema-qualified attributes', () => {
+        expect(parseFilter('not (urn:ietf:params:scim:schemas:core:2.0:User:title pr) and (a eq null)')).toEqual({
+            op: 'and',
+            left: { op: 'not', filter: { op: 'pr', attribute: 'title' } },
+            right: { op: 'eq', attribute: 'a', value: null }
+        });
+    });
+
+    it('parses value paths with and without a sub-attribute', () => {
+        expect(parseFilter('members[value eq "5"]')).toEqual({
+            op: 'valuePath',
+            attribute: 'members',
+            filter: { op: 'eq', attribute: 'value', value: '5' }
+        });
+        expect(parseFilter('emails[type eq "work"].value ew "@example.com"')).toEqual({
+            op: 'and',
+            left: { op: 'valuePath', attribute: 'emails', filter: { op: 'eq', attribute: 'type', value: 'work' } },
+            right: { op: 'ew', attribute: 'emails.value', value: '@example.com' }
+        });
+    });
+
+    it('rejects malformed filters with a SCIM error', () => {
+        for (const [input, message] of [
+            ['userName xx "a"', 'Unsupported filter operator "xx"'],
+            ['userName eq', 'Filter ends after an operator'],
+            ['(userName eq "a"', 'Expected ")" in filter'],
+            ['userName eq "a" "b"', 'Unexpected text after the end of the filter'],
+            ['userName eq jane', 'Expected a value, found "jane"']
+        ]) {
+            expect(() => parseFilter(input)).toThrow(expect.objectContaining({ message, status: 400, scimType: 'invalidFilter' }));
+        }
+    });
+});
+
+describe('toSql', () => {
+    const attributes = { username: 'username', active: 'is_active', 'emails.value': 'email', 'emails.type': "'work'" };
+
+    it('compares strings case-insensitively and escapes LIKE wildcards', () => {
+        expect(toSql(parseFilter('userName eq "Jane"'), attributes)).toEqual({ sql: 'LOWER(username) = LOWER(?)', params: ['Jane'] });
+        expect(toSql(parseFilter('userName co "50%_off"'), attributes)).toEqual({
+            sql: "username LIKE ? ESCAPE '\\'",
+            params: ['%50\\%\\_off%']
+        });
+    });
+
+    it('compiles booleans, presence and value paths', () => {
+        expect(toSql(parseFilter('active eq false and not (userName pr)'), attributes)).toEqual({
+            sql: "(is_active = ? AND NOT ((username IS NOT NULL AND username != '')))",
+            params: [0]
+        });
+        expect(toSql(parseFilter('emails[type eq "work" and value sw "j"]'), attributes)).toEqual({
+            sql: "(LOWER('work') = LOWER(?) AND email LIKE ? ESCAPE '\\')",
+            params: ['work', 'j%']
+        });
+    });
+
+    it('refuses unknown attributes and operators that do not fit the value', () => {
+        expect(() => toSql(parseFilter('title eq "x"'), attributes)).toThrow('Filtering on "title" is not supported');
+        expect(() => toSql(parseFilter('active co true'), attributes)).toThrow('"co" only applies to strings');
+        expect(() => toSql(parseFilter('userName gt null'), attributes)).toThrow('"gt" cannot compare with null');
+    });
+});
+
+describe('PATCH paths', () => {
+    it('splits attribute, filter and sub-attribute', () => {
+        expect(parsePath('name.givenName')).toEqual({ attribute: 'name', filter: null, subAttribute: 'givenname' });
+        expect(parsePath('urn:ietf:params:scim:schemas:core:2.0:User:emails[type eq "work"].value')).toEqual({
+            attribute: 'emails',
+            filter: { op: 'eq', attribute: 'type', value: 'work' },
+            subAttribute: 'value'
+        });
+    });
+
+    it('matches multi-valued entries', () => {
+        const filter = parseFilter('value eq "5" or display sw "qa"');
+
+        expect(matchesFilter({ value: 5 }, filter)).toBe(true);
+        expect(matchesFilter({ value: '6', display: 'QA Team' }, filter)).toBe(true);
+        expect(matchesFilter({ value: '6', display: 'Dev' }, filter)).toBe(false);
+        expect(() => matchesFilter({ value: 1 }, parseFilter('value gt 0'))).toThrow(expect.objectContaining({ scimType: 'invalidPath' }));
+    });
+});
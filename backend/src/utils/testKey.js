@@ -0,0 +1,15 @@
+/**
+ * Identify a test across re-submissions: the framework's stable ID when there is one,
+ * otherwise suite and name, qualified by the project/browser it ran against
+ * @param {Object} report - Test report with defaults applied; metadata is an object
+ * @returns {string} Test identity
+ */
+const testKey = (report) => {
+    const metadata = report.metadata || {};
+    const identity = metadata.testId || [report.test_suite, report.test_name].filter(Boolean).join(' › ');
+    const variant = metadata.project || report.browser;
+
+    return variant ? `${identity}@${variant}` : identity;
+};
+
+module.exports = { testKey };
@@ -8,7 +8,12 @@ import Executions from './pages/Executions';
 import ExecutionDetails from './pages/ExecutionDetails';
 import Failures from './pages/Failures';
 import Performance from './pages/Performance';
+import TraceViewer from './pages/TraceViewer';
+import ProjectSettings from './pages/ProjectSettings';
+import AuditLog from './pages/AuditLog';
+import Login from './pages/Login';
 import Layout from './components/Layout';
+import RequireAuth from './components/RequireAuth';
 import './index.css';
 
 const queryClient = new QueryClient({
@@ -25,16 +30,29 @@ function App() {
     <QueryClientProvider client={queryClient}>
       <Router>
         <div className="App">
-          <Layout>
-            <Routes>
-              <Route path="/" element={<Dashboard />} />
-              <Route path="/team" element={<TeamDashboard />} />
-              <Route path="/executions" element={<Executions />} />
-              <Route path="/execution/:executionId" element={<ExecutionDetails />} />
-              <Route path="/failures" element={<Failures />} />
-              <Route path="/performance" element={<Performance />} />
-            </Routes>
-          </Layout>
+          <Routes>
+            <Route path="/login" element={<Login />} />
+            <Route
+              path="*"
+              element={
+                <RequireAuth>
+                  <Layout>
+                    <Routes>
+                      <Route path="/" element={<Dashboard />} />
+                      <Route path="/team" element={<TeamDashboard />} />
+                      <Route path="/executions" element={<Executions />} />
+                      <Route path="/execution/:executionId" element={<ExecutionDetails />} />
+                      <Route path="/failures" element={<Failures />} />
+                      <Route path="/performance" element={<Performance />} />
+                      <Route path="/test-reports/:testReportId/trace" element={<TraceViewer />} />
+                      <Route path="/settings/projects" element={<ProjectSettings />} />
+                      <Route path="/audit-log" element={<AuditLog />} />
+                    </Routes>
+                  </Layout>
+                </RequireAuth>
+              }
+            />
+          </Routes>
           <Toaster
             position="top-right"
             toastOptions={{
@@ -1,13 +1,21 @@
 import React, { useState } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { 
     BarChart3, Users, Play, AlertTriangle, TrendingUp, 
-    Menu, X, Home, User, Settings 
+    Menu, X, Home, User, Settings, LogOut, Shield 
 } from 'lucide-react';
+import { getCurrentUser, hasPermission, logout } from '../utils/auth';
 
 const Layout = ({ children }) => {
     const [sidebarOpen, setSidebarOpen] = useState(false);
     const location = useLocation();
+    const navigate = useNavigate();
+    const user = getCurrentUser();
+
+    const handleLogout = async () => {
+        await logout();
+        navigate('/login', { replace: true });
+    };
 
     const navigation = [
         { name: 'Dashboard', href: '/', icon: Home },
@@ -15,7 +23,9 @@ const Layout = ({ children }) => {
         { name: 'Executions', href: '/executions', icon: Play },
         { name: 'Failures', href: '/failures', icon: AlertTriangle },
         { name: 'Performance', href: '/performance', icon: TrendingUp },
-    ];
+        { name: 'Project Settings', href: '/settings/projects', icon: Settings },
+        { name: 'Audit Log', href: '/audit-log', icon: Shield, permission: 'view_audit_log' },
+    ].filter(item => !item.permission || hasPermission(item.permission));
 
     const isActive = (href) => location.pathname === href;
 
@@ -91,10 +101,17 @@ const Layout = ({ children }) => {
                             <div className="w-8 h-8 bg-gray-300 rounded-full flex items-center justify-center">
                                 <User className="h-4 w-4 text-gray-600" />
                             </div>
-                            <div className="ml-3">
-                                <p className="text-sm font-medium text-gray-700">QA Team</p>
-                                <p className="text-xs text-gray-500">3 Members</p>
+                            <div className="ml-3 flex-1 min-w-0">
+                                <p className="text-sm font-medium text-gray-700 truncate">{user?.fullName}</p>
+                                <p className="text-xs text-gray-500 truncate">{user?.username}</p>
                             </div>
+                            <button
+                                onClick={handleLogout}
+                                title="Sign out"
+                                className="text-gray-400 hover:text-gray-600"
+                            >
+                                <LogOut className="h-5 w-5" />
+                            </button>
                         </div>
                     </div>
                 </div>
@@ -0,0 +1,17 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { isAuthenticated } from '../utils/auth';
+
+// Send visitors without a session to the login page, then back to where they were going
+const RequireAuth = ({ children }) => {
+    const location = useLocation();
+
+    if (!isAuthenticated()) {
+        const next = `${location.pathname}${location.search}`;
+        return <Navigate to={`/login?next=${encodeURIComponent(next)}`} replace />;
+    }
+
+    return children;
+};
+
+export default RequireAuth;
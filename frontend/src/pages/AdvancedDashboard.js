@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useQuery } from 'react-query';
+import { Link } from 'react-router-dom';
 import {
     Chart as ChartJS,
     CategoryScale,
@@ -31,10 +32,12 @@ import {
     EyeIcon,
     MagnifyingGlassIcon,
     CogIcon,
-    BellIcon
+    BellIcon,
+    FilmIcon
 } from '@heroicons/react/24/outline';
 import { toast } from 'react-hot-toast';
 import { format, subDays, startOfWeek, endOfWeek, eachDayOfInterval } from 'date-fns';
+import { apiFetch } from '../utils/auth';
 
 // Register Chart.js components
 ChartJS.register(
@@ -42,6 +45,14 @@ ChartJS.register(
     Title, Tooltip, Legend, ArcElement, RadialLinearScale, Filler
 );
 
+// Bar colours for the framework comparison chart
+const FRAMEWORK_COLORS = [
+    { fill: 'rgba(59, 130, 246, 0.8)', border: '#3B82F6' },
+    { fill: 'rgba(16, 185, 129, 0.8)', border: '#10B981' },
+    { fill: 'rgba(245, 158, 11, 0.8)', border: '#F59E0B' },
+    { fill: 'rgba(139, 92, 246, 0.8)', border: '#8B5CF6' }
+];
+
 const AdvancedDashboard = () => {
     const [filters, setFilters] = useState({
         startDate: format(subDays(new Date(), 30), 'yyyy-MM-dd'),
@@ -159,6 +170,7 @@ const AdvancedDashboard = () => {
 
     const summary = teamResults?.data?.summary || {};
     const results = teamResults?.data?.results || [];
+    const frameworkStats = summary.frameworkStats || [];
 
     return (
         <div className="min-h-screen bg-gray-50 p-6">
@@ -343,10 +355,10 @@ const AdvancedDashboard = () => {
                             className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                         >
                             <option value="">All Frameworks</option>
-                            <option value="playwright">Playwright</option>
-                            <option value="selenium">Selenium</option>
-                            <option value="cypress">Cypress</option>
-                            <option value="postman">Postman</option>
+                            <option value="Playwright">Playwright</option>
+                            <option value="Selenium">Selenium</option>
+                            <option value="Cypress">Cypress</option>
+                            <option value="Postman">Postman</option>
                         </select>
                     </div>
                 </div>
@@ -561,22 +573,16 @@ const AdvancedDashboard = () => {
                     <div className="h-64">
                         <Bar
                             data={{
-                                labels: ['Playwright', 'Selenium', 'Cypress', 'Postman'],
+                                labels: frameworkStats.map(stat => stat.framework),
                                 datasets: [{
                                     label: 'Success Rate (%)',
-                                    data: [92, 85, 88, 95],
-                                    backgroundColor: [
-                                        'rgba(59, 130, 246, 0.8)',
-                                        'rgba(16, 185, 129, 0.8)',
-                                        'rgba(245, 158, 11, 0.8)',
-                                        'rgba(139, 92, 246, 0.8)'
-                                    ],
-                                    borderColor: [
-                                        '#3B82F6',
-                                        '#10B981',
-                                        '#F59E0B',
-                                        '#8B5CF6'
-                                    ],
+                                    data: frameworkStats.map(stat => stat.successRate),
+                                    backgroundColor: frameworkStats.map((stat, index) =>
+                                        FRAMEWORK_COLORS[index % FRAMEWORK_COLORS.length].fill
+                                    ),
+                                    borderColor: frameworkStats.map((stat, index) =>
+                                        FRAMEWORK_COLORS[index % FRAMEWORK_COLORS.length].border
+                                    ),
                                     borderWidth: 2
                                 }]
                             }}
@@ -711,6 +717,15 @@ const AdvancedDashboard = () => {
                                             <button className="text-blue-600 hover:text-blue-900">
                                                 <EyeIcon className="h-4 w-4" />
                                             </button>
+                                            {result.id && (
+                                                <Link
+                                                    to={`/test-reports/${result.id}/trace`}
+                                                    className="text-blue-600 hover:text-blue-900"
+                                                    title="Open trace viewer"
+                                                >
+                                                    <FilmIcon className="h-4 w-4" />
+                                                </Link>
+                                            )}
                                             <button className="text-gray-600 hover:text-gray-900">
                                                 <CogIcon className="h-4 w-4" />
                                             </button>
@@ -822,7 +837,7 @@ const fetchTeamResults = async (filters) => {
         }
     });
 
-    const response = await fetch(`/api/v1/team-results?${queryParams}`);
+    const response = await apiFetch(`/api/v1/team-results?${queryParams}`);
     if (!response.ok) {
         throw new Error('Failed to fetch team results');
     }
@@ -837,7 +852,7 @@ const fetchAnalytics = async (filters) => {
         }
     });
 
-    const response = await fetch(`/api/v1/team-results/analytics?${queryParams}`);
+    const response = await apiFetch(`/api/v1/team-results/analytics?${queryParams}`);
     if (!response.ok) {
         throw new Error('Failed to fetch analytics');
     }
@@ -852,7 +867,7 @@ const fetchTrends = async (filters) => {
         }
     });
 
-    const response = await fetch(`/api/v1/team-results/trends?${queryParams}`);
+    const response = await apiFetch(`/api/v1/team-results/trends?${queryParams}`);
     if (!response.ok) {
         throw new Error('Failed to fetch trends');
     }
@@ -0,0 +1,296 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import {
+    ArrowDownTrayIcon,
+    ChevronDownIcon,
+    ChevronRightIcon,
+    ShieldCheckIcon
+} from '@heroicons/react/24/outline';
+import { toast } from 'react-hot-toast';
+import { format } from 'date-fns';
+import { apiFetch, hasPermission } from '../utils/auth';
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { actor: '', action: '', targetType: '', targetId: '', startDate: '', endDate: '' };
+
+const formatDate = (value) => format(new Date(value), 'MMM dd, yyyy HH:mm:ss');
+
+const actorLabel = (entry) => {
+    if (entry.actorType === 'api_key') return `API key "${entry.actorName}"`;
+    if (entry.actorType === 'scim') return 'SCIM provisioning';
+    return entry.actorName || 'Anonymous';
+};
+
+// Only the fields that changed, so large snapshots stay readable
+const changedFields = (before, after) => {
+    if (!before || !after) return null;
+    return Object.keys({ ...before, ...after })
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+};
+
+const Snapshot = ({ title, value }) => (
+    <div className="flex-1 min-w-0">
+        <p className="text-xs font-medium text-gray-500 uppercase mb-1">{title}</p>
+        <pre className="p-3 bg-gray-50 border border-gray-200 rounded text-xs overflow-x-auto">
+            {value ? JSON.stringify(value, null, 2) : '—'}
+        </pre>
+    </div>
+);
+
+const AuditLog = () => {
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [page, setPage] = useState(1);
+    const [expanded, setExpanded] = useState(null);
+    const [isExporting, setIsExporting] = useState(false);
+
+    const canView = hasPermission('view_audit_log');
+
+    const { data, isLoading, error } = useQuery(
+        ['auditLog', filters, page],
+        () => fetchAuditLog({ ...filters, page, limit: PAGE_SIZE }),
+        { enabled: canView, keepPreviousData: true }
+    );
+
+    const entries = data?.data?.entries || [];
+    const pagination = data?.data?.pagination;
+
+    const handleFilterChange = (field, value) => {
+        setFilters(prev => ({ ...prev, [field]: value }));
+        setPage(1);
+    };
+
+    const handleExport = async (fileFormat) => {
+        setIsExporting(true);
+        try {
+            await exportAuditLog(filters, fileFormat);
+        } catch (err) {
+            toast.error(err.message);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    if (!canView) {
+        return (
+            <div className="bg-white rounded-lg shadow p-8 text-center">
+                <ShieldCheckIcon className="h-10 w-10 text-gray-400 mx-auto mb-2" />
+                <p className="text-gray-600">Only administrators can view the audit log.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {/* Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+                    <p className="text-gray-600">Every administrative and data-changing action, newest first</p>
+                </div>
+                <div className="flex space-x-2">
+                    {['csv', 'json'].map((fileFormat) => (
+                        <button
+                            key={fileFormat}
+                            onClick={() => handleExport(fileFormat)}
+                            disabled={isExporting}
+                            className="flex items-center px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                        >
+                            <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+                            Export {fileFormat.toUpperCase()}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {/* Filters */}
+            <div className="bg-white rounded-lg shadow p-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4">
+                    <input
+                        type="text"
+                        placeholder="Actor"
+                        value={filters.actor}
+                        onChange={(e) => handleFilterChange('actor', e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <select
+                        value={filters.action}
+                        onChange={(e) => handleFilterChange('action', e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        <option value="">All actions</option>
+                        {(data?.data?.actions || []).map((action) => (
+                            <option key={action} value={action}>{action}</option>
+                        ))}
+                    </select>
+                    <select
+                        value={filters.targetType}
+                        onChange={(e) => handleFilterChange('targetType', e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        <option value="">All targets</option>
+                        {(data?.data?.targetTypes || []).map((targetType) => (
+                            <option key={targetType} value={targetType}>{targetType}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="text"
+                        placeholder="Target ID"
+                        value={filters.targetId}
+                        onChange={(e) => handleFilterChange('targetId', e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <input
+                        type="date"
+                        value={filters.startDate}
+                        onChange={(e) => handleFilterChange('startDate', e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <input
+                        type="date"
+                        value={filters.endDate}
+                        onChange={(e) => handleFilterChange('endDate', e.target.value)}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                </div>
+            </div>
+
+            {/* Entries */}
+            <div className="bg-white rounded-lg shadow overflow-hidden">
+                {isLoading ? (
+                    <div className="flex items-center justify-center h-32">
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    </div>
+                ) : error ? (
+                    <p className="px-6 py-8 text-center text-sm text-red-600">{error.message}</p>
+                ) : entries.length === 0 ? (
+                    <p className="px-6 py-8 text-center text-sm text-gray-500">No audit entries match these filters</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    {['', 'Time', 'Actor', 'Action', 'Target', 'IP Address', 'Request ID'].map((heading) => (
+                                        <th
+                                            key={heading}
+                                            className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                                        >
+                                            {heading}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {entries.map((entry) => {
+                                    const isExpanded = expanded === entry.id;
+                                    const changed = changedFields(entry.before, entry.after);
+                                    return (
+                                        <React.Fragment key={entry.id}>
+                                            <tr
+                                                className="hover:bg-gray-50 cursor-pointer"
+                                                onClick={() => setExpanded(isExpanded ? null : entry.id)}
+                                            >
+                                                <td className="pl-6 py-4 text-gray-400">
+                                                    {isExpanded
+                                                        ? <ChevronDownIcon className="h-4 w-4" />
+                                                        : <ChevronRightIcon className="h-4 w-4" />}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                    {formatDate(entry.createdAt)}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                    {actorLabel(entry)}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                    <code>{entry.action}</code>
+                                                    {changed && changed.length > 0 && (
+                                                        <span className="block text-xs font-normal text-gray-500">
+                                                            {changed.join(', ')}
+                                                        </span>
+                                                    )}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                    {entry.targetType}{entry.targetId && ` #${entry.targetId}`}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                    {entry.ipAddress || '—'}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-xs text-gray-500">
+                                                    <code>{entry.requestId || '—'}</code>
+                                                </td>
+                                            </tr>
+                                            {isExpanded && (
+                                                <tr>
+                                                    <td colSpan={7} className="px-6 py-4 bg-gray-50">
+                                                        <div className="flex flex-col md:flex-row gap-4">
+                                                            <Snapshot title="Before" value={entry.before} />
+                                                            <Snapshot title="After" value={entry.after} />
+                                                        </div>
+                                                    </td>
+                                                </tr>
+                                            )}
+                                        </React.Fragment>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                {pagination && pagination.pages > 1 && (
+                    <div className="flex items-center justify-between px-6 py-3 border-t border-gray-200">
+                        <p className="text-sm text-gray-600">
+                            Page {pagination.page} of {pagination.pages} ({pagination.total} entries)
+                        </p>
+                        <div className="flex space-x-2">
+                            <button
+                                onClick={() => setPage(p => p - 1)}
+                                disabled={page <= 1}
+                                className="px-3 py-1 border border-gray-300 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50"
+                            >
+                                Previous
+                            </button>
+                            <button
+                                onClick={() => setPage(p => p + 1)}
+                                disabled={page >= pagination.pages}
+                                className="px-3 py-1 border border-gray-300 rounded-md text-sm hover:bg-gray-50 disabled:opacity-50"
+                            >
+                                Next
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// API functions
+const toQuery = (params) => new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== '' && value !== undefined)
+).toString();
+
+const fetchAuditLog = async (params) => {
+    const response = await apiFetch(`/api/v1/audit-log?${toQuery(params)}`);
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(body.message || body.error || 'Failed to fetch audit log');
+    }
+    return body;
+};
+
+const exportAuditLog = async (filters, fileFormat) => {
+    const response = await apiFetch(`/api/v1/audit-log/export?${toQuery({ ...filters, format: fileFormat })}`);
+    if (!response.ok) {
+        throw new Error('Failed to export audit log');
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `audit-log-${format(new Date(), 'yyyy-MM-dd')}.${fileFormat}`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+export default AuditLog;
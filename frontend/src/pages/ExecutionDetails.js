@@ -0,0 +1,332 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { Link, useParams } from 'react-router-dom';
+import {
+    ArrowLeftIcon,
+    ArrowTopRightOnSquareIcon,
+    CheckCircleIcon,
+    XCircleIcon,
+    ExclamationTriangleIcon,
+    InformationCircleIcon,
+    FilmIcon
+} from '@heroicons/react/24/outline';
+import { format } from 'date-fns';
+import { apiFetch } from '../utils/auth';
+
+const PAGE_SIZE = 50;
+
+const EXECUTION_STATUS_COLORS = {
+    running: 'bg-blue-100 text-blue-800',
+    completed: 'bg-green-100 text-green-800',
+    failed: 'bg-red-100 text-red-800',
+    cancelled: 'bg-gray-100 text-gray-800'
+};
+
+const CI_PROVIDERS = {
+    'github-actions': 'GitHub Actions',
+    gitlab: 'GitLab CI',
+    jenkins: 'Jenkins',
+    'azure-devops': 'Azure DevOps',
+    circleci: 'CircleCI'
+};
+
+const TRIGGER_LABELS = {
+    push: 'Push',
+    pull_request: 'Pull request',
+    schedule: 'Schedule',
+    manual: 'Manual',
+    api: 'API'
+};
+
+const formatDuration = (seconds) => {
+    if (seconds === null || seconds === undefined) return '—';
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+const ExecutionDetails = () => {
+    const { executionId } = useParams();
+    const [page, setPage] = useState(1);
+    const [statusFilter, setStatusFilter] = useState('');
+
+    const { data: executionData, isLoading, error } = useQuery(
+        ['execution', executionId],
+        () => fetchExecution(executionId),
+        {
+            // Keep live totals moving while the run is still reporting
+            refetchInterval: (data) => (data?.data?.status === 'running' ? 10000 : false),
+        }
+    );
+
+    const execution = executionData?.data;
+
+    const { data: resultsData, isLoading: isResultsLoading } = useQuery(
+        ['executionResults', executionId, page, statusFilter],
+        () => fetchExecutionResults(executionId, { page, status: statusFilter }),
+        {
+            enabled: Boolean(execution),
+            keepPreviousData: true,
+            refetchInterval: execution?.status === 'running' ? 10000 : false,
+        }
+    );
+
+    if (isLoading) {
+        return (
+            <div className="flex items-center justify-center min-h-screen">
+                <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+            </div>
+        );
+    }
+
+    if (error) {
+        return (
+            <div className="flex items-center justify-center min-h-screen">
+                <div className="text-center">
+                    <XCircleIcon className="h-16 w-16 text-red-500 mx-auto mb-4" />
+                    <h2 className="text-xl font-semibold text-gray-900 mb-2">Error Loading Execution</h2>
+                    <p className="text-gray-600">{error.message}</p>
+                </div>
+            </div>
+        );
+    }
+
+    const ci = execution.metadata?.ci;
+    const results = resultsData?.data?.results || [];
+    const pagination = resultsData?.data?.pagination;
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-6">
+            {/* Header */}
+            <div className="mb-6">
+                <Link to="/executions" className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-3">
+                    <ArrowLeftIcon className="h-4 w-4 mr-1" />
+                    Back to executions
+                </Link>
+                <div className="flex items-center justify-between">
+                    <div>
+                        <h1 className="text-3xl font-bold text-gray-900">{execution.name || execution.execution_id}</h1>
+                        <p className="text-gray-600 mt-2">
+                            {[execution.environment, execution.branch, execution.commit_hash?.slice(0, 8)]
+                                .filter(Boolean)
+                                .join(' · ')}
+                            {execution.start_time && ` · ${format(new Date(execution.start_time), 'MMM dd, yyyy HH:mm')}`}
+                            {` · ${formatDuration(execution.duration)}`}
+                        </p>
+                    </div>
+                    <span className={`px-3 py-1 rounded-full text-sm font-medium ${EXECUTION_STATUS_COLORS[execution.status] || EXECUTION_STATUS_COLORS.cancelled}`}>
+                        {execution.status.charAt(0).toUpperCase() + execution.status.slice(1)}
+                    </span>
+                </div>
+            </div>
+
+            {/* Totals */}
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+                <TotalCard label="Total" value={execution.total_tests} color="text-gray-900" />
+                <TotalCard label="Passed" value={execution.passed_tests} color="text-green-600" />
+                <TotalCard label="Failed" value={execution.failed_tests} color="text-red-600" />
+                <TotalCard label="Skipped" value={execution.skipped_tests} color="text-yellow-600" />
+                <TotalCard label="Blocked" value={execution.blocked_tests} color="text-gray-600" />
+            </div>
+
+            {/* CI Build */}
+            {ci && (
+                <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+                    <div className="flex items-center justify-between mb-4">
+                        <h3 className="text-lg font-semibold text-gray-900">
+                            {CI_PROVIDERS[ci.provider] || ci.provider || 'CI'} Build
+                        </h3>
+                        {(ci.jobUrl || ci.pipelineUrl) && (
+                            <a
+                                href={ci.jobUrl || ci.pipelineUrl}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="inline-flex items-center px-3 py-2 text-sm font-medium text-blue-600 border border-blue-200 rounded-md hover:bg-blue-50"
+                            >
+                                View build
+                                <ArrowTopRightOnSquareIcon className="h-4 w-4 ml-1" />
+                            </a>
+                        )}
+                    </div>
+                    <dl className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                        <CiField label="Pipeline" value={ci.pipeline} />
+                        <CiField label="Pipeline ID" value={ci.pipelineId} />
+                        <CiField label="Job" value={ci.jobId} />
+                        <CiField label="Trigger" value={TRIGGER_LABELS[ci.trigger] || ci.trigger} />
+                        <CiField label="Pull Request" value={ci.prNumber && `#${ci.prNumber}`} />
+                        <CiField label="Author" value={ci.author} />
+                        <CiField label="Branch" value={ci.branch} />
+                        <CiField label="Commit" value={ci.commit?.slice(0, 12)} mono />
+                    </dl>
+                </div>
+            )}
+
+            {/* Results */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+                <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold text-gray-900">Results</h3>
+                    <select
+                        value={statusFilter}
+                        onChange={(e) => {
+                            setStatusFilter(e.target.value);
+                            setPage(1);
+                        }}
+                        className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        <option value="">All Statuses</option>
+                        <option value="passed">Passed</option>
+                        <option value="failed">Failed</option>
+                        <option value="skipped">Skipped</option>
+                        <option value="blocked">Blocked</option>
+                    </select>
+                </div>
+
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Test Name
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Status
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Suite
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Execution Time
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Error
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Trace
+                                </th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {results.map((result) => (
+                                <tr key={result.id} className="hover:bg-gray-50">
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                        {result.test_name}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap">
+                                        <StatusBadge status={result.status} />
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                        {result.test_suite}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                        {result.execution_time}s
+                                    </td>
+                                    <td className="px-6 py-4 text-sm text-red-700 max-w-md truncate" title={result.error_message || ''}>
+                                        {result.error_message}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                        <Link
+                                            to={`/test-reports/${result.id}/trace`}
+                                            className="inline-flex items-center text-blue-600 hover:text-blue-900"
+                                            title="Open trace viewer"
+                                        >
+                                            <FilmIcon className="h-4 w-4 mr-1" />
+                                            View
+                                        </Link>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                {!isResultsLoading && results.length === 0 && (
+                    <div className="text-center py-8">
+                        <InformationCircleIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                        <p className="text-gray-500">No results in this execution yet.</p>
+                    </div>
+                )}
+
+                {pagination && pagination.pages > 1 && (
+                    <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+                        <span>
+                            Page {pagination.page} of {pagination.pages} · {pagination.total} results
+                        </span>
+                        <div className="space-x-2">
+                            <button
+                                onClick={() => setPage(page - 1)}
+                                disabled={page <= 1}
+                                className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+                            >
+                                Previous
+                            </button>
+                            <button
+                                onClick={() => setPage(page + 1)}
+                                disabled={page >= pagination.pages}
+                                className="px-3 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+                            >
+                                Next
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const TotalCard = ({ label, value, color }) => (
+    <div className="bg-white rounded-lg shadow-sm p-4">
+        <p className="text-sm font-medium text-gray-600">{label}</p>
+        <p className={`text-2xl font-bold ${color}`}>{value ?? 0}</p>
+    </div>
+);
+
+const CiField = ({ label, value, mono }) => (
+    <div>
+        <dt className="text-gray-500">{label}</dt>
+        <dd className={`text-gray-900 ${mono ? 'font-mono' : ''}`}>{value || '—'}</dd>
+    </div>
+);
+
+// Status Badge Component
+const StatusBadge = ({ status }) => {
+    const statusConfig = {
+        passed: { color: 'bg-green-100 text-green-800', icon: CheckCircleIcon },
+        failed: { color: 'bg-red-100 text-red-800', icon: XCircleIcon },
+        skipped: { color: 'bg-yellow-100 text-yellow-800', icon: ExclamationTriangleIcon },
+        blocked: { color: 'bg-gray-100 text-gray-800', icon: InformationCircleIcon }
+    };
+
+    const config = statusConfig[status] || statusConfig.failed;
+    const Icon = config.icon;
+
+    return (
+        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${config.color}`}>
+            <Icon className="h-3 w-3 mr-1" />
+            {status.charAt(0).toUpperCase() + status.slice(1)}
+        </span>
+    );
+};
+
+// API functions
+const fetchExecution = async (executionId) => {
+    const response = await apiFetch(`/api/v1/executions/${encodeURIComponent(executionId)}`);
+    if (!response.ok) {
+        throw new Error('Failed to fetch execution');
+    }
+    return response.json();
+};
+
+const fetchExecutionResults = async (executionId, { page, status }) => {
+    const queryParams = new URLSearchParams({ page, limit: PAGE_SIZE });
+    if (status) {
+        queryParams.append('status', status);
+    }
+
+    const response = await apiFetch(`/api/v1/executions/${encodeURIComponent(executionId)}/results?${queryParams}`);
+    if (!response.ok) {
+        throw new Error('Failed to fetch execution results');
+    }
+    return response.json();
+};
+
+export default ExecutionDetails;
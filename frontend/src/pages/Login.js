@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import { Navigate, useNavigate, useSearchParams } from 'react-router-dom';
+import { ChartBarIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { toast } from 'react-hot-toast';
+import { completeSsoLogin, fetchSsoConfig, isAuthenticated, login } from '../utils/auth';
+
+// Only follow redirects within the dashboard
+const safeRedirect = (next) => (next && next.startsWith('/') && !next.startsWith('//') ? next : '/');
+
+const Login = () => {
+    const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState(searchParams.get('ssoError'));
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [ssoConfig, setSsoConfig] = useState({ enabled: false });
+
+    const next = safeRedirect(searchParams.get('next'));
+
+    useEffect(() => {
+        fetchSsoConfig().then(setSsoConfig).catch(() => {});
+    }, []);
+
+    // Back from the identity provider with a one-time token in the URL fragment
+    useEffect(() => {
+        const fragment = new URLSearchParams(window.location.hash.slice(1));
+        const token = fragment.get('sso');
+        if (!token) return;
+
+        window.history.replaceState(null, '', window.location.pathname);
+        setIsSubmitting(true);
+        completeSsoLogin(token)
+            .then((user) => {
+                toast.success(`Welcome back, ${user.fullName}`);
+                navigate(safeRedirect(fragment.get('next')), { replace: true });
+            })
+            .catch((err) => setError(err.message))
+            .finally(() => setIsSubmitting(false));
+    }, [navigate]);
+
+    if (isAuthenticated()) {
+        return <Navigate to={next} replace />;
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setIsSubmitting(true);
+
+        try {
+            const user = await login(username, password);
+            toast.success(`Welcome back, ${user.fullName}`);
+            navigate(next, { replace: true });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+            <div className="w-full max-w-sm">
+                <div className="flex items-center justify-center mb-8">
+                    <ChartBarIcon className="h-10 w-10 text-blue-600" />
+                    <span className="ml-2 text-2xl font-bold text-gray-900">Test Dashboard</span>
+                </div>
+
+                <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 space-y-4">
+                    <h1 className="text-lg font-semibold text-gray-900">Sign in</h1>
+
+                    {error && (
+                        <div className="flex items-start p-3 rounded-md bg-red-50 text-sm text-red-700">
+                            <ExclamationTriangleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+                            {error}
+                        </div>
+                    )}
+
+                    <div>
+                        <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">
+                            Username or email
+                        </label>
+                        <input
+                            id="username"
+                            type="text"
+                            autoComplete="username"
+                            required
+                            value={username}
+                            onChange={(e) => setUsername(e.target.value)}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                    </div>
+
+                    <div>
+                        <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                            Password
+                        </label>
+                        <input
+                            id="password"
+                            type="password"
+                            autoComplete="current-password"
+                            required
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                    </div>
+
+                    <button
+                        type="submit"
+                        disabled={isSubmitting}
+                        className="w-full px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        {isSubmitting ? 'Signing in...' : 'Sign in'}
+                    </button>
+
+                    {ssoConfig.enabled && (
+                        <>
+                            <div className="flex items-center text-xs text-gray-400 uppercase">
+                                <div className="flex-1 border-t border-gray-200" />
+                                <span className="px-2">or</span>
+                                <div className="flex-1 border-t border-gray-200" />
+                            </div>
+                            <a
+                                href={`/api/v1/auth/oidc/login?next=${encodeURIComponent(next)}`}
+                                className="block w-full px-4 py-2 text-center border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+                            >
+                                Sign in with {ssoConfig.providerName}
+                            </a>
+                        </>
+                    )}
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default Login;
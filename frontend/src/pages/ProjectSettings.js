@@ -0,0 +1,503 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { useSearchParams } from 'react-router-dom';
+import {
+    KeyIcon,
+    ClipboardDocumentIcon,
+    ExclamationTriangleIcon,
+    TrashIcon,
+    UserPlusIcon
+} from '@heroicons/react/24/outline';
+import { toast } from 'react-hot-toast';
+import { format } from 'date-fns';
+import { apiFetch, hasPermission } from '../utils/auth';
+
+const SCOPES = [
+    { value: 'ingest', label: 'Ingest', description: 'Upload results, report files and executions' },
+    { value: 'artifacts', label: 'Artifacts', description: 'Attach screenshots, videos and traces' }
+];
+
+const ROLES = [
+    { value: 'admin', label: 'Admin' },
+    { value: 'qa_lead', label: 'QA Lead' },
+    { value: 'qa_engineer', label: 'QA Engineer' }
+];
+
+const roleLabel = (role) => ROLES.find(r => r.value === role)?.label || role;
+
+const formatDate = (value) => (value ? format(new Date(value), 'MMM dd, yyyy HH:mm') : '—');
+
+const keyStatus = (apiKey) => {
+    if (apiKey.revokedAt) return { label: 'Revoked', className: 'bg-gray-100 text-gray-700' };
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+        return { label: 'Expired', className: 'bg-yellow-100 text-yellow-800' };
+    }
+    return { label: 'Active', className: 'bg-green-100 text-green-800' };
+};
+
+const ProjectSettings = () => {
+    const queryClient = useQueryClient();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [form, setForm] = useState({ name: '', scopes: ['ingest', 'artifacts'], expiresAt: '' });
+    const [createdKey, setCreatedKey] = useState(null);
+    const [roleForm, setRoleForm] = useState({ userId: '', role: 'qa_lead' });
+
+    const { data: projects } = useQuery('projects', fetchProjects);
+    const projectList = projects?.data || [];
+    const projectId = searchParams.get('projectId') || (projectList[0] && String(projectList[0].projectId)) || '';
+
+    const canManage = hasPermission('manage_projects', projectId);
+
+    const { data: apiKeys, isLoading } = useQuery(
+        ['apiKeys', projectId],
+        () => fetchApiKeys(projectId),
+        { enabled: Boolean(projectId) }
+    );
+
+    const { data: projectRoles } = useQuery(
+        ['projectRoles', projectId],
+        () => fetchProjectRoles(projectId),
+        { enabled: Boolean(projectId) }
+    );
+
+    const { data: users } = useQuery('users', fetchUsers, { enabled: canManage });
+
+    const createMutation = useMutation(
+        (apiKey) => createApiKey(projectId, apiKey),
+        {
+            onSuccess: (response) => {
+                setCreatedKey(response.data);
+                setForm({ name: '', scopes: ['ingest', 'artifacts'], expiresAt: '' });
+                queryClient.invalidateQueries(['apiKeys', projectId]);
+            },
+            onError: (error) => toast.error(error.message)
+        }
+    );
+
+    const revokeMutation = useMutation(
+        (keyId) => revokeApiKey(projectId, keyId),
+        {
+            onSuccess: () => {
+                toast.success('API key revoked');
+                queryClient.invalidateQueries(['apiKeys', projectId]);
+            },
+            onError: (error) => toast.error(error.message)
+        }
+    );
+
+    const roleMutation = useMutation(
+        ({ userId, role }) => (role ? saveProjectRole(projectId, userId, role) : removeProjectRole(projectId, userId)),
+        {
+            onSuccess: (response) => {
+                toast.success(response.message);
+                setRoleForm({ userId: '', role: 'qa_lead' });
+                queryClient.invalidateQueries(['projectRoles', projectId]);
+            },
+            onError: (error) => toast.error(error.message)
+        }
+    );
+
+    const handleProjectChange = (value) => {
+        setCreatedKey(null);
+        setSearchParams(value ? { projectId: value } : {});
+    };
+
+    const toggleScope = (scope) => {
+        setForm(prev => ({
+            ...prev,
+            scopes: prev.scopes.includes(scope)
+                ? prev.scopes.filter(s => s !== scope)
+                : [...prev.scopes, scope]
+        }));
+    };
+
+    const handleCreate = (e) => {
+        e.preventDefault();
+        createMutation.mutate({
+            name: form.name,
+            scopes: form.scopes,
+            // Keys expire at the end of the chosen day
+            expiresAt: form.expiresAt ? new Date(`${form.expiresAt}T23:59:59`).toISOString() : null
+        });
+    };
+
+    const handleRevoke = (apiKey) => {
+        if (window.confirm(`Revoke "${apiKey.name}"? CI jobs using it will stop uploading.`)) {
+            revokeMutation.mutate(apiKey.id);
+        }
+    };
+
+    const copyKey = async () => {
+        await navigator.clipboard.writeText(createdKey.key);
+        toast.success('API key copied');
+    };
+
+    return (
+        <div className="space-y-6">
+            {/* Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-2xl font-bold text-gray-900">Project Settings</h1>
+                    <p className="text-gray-600">API keys for CI uploads and per-project roles</p>
+                </div>
+                <select
+                    value={projectId}
+                    onChange={(e) => handleProjectChange(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                    {projectList.length === 0 && <option value="">No projects</option>}
+                    {projectList.map((project) => (
+                        <option key={project.projectId} value={project.projectId}>
+                            {project.projectName}
+                        </option>
+                    ))}
+                </select>
+            </div>
+
+            {createdKey && (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+                    <div className="flex items-start">
+                        <ExclamationTriangleIcon className="h-5 w-5 text-yellow-600 mr-2 flex-shrink-0" />
+                        <div className="flex-1">
+                            <p className="text-sm font-medium text-yellow-800">
+                                Copy the key for "{createdKey.name}" now; it will not be shown again.
+                            </p>
+                            <div className="mt-2 flex items-center">
+                                <code className="flex-1 px-3 py-2 bg-white border border-yellow-200 rounded text-sm break-all">
+                                    {createdKey.key}
+                                </code>
+                                <button
+                                    onClick={copyKey}
+                                    className="ml-2 p-2 text-yellow-700 hover:text-yellow-900"
+                                    title="Copy"
+                                >
+                                    <ClipboardDocumentIcon className="h-5 w-5" />
+                                </button>
+                            </div>
+                            <p className="mt-2 text-xs text-yellow-700">
+                                Send it as the <code>X-API-Key</code> header, or pass it to the CLI with
+                                <code> --api-key</code> or <code>TEST_DASHBOARD_API_KEY</code>.
+                            </p>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Create API key */}
+            {canManage && (
+                <form onSubmit={handleCreate} className="bg-white rounded-lg shadow p-6">
+                    <h3 className="text-lg font-semibold text-gray-900 mb-4">New API Key</h3>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Name
+                            </label>
+                            <input
+                                type="text"
+                                required
+                                maxLength={100}
+                                placeholder="e.g. GitHub Actions nightly"
+                                value={form.name}
+                                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                        </div>
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Scopes
+                            </label>
+                            {SCOPES.map((scope) => (
+                                <label key={scope.value} className="flex items-start text-sm text-gray-700 mb-1">
+                                    <input
+                                        type="checkbox"
+                                        checked={form.scopes.includes(scope.value)}
+                                        onChange={() => toggleScope(scope.value)}
+                                        className="mt-1 mr-2"
+                                    />
+                                    <span>
+                                        {scope.label}
+                                        <span className="block text-xs text-gray-500">{scope.description}</span>
+                                    </span>
+                                </label>
+                            ))}
+                        </div>
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Expires (optional)
+                            </label>
+                            <input
+                                type="date"
+                                min={format(new Date(), 'yyyy-MM-dd')}
+                                value={form.expiresAt}
+                                onChange={(e) => setForm(prev => ({ ...prev, expiresAt: e.target.value }))}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                        </div>
+                    </div>
+
+                    <div className="mt-4 flex justify-end">
+                        <button
+                            type="submit"
+                            disabled={!projectId || form.scopes.length === 0 || createMutation.isLoading}
+                            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            <KeyIcon className="h-4 w-4 mr-2" />
+                            {createMutation.isLoading ? 'Creating...' : 'Create API Key'}
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {/* API keys */}
+            <div className="bg-white rounded-lg shadow overflow-hidden">
+                <div className="px-6 py-4 border-b border-gray-200">
+                    <h3 className="text-lg font-semibold text-gray-900">API Keys</h3>
+                </div>
+                {isLoading ? (
+                    <div className="flex items-center justify-center h-32">
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                    </div>
+                ) : (apiKeys?.data || []).length === 0 ? (
+                    <p className="px-6 py-8 text-center text-sm text-gray-500">No API keys for this project yet</p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    {['Name', 'Key', 'Scopes', 'Created', 'Last Used', 'Expires', 'Status', ''].map((heading) => (
+                                        <th
+                                            key={heading}
+                                            className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                                        >
+                                            {heading}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {apiKeys.data.map((apiKey) => {
+                                    const status = keyStatus(apiKey);
+                                    return (
+                                        <tr key={apiKey.id} className="hover:bg-gray-50">
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                {apiKey.name}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                <code>{apiKey.keyPrefix}…</code>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                {apiKey.scopes.join(', ')}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                {formatDate(apiKey.createdAt)}
+                                                {apiKey.createdByName && (
+                                                    <span className="block text-xs">by {apiKey.createdByName}</span>
+                                                )}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                {apiKey.lastUsedAt ? formatDate(apiKey.lastUsedAt) : 'Never'}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                                                {apiKey.expiresAt ? formatDate(apiKey.expiresAt) : 'Never'}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${status.className}`}>
+                                                    {status.label}
+                                                </span>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                                                {canManage && !apiKey.revokedAt && (
+                                                    <button
+                                                        onClick={() => handleRevoke(apiKey)}
+                                                        disabled={revokeMutation.isLoading}
+                                                        className="inline-flex items-center text-red-600 hover:text-red-800"
+                                                    >
+                                                        <TrashIcon className="h-4 w-4 mr-1" />
+                                                        Revoke
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            {/* Project roles */}
+            <div className="bg-white rounded-lg shadow overflow-hidden">
+                <div className="px-6 py-4 border-b border-gray-200">
+                    <h3 className="text-lg font-semibold text-gray-900">Project Roles</h3>
+                    <p className="text-sm text-gray-600">A project role replaces the user's own role for this project</p>
+                </div>
+
+                {canManage && (
+                    <form
+                        onSubmit={(e) => {
+                            e.preventDefault();
+                            roleMutation.mutate(roleForm);
+                        }}
+                        className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-end gap-4"
+                    >
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                User
+                            </label>
+                            <select
+                                required
+                                value={roleForm.userId}
+                                onChange={(e) => setRoleForm(prev => ({ ...prev, userId: e.target.value }))}
+                                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                                <option value="">Select a user</option>
+                                {(users?.data || []).map((user) => (
+                                    <option key={user.id} value={user.id}>
+                                        {user.fullName} ({roleLabel(user.role)})
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Role on this project
+                            </label>
+                            <select
+                                value={roleForm.role}
+                                onChange={(e) => setRoleForm(prev => ({ ...prev, role: e.target.value }))}
+                                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                                {ROLES.map((role) => (
+                                    <option key={role.value} value={role.value}>
+                                        {role.label}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <button
+                            type="submit"
+                            disabled={roleMutation.isLoading}
+                            className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            <UserPlusIcon className="h-4 w-4 mr-2" />
+                            Save Role
+                        </button>
+                    </form>
+                )}
+
+                {(projectRoles?.data || []).length === 0 ? (
+                    <p className="px-6 py-8 text-center text-sm text-gray-500">Everyone has their own role on this project</p>
+                ) : (
+                    <ul className="divide-y divide-gray-200">
+                        {projectRoles.data.map((projectRole) => (
+                            <li key={projectRole.userId} className="px-6 py-3 flex items-center justify-between text-sm">
+                                <span className="text-gray-900">
+                                    {projectRole.fullName}
+                                    <span className="ml-2 text-gray-500">
+                                        {roleLabel(projectRole.userRole)} → {roleLabel(projectRole.role)}
+                                    </span>
+                                </span>
+                                {canManage && (
+                                    <button
+                                        onClick={() => roleMutation.mutate({ userId: projectRole.userId })}
+                                        disabled={roleMutation.isLoading}
+                                        className="inline-flex items-center text-red-600 hover:text-red-800"
+                                    >
+                                        <TrashIcon className="h-4 w-4 mr-1" />
+                                        Remove
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// API functions
+const fetchProjects = async () => {
+    const response = await apiFetch('/api/v1/projects');
+    if (!response.ok) {
+        throw new Error('Failed to fetch projects');
+    }
+    return response.json();
+};
+
+const fetchApiKeys = async (projectId) => {
+    const response = await apiFetch(`/api/v1/projects/${projectId}/api-keys`);
+    if (!response.ok) {
+        throw new Error('Failed to fetch API keys');
+    }
+    return response.json();
+};
+
+const createApiKey = async (projectId, apiKey) => {
+    const response = await apiFetch(`/api/v1/projects/${projectId}/api-keys`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(apiKey)
+    });
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(body.message || body.error || 'Failed to create API key');
+    }
+    return body;
+};
+
+const revokeApiKey = async (projectId, keyId) => {
+    const response = await apiFetch(`/api/v1/projects/${projectId}/api-keys/${keyId}`, {
+        method: 'DELETE'
+    });
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(body.message || body.error || 'Failed to revoke API key');
+    }
+    return body;
+};
+
+const fetchProjectRoles = async (projectId) => {
+    const response = await apiFetch(`/api/v1/projects/${projectId}/roles`);
+    if (!response.ok) {
+        throw new Error('Failed to fetch project roles');
+    }
+    return response.json();
+};
+
+const fetchUsers = async () => {
+    const response = await apiFetch('/api/v1/users');
+    if (!response.ok) {
+        throw new Error('Failed to fetch users');
+    }
+    return response.json();
+};
+
+const saveProjectRole = async (projectId, userId, role) => {
+    const response = await apiFetch(`/api/v1/projects/${projectId}/roles/${userId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ role })
+    });
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(body.message || body.error || 'Failed to save project role');
+    }
+    return body;
+};
+
+const removeProjectRole = async (projectId, userId) => {
+    const response = await apiFetch(`/api/v1/projects/${projectId}/roles/${userId}`, {
+        method: 'DELETE'
+    });
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(body.message || body.error || 'Failed to remove project role');
+    }
+    return body;
+};
+
+export default ProjectSettings;
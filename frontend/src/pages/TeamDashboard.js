@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useQuery } from 'react-query';
+import { Link } from 'react-router-dom';
 import {
     Chart as ChartJS,
     CategoryScale,
@@ -23,10 +24,12 @@ import {
     ExclamationTriangleIcon,
     InformationCircleIcon,
     FunnelIcon,
-    RefreshCwIcon
+    RefreshCwIcon,
+    FilmIcon
 } from '@heroicons/react/24/outline';
 import { toast } from 'react-hot-toast';
 import { format } from 'date-fns';
+import { apiFetch } from '../utils/auth';
 
 // Register Chart.js components
 ChartJS.register(
@@ -39,6 +42,7 @@ const TeamDashboard = () => {
         startDate: format(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), 'yyyy-MM-dd'),
         endDate: format(new Date(), 'yyyy-MM-dd'),
         projectId: '',
+        teamId: '',
         members: [],
         status: ''
     });
@@ -76,6 +80,30 @@ const TeamDashboard = () => {
         }
     );
 
+    // Fetch teams for the team filter
+    const { data: teams } = useQuery('teams', fetchTeams, {
+        staleTime: 300000,
+    });
+
+    // Fetch flaky tests from the latest flakiness analysis
+    const { data: flakyTestData } = useQuery(
+        ['flakyTests', filters.projectId],
+        () => fetchFlakyTests(filters.projectId),
+        {
+            staleTime: 300000, // Re-analyzed hourly
+        }
+    );
+
+    // Fetch in-progress executions
+    const { data: runningExecutions } = useQuery(
+        ['runningExecutions', filters.projectId],
+        () => fetchRunningExecutions(filters.projectId),
+        {
+            refetchInterval: 10000, // Live runs change quickly
+            staleTime: 5000,
+        }
+    );
+
     const handleRefresh = async () => {
         setIsRefreshing(true);
         try {
@@ -149,6 +177,8 @@ const TeamDashboard = () => {
 
     const summary = teamResults?.data?.summary || {};
     const results = teamResults?.data?.results || [];
+    const liveExecutions = runningExecutions?.data?.executions || [];
+    const flakyTests = flakyTestData?.data?.tests || [];
 
     return (
         <div className="min-h-screen bg-gray-50 p-6">
@@ -181,7 +211,7 @@ const TeamDashboard = () => {
                     <h3 className="text-lg font-semibold text-gray-900">Filters</h3>
                 </div>
 
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4">
                     {/* Date Range */}
                     <div>
                         <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -224,6 +254,25 @@ const TeamDashboard = () => {
                         </select>
                     </div>
 
+                    {/* Team Filter */}
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Team
+                        </label>
+                        <select
+                            value={filters.teamId}
+                            onChange={(e) => handleFilterChange('teamId', e.target.value)}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                            <option value="">All Teams</option>
+                            {(teams?.data || []).map((team) => (
+                                <option key={team.id} value={team.id}>
+                                    {team.name}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
                     {/* Project Filter */}
                     <div>
                         <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -287,6 +336,39 @@ const TeamDashboard = () => {
                 />
             </div>
 
+            {/* Running Executions */}
+            {liveExecutions.length > 0 && (
+                <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+                    <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                        <ClockIcon className="h-5 w-5 text-blue-500 mr-2 animate-pulse" />
+                        Running Executions
+                    </h3>
+                    <div className="space-y-3">
+                        {liveExecutions.map((execution) => (
+                            <div key={execution.id} className="flex items-center justify-between p-3 bg-blue-50 rounded-lg">
+                                <div>
+                                    <Link
+                                        to={`/execution/${encodeURIComponent(execution.execution_id)}`}
+                                        className="font-medium text-blue-900 hover:underline"
+                                    >
+                                        {execution.name || execution.execution_id}
+                                    </Link>
+                                    <p className="text-sm text-blue-700">
+                                        {[execution.branch, execution.environment].filter(Boolean).join(' · ')}
+                                        {execution.start_time && ` · started ${format(new Date(execution.start_time), 'HH:mm')}`}
+                                    </p>
+                                </div>
+                                <div className="flex items-center space-x-3 text-sm">
+                                    <span className="text-gray-700">{execution.total_tests} tests</span>
+                                    <span className="text-green-600">{execution.passed_tests} passed</span>
+                                    <span className="text-red-600">{execution.failed_tests} failed</span>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
             {/* Charts Row */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
                 {/* Status Distribution */}
@@ -369,6 +451,35 @@ const TeamDashboard = () => {
                 </div>
             </div>
 
+            {/* Framework Performance */}
+            <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Framework Performance</h3>
+                <div className="space-y-4">
+                    {(summary.frameworkStats || []).map((stat) => (
+                        <div key={stat.framework} className="flex items-center justify-between">
+                            <div>
+                                <span className="text-sm font-medium text-gray-700">{stat.framework}</span>
+                                <span className="ml-2 text-xs text-gray-500">
+                                    {stat.total} tests · avg {stat.avgExecutionTime}s
+                                </span>
+                            </div>
+                            <div className="flex items-center">
+                                <div className="w-32 bg-gray-200 rounded-full h-2 mr-2">
+                                    <div
+                                        className={`h-2 rounded-full ${stat.successRate >= 90 ? 'bg-green-500' : stat.successRate >= 75 ? 'bg-yellow-500' : 'bg-red-500'}`}
+                                        style={{ width: `${stat.successRate}%` }}
+                                    ></div>
+                                </div>
+                                <span className="text-sm font-medium text-gray-900">{stat.successRate}%</span>
+                            </div>
+                        </div>
+                    ))}
+                    {(summary.frameworkStats || []).length === 0 && (
+                        <p className="text-sm text-gray-500">No framework data for the selected filters.</p>
+                    )}
+                </div>
+            </div>
+
             {/* New Feature Sections */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
                 {/* Intent Capturing */}
@@ -455,60 +566,77 @@ const TeamDashboard = () => {
                 </div>
             </div>
 
-            {/* Flaky Test Patterns */}
+            {/* Flaky Tests */}
             <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
-                    <span className="mr-2">🔄</span>
-                    Flaky Test Pattern Detection
-                </h3>
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                    <div>
-                        <h4 className="font-medium text-gray-800 mb-3">Intermittent Failures</h4>
-                        <div className="space-y-3">
-                            <div className="p-3 bg-red-50 rounded-lg border-l-4 border-red-400">
-                                <div className="flex items-center justify-between">
-                                    <span className="text-sm font-medium text-red-800">Login Test</span>
-                                    <span className="text-xs bg-red-100 text-red-800 px-2 py-1 rounded-full">
-                                        3 failures
-                                    </span>
-                                </div>
-                                <p className="text-xs text-red-600 mt-1">Fails randomly during peak hours</p>
-                            </div>
-                            <div className="p-3 bg-yellow-50 rounded-lg border-l-4 border-yellow-400">
-                                <div className="flex items-center justify-between">
-                                    <span className="text-sm font-medium text-yellow-800">Payment Test</span>
-                                    <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded-full">
-                                        2 failures
-                                    </span>
-                                </div>
-                                <p className="text-xs text-yellow-600 mt-1">Timeout issues on slow networks</p>
-                            </div>
-                        </div>
-                    </div>
-                    <div>
-                        <h4 className="font-medium text-gray-800 mb-3">Root Cause Analysis</h4>
-                        <div className="space-y-3">
-                            <div className="p-3 bg-blue-50 rounded-lg">
-                                <p className="text-sm font-medium text-blue-800">Network Latency</p>
-                                <p className="text-xs text-blue-600">High network latency causing timeouts</p>
-                                <div className="mt-2">
-                                    <span className="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded-full">
-                                        Recommendation: Increase timeout values
-                                    </span>
-                                </div>
-                            </div>
-                            <div className="p-3 bg-green-50 rounded-lg">
-                                <p className="text-sm font-medium text-green-800">Resource Contention</p>
-                                <p className="text-xs text-green-600">Shared resources causing race conditions</p>
-                                <div className="mt-2">
-                                    <span className="text-xs bg-green-100 text-green-800 px-2 py-1 rounded-full">
-                                        Recommendation: Add resource isolation
-                                    </span>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
+                <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+                        <span className="mr-2">🔄</span>
+                        Flaky Tests
+                    </h3>
+                    {flakyTestData?.data?.analyzedAt && (
+                        <span className="text-xs text-gray-500">
+                            Last {flakyTestData.data.window.days} days, analyzed{' '}
+                            {format(new Date(`${flakyTestData.data.analyzedAt.replace(' ', 'T')}Z`), 'MMM dd, HH:mm')}
+                        </span>
+                    )}
                 </div>
+                {flakyTests.length === 0 ? (
+                    <p className="text-sm text-gray-500">
+                        No test both passed and failed on the same commit or across retries
+                    </p>
+                ) : (
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    {['Test', 'Score', 'Flip Rate', 'Evidence', 'Failures', 'Trend'].map((heading) => (
+                                        <th
+                                            key={heading}
+                                            className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                                        >
+                                            {heading}
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {flakyTests.map((test) => (
+                                    <tr key={test.id} className="hover:bg-gray-50">
+                                        <td className="px-4 py-3 text-sm">
+                                            <p className="font-medium text-gray-900">{test.testName}</p>
+                                            <p className="text-xs text-gray-500">
+                                                {[test.projectName, test.testSuite].filter(Boolean).join(' · ')}
+                                            </p>
+                                        </td>
+                                        <td className="px-4 py-3 whitespace-nowrap">
+                                            <span className={`text-xs font-medium px-2 py-1 rounded-full ${
+                                                test.score >= 50 ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                                            }`}>
+                                                {test.score}
+                                            </span>
+                                        </td>
+                                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                                            {Math.round(test.flipRate * 100)}%
+                                            <span className="text-xs text-gray-500"> ({test.flips} flips)</span>
+                                        </td>
+                                        <td className="px-4 py-3 whitespace-nowrap text-xs text-gray-600">
+                                            {test.retryFlakes > 0 && <p>{test.retryFlakes} passed on retry</p>}
+                                            {test.commitFlakes > 0 && <p>{test.commitFlakes} commits passed and failed</p>}
+                                        </td>
+                                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">
+                                            {test.failures} / {test.runs} runs
+                                        </td>
+                                        <td className="px-4 py-3">
+                                            <Sparkline
+                                                values={test.trend.map(day => (day.runs > 0 ? day.failures / day.runs : 0))}
+                                            />
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
             </div>
 
             {/* Recent Results Table */}
@@ -536,6 +664,9 @@ const TeamDashboard = () => {
                                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                     Date
                                 </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Trace
+                                </th>
                             </tr>
                         </thead>
                         <tbody className="bg-white divide-y divide-gray-200">
@@ -559,6 +690,18 @@ const TeamDashboard = () => {
                                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                                         {format(new Date(result.created_at), 'MMM dd, yyyy HH:mm')}
                                     </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                        {result.id && (
+                                            <Link
+                                                to={`/test-reports/${result.id}/trace`}
+                                                className="inline-flex items-center text-blue-600 hover:text-blue-900"
+                                                title="Open trace viewer"
+                                            >
+                                                <FilmIcon className="h-4 w-4 mr-1" />
+                                                View
+                                            </Link>
+                                        )}
+                                    </td>
                                 </tr>
                             ))}
                         </tbody>
@@ -600,6 +743,23 @@ const SummaryCard = ({ title, value, icon: Icon, color }) => {
     );
 };
 
+// Sparkline Component: daily failure rate, oldest day first
+const Sparkline = ({ values, width = 96, height = 24 }) => {
+    if (values.length < 2) {
+        return <span className="text-xs text-gray-400">—</span>;
+    }
+
+    const points = values
+        .map((value, index) => `${(index / (values.length - 1)) * width},${height - value * (height - 2) - 1}`)
+        .join(' ');
+
+    return (
+        <svg width={width} height={height} className="text-red-500">
+            <polyline points={points} fill="none" stroke="currentColor" strokeWidth="1.5" />
+        </svg>
+    );
+};
+
 // Status Badge Component
 const StatusBadge = ({ status }) => {
     const statusConfig = {
@@ -629,7 +789,7 @@ const fetchTeamResults = async (filters) => {
         }
     });
 
-    const response = await fetch(`/api/v1/team-results?${queryParams}`);
+    const response = await apiFetch(`/api/v1/team-results?${queryParams}`);
     if (!response.ok) {
         throw new Error('Failed to fetch team results');
     }
@@ -644,7 +804,7 @@ const fetchTeamAnalytics = async (filters) => {
         }
     });
 
-    const response = await fetch(`/api/v1/team-results/analytics?${queryParams}`);
+    const response = await apiFetch(`/api/v1/team-results/analytics?${queryParams}`);
     if (!response.ok) {
         throw new Error('Failed to fetch team analytics');
     }
@@ -659,11 +819,45 @@ const fetchTeamPerformance = async (filters) => {
         }
     });
 
-    const response = await fetch(`/api/v1/team-results/performance?${queryParams}`);
+    const response = await apiFetch(`/api/v1/team-results/performance?${queryParams}`);
     if (!response.ok) {
         throw new Error('Failed to fetch team performance');
     }
     return response.json();
 };
 
+const fetchTeams = async () => {
+    const response = await apiFetch('/api/v1/teams');
+    if (!response.ok) {
+        throw new Error('Failed to fetch teams');
+    }
+    return response.json();
+};
+
+const fetchRunningExecutions = async (projectId) => {
+    const queryParams = new URLSearchParams({ status: 'running' });
+    if (projectId) {
+        queryParams.append('projectId', projectId);
+    }
+
+    const response = await apiFetch(`/api/v1/executions?${queryParams}`);
+    if (!response.ok) {
+        throw new Error('Failed to fetch running executions');
+    }
+    return response.json();
+};
+
+const fetchFlakyTests = async (projectId) => {
+    const queryParams = new URLSearchParams({ limit: 10 });
+    if (projectId) {
+        queryParams.append('projectId', projectId);
+    }
+
+    const response = await apiFetch(`/api/v1/analytics/flaky-tests?${queryParams}`);
+    if (!response.ok) {
+        throw new Error('Failed to fetch flaky tests');
+    }
+    return response.json();
+};
+
 export default TeamDashboard;
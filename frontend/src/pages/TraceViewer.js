@@ -0,0 +1,344 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery } from 'react-query';
+import { Link, useParams } from 'react-router-dom';
+import {
+    ArrowLeftIcon,
+    CheckCircleIcon,
+    XCircleIcon,
+    ClockIcon,
+    GlobeAltIcon,
+    CommandLineIcon,
+    PhotoIcon,
+    InformationCircleIcon
+} from '@heroicons/react/24/outline';
+import { apiFetch } from '../utils/auth';
+
+const CONSOLE_COLORS = {
+    error: 'text-red-700 bg-red-50',
+    warning: 'text-yellow-800 bg-yellow-50',
+    stderr: 'text-red-700 bg-red-50',
+    info: 'text-blue-700',
+    log: 'text-gray-700',
+    stdout: 'text-gray-700'
+};
+
+const formatMs = (ms) => {
+    if (ms === null || ms === undefined) return '—';
+    return ms >= 1000 ? `${(ms / 1000).toFixed(2)}s` : `${ms}ms`;
+};
+
+const TraceViewer = () => {
+    const { testReportId } = useParams();
+    const [selectedTraceId, setSelectedTraceId] = useState(null);
+    const [selectedCallId, setSelectedCallId] = useState(null);
+    const [activeTab, setActiveTab] = useState('network');
+    const [onlyDuringAction, setOnlyDuringAction] = useState(false);
+
+    const { data: reportTraces, isLoading, error } = useQuery(
+        ['testReportTraces', testReportId],
+        () => fetchTestReportTraces(testReportId)
+    );
+
+    const traces = reportTraces?.data?.traces || [];
+    const testReport = reportTraces?.data?.testReport;
+    const traceId = selectedTraceId || traces[traces.length - 1]?.id;
+
+    const { data: traceData, isLoading: isTraceLoading, error: traceError } = useQuery(
+        ['trace', traceId],
+        () => fetchTrace(traceId),
+        {
+            enabled: Boolean(traceId),
+            staleTime: Infinity, // Stored traces never change
+        }
+    );
+
+    const trace = traceData?.data;
+
+    // Open on the step that failed the test
+    useEffect(() => {
+        if (trace) {
+            setSelectedCallId(trace.failingAction || trace.actions[trace.actions.length - 1]?.callId || null);
+        }
+    }, [trace]);
+
+    if (isLoading) {
+        return (
+            <div className="flex items-center justify-center min-h-screen">
+                <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-blue-600"></div>
+            </div>
+        );
+    }
+
+    if (error) {
+        return (
+            <div className="flex items-center justify-center min-h-screen">
+                <div className="text-center">
+                    <XCircleIcon className="h-16 w-16 text-red-500 mx-auto mb-4" />
+                    <h2 className="text-xl font-semibold text-gray-900 mb-2">Error Loading Trace</h2>
+                    <p className="text-gray-600">{error.message}</p>
+                </div>
+            </div>
+        );
+    }
+
+    const selectedAction = trace?.actions.find(action => action.callId === selectedCallId) || null;
+    const duringSelected = (time) => selectedAction && time !== null &&
+        time >= selectedAction.startTime && time <= (selectedAction.endTime ?? selectedAction.startTime);
+    const network = (trace?.network || []).filter(request => !onlyDuringAction || duringSelected(request.startTime));
+    const consoleMessages = (trace?.console || []).filter(message => !onlyDuringAction || duringSelected(message.time));
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-6">
+            {/* Header */}
+            <div className="mb-6">
+                <Link to="/team" className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-3">
+                    <ArrowLeftIcon className="h-4 w-4 mr-1" />
+                    Back to dashboard
+                </Link>
+                <div className="flex items-center justify-between">
+                    <div>
+                        <h1 className="text-3xl font-bold text-gray-900">{testReport?.test_name || 'Trace Viewer'}</h1>
+                        <p className="text-gray-600 mt-2">
+                            {[testReport?.test_suite, trace?.metadata.browserName, trace?.metadata.platform]
+                                .filter(Boolean)
+                                .join(' · ')}
+                            {trace && ` · ${formatMs(trace.metadata.duration)}`}
+                        </p>
+                    </div>
+                    {traces.length > 1 && (
+                        <select
+                            value={traceId}
+                            onChange={(e) => setSelectedTraceId(Number(e.target.value))}
+                            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                            {traces.map((item) => (
+                                <option key={item.id} value={item.id}>
+                                    {item.file_name} ({item.created_at})
+                                </option>
+                            ))}
+                        </select>
+                    )}
+                </div>
+            </div>
+
+            {traces.length === 0 && (
+                <div className="bg-white rounded-lg shadow-sm p-6 text-center py-12">
+                    <InformationCircleIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                    <p className="text-gray-500">No trace has been uploaded for this test.</p>
+                    <p className="text-sm text-gray-400 mt-1">
+                        Upload trace.zip to /api/v1/upload/test-reports/{testReportId}/artifacts
+                    </p>
+                </div>
+            )}
+
+            {isTraceLoading && (
+                <div className="flex items-center justify-center py-24">
+                    <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-blue-600"></div>
+                </div>
+            )}
+
+            {traceError && (
+                <div className="bg-red-50 border-l-4 border-red-400 rounded-lg p-4 mb-6">
+                    <p className="text-sm text-red-800">{traceError.message}</p>
+                </div>
+            )}
+
+            {trace && (
+                <>
+                    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+                        {/* Action Timeline */}
+                        <div className="bg-white rounded-lg shadow-sm p-4 lg:col-span-1">
+                            <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                                <ClockIcon className="h-5 w-5 mr-2 text-gray-500" />
+                                Actions ({trace.actions.length})
+                            </h3>
+                            <div className="space-y-1 max-h-[32rem] overflow-y-auto">
+                                {trace.actions.map((action) => (
+                                    <button
+                                        key={action.callId}
+                                        onClick={() => setSelectedCallId(action.callId)}
+                                        className={`w-full text-left px-3 py-2 rounded-md text-sm flex items-center justify-between ${
+                                            action.callId === selectedCallId
+                                                ? 'bg-blue-100 text-blue-900'
+                                                : action.error
+                                                    ? 'bg-red-50 text-red-800 hover:bg-red-100'
+                                                    : 'text-gray-700 hover:bg-gray-50'
+                                        }`}
+                                    >
+                                        <span className="flex items-center truncate">
+                                            {action.error
+                                                ? <XCircleIcon className="h-4 w-4 mr-2 text-red-500 flex-shrink-0" />
+                                                : <CheckCircleIcon className="h-4 w-4 mr-2 text-green-500 flex-shrink-0" />}
+                                            <span className="truncate">{action.title || action.apiName}</span>
+                                        </span>
+                                        <span className="ml-2 text-xs text-gray-500 flex-shrink-0">
+                                            {formatMs(action.duration)}
+                                        </span>
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+
+                        {/* Snapshot & Action Details */}
+                        <div className="bg-white rounded-lg shadow-sm p-4 lg:col-span-2">
+                            <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+                                <PhotoIcon className="h-5 w-5 mr-2 text-gray-500" />
+                                {selectedAction ? (selectedAction.title || selectedAction.apiName) : 'Snapshot'}
+                                {selectedAction && selectedAction.callId === trace.failingAction && (
+                                    <span className="ml-2 text-xs bg-red-100 text-red-800 px-2 py-1 rounded-full">
+                                        Failing step
+                                    </span>
+                                )}
+                            </h3>
+
+                            {selectedAction?.error && (
+                                <pre className="text-xs text-red-800 bg-red-50 border-l-4 border-red-400 rounded p-3 mb-4 whitespace-pre-wrap">
+                                    {selectedAction.error}
+                                </pre>
+                            )}
+
+                            {selectedAction?.frameUrl ? (
+                                <img
+                                    src={selectedAction.frameUrl}
+                                    alt={`Page after ${selectedAction.apiName}`}
+                                    className="w-full border border-gray-200 rounded-md mb-4"
+                                />
+                            ) : (
+                                <p className="text-sm text-gray-500 mb-4">
+                                    No screencast frame was recorded for this action.
+                                </p>
+                            )}
+
+                            {selectedAction && (
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                                    <div>
+                                        <h4 className="font-medium text-gray-800 mb-2">Details</h4>
+                                        <dl className="space-y-1 text-gray-600">
+                                            <div>Start: {formatMs(selectedAction.startTime)}</div>
+                                            <div>Duration: {formatMs(selectedAction.duration)}</div>
+                                            {selectedAction.location && <div>Source: {selectedAction.location}</div>}
+                                        </dl>
+                                        {Object.keys(selectedAction.params || {}).length > 0 && (
+                                            <pre className="mt-2 text-xs bg-gray-50 rounded p-2 overflow-x-auto">
+                                                {JSON.stringify(selectedAction.params, null, 2)}
+                                            </pre>
+                                        )}
+                                    </div>
+                                    <div>
+                                        <h4 className="font-medium text-gray-800 mb-2">Log</h4>
+                                        <ul className="space-y-1 text-xs text-gray-600 font-mono">
+                                            {selectedAction.log.map((line, index) => (
+                                                <li key={index}>{line}</li>
+                                            ))}
+                                            {selectedAction.log.length === 0 && <li>No log entries</li>}
+                                        </ul>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+
+                    {/* Network & Console */}
+                    <div className="bg-white rounded-lg shadow-sm p-4">
+                        <div className="flex items-center justify-between border-b border-gray-200 mb-4">
+                            <div className="flex space-x-4">
+                                <button
+                                    onClick={() => setActiveTab('network')}
+                                    className={`flex items-center pb-2 text-sm font-medium ${activeTab === 'network' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500'}`}
+                                >
+                                    <GlobeAltIcon className="h-4 w-4 mr-1" />
+                                    Network ({network.length})
+                                </button>
+                                <button
+                                    onClick={() => setActiveTab('console')}
+                                    className={`flex items-center pb-2 text-sm font-medium ${activeTab === 'console' ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500'}`}
+                                >
+                                    <CommandLineIcon className="h-4 w-4 mr-1" />
+                                    Console ({consoleMessages.length})
+                                </button>
+                            </div>
+                            <label className="flex items-center pb-2 text-sm text-gray-600">
+                                <input
+                                    type="checkbox"
+                                    checked={onlyDuringAction}
+                                    onChange={(e) => setOnlyDuringAction(e.target.checked)}
+                                    className="mr-2"
+                                />
+                                Only during selected action
+                            </label>
+                        </div>
+
+                        {activeTab === 'network' && (
+                            <div className="overflow-x-auto max-h-96 overflow-y-auto">
+                                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                    <thead className="bg-gray-50">
+                                        <tr>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Method</th>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">URL</th>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-200">
+                                        {network.map((request, index) => (
+                                            <tr
+                                                key={index}
+                                                className={request.failure || request.status >= 400 ? 'bg-red-50' : duringSelected(request.startTime) ? 'bg-blue-50' : ''}
+                                            >
+                                                <td className="px-4 py-2 font-mono text-xs">{request.method}</td>
+                                                <td className="px-4 py-2 text-xs truncate max-w-md" title={request.url}>{request.url}</td>
+                                                <td className="px-4 py-2 text-xs">{request.failure || request.status || '—'}</td>
+                                                <td className="px-4 py-2 text-xs text-gray-500">{request.mimeType || '—'}</td>
+                                                <td className="px-4 py-2 text-xs text-gray-500">{formatMs(request.duration)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                {network.length === 0 && (
+                                    <p className="text-sm text-gray-500 py-4 text-center">No network requests recorded.</p>
+                                )}
+                            </div>
+                        )}
+
+                        {activeTab === 'console' && (
+                            <div className="max-h-96 overflow-y-auto font-mono text-xs space-y-1">
+                                {[...trace.errors.map(pageError => ({ type: 'error', text: pageError.message, time: pageError.time })), ...consoleMessages]
+                                    .map((message, index) => (
+                                        <div key={index} className={`px-2 py-1 rounded ${CONSOLE_COLORS[message.type] || 'text-gray-700'}`}>
+                                            <span className="text-gray-400 mr-2">{formatMs(message.time)}</span>
+                                            {message.text}
+                                            {message.location && <span className="text-gray-400 ml-2">{message.location}</span>}
+                                        </div>
+                                    ))}
+                                {consoleMessages.length === 0 && trace.errors.length === 0 && (
+                                    <p className="text-sm text-gray-500 py-4 text-center font-sans">No console output recorded.</p>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+// API functions
+const fetchTestReportTraces = async (testReportId) => {
+    const response = await apiFetch(`/api/v1/traces/test-reports/${testReportId}`);
+    if (!response.ok) {
+        throw new Error('Failed to fetch test report traces');
+    }
+    return response.json();
+};
+
+const fetchTrace = async (traceId) => {
+    const response = await apiFetch(`/api/v1/traces/${traceId}`);
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.message || 'Failed to load trace');
+    }
+    return response.json();
+};
+
+export default TraceViewer;
@@ -0,0 +1,176 @@
+// Session storage and authenticated requests to the dashboard API
+
+const ACCESS_TOKEN_KEY = 'testDashboard.accessToken';
+const REFRESH_TOKEN_KEY = 'testDashboard.refreshToken';
+const USER_KEY = 'testDashboard.user';
+
+export const getCurrentUser = () => {
+    const user = localStorage.getItem(USER_KEY);
+    return user ? JSON.parse(user) : null;
+};
+
+export const isAuthenticated = () => Boolean(localStorage.getItem(REFRESH_TOKEN_KEY));
+
+// Whether the signed-in user's role (or their role on projectId) grants a permission.
+// The API enforces permissions; this only decides which actions to show.
+export const hasPermission = (permission, projectId) => {
+    const user = getCurrentUser();
+    if (!user) return false;
+
+    const projectPermissions = projectId && user.projectPermissions?.[projectId];
+    return (projectPermissions || user.permissions || []).includes(permission);
+};
+
+const saveSession = (session) => {
+    localStorage.setItem(ACCESS_TOKEN_KEY, session.accessToken);
+    localStorage.setItem(REFRESH_TOKEN_KEY, session.refreshToken);
+    localStorage.setItem(USER_KEY, JSON.stringify(session.user));
+};
+
+const clearSession = () => {
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+};
+
+const exchangeRefreshToken = (refreshToken) => fetch('/api/v1/auth/refresh', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+})
+    .then(async (response) => {
+        if (!response.ok) {
+            clearSession();
+            return false;
+        }
+        saveSession((await response.json()).data);
+        return true;
+    });
+
+// Tabs share the refresh token through localStorage, and the API treats a token that was
+// already rotated as stolen. Tabs therefore refresh one at a time under a Web Lock, and a
+// tab that finds the token changed while it waited uses the session the other tab stored.
+const refreshAcrossTabs = (refreshToken) => {
+    if (!navigator.locks) {
+        return exchangeRefreshToken(refreshToken);
+    }
+
+    return navigator.locks.request('testDashboard.refresh', () => {
+        const current = localStorage.getItem(REFRESH_TOKEN_KEY);
+        if (current !== refreshToken) {
+            return Boolean(current);
+        }
+        return exchangeRefreshToken(refreshToken);
+    });
+};
+
+// Concurrent requests that hit an expired token share one refresh
+let pendingRefresh = null;
+
+const refreshSession = () => {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (!refreshToken) {
+        return Promise.resolve(false);
+    }
+
+    if (!pendingRefresh) {
+        pendingRefresh = refreshAcrossTabs(refreshToken)
+            .catch(() => false)
+            .finally(() => {
+                pendingRefresh = null;
+            });
+    }
+
+    return pendingRefresh;
+};
+
+const redirectToLogin = () => {
+    const next = `${window.location.pathname}${window.location.search}`;
+    window.location.assign(`/login?next=${encodeURIComponent(next)}`);
+};
+
+/**
+ * fetch() with the access token attached. An expired token is refreshed once and the
+ * request retried; when that fails the user is sent to the login page.
+ */
+export const apiFetch = async (url, options = {}) => {
+    const send = () => {
+        const accessToken = localStorage.getItem(ACCESS_TOKEN_KEY);
+        return fetch(url, {
+            ...options,
+            headers: {
+                ...options.headers,
+                ...(accessToken && { Authorization: `Bearer ${accessToken}` })
+            }
+        });
+    };
+
+    let response = await send();
+    if (response.status === 401 && await refreshSession()) {
+        response = await send();
+    }
+
+    if (response.status === 401) {
+        clearSession();
+        redirectToLogin();
+    }
+
+    return response;
+};
+
+export const login = async (username, password) => {
+    const response = await fetch('/api/v1/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    const body = await response.json();
+
+    if (!response.ok) {
+        throw new Error(body.message || body.error || 'Failed to log in');
+    }
+
+    saveSession(body.data);
+    return body.data.user;
+};
+
+/**
+ * Finish a single sign-on login: the API hands over a one-time refresh token, which is
+ * exchanged for a session right away so it cannot be used again
+ */
+export const completeSsoLogin = async (refreshToken) => {
+    const response = await fetch('/api/v1/auth/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+    });
+    const body = await response.json();
+
+    if (!response.ok) {
+        throw new Error('Single sign-on failed; please try again');
+    }
+
+    saveSession(body.data);
+    return body.data.user;
+};
+
+export const fetchSsoConfig = async () => {
+    const response = await fetch('/api/v1/auth/oidc');
+    if (!response.ok) {
+        return { enabled: false };
+    }
+    return (await response.json()).data;
+};
+
+export const logout = async () => {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    clearSession();
+
+    if (refreshToken) {
+        await fetch('/api/v1/auth/logout', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        }).catch(() => {});
+    }
+};